@@ -0,0 +1,66 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "./ElGamal.circom";
+
+// Encrypts a single-choice vote to the election's public key, one ciphertext per candidate slot.
+// The message of the chosen candidate is the voter's weight and every other message is 0, so the
+// choice must be one-hot over the election's candidates; slots past candidatesCount stay empty.
+// The ciphertexts are the outputs, so the proof shows they encrypt a valid vote without revealing it.
+template BallotEncryption(options) {
+    signal input choice[options];
+    signal input randomness[options];
+    signal input publicKey[2];
+    signal input weight;
+    signal input candidatesCount;
+    signal output ciphertext[options][4];
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+
+    // weight * B is what the vote adds to its candidate; 64 bits keep the tally's discrete log in reach
+    component weightBits = Num2Bits(64);
+    weightBits.in <== weight;
+    component weightPoint = EscalarMulFix(64, BASE8);
+    for (var i = 0; i < 64; i++) {
+        weightPoint.e[i] <== weightBits.out[i];
+    }
+
+    component inElection[options];
+    component randomnessBits[options];
+    component encrypt[options];
+    var chosen = 0;
+    for (var i = 0; i < options; i++) {
+        choice[i] * (choice[i] - 1) === 0;
+        chosen += choice[i];
+
+        inElection[i] = LessThan(8);
+        inElection[i].in[0] <== i;
+        inElection[i].in[1] <== candidatesCount;
+        choice[i] * (1 - inElection[i].out) === 0;
+
+        randomnessBits[i] = Num2Bits(253);
+        randomnessBits[i].in <== randomness[i];
+
+        // The weight point for the chosen candidate, the identity (0, 1) for the others
+        encrypt[i] = ElGamalEncrypt();
+        encrypt[i].message[0] <== choice[i] * weightPoint.out[0];
+        encrypt[i].message[1] <== choice[i] * (weightPoint.out[1] - 1) + 1;
+        for (var j = 0; j < 253; j++) {
+            encrypt[i].randomnessBits[j] <== randomnessBits[i].out[j];
+        }
+        encrypt[i].publicKey[0] <== publicKey[0];
+        encrypt[i].publicKey[1] <== publicKey[1];
+
+        ciphertext[i][0] <== encrypt[i].c1[0];
+        ciphertext[i][1] <== encrypt[i].c1[1];
+        ciphertext[i][2] <== encrypt[i].c2[0];
+        ciphertext[i][3] <== encrypt[i].c2[1];
+    }
+    chosen === 1;
+}
+
+component main {public [publicKey, weight, candidatesCount]} = BallotEncryption(8);
@@ -5,19 +5,33 @@ include "../node_modules/circomlib/circuits/mimcsponge.circom";
 template CommitmentHasher() {
     signal input nullifier;
     signal input secret;
+    signal input weight;
+    signal input externalNullifier;
     signal output commitment;
+    signal output leaf;
     signal output nullifierHash;
 
     component commitmentHasher = MiMCSponge(2, 220, 1);
-    component nullifierHasher = MiMCSponge(1, 220, 1);
+    component leafHasher = MiMCSponge(2, 220, 1);
+    component nullifierHasher = MiMCSponge(2, 220, 1);
 
     commitmentHasher.ins[0] <== nullifier;
     commitmentHasher.ins[1] <== secret;
     commitmentHasher.k <== 0;
 
+    // The leaf in the tree binds the voter's commitment to their voting weight,
+    // which the contract hashes in when the voter is registered
+    leafHasher.ins[0] <== commitmentHasher.outs[0];
+    leafHasher.ins[1] <== weight;
+    leafHasher.k <== 0;
+
+    // Scope the nullifier hash to a single election so the same
+    // commitment can be reused across elections without linking votes
     nullifierHasher.ins[0] <== nullifier;
+    nullifierHasher.ins[1] <== externalNullifier;
     nullifierHasher.k <== 0;
 
     commitment <== commitmentHasher.outs[0];
+    leaf <== leafHasher.outs[0];
     nullifierHash <== nullifierHasher.outs[0];
 } 
\ No newline at end of file
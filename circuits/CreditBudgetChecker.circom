@@ -0,0 +1,48 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+
+// Checks that an allocation of credits across candidates respects the voter's budget:
+// the sum of the allocations for cumulative voting, the sum of their squares for quadratic voting.
+// The allocations are packed into one value, bits bits per candidate with candidate 1 lowest,
+// which must equal the signal. A creditBudget of 0 means the ballot is not a credit ballot,
+// so nothing is allocated and the signal is left unchecked.
+template CreditBudgetChecker(options, bits) {
+    signal input allocations[options];
+    signal input signalHash;
+    signal input creditBudget;
+    signal input quadratic;
+    signal input weight;
+
+    quadratic * (quadratic - 1) === 0;
+
+    component allocationBits[options];
+    signal squares[options];
+    var packed = 0;
+    var sum = 0;
+    var sumOfSquares = 0;
+    for (var i = 0; i < options; i++) {
+        allocationBits[i] = Num2Bits(bits);
+        allocationBits[i].in <== allocations[i];
+        squares[i] <== allocations[i] * allocations[i];
+        packed += allocations[i] * (1 << (bits * i));
+        sum += allocations[i];
+        sumOfSquares += squares[i];
+    }
+
+    // Each unit of weight buys creditBudget credits
+    signal budget;
+    budget <== creditBudget * weight;
+    signal cost;
+    cost <== sum + quadratic * (sumOfSquares - sum);
+
+    component withinBudget = LessEqThan(252);
+    withinBudget.in[0] <== cost;
+    withinBudget.in[1] <== budget;
+    withinBudget.out === 1;
+
+    component noBudget = IsZero();
+    noBudget.in <== creditBudget;
+    (packed - signalHash) * (1 - noBudget.out) === 0;
+}
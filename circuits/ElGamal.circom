@@ -0,0 +1,42 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/babyjub.circom";
+include "../node_modules/circomlib/circuits/escalarmulfix.circom";
+include "../node_modules/circomlib/circuits/escalarmulany.circom";
+
+// Exponential ElGamal on Baby Jubjub. A message m is encoded as the point m * B, where B is the
+// Base8 generator, so adding ciphertexts point by point adds their messages.
+
+// Encrypts a message point: c1 = r * B, c2 = message + r * publicKey
+template ElGamalEncrypt() {
+    signal input message[2];
+    signal input randomnessBits[253];
+    signal input publicKey[2];
+    signal output c1[2];
+    signal output c2[2];
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+
+    component ephemeral = EscalarMulFix(253, BASE8);
+    component shared = EscalarMulAny(253);
+    for (var i = 0; i < 253; i++) {
+        ephemeral.e[i] <== randomnessBits[i];
+        shared.e[i] <== randomnessBits[i];
+    }
+    shared.p[0] <== publicKey[0];
+    shared.p[1] <== publicKey[1];
+
+    component masked = BabyAdd();
+    masked.x1 <== message[0];
+    masked.y1 <== message[1];
+    masked.x2 <== shared.out[0];
+    masked.y2 <== shared.out[1];
+
+    c1[0] <== ephemeral.out[0];
+    c1[1] <== ephemeral.out[1];
+    c2[0] <== masked.xout;
+    c2[1] <== masked.yout;
+}
@@ -0,0 +1,43 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/escalarmulfix.circom";
+include "../node_modules/circomlib/circuits/escalarmulany.circom";
+
+// Proves that a trustee's partial decryption of the encrypted tally uses the secret of their key share:
+// keyShare = secretKey * B, and partial[i] = secretKey * c1[i] for every slot.
+// Over the empty tally (every c1 the identity) it proves only that the trustee knows the secret of the share.
+template PartialDecryption(options) {
+    signal input secretKey;
+    signal input keyShare[2];
+    signal input c1[options][2];
+    signal output partial[options][2];
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+
+    component secretKeyBits = Num2Bits(253);
+    secretKeyBits.in <== secretKey;
+    component derivedShare = EscalarMulFix(253, BASE8);
+    for (var i = 0; i < 253; i++) {
+        derivedShare.e[i] <== secretKeyBits.out[i];
+    }
+    derivedShare.out[0] === keyShare[0];
+    derivedShare.out[1] === keyShare[1];
+
+    component shared[options];
+    for (var i = 0; i < options; i++) {
+        shared[i] = EscalarMulAny(253);
+        for (var j = 0; j < 253; j++) {
+            shared[i].e[j] <== secretKeyBits.out[j];
+        }
+        shared[i].p[0] <== c1[i][0];
+        shared[i].p[1] <== c1[i][1];
+        partial[i][0] <== shared[i].out[0];
+        partial[i][1] <== shared[i].out[1];
+    }
+}
+
+component main {public [keyShare, c1]} = PartialDecryption(8);
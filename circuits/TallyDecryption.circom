@@ -0,0 +1,32 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/escalarmulfix.circom";
+
+// Proves that counts are the decryption of the encrypted tally: once the trustees' partial decryptions
+// are subtracted from c2, each slot's message point is counts[i] * B.
+// The counts are limited to 64 bits, as the weights of the ballots are.
+template TallyDecryption(options) {
+    signal input message[options][2];
+    signal input counts[options];
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+
+    component countBits[options];
+    component countPoint[options];
+    for (var i = 0; i < options; i++) {
+        countBits[i] = Num2Bits(64);
+        countBits[i].in <== counts[i];
+        countPoint[i] = EscalarMulFix(64, BASE8);
+        for (var j = 0; j < 64; j++) {
+            countPoint[i].e[j] <== countBits[i].out[j];
+        }
+        countPoint[i].out[0] === message[i][0];
+        countPoint[i].out[1] === message[i][1];
+    }
+}
+
+component main {public [message, counts]} = TallyDecryption(8);
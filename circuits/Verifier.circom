@@ -2,12 +2,21 @@ pragma circom 2.0.0;
 
 include "./CommitmentHasher.circom";
 include "./MerkleTreeChecker.circom";
+include "./CreditBudgetChecker.circom";
 
-template Verifier(levels) {
+template Verifier(levels, creditOptions, creditBits) {
     signal input nullifier;
     signal input secret;
     signal input pathElements[levels];
     signal input pathIndices[levels];
+    signal input signalHash;
+    signal input externalNullifier;
+    signal input relayer;
+    signal input fee;
+    signal input weight;
+    signal input creditBudget;
+    signal input quadratic;
+    signal input allocations[creditOptions];
     signal output nullifierHash;
     signal output root;
 
@@ -16,8 +25,10 @@ template Verifier(levels) {
 
     commitmentHasher.nullifier <== nullifier;
     commitmentHasher.secret <== secret;
+    commitmentHasher.weight <== weight;
+    commitmentHasher.externalNullifier <== externalNullifier;
 
-    merkleTreeChecker.leaf <== commitmentHasher.commitment;
+    merkleTreeChecker.leaf <== commitmentHasher.leaf;
     for (var i = 0; i < levels; i++) {
         merkleTreeChecker.pathElements[i] <== pathElements[i];
         merkleTreeChecker.pathIndices[i] <== pathIndices[i];
@@ -25,6 +36,27 @@ template Verifier(levels) {
 
     nullifierHash <== commitmentHasher.nullifierHash;
     root <== merkleTreeChecker.root;
+
+    // Bind the signal (the chosen candidate, the bitmask of approved candidates,
+    // the hash of a ranked ballot or the packed credit allocation), the relayer and its fee to the proof so
+    // none of them can be swapped by someone replaying the proof from the mempool.
+    // The squares are dummy constraints that keep the optimizer from removing them.
+    signal signalHashSquare;
+    signal relayerSquare;
+    signal feeSquare;
+    signalHashSquare <== signalHash * signalHash;
+    relayerSquare <== relayer * relayer;
+    feeSquare <== fee * fee;
+
+    // Credit ballots allocate up to creditBudget credits per unit of weight; the signal is the packed allocation
+    component creditBudgetChecker = CreditBudgetChecker(creditOptions, creditBits);
+    for (var i = 0; i < creditOptions; i++) {
+        creditBudgetChecker.allocations[i] <== allocations[i];
+    }
+    creditBudgetChecker.signalHash <== signalHash;
+    creditBudgetChecker.creditBudget <== creditBudget;
+    creditBudgetChecker.quadratic <== quadratic;
+    creditBudgetChecker.weight <== weight;
 }
 
-component main = Verifier(20); 
\ No newline at end of file
+component main {public [signalHash, externalNullifier, relayer, fee, weight, creditBudget, quadratic]} = Verifier(20, 15, 16); 
\ No newline at end of file
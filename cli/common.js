@@ -0,0 +1,144 @@
+// Helpers shared by the command-line tools in cli/
+const readline = require('readline');
+const { Web3 } = require('web3');
+
+const ZKVotingSystemArtifact = require('../client/src/contracts/ZKVotingSystem.json');
+const EncryptedTallyArtifact = require('../client/src/contracts/EncryptedTally.json');
+const deployments = require('../client/src/deployments.json');
+
+/**
+ * An error caused by the user's input, reported without a stack trace
+ */
+class CliError extends Error {}
+
+/**
+ * Extract a readable reason from a web3 error, e.g. the revert message
+ */
+const errorReason = (error) => error.reason || error.cause?.message || error.innerError?.message || error.message;
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+const askConfirmation = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(`${question} [y/N] `, (answer) => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  });
+});
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ */
+const askPassphrase = (question) => {
+  if (!process.stdin.isTTY) {
+    throw new CliError('Cannot ask for a passphrase without a terminal; set VOTER_PASSPHRASE');
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Print the prompt, but nothing of what is typed after it
+    rl._writeToOutput = (text) => {
+      if (text.startsWith(question)) {
+        process.stdout.write(question);
+      }
+    };
+  });
+};
+
+/**
+ * Connect to the RPC endpoint and the ZKVotingSystem contract
+ * @param {Object} options - Parsed options; uses rpc and address, falling back to RPC_URL, ZK_VOTING_SYSTEM_ADDRESS
+ * and the deployment recorded for the chain in client/src/deployments.json
+ * @returns {Promise<Object>} web3, contract and address
+ */
+const connectContract = async (options) => {
+  const web3 = new Web3(options.rpc || process.env.RPC_URL || 'http://127.0.0.1:8545');
+
+  let address = options.address || process.env.ZK_VOTING_SYSTEM_ADDRESS;
+  if (!address) {
+    const chainId = (await web3.eth.getChainId()).toString();
+    address = deployments[chainId]?.contracts?.ZKVotingSystem?.address;
+    if (!address) {
+      throw new CliError(`No deployment is recorded for chain ${chainId}; pass --address or set ZK_VOTING_SYSTEM_ADDRESS`);
+    }
+  }
+  if (!Web3.utils.isAddress(address)) {
+    throw new CliError(`${address} is not a valid address`);
+  }
+
+  const contract = new web3.eth.Contract(ZKVotingSystemArtifact.abi, address);
+
+  if ((await web3.eth.getCode(address)) === '0x') {
+    throw new CliError(`No contract is deployed at ${address}`);
+  }
+  return { web3, contract, address };
+};
+
+/**
+ * Connect to the EncryptedTally that adds up the ballots of an encrypted election
+ * @param {Object} ctx - Connection from connectContract
+ * @returns {Promise<Object>} The EncryptedTally contract
+ */
+const connectEncryptedTally = async ({ web3, contract }) => {
+  const address = await contract.methods.encryptedTally().call();
+  if (BigInt(address) === 0n) {
+    throw new CliError('No encrypted tally is set for this election; deploy one with the migrations');
+  }
+  return new web3.eth.Contract(EncryptedTallyArtifact.abi, address);
+};
+
+/**
+ * Add a private key to the web3 wallet, or fall back to an account unlocked in the node
+ * @param {Object} web3 - The web3 instance
+ * @param {string} privateKey - Private key from the environment, if any
+ * @param {string} from - Address passed with --from, if any
+ * @returns {string|null} The sending address, or null if neither was given
+ */
+const loadSender = (web3, privateKey, from) => {
+  if (privateKey) {
+    const account = web3.eth.accounts.privateKeyToAccount(privateKey);
+    web3.eth.accounts.wallet.add(account);
+    return account.address;
+  }
+  if (from) {
+    if (!Web3.utils.isAddress(from)) {
+      throw new CliError(`${from} is not a valid address`);
+    }
+    return from;
+  }
+  return null;
+};
+
+/**
+ * Run a command-line entry point, printing user errors without a stack trace
+ * @param {Function} main - Async function taking the arguments after the script name
+ */
+const runCli = (main) => {
+  main(process.argv.slice(2))
+    .then(() => {
+      // snarkjs keeps worker threads alive after proving, so exit explicitly
+      process.exit(process.exitCode || 0);
+    })
+    .catch((error) => {
+      console.error(error instanceof CliError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+        ? error.message
+        : `Error: ${errorReason(error)}`);
+      process.exit(1);
+    });
+};
+
+module.exports = {
+  CliError,
+  errorReason,
+  askConfirmation,
+  askPassphrase,
+  connectContract,
+  connectEncryptedTally,
+  loadSender,
+  runCli
+};
@@ -0,0 +1,936 @@
+#!/usr/bin/env node
+// Admin command-line tool for running a ZKVotingSystem election
+/**
+ * Covers the admin workflow of ZKAdminPanel against any ZKVotingSystem address and RPC URL.
+ *
+ * Usage: node cli/election.js <command> [arguments] [options]   (or npm run election -- ...)
+ *
+ * Commands:
+ *   add-candidates <file>   Add the candidates of a CSV (name,details) or JSON file
+ *   register <file>         Register the voters of a CSV (address,uniqueId,commitment[,weight]) or JSON file
+ *   keygen --key-file <f>   Generate a trustee's share of the key of an encrypted election and write
+ *                           it to a new file
+ *   ballot-type <type>      Set the ballot type: single-choice, ranked, approval with
+ *                           --max <k>, cumulative or quadratic with --credits <n>, or encrypted
+ *                           with --trustees <a,b,...> (before voting starts)
+ *   register-key --key-file <f>
+ *                           Register the key share of --key-file as a trustee (before voting starts)
+ *   start --minutes <n>     Start voting for n minutes
+ *   end                     End voting before the scheduled end time
+ *   decrypt --key-file <f>  Publish a trustee's partial decryption of the tally once voting is over
+ *   tally                   Decrypt the tally of an encrypted election once every trustee has published
+ *                           their partial decryption, and publish the counts with a proof
+ *   status                  Show the state of the election
+ *   results [--json]        Show the vote count (or approvals) of every candidate, and the
+ *                           instant-runoff rounds of a ranked election once voting is over
+ *
+ * Options:
+ *   --rpc <url>             JSON-RPC endpoint (default: RPC_URL or http://127.0.0.1:8545)
+ *   --address <address>     ZKVotingSystem address (default: ZK_VOTING_SYSTEM_ADDRESS or client/src/deployments.json)
+ *   --from <address>        Send from an account unlocked in the node instead of the private key
+ *   --batch-size <n>        Voters per registration transaction (default: 50)
+ *   --trustees <a,b,...>    Addresses of the trustees who share the key of an encrypted election
+ *   --key-file <file>       A trustee's key file (keygen, register-key, decrypt)
+ *   --wasm <file>           Circuit wasm of register-key and decrypt (default: client/public/circuits/
+ *                           PartialDecryption.wasm) or tally (TallyDecryption.wasm)
+ *   --zkey <file>           Its proving key (default: the circuit's _0001.zkey in client/public/circuits)
+ *   --dry-run               Check and simulate every transaction without sending it
+ *   --yes, -y               Do not ask for confirmation
+ *   --json                  Print machine-readable JSON (status and results)
+ *
+ * Transactions are signed with the key in ADMIN_PRIVATE_KEY (TRUSTEE_PRIVATE_KEY for register-key and
+ * decrypt), or sent from --from. A dry run without either simulates the transactions from the contract's
+ * admin. tally can be sent by anyone.
+ *
+ * A trustee's key file holds their share of the secret key. The shares of every trustee together decrypt
+ * the tally, and every single ballot with it: keep each file offline until voting is over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { Web3 } = require('web3');
+const { groth16 } = require('snarkjs');
+const { buildBabyjub } = require('circomlibjs');
+const {
+  parseCandidateFile,
+  parseVoterFile,
+  validateVoterRows,
+  BALLOT_TYPES,
+  ballotTypeName,
+  isCreditBallot,
+  instantRunoff,
+  createElGamal,
+  formatProofAsArray,
+  emptyTally,
+  MAX_ENCRYPTED_CANDIDATES
+} = require('../sdk');
+const {
+  CliError,
+  errorReason,
+  askConfirmation,
+  connectContract,
+  connectEncryptedTally,
+  loadSender,
+  runCli
+} = require('./common');
+
+const USAGE = `Usage: election <command> [arguments] [options]
+
+Commands:
+  add-candidates <file>   Add the candidates of a CSV (name,details) or JSON file
+  register <file>         Register the voters of a CSV (address,uniqueId,commitment[,weight]) or JSON file
+  keygen --key-file <f>   Generate a trustee's share of the key of an encrypted election and write
+                          it to a new file
+  ballot-type <type>      Set the ballot type: single-choice, ranked, approval with
+                          --max <k>, cumulative or quadratic with --credits <n>, or encrypted
+                          with --trustees <a,b,...> (before voting starts)
+  register-key --key-file <f>
+                          Register the key share of --key-file as a trustee (before voting starts)
+  start --minutes <n>     Start voting for n minutes
+  end                     End voting before the scheduled end time
+  decrypt --key-file <f>  Publish a trustee's partial decryption of the tally once voting is over
+  tally                   Decrypt the tally of an encrypted election once every trustee has published
+                          their partial decryption, and publish the counts with a proof
+  status                  Show the state of the election
+  results [--json]        Show the vote count (or approvals) of every candidate, and the
+                          instant-runoff rounds of a ranked election once voting is over
+
+Options:
+  --rpc <url>             JSON-RPC endpoint (default: RPC_URL or http://127.0.0.1:8545)
+  --address <address>     ZKVotingSystem address (default: ZK_VOTING_SYSTEM_ADDRESS or client/src/deployments.json)
+  --from <address>        Send from an account unlocked in the node instead of the private key
+  --batch-size <n>        Voters per registration transaction (default: 50)
+  --trustees <a,b,...>    Addresses of the trustees who share the key of an encrypted election
+  --key-file <file>       A trustee's key file (keygen, register-key, decrypt)
+  --wasm <file>           Circuit wasm of register-key and decrypt (default: client/public/circuits/
+                          PartialDecryption.wasm) or tally (TallyDecryption.wasm)
+  --zkey <file>           Its proving key (default: the circuit's _0001.zkey in client/public/circuits)
+  --dry-run               Check and simulate every transaction without sending it
+  --yes, -y               Do not ask for confirmation
+  --json                  Print machine-readable JSON (status and results)`;
+
+/**
+ * Hash a voter's unique ID into the uniqueHash stored by the contract, as the admin panel does
+ */
+const hashUniqueId = (uniqueId) => BigInt(Web3.utils.keccak256(new TextEncoder().encode(uniqueId)));
+
+/**
+ * Shuffle with the CSPRNG, so the order of unlinked commitments reveals nothing about the addresses
+ */
+const shuffleSecurely = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const CIRCUITS_DIR = path.join(__dirname, '..', 'client', 'public', 'circuits');
+
+const formatDuration = (seconds) => {
+  const total = Number(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${total % 60}s`;
+};
+
+/**
+ * Connect to the chain and the contract, and work out who sends the transactions
+ * @param {Object} options - Parsed command-line options
+ * @param {string} [sender] - Who the command's transactions are sent by: 'admin', 'trustee' (checked by
+ *   the command against the election's tally) or 'anyone'; none if it sends nothing
+ * @returns {Promise<Object>} web3, contract, sender and the options
+ */
+const connect = async (options, sender) => {
+  const ctx = { ...(await connectContract(options)), options, sender: null };
+  if (!sender) {
+    return ctx;
+  }
+
+  const variable = sender === 'trustee' ? 'TRUSTEE_PRIVATE_KEY' : 'ADMIN_PRIVATE_KEY';
+  const admin = await ctx.contract.methods.admin().call();
+  ctx.sender = loadSender(ctx.web3, process.env[variable], options.from);
+  if (!ctx.sender) {
+    // A trustee's transactions only pass from the trustee, so there is no one else to simulate them as
+    if (!options['dry-run'] || sender === 'trustee') {
+      throw new CliError(`Set ${variable} or pass --from to send transactions`);
+    }
+    ctx.sender = admin;
+  }
+
+  if (sender === 'admin' && ctx.sender.toLowerCase() !== admin.toLowerCase()) {
+    throw new CliError(`${ctx.sender} is not the admin of this election (the admin is ${admin})`);
+  }
+  return ctx;
+};
+
+/**
+ * Ask before sending, unless --yes or --dry-run was given
+ */
+const confirm = async (ctx, question) => {
+  if (ctx.options['dry-run'] || ctx.options.yes) {
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    throw new CliError('Not asking for confirmation without a terminal; pass --yes to proceed');
+  }
+  if (!(await askConfirmation(question))) {
+    throw new CliError('Cancelled');
+  }
+};
+
+/**
+ * Simulate a contract call and, unless this is a dry run, send it
+ * @param {Object} ctx - Connection from connect()
+ * @param {string} description - What the transaction does, for the output
+ * @param {Object} method - The web3 method call, e.g. contract.methods.endVoting()
+ * @returns {Promise<Object|null>} The receipt, or null for a dry run
+ */
+const sendTransaction = async (ctx, description, method) => {
+  let gas;
+  try {
+    gas = await method.estimateGas({ from: ctx.sender });
+  } catch (error) {
+    throw new CliError(`${description} would fail: ${errorReason(error)}`);
+  }
+
+  if (ctx.options['dry-run']) {
+    console.log(`[dry run] ${description}: would succeed, about ${gas} gas`);
+    return null;
+  }
+
+  const receipt = await method.send({ from: ctx.sender, gas: (gas * 11n) / 10n });
+  console.log(`${description}: tx ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+  return receipt;
+};
+
+const readInputFile = (file) => {
+  if (!file) {
+    throw new CliError('Missing file argument');
+  }
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Print the rows of a file that will be skipped, with their reason
+ */
+const reportInvalidRows = (rows) => {
+  const invalid = rows.filter(row => row.error);
+  invalid.forEach(row => console.log(`  line ${row.line}: ${row.error}`));
+  return invalid.length;
+};
+
+const addCandidates = async (ctx, file) => {
+  const { contract } = ctx;
+  const text = readInputFile(file);
+
+  let rows;
+  try {
+    rows = parseCandidateFile(text, path.basename(file));
+  } catch (error) {
+    throw new CliError(`Cannot parse ${file}: ${error.message}`);
+  }
+
+  const [votingStatus, votingEnded, count] = await Promise.all([
+    contract.methods.votingStatus().call(),
+    contract.methods.votingEnded().call(),
+    contract.methods.candidatesCount().call()
+  ]);
+  if (votingStatus.isActive || votingEnded) {
+    throw new CliError('Voting has already started; candidates can only be added before it starts');
+  }
+
+  // Running the same file twice must not add its candidates twice
+  const existing = new Set();
+  for (let id = 1n; id <= count; id++) {
+    const candidate = await contract.methods.getCandidate(id).call();
+    existing.add(candidate.name.toLowerCase());
+  }
+  rows = rows.map(row => (!row.error && existing.has(row.name.toLowerCase())
+    ? { ...row, error: 'Candidate already exists' }
+    : row));
+
+  const ready = rows.filter(row => !row.error);
+  console.log(`${file}: ${rows.length} candidates, ${ready.length} to add`);
+  const skipped = reportInvalidRows(rows);
+  if (ready.length === 0) {
+    console.log('Nothing to add');
+    return;
+  }
+  ready.forEach(row => console.log(`  + ${row.name}${row.details ? ` (${row.details})` : ''}`));
+
+  await confirm(ctx, `Add ${ready.length} candidates in ${ready.length} transactions?`);
+
+  for (const row of ready) {
+    await sendTransaction(ctx, `Add candidate "${row.name}"`, contract.methods.addCandidate(row.name, row.details));
+  }
+  if (skipped > 0) {
+    console.log(`${skipped} rows skipped`);
+  }
+};
+
+/**
+ * Flag valid rows the contract would reject, as the admin panel's checkRowsOnChain does
+ */
+const checkVoterRowsOnChain = async (contract, rows) => {
+  const checked = [];
+  for (const row of rows) {
+    if (row.error) {
+      checked.push(row);
+      continue;
+    }
+
+    const [voter, uniqueHashUsed, registeredWeight, pendingCommitment] = await Promise.all([
+      contract.methods.voters(row.address).call(),
+      contract.methods.uniqueHashes(row.uniqueHash).call(),
+      contract.methods.commitmentWeights(row.commitment).call(),
+      contract.methods.pendingCommitments(row.address).call()
+    ]);
+
+    let error = null;
+    if (voter.registered) {
+      error = 'Address is already registered';
+    } else if (uniqueHashUsed) {
+      error = 'Unique ID is already registered';
+    } else if (registeredWeight !== 0n) {
+      error = 'Commitment is already in the tree';
+    } else if (pendingCommitment !== 0n && pendingCommitment.toString() !== row.commitment) {
+      error = 'Address has a pending request with a different commitment';
+    }
+    checked.push({ ...row, error });
+  }
+  return checked;
+};
+
+const registerVoters = async (ctx, file) => {
+  const { contract } = ctx;
+  const text = readInputFile(file);
+  const batchSize = Number(ctx.options['batch-size'] || 50);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new CliError('--batch-size must be a positive integer');
+  }
+
+  let rows;
+  try {
+    rows = validateVoterRows(parseVoterFile(text, path.basename(file)), {
+      isAddress: Web3.utils.isAddress,
+      getAddress: Web3.utils.toChecksumAddress,
+      hashUniqueId
+    });
+  } catch (error) {
+    throw new CliError(`Cannot parse ${file}: ${error.message}`);
+  }
+
+  console.log(`Checking ${rows.length} voters against the contract...`);
+  rows = await checkVoterRowsOnChain(contract, rows);
+  const ready = rows.filter(row => !row.error);
+  console.log(`${file}: ${rows.length} voters, ${ready.length} to register`);
+  const skipped = reportInvalidRows(rows);
+  if (ready.length === 0) {
+    console.log('Nothing to register');
+    return;
+  }
+
+  const unlinkable = await contract.methods.unlinkableRegistration().call();
+  const minBatchSize = unlinkable ? Number(await contract.methods.MIN_UNLINKED_BATCH_SIZE().call()) : 1;
+  if (unlinkable && ready.length < minBatchSize) {
+    throw new CliError(`Unlinkable registration needs at least ${minBatchSize} voters per batch`);
+  }
+
+  // Every batch, including the last one, must meet the contract's minimum size
+  const batches = [];
+  for (let start = 0; start < ready.length; start += batchSize) {
+    batches.push(ready.slice(start, start + batchSize));
+  }
+  const last = batches[batches.length - 1];
+  if (batches.length > 1 && last.length < minBatchSize) {
+    batches.pop();
+    batches[batches.length - 1] = batches[batches.length - 1].concat(last);
+  }
+
+  const mode = unlinkable ? 'shuffled unlinkable batches' : 'batches';
+  await confirm(ctx, `Register ${ready.length} voters in ${batches.length} ${mode}?`);
+
+  let registered = 0;
+  for (const [index, batch] of batches.entries()) {
+    const addresses = batch.map(row => row.address);
+    const uniqueHashes = batch.map(row => row.uniqueHash);
+    const commitments = batch.map(row => row.commitment);
+    const weights = batch.map(row => row.weight);
+    let method;
+    if (unlinkable) {
+      // Commitments are shuffled independently of the addresses, so the leaf order does not follow the file;
+      // each weight stays with its commitment
+      const shuffled = shuffleSecurely(batch.map(({ commitment, weight }) => ({ commitment, weight })));
+      method = contract.methods.registerVotersUnlinked(
+        addresses, uniqueHashes, shuffled.map(entry => entry.commitment), shuffled.map(entry => entry.weight)
+      );
+    } else {
+      method = contract.methods.registerVotersBatch(addresses, uniqueHashes, commitments, weights);
+    }
+
+    const description = `Batch ${index + 1}/${batches.length} (lines ${batch[0].line}-${batch[batch.length - 1].line}, ${batch.length} voter${batch.length === 1 ? '' : 's'})`;
+    try {
+      await sendTransaction(ctx, description, method);
+      registered += batch.length;
+    } catch (error) {
+      // Keep going: a failed batch is reported and can be retried by running the file again
+      console.error(error instanceof CliError ? error.message : `${description} failed: ${errorReason(error)}`);
+    }
+  }
+
+  const verb = ctx.options['dry-run'] ? 'would be registered' : 'registered';
+  console.log(`${registered} of ${ready.length} voters ${verb}${skipped > 0 ? `, ${skipped} rows skipped` : ''}`);
+  if (registered < ready.length) {
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Read a trustee's key file
+ * @param {string} file - Path of the key file
+ * @returns {Object} secretKey and publicKey [x, y], the trustee's key share
+ */
+const readKeyFile = (file) => {
+  if (!file) {
+    throw new CliError('Pass --key-file <file> with your key file as a trustee of the encrypted election');
+  }
+  let key;
+  try {
+    key = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read key file ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(key.publicKey) || key.publicKey.length !== 2 || !key.secretKey) {
+    throw new CliError(`${file} is not a key file: missing secretKey or publicKey`);
+  }
+  return key;
+};
+
+/**
+ * The wasm and zkey to prove with: --wasm and --zkey, or the circuit's files in client/public/circuits
+ * @param {Object} ctx - Connection from connect()
+ * @param {string} circuit - Name of the circuit, e.g. TallyDecryption
+ */
+const circuitFiles = (ctx, circuit) => {
+  const wasm = ctx.options.wasm || path.join(CIRCUITS_DIR, `${circuit}.wasm`);
+  const zkey = ctx.options.zkey || path.join(CIRCUITS_DIR, `${circuit}_0001.zkey`);
+  for (const file of [wasm, zkey]) {
+    if (!fs.existsSync(file)) {
+      throw new CliError(`${file} not found; pass --wasm and --zkey or copy the circuit files to client/public/circuits`);
+    }
+  }
+  return { wasm, zkey };
+};
+
+/**
+ * Connect to the election's tally as one of its trustees
+ * @returns {Promise<Object>} The EncryptedTally contract
+ */
+const connectAsTrustee = async (ctx) => {
+  const tally = await connectEncryptedTally(ctx);
+  if (!(await tally.methods.isTrustee(ctx.sender).call())) {
+    throw new CliError(`${ctx.sender} is not a trustee of this election`);
+  }
+  return tally;
+};
+
+const generateKey = async (ctx) => {
+  const file = ctx.options['key-file'];
+  if (!file) {
+    throw new CliError('keygen needs --key-file <file> to write the key pair to');
+  }
+  if (fs.existsSync(file)) {
+    // Overwriting the key of an election that has started would make its tally impossible to decrypt
+    throw new CliError(`${file} already exists; choose another --key-file`);
+  }
+
+  const { secretKey, publicKey } = createElGamal(await buildBabyjub()).generateKeyPair();
+  fs.writeFileSync(file, JSON.stringify({ secretKey, publicKey }, null, 2), { mode: 0o600 });
+  console.log(`Key share written to ${file}`);
+  console.log(`Key share: ${publicKey.join(', ')}`);
+  console.log('Register it with "register-key --key-file", and keep the file offline until voting is over.');
+  console.log('Together with the files of the other trustees it decrypts the tally; without it the tally cannot be decrypted.');
+};
+
+const registerKeyShare = async (ctx) => {
+  const key = readKeyFile(ctx.options['key-file']);
+  const { wasm, zkey } = circuitFiles(ctx, 'PartialDecryption');
+  const tally = await connectAsTrustee(ctx);
+
+  const status = await ctx.contract.methods.votingStatus().call();
+  if (status.endTime !== 0n) {
+    throw new CliError('Voting has already started; key shares can no longer be registered');
+  }
+  const registered = await tally.methods.getKeyShare(ctx.sender).call();
+  if (BigInt(registered[0]) !== 0n) {
+    throw new CliError(`${ctx.sender} has already registered a key share`);
+  }
+
+  // The partial decryption of the empty tally proves only that the trustee knows the share's secret
+  console.log('Proving the key share...');
+  const elgamal = createElGamal(await buildBabyjub());
+  const { input } = elgamal.partialDecrypt(key.secretKey, emptyTally());
+  if (input.keyShare.join() !== key.publicKey.join()) {
+    throw new CliError(`${ctx.options['key-file']} holds a secret key that does not match its key share`);
+  }
+  const { proof } = await groth16.fullProve(input, wasm, zkey);
+
+  await confirm(ctx, `Register the key share of ${ctx.options['key-file']}? It cannot be changed afterwards.`);
+  await sendTransaction(
+    ctx,
+    'Register the key share',
+    tally.methods.registerKeyShare(...key.publicKey, formatProofAsArray(proof))
+  );
+};
+
+const setBallotType = async (ctx, name) => {
+  const ballotType = Object.values(BALLOT_TYPES).find(value => ballotTypeName(value) === name);
+  if (ballotType === undefined) {
+    throw new CliError(`ballot-type needs one of: ${Object.values(BALLOT_TYPES).map(ballotTypeName).join(', ')}`);
+  }
+
+  // Approval ballots approve up to --max candidates and credit ballots spend up to --credits
+  // per unit of weight; the other types take neither
+  const isApproval = ballotType === BALLOT_TYPES.APPROVAL;
+  const maxApprovals = isApproval ? Number(ctx.options.max) : 0;
+  if (isApproval && (!Number.isInteger(maxApprovals) || maxApprovals < 1)) {
+    throw new CliError('ballot-type approval needs --max <k> with the most candidates a voter may approve');
+  }
+  if (!isApproval && ctx.options.max !== undefined) {
+    throw new CliError('--max only applies to approval ballots');
+  }
+  const isCredit = isCreditBallot(ballotType);
+  const credits = isCredit ? Number(ctx.options.credits) : 0;
+  if (isCredit && (!Number.isSafeInteger(credits) || credits < 1)) {
+    throw new CliError(`ballot-type ${name} needs --credits <n> with the credits each unit of voting weight may spend`);
+  }
+  if (!isCredit && ctx.options.credits !== undefined) {
+    throw new CliError('--credits only applies to cumulative and quadratic ballots');
+  }
+  // Encrypted ballots are encrypted to a key split between --trustees, who are set in the election's tally
+  const isEncrypted = ballotType === BALLOT_TYPES.ENCRYPTED;
+  const trustees = isEncrypted ? (ctx.options.trustees || '').split(',').map(address => address.trim()).filter(Boolean) : [];
+  if (isEncrypted && trustees.length === 0) {
+    throw new CliError('ballot-type encrypted needs --trustees <a,b,...> with the addresses of the trustees who share its key');
+  }
+  const invalid = trustees.find(address => !Web3.utils.isAddress(address));
+  if (invalid) {
+    throw new CliError(`${invalid} is not a valid trustee address`);
+  }
+  if (!isEncrypted && ctx.options.trustees !== undefined) {
+    throw new CliError('--trustees only applies to encrypted ballots');
+  }
+  const tally = isEncrypted ? await connectEncryptedTally(ctx) : null;
+  if (isEncrypted && Number(await ctx.contract.methods.candidatesCount().call()) > MAX_ENCRYPTED_CANDIDATES) {
+    throw new CliError(`Encrypted elections have at most ${MAX_ENCRYPTED_CANDIDATES} candidates`);
+  }
+
+  const status = await ctx.contract.methods.votingStatus().call();
+  if (status.endTime !== 0n) {
+    throw new CliError('Voting has already started; the ballot type cannot be changed');
+  }
+
+  let description = `${name} ballots`;
+  if (isApproval) {
+    description = `${name} ballots approving up to ${maxApprovals} candidates`;
+  } else if (isCredit) {
+    description = `${name} ballots spending up to ${credits} credits per unit of weight`;
+  } else if (isEncrypted) {
+    description = `${name} ballots, decrypted by ${trustees.length} trustee${trustees.length === 1 ? '' : 's'} together`;
+  }
+  await confirm(ctx, `Have voters cast ${description}?`);
+  await sendTransaction(
+    ctx,
+    `Set the ballot type to ${description}`,
+    ctx.contract.methods.setBallotType(ballotType, maxApprovals, credits)
+  );
+  if (isEncrypted) {
+    await sendTransaction(ctx, `Set the trustees of the tally to ${trustees.join(', ')}`, tally.methods.setTrustees(trustees));
+    console.log('Each trustee now runs "keygen" and "register-key"; voting can start once all of them have.');
+  }
+};
+
+const startVoting = async (ctx) => {
+  const minutes = Number(ctx.options.minutes);
+  if (!Number.isInteger(minutes) || minutes <= 0) {
+    throw new CliError('start needs --minutes <n> with a positive whole number of minutes');
+  }
+
+  const count = await ctx.contract.methods.candidatesCount().call();
+  await confirm(ctx, `Start voting on ${count} candidates for ${formatDuration(minutes * 60)}? Candidates cannot be changed afterwards.`);
+  await sendTransaction(ctx, `Start voting for ${minutes} minutes`, ctx.contract.methods.startVoting(minutes));
+};
+
+const endVoting = async (ctx) => {
+  const status = await ctx.contract.methods.getVotingStatus().call();
+  if (!status.isActive) {
+    throw new CliError('Voting is not active');
+  }
+
+  await confirm(ctx, `End voting now, ${formatDuration(status.remainingTime)} before the scheduled end?`);
+  await sendTransaction(ctx, 'End voting', ctx.contract.methods.endVoting());
+};
+
+/**
+ * Check that an encrypted election is over and its tally not yet published
+ */
+const readEndedEncryptedElection = async (ctx) => {
+  const status = await readStatus(ctx);
+  if (status.ballotType !== ballotTypeName(BALLOT_TYPES.ENCRYPTED)) {
+    throw new CliError(`This election takes ${status.ballotType} ballots, which are counted as they are cast`);
+  }
+  if (status.phase !== 'ended') {
+    throw new CliError('The tally can only be decrypted once voting is over');
+  }
+  if (status.tallyPublished) {
+    throw new CliError('The tally has already been published');
+  }
+  return status;
+};
+
+const publishPartialDecryption = async (ctx) => {
+  const key = readKeyFile(ctx.options['key-file']);
+  const { wasm, zkey } = circuitFiles(ctx, 'PartialDecryption');
+  await readEndedEncryptedElection(ctx);
+  const tally = await connectAsTrustee(ctx);
+
+  const [keyShare, decrypted, encryptedTally] = await Promise.all([
+    tally.methods.getKeyShare(ctx.sender).call(),
+    tally.methods.hasDecrypted(ctx.sender).call(),
+    tally.methods.getTally().call()
+  ]);
+  if (decrypted) {
+    throw new CliError(`${ctx.sender} has already published a partial decryption`);
+  }
+  const elgamal = createElGamal(await buildBabyjub());
+  if (elgamal.derivePublicKey(key.secretKey).join() !== keyShare.map(String).join()) {
+    throw new CliError(`${ctx.options['key-file']} does not hold the key share ${ctx.sender} registered`);
+  }
+
+  console.log('Proving the partial decryption...');
+  const { partial, input } = elgamal.partialDecrypt(key.secretKey, encryptedTally);
+  const { proof } = await groth16.fullProve(input, wasm, zkey);
+
+  await confirm(ctx, 'Publish your partial decryption of the tally?');
+  await sendTransaction(
+    ctx,
+    'Publish the partial decryption',
+    tally.methods.publishPartialDecryption(partial, formatProofAsArray(proof))
+  );
+};
+
+const publishTally = async (ctx) => {
+  const { wasm, zkey } = circuitFiles(ctx, 'TallyDecryption');
+  const status = await readEndedEncryptedElection(ctx);
+  if (status.trustees.decrypted < status.trustees.total) {
+    throw new CliError(
+      `${status.trustees.decrypted} of ${status.trustees.total} trustees have published a partial decryption; ` +
+      'the tally can only be decrypted once all of them have'
+    );
+  }
+
+  const tally = await connectEncryptedTally(ctx);
+  const [encryptedTally, decryption] = await Promise.all([
+    tally.methods.getTally().call(),
+    tally.methods.getDecryption().call()
+  ]);
+  const elgamal = createElGamal(await buildBabyjub());
+
+  // No count can exceed the total weight of the ballots
+  let counts;
+  try {
+    counts = elgamal.decryptTally(encryptedTally, decryption, status.totalVotes);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  const candidates = [];
+  for (let id = 1; id <= status.candidates; id++) {
+    candidates.push(await ctx.contract.methods.getCandidate(id).call());
+  }
+  const width = Math.max(4, ...candidates.map(candidate => candidate.name.length));
+  console.log(`Decrypted tally of ${status.totalVotes} votes:`);
+  candidates.forEach((candidate, index) => {
+    console.log(`  ${String(index + 1).padStart(3)}  ${candidate.name.padEnd(width)}  ${String(counts[index]).padStart(6)}`);
+  });
+
+  console.log('Proving the decryption...');
+  const input = elgamal.buildTallyDecryptionInput(encryptedTally, decryption, counts);
+  const { proof } = await groth16.fullProve(input, wasm, zkey);
+
+  await confirm(ctx, 'Publish these counts as the result of the election?');
+  await sendTransaction(ctx, 'Publish the decrypted tally', tally.methods.publishTally(counts, formatProofAsArray(proof)));
+};
+
+/**
+ * Read the state of the election
+ */
+const readStatus = async ({ web3, contract, address }) => {
+  const [
+    chainId, admin, electionId, status, votingEnded, candidatesCount, leaves,
+    totalVotes, gasPool, unlinkable, pending, ballotType, maxApprovals, creditBudget
+  ] = await Promise.all([
+    web3.eth.getChainId(),
+    contract.methods.admin().call(),
+    contract.methods.electionId().call(),
+    contract.methods.getVotingStatus().call(),
+    contract.methods.votingEnded().call(),
+    contract.methods.candidatesCount().call(),
+    contract.methods.nextIndex().call(),
+    contract.methods.totalVotes().call(),
+    contract.methods.gasPool().call(),
+    contract.methods.unlinkableRegistration().call(),
+    contract.methods.getPendingRegistrations().call(),
+    contract.methods.ballotType().call(),
+    contract.methods.maxApprovals().call(),
+    contract.methods.creditBudget().call()
+  ]);
+
+  // The counts of an encrypted election stay 0 until its decrypted tally is published
+  const encrypted = Number(ballotType) === BALLOT_TYPES.ENCRYPTED;
+  let tallyPublished = null;
+  let trustees = null;
+  if (encrypted) {
+    const tally = await connectEncryptedTally({ web3, contract });
+    const [published, addresses, registered, decrypted] = await Promise.all([
+      tally.methods.published().call(),
+      tally.methods.getTrustees().call(),
+      tally.methods.registeredCount().call(),
+      tally.methods.decryptedCount().call()
+    ]);
+    tallyPublished = published;
+    trustees = { total: addresses.length, registered: Number(registered), decrypted: Number(decrypted), addresses };
+  }
+
+  let phase = 'registration';
+  if (status.isActive) {
+    phase = 'voting';
+  } else if (votingEnded || (await contract.methods.votingStatus().call()).isActive) {
+    // Voting that ran out of time without endVoting is over as well
+    phase = 'ended';
+  }
+
+  return {
+    contract: address,
+    chainId: chainId.toString(),
+    admin,
+    electionId: electionId.toString(),
+    phase,
+    ballotType: ballotTypeName(ballotType),
+    maxApprovals: Number(maxApprovals),
+    creditBudget: Number(creditBudget),
+    remainingSeconds: Number(status.remainingTime),
+    candidates: Number(candidatesCount),
+    registeredCommitments: Number(leaves),
+    pendingRequests: pending.voterAddresses.length,
+    totalVotes: Number(totalVotes),
+    gasPool: gasPool.toString(),
+    registrationMode: unlinkable ? 'unlinkable' : 'linkable',
+    ...(encrypted && { tallyPublished, trustees })
+  };
+};
+
+const showStatus = async (ctx) => {
+  const status = await readStatus(ctx);
+  if (ctx.options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  const phase = status.phase === 'voting'
+    ? `voting, ${formatDuration(status.remainingSeconds)} left`
+    : status.phase;
+  console.log(`Contract:          ${status.contract} (chain ${status.chainId})`);
+  console.log(`Admin:             ${status.admin}`);
+  console.log(`Election ID:       ${status.electionId}`);
+  console.log(`Phase:             ${phase}`);
+  let ballotLimit = '';
+  if (status.maxApprovals) {
+    ballotLimit = ` (up to ${status.maxApprovals} approvals)`;
+  } else if (status.creditBudget) {
+    ballotLimit = ` (${status.creditBudget} credits per unit of weight)`;
+  } else if (status.tallyPublished !== undefined) {
+    ballotLimit = status.tallyPublished ? ' (tally published)' : ' (counts hidden until the tally is published)';
+  }
+  console.log(`Ballot type:       ${status.ballotType}${ballotLimit}`);
+  if (status.trustees) {
+    const { total, registered, decrypted } = status.trustees;
+    console.log(`Trustees:          ${total} (${registered} key shares registered, ${decrypted} partial decryptions published)`);
+  }
+  console.log(`Candidates:        ${status.candidates}`);
+  console.log(`Registered voters: ${status.registeredCommitments} (${status.registrationMode} registration)`);
+  console.log(`Pending requests:  ${status.pendingRequests}`);
+  console.log(`Votes cast:        ${status.totalVotes}`);
+  console.log(`Gas pool:          ${Web3.utils.fromWei(status.gasPool, 'ether')} ETH`);
+};
+
+const showResults = async (ctx) => {
+  const { contract } = ctx;
+  const count = await contract.methods.candidatesCount().call();
+  const candidates = [];
+  for (let id = 1n; id <= count; id++) {
+    const candidate = await contract.methods.getCandidate(id).call();
+    candidates.push({
+      id: Number(candidate.id),
+      name: candidate.name,
+      details: candidate.details,
+      votes: Number(candidate.voteCount)
+    });
+  }
+  const status = await readStatus(ctx);
+  // Until the tally of an encrypted election is decrypted there are no counts to show
+  const hidden = status.tallyPublished === false;
+  if (hidden) {
+    candidates.forEach((candidate) => { candidate.votes = null; });
+  }
+  const results = { ...status, final: status.phase === 'ended' && !hidden, candidates };
+
+  // Vote counts of a ranked election are first preferences; the runoff needs every ballot
+  const ranked = status.ballotType === ballotTypeName(BALLOT_TYPES.RANKED);
+  if (ranked && results.final) {
+    const { rankings, weights } = await contract.methods.getBallots().call();
+    results.runoff = instantRunoff(rankings, candidates.map(candidate => candidate.id), weights);
+  }
+
+  if (ctx.options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  if (hidden) {
+    console.log(`Results for ${status.contract} (${status.phase}, encrypted)`);
+    candidates.forEach(candidate => console.log(`  ${String(candidate.id).padStart(3)}  ${candidate.name}`));
+    console.log(`  Ballots cast: ${status.totalVotes}`);
+    console.log('Counts are encrypted until the admin decrypts and publishes the tally once voting is over.');
+    return;
+  }
+
+  // Approval counts are shown as a share of the ballots, each of which may approve several candidates;
+  // credit ballots as a share of every vote allocated
+  const approval = status.ballotType === ballotTypeName(BALLOT_TYPES.APPROVAL);
+  const credit = status.creditBudget > 0;
+  let counted = '';
+  let shareOf = status.totalVotes;
+  if (ranked) {
+    counted = ', first preferences';
+  } else if (approval) {
+    counted = ', approvals';
+  } else if (credit) {
+    counted = ', allocated votes';
+    shareOf = candidates.reduce((sum, candidate) => sum + candidate.votes, 0);
+  }
+  console.log(`Results for ${status.contract} (${results.final ? 'final' : status.phase}${counted})`);
+  const sorted = [...candidates].sort((a, b) => b.votes - a.votes);
+  const width = Math.max(4, ...sorted.map(candidate => candidate.name.length));
+  sorted.forEach((candidate) => {
+    const share = shareOf > 0 ? ((candidate.votes / shareOf) * 100).toFixed(1) : '0.0';
+    console.log(`  ${String(candidate.id).padStart(3)}  ${candidate.name.padEnd(width)}  ${String(candidate.votes).padStart(6)}  ${share.padStart(5)}%`);
+  });
+  if (credit) {
+    console.log(`  Votes allocated: ${shareOf}`);
+  }
+  console.log(`  ${approval || credit ? 'Ballots cast' : 'Total votes'}: ${status.totalVotes}`);
+
+  if (results.runoff) {
+    printRunoff(results.runoff, candidates);
+  } else if (ranked) {
+    console.log('The instant-runoff count is shown once voting is over.');
+  }
+};
+
+/**
+ * Print the rounds of an instant-runoff count
+ */
+const printRunoff = ({ rounds, winner, tied }, candidates) => {
+  const name = (id) => candidates.find(candidate => candidate.id === id)?.name || `#${id}`;
+
+  console.log('\nInstant-runoff count');
+  rounds.forEach((round) => {
+    const tallies = Object.entries(round.tallies)
+      .sort(([, a], [, b]) => b - a)
+      .map(([id, votes]) => `${name(Number(id))} ${votes}`);
+    console.log(`  Round ${round.round}: ${tallies.join(', ')}${round.exhausted > 0 ? `, exhausted ${round.exhausted}` : ''}`);
+
+    if (round.eliminated.length > 0) {
+      const transfers = Object.entries(round.transfers).map(([id, votes]) => `${votes} to ${name(Number(id))}`);
+      if (round.exhaustedTransfers > 0) {
+        transfers.push(`${round.exhaustedTransfers} exhausted`);
+      }
+      console.log(`    ${round.eliminated.map(name).join(' and ')} eliminated${transfers.length ? `: ${transfers.join(', ')}` : ''}`);
+    }
+  });
+  console.log(winner !== null ? `  Winner: ${name(winner)}` : `  No winner: ${tied.map(name).join(', ')} are tied`);
+};
+
+const COMMANDS = {
+  'add-candidates': { run: (ctx, args) => addCandidates(ctx, args[0]), sender: 'admin' },
+  register: { run: (ctx, args) => registerVoters(ctx, args[0]), sender: 'admin' },
+  keygen: { run: generateKey, offline: true },
+  'ballot-type': { run: (ctx, args) => setBallotType(ctx, args[0]), sender: 'admin' },
+  'register-key': { run: registerKeyShare, sender: 'trustee' },
+  start: { run: startVoting, sender: 'admin' },
+  end: { run: endVoting, sender: 'admin' },
+  decrypt: { run: publishPartialDecryption, sender: 'trustee' },
+  tally: { run: publishTally, sender: 'anyone' },
+  status: { run: showStatus },
+  results: { run: showResults }
+};
+
+const main = async (argv) => {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      rpc: { type: 'string' },
+      address: { type: 'string' },
+      from: { type: 'string' },
+      minutes: { type: 'string' },
+      max: { type: 'string' },
+      credits: { type: 'string' },
+      trustees: { type: 'string' },
+      'key-file': { type: 'string' },
+      wasm: { type: 'string' },
+      zkey: { type: 'string' },
+      'batch-size': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      yes: { type: 'boolean', short: 'y' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [name, ...args] = positionals;
+  if (options.help || !name) {
+    console.log(USAGE);
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new CliError(`Unknown command "${name}"\n\n${USAGE}`);
+  }
+
+  // keygen only writes a file, so it needs no node
+  if (command.offline) {
+    await command.run({ options }, args);
+    return;
+  }
+  const ctx = await connect(options, command.sender);
+  if (command.sender && options['dry-run']) {
+    console.log(`Dry run: simulating as ${ctx.sender}, nothing will be sent`);
+  }
+  await command.run(ctx, args);
+};
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { main };
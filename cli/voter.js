@@ -0,0 +1,627 @@
+#!/usr/bin/env node
+// Voter command-line tool: create a voting credential and cast a ZK vote from the terminal
+/**
+ * Does what VoterSecretGenerator and ZKVotingForm do in the browser, against any
+ * ZKVotingSystem address and RPC URL, with the same secret files and circuit files.
+ *
+ * Usage: node cli/voter.js <command> [options]   (or npm run voter -- ...)
+ *
+ * Commands:
+ *   credential               Generate a nullifier and secret and write them to an encrypted secret file
+ *   vote --candidate <id>    Prove membership of the voter tree and vote for a candidate (in an encrypted
+ *                            election, as a ciphertext proven to be a valid vote)
+ *   vote --ranking <ids>     Same, casting a ranked ballot: candidate IDs in order of preference, e.g. 2,1,3
+ *   vote --approve <ids>     Same, casting an approval ballot: the IDs of the approved candidates, e.g. 1,3
+ *   vote --allocate <votes>  Same, casting a cumulative or quadratic ballot: votes per candidate in ID order, e.g. 3,0,1
+ *
+ * Options:
+ *   --secret-file <file>     Secret file to write or read (default: voting-secret.json)
+ *   --plain                  Write the secret file unencrypted (credential)
+ *   --relayer <url>          Submit the vote through this relayer instead of sending it yourself
+ *   --from <address>         Send the vote from an account unlocked in the node instead of VOTER_PRIVATE_KEY
+ *   --rpc <url>              JSON-RPC endpoint (default: RPC_URL or http://127.0.0.1:8545)
+ *   --address <address>      ZKVotingSystem address (default: ZK_VOTING_SYSTEM_ADDRESS or client/src/deployments.json)
+ *   --wasm <file>            Circuit wasm (default: client/public/circuits/Verifier.wasm)
+ *   --zkey <file>            Proving key (default: client/public/circuits/Verifier_0001.zkey)
+ *   --ballot-wasm <file>     Ballot encryption circuit wasm (default: client/public/circuits/BallotEncryption.wasm)
+ *   --ballot-zkey <file>     Its proving key (default: client/public/circuits/BallotEncryption_0001.zkey)
+ *   --from-block <n>         First block to read Commit events from (default: the deployment block)
+ *   --dry-run                Generate and check the proof and simulate the vote without submitting it
+ *   --json                   Print the result as JSON
+ *
+ * The passphrase of the secret file is read from VOTER_PASSPHRASE or asked for on the terminal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { groth16 } = require('snarkjs');
+const { buildMimcSponge, buildBabyjub } = require('circomlibjs');
+const {
+  createHasher,
+  createMerkleTree,
+  generateCommitment,
+  computeCommitment,
+  computeLeaf,
+  computeNullifierHash,
+  assertValidSecrets,
+  buildProofInput,
+  formatVoteArgs,
+  parsePublicSignals,
+  decodeCommitEvents,
+  BALLOT_TYPES,
+  ballotTypeName,
+  computeBallotSignal,
+  validateRanking,
+  validateApprovals,
+  encodeApprovals,
+  validateAllocations,
+  encodeAllocations,
+  createElGamal,
+  encodeEncryptedBallot,
+  ENCRYPTED_COUNT_BITS,
+  toFieldString,
+  toBytes32,
+  ZERO_ADDRESS,
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptedEnvelope,
+  encryptVoterSecrets,
+  decryptVoterSecrets
+} = require('../sdk');
+const {
+  CliError,
+  errorReason,
+  askPassphrase,
+  connectContract,
+  connectEncryptedTally,
+  loadSender,
+  runCli
+} = require('./common');
+
+const CIRCUITS_DIR = path.join(__dirname, '..', 'client', 'public', 'circuits');
+const CIRCUIT_MANIFEST = path.join(__dirname, '..', 'client', 'src', 'circuitManifest.json');
+
+// Blocks per eth_getLogs request; halved whenever the RPC rejects a range as too large
+const LOG_BLOCK_RANGE = 5000;
+
+// The vote option each ballot type takes
+const CHOICE_OPTIONS = {
+  [BALLOT_TYPES.SINGLE_CHOICE]: 'candidate',
+  [BALLOT_TYPES.RANKED]: 'ranking',
+  [BALLOT_TYPES.APPROVAL]: 'approve',
+  [BALLOT_TYPES.CUMULATIVE]: 'allocate',
+  [BALLOT_TYPES.QUADRATIC]: 'allocate',
+  [BALLOT_TYPES.ENCRYPTED]: 'candidate'
+};
+
+const USAGE = `Usage: voter <command> [options]
+
+Commands:
+  credential               Generate a nullifier and secret and write them to an encrypted secret file
+  vote --candidate <id>    Prove membership of the voter tree and vote for a candidate (in an encrypted
+                           election, as a ciphertext proven to be a valid vote)
+  vote --ranking <ids>     Same, casting a ranked ballot: candidate IDs in order of preference, e.g. 2,1,3
+  vote --approve <ids>     Same, casting an approval ballot: the IDs of the approved candidates, e.g. 1,3
+  vote --allocate <votes>  Same, casting a cumulative or quadratic ballot: votes per candidate in ID order, e.g. 3,0,1
+
+Options:
+  --secret-file <file>     Secret file to write or read (default: voting-secret.json)
+  --plain                  Write the secret file unencrypted (credential)
+  --relayer <url>          Submit the vote through this relayer instead of sending it yourself
+  --from <address>         Send the vote from an account unlocked in the node instead of VOTER_PRIVATE_KEY
+  --rpc <url>              JSON-RPC endpoint (default: RPC_URL or http://127.0.0.1:8545)
+  --address <address>      ZKVotingSystem address (default: ZK_VOTING_SYSTEM_ADDRESS or client/src/deployments.json)
+  --wasm <file>            Circuit wasm (default: client/public/circuits/Verifier.wasm)
+  --zkey <file>            Proving key (default: client/public/circuits/Verifier_0001.zkey)
+  --ballot-wasm <file>     Ballot encryption circuit wasm (default: client/public/circuits/BallotEncryption.wasm)
+  --ballot-zkey <file>     Its proving key (default: client/public/circuits/BallotEncryption_0001.zkey)
+  --from-block <n>         First block to read Commit events from (default: the deployment block)
+  --dry-run                Generate and check the proof and simulate the vote without submitting it
+  --json                   Print the result as JSON
+
+The passphrase of the secret file is read from VOTER_PASSPHRASE or asked for on the terminal.`;
+
+/**
+ * Log progress to stderr, so --json output on stdout stays parseable
+ */
+const log = (message) => console.error(message);
+
+const getHasher = async () => createHasher(await buildMimcSponge());
+
+const credential = async (options) => {
+  const file = options['secret-file'];
+  if (fs.existsSync(file)) {
+    // Overwriting a secret file that was already registered would lose the vote
+    throw new CliError(`${file} already exists; choose another --secret-file`);
+  }
+
+  const voterData = generateCommitment(await getHasher());
+
+  let contents = voterData;
+  if (!options.plain) {
+    let passphrase = process.env.VOTER_PASSPHRASE;
+    if (!passphrase) {
+      passphrase = await askPassphrase(`Passphrase for ${file} (at least ${MIN_PASSPHRASE_LENGTH} characters): `);
+      if ((await askPassphrase('Repeat the passphrase: ')) !== passphrase) {
+        throw new CliError('The passphrases do not match');
+      }
+    }
+    try {
+      contents = await encryptVoterSecrets(voterData, passphrase);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+  }
+
+  fs.writeFileSync(file, JSON.stringify(contents, null, 2), { mode: 0o600 });
+
+  if (options.json) {
+    console.log(JSON.stringify({ commitment: voterData.commitment, secretFile: file, encrypted: !options.plain }, null, 2));
+    return;
+  }
+  console.log(`Commitment: ${voterData.commitment}`);
+  console.log(`Secret file: ${file}${options.plain ? ' (unencrypted)' : ''}`);
+  console.log('Send the commitment to the election admin to be registered, and keep the secret file to vote.');
+};
+
+/**
+ * Read a secret file, decrypting it if it is an encrypted envelope
+ * @param {string} file - Path of the secret file
+ * @returns {Promise<Object>} nullifier, secret and commitment
+ */
+const readSecretFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read secret file ${file}: ${error.message}`);
+  }
+
+  if (!isEncryptedEnvelope(data)) {
+    if (!data.nullifier || !data.secret) {
+      throw new CliError(`${file} is not a secret file: missing nullifier or secret`);
+    }
+    log(`Warning: ${file} is not encrypted`);
+    return data;
+  }
+
+  const passphrase = process.env.VOTER_PASSPHRASE || await askPassphrase(`Passphrase for ${file}: `);
+  try {
+    return await decryptVoterSecrets(data, passphrase);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+};
+
+/**
+ * Find the block the contract was deployed in, so the sync does not scan from block 0
+ * Falls back to block 0 when the node cannot serve historical state
+ */
+const findDeploymentBlock = async (web3, address, latest) => {
+  try {
+    let low = 0;
+    let high = latest;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await web3.eth.getCode(address, mid);
+      if (code && code !== '0x') {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  } catch (error) {
+    log(`Could not find the deployment block, reading events from block 0: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Rebuild the Merkle tree of weighted leaves from the contract's Commit events
+ * @param {Object} ctx - Connection from connectContract
+ * @param {Function} hash - Hash function from createHasher
+ * @param {number|undefined} fromBlock - First block to read, or undefined for the deployment block
+ * @returns {Promise<MerkleTree>} The tree
+ */
+const syncTree = async ({ web3, contract, address }, hash, fromBlock) => {
+  const latest = Number(await web3.eth.getBlockNumber());
+  const tree = createMerkleTree(hash);
+
+  let start = fromBlock !== undefined ? fromBlock : await findDeploymentBlock(web3, address, latest);
+  let range = LOG_BLOCK_RANGE;
+  while (start <= latest) {
+    const end = Math.min(start + range - 1, latest);
+
+    let events;
+    try {
+      events = await contract.getPastEvents('Commit', { fromBlock: start, toBlock: end });
+    } catch (error) {
+      if (range === 1) {
+        throw error;
+      }
+      // Most range limits are reported as errors, so retry with a smaller range
+      range = Math.max(1, Math.floor(range / 2));
+      continue;
+    }
+
+    // Throws on a gap or a repeated index, e.g. when --from-block is after the first commitment
+    const commits = decodeCommitEvents(events, tree.leaves.length);
+    tree.bulkInsert(commits.map(commit => commit.commitment));
+    start = end + 1;
+  }
+
+  log(`Read ${tree.leaves.length} leaves up to block ${latest}`);
+  return tree;
+};
+
+/**
+ * Check the circuit files against the SHA-256 manifest bundled with the client, as the voting page does
+ */
+const checkCircuitFiles = (files) => {
+  if (!fs.existsSync(CIRCUIT_MANIFEST)) {
+    log('Warning: client/src/circuitManifest.json not found, circuit files are not checked');
+    return;
+  }
+  const { artifacts } = JSON.parse(fs.readFileSync(CIRCUIT_MANIFEST, 'utf8'));
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      throw new CliError(`${file} not found; pass the circuit file options or copy the circuit files to client/public/circuits`);
+    }
+    const entry = artifacts[path.basename(file)];
+    if (!entry) {
+      continue;
+    }
+    const sha256 = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    if (sha256 !== entry.sha256) {
+      throw new CliError(`${file} does not match the circuit manifest (SHA-256 ${sha256}, expected ${entry.sha256})`);
+    }
+  }
+};
+
+/**
+ * Get the address and fee of a relayer, checking that it submits to this election
+ */
+const getRelayer = async (url, address, electionId) => {
+  let status;
+  try {
+    const response = await fetch(`${url}/status`);
+    status = await response.json();
+    if (!response.ok) {
+      throw new Error(status.error || `status ${response.status}`);
+    }
+  } catch (error) {
+    throw new CliError(`Relayer ${url} is not available: ${error.message}`);
+  }
+
+  if (status.contract?.toLowerCase() !== address.toLowerCase() || status.electionId !== electionId) {
+    throw new CliError(`Relayer ${url} submits votes to another election`);
+  }
+  return { relayer: status.relayer, fee: status.fee };
+};
+
+const submitToRelayer = async (url, proof, publicSignals, ballot) => {
+  const response = await fetch(`${url}/vote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(ballot ? { proof, publicSignals, ballot } : { proof, publicSignals })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new CliError(`Relayer rejected the vote: ${body.error || `status ${response.status}`}`);
+  }
+  return body;
+};
+
+/**
+ * Encrypt a vote to the election's public key and prove that the ciphertext is a valid vote
+ * @returns {Promise<Array<string>>} The encrypted ballot: the ciphertext followed by the proof
+ */
+const encryptBallot = async (ctx, options, candidateId, weight, candidatesCount) => {
+  const wasm = options['ballot-wasm'] || path.join(CIRCUITS_DIR, 'BallotEncryption.wasm');
+  const zkey = options['ballot-zkey'] || path.join(CIRCUITS_DIR, 'BallotEncryption_0001.zkey');
+  checkCircuitFiles([wasm, zkey]);
+  if (weight >= 1n << BigInt(ENCRYPTED_COUNT_BITS)) {
+    throw new CliError(`Encrypted elections count weights below 2^${ENCRYPTED_COUNT_BITS}`);
+  }
+
+  const tally = await connectEncryptedTally(ctx);
+  const publicKey = await Promise.all([tally.methods.publicKey(0).call(), tally.methods.publicKey(1).call()]);
+  const elgamal = createElGamal(await buildBabyjub());
+  let encryption;
+  try {
+    encryption = elgamal.encryptVote(publicKey, candidateId, weight, Number(candidatesCount));
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  log('Encrypting the vote and proving the ciphertext...');
+  const started = Date.now();
+  const { proof, publicSignals } = await groth16.fullProve(encryption.input, wasm, zkey);
+  log(`Ballot proof generated in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+  if (encryption.ciphertext.some((value, index) => value !== publicSignals[index])) {
+    throw new CliError('The ballot proof is for another ciphertext; check the circuit files');
+  }
+  return encodeEncryptedBallot(encryption.ciphertext, proof);
+};
+
+const vote = async (options) => {
+  const given = [...new Set(Object.values(CHOICE_OPTIONS))].filter(name => options[name] !== undefined);
+  if (given.length !== 1) {
+    throw new CliError('vote needs one of --candidate <id>, --ranking <ids>, --approve <ids> or --allocate <votes>');
+  }
+  const candidateId = options.candidate !== undefined ? Number(options.candidate) : null;
+  if (candidateId !== null && !(Number.isInteger(candidateId) && candidateId > 0)) {
+    throw new CliError('vote needs --candidate <id> with a candidate ID');
+  }
+  const fromBlock = options['from-block'] !== undefined ? Number(options['from-block']) : undefined;
+  if (fromBlock !== undefined && !(Number.isInteger(fromBlock) && fromBlock >= 0)) {
+    throw new CliError('--from-block must be a block number');
+  }
+  const wasm = options.wasm || path.join(CIRCUITS_DIR, 'Verifier.wasm');
+  const zkey = options.zkey || path.join(CIRCUITS_DIR, 'Verifier_0001.zkey');
+  checkCircuitFiles([wasm, zkey]);
+
+  const ctx = await connectContract(options);
+  const { web3, contract, address } = ctx;
+
+  // Without a relayer the voter sends the vote, so a dry run can simulate from any address
+  const sender = options.relayer ? null : loadSender(web3, process.env.VOTER_PRIVATE_KEY, options.from);
+  if (!options.relayer && !sender && !options['dry-run']) {
+    throw new CliError('Set VOTER_PRIVATE_KEY, pass --from, or vote through a relayer with --relayer');
+  }
+
+  const secrets = await readSecretFile(options['secret-file']);
+  try {
+    assertValidSecrets(secrets);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const hash = await getHasher();
+  const commitment = computeCommitment(hash, secrets.nullifier, secrets.secret);
+  if (secrets.commitment && toFieldString(secrets.commitment) !== commitment) {
+    throw new CliError('The commitment in the secret file does not match its nullifier and secret');
+  }
+
+  const [electionId, votingStatus, candidatesCount, ballotType, maxApprovals, creditBudget, weight] = await Promise.all([
+    contract.methods.electionId().call(),
+    contract.methods.getVotingStatus().call(),
+    contract.methods.candidatesCount().call(),
+    contract.methods.ballotType().call(),
+    contract.methods.maxApprovals().call(),
+    contract.methods.creditBudget().call(),
+    contract.methods.commitmentWeights(commitment).call()
+  ]);
+  if (!votingStatus.isActive) {
+    throw new CliError('Voting is not active');
+  }
+  if (weight === 0n) {
+    throw new CliError(`Commitment ${commitment} is not registered in this election`);
+  }
+
+  const expected = CHOICE_OPTIONS[Number(ballotType)];
+  if (options[expected] === undefined) {
+    throw new CliError(`This election takes ${ballotTypeName(ballotType)} ballots; pass --${expected} instead of --${given[0]}`);
+  }
+
+  // A ranked ballot is bound into the proof by its hash, approvals by their bitmask, a credit
+  // allocation by its packed votes and a single-choice vote by the candidate ID
+  const quadratic = Number(ballotType) === BALLOT_TYPES.QUADRATIC;
+  let ballot = null;
+  let approved = null;
+  let allocations = null;
+  let signalHash = candidateId;
+  const listed = (value) => value.split(',').map(id => id.trim());
+  try {
+    if (expected === 'ranking') {
+      ballot = validateRanking(listed(options.ranking), Number(candidatesCount));
+      signalHash = computeBallotSignal(ballot, web3.utils.keccak256);
+    } else if (expected === 'approve') {
+      approved = validateApprovals(listed(options.approve), Number(candidatesCount), Number(maxApprovals));
+      signalHash = encodeApprovals(approved);
+    } else if (expected === 'allocate') {
+      // Each unit of weight buys creditBudget credits
+      allocations = validateAllocations(listed(options.allocate), Number(candidatesCount), Number(creditBudget * weight), quadratic);
+      signalHash = encodeAllocations(allocations);
+    } else if (BigInt(candidateId) > candidatesCount) {
+      throw new Error(`Candidate ${candidateId} does not exist`);
+    }
+  } catch (error) {
+    throw new CliError(`${error.message}; this election has ${candidatesCount} candidates`);
+  }
+
+  const nullifierHash = computeNullifierHash(hash, secrets.nullifier, electionId);
+  if (await contract.methods.nullifiers(toBytes32(nullifierHash)).call()) {
+    throw new CliError(`This credential has already voted in this election (nullifier hash ${nullifierHash})`);
+  }
+
+  // An encrypted vote is a ciphertext per candidate slot with a proof that it encrypts the voter's weight
+  // for one candidate; the ciphertext and that proof form the ballot, bound into the vote's proof by its hash
+  const encrypted = Number(ballotType) === BALLOT_TYPES.ENCRYPTED;
+  if (encrypted) {
+    ballot = await encryptBallot(ctx, options, candidateId, weight, candidatesCount);
+    signalHash = computeBallotSignal(ballot, web3.utils.keccak256);
+  }
+
+  // The tree holds the commitment hashed with the voter's weight
+  const leaf = computeLeaf(hash, commitment, weight);
+  const tree = await syncTree(ctx, hash, fromBlock);
+  const leafIndex = tree.leaves.findIndex(treeLeaf => treeLeaf.toString() === leaf);
+  if (leafIndex === -1) {
+    throw new CliError(`The leaf of commitment ${commitment} was not found in the Commit events`);
+  }
+  const merkleProof = tree.path(leafIndex);
+  if (!(await contract.methods.isKnownRoot(toBytes32(merkleProof.root)).call())) {
+    throw new CliError(`The rebuilt tree root ${merkleProof.root} is not known to the contract`);
+  }
+  log(`Commitment found at leaf ${leafIndex}, weight ${weight}`);
+
+  const { relayer, fee } = options.relayer
+    ? await getRelayer(options.relayer, address, electionId.toString())
+    : { relayer: ZERO_ADDRESS, fee: '0' };
+
+  const input = buildProofInput({
+    nullifier: secrets.nullifier,
+    secret: secrets.secret,
+    merkleProof,
+    signalHash,
+    externalNullifier: electionId,
+    relayer,
+    fee,
+    weight,
+    creditBudget,
+    quadratic,
+    allocations: allocations || []
+  });
+
+  log('Generating proof...');
+  const started = Date.now();
+  const { proof, publicSignals } = await groth16.fullProve(input, wasm, zkey);
+  log(`Proof generated in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+
+  const signals = parsePublicSignals(publicSignals);
+  if (signals.nullifierHash !== nullifierHash) {
+    throw new CliError('The proof reveals an unexpected nullifier hash; check the circuit files');
+  }
+
+  const [, ...proofArgs] = formatVoteArgs(proof, publicSignals);
+  let voteCall;
+  let choice;
+  if (ballot) {
+    voteCall = contract.methods.castBallot(ballot, ...proofArgs);
+    choice = encrypted ? { candidateId, encrypted } : { ranking: ballot };
+  } else if (approved) {
+    voteCall = contract.methods.castApprovals(signalHash, ...proofArgs);
+    choice = { approved };
+  } else if (allocations) {
+    voteCall = contract.methods.castAllocations(signalHash, ...proofArgs);
+    choice = { allocations };
+  } else {
+    voteCall = contract.methods.vote(candidateId, ...proofArgs);
+    choice = { candidateId };
+  }
+  let gas;
+  try {
+    // Simulating first turns a revert into a readable reason before anything is sent
+    gas = await voteCall.estimateGas({ from: options.relayer ? relayer : sender || ZERO_ADDRESS });
+  } catch (error) {
+    throw new CliError(`The vote would fail: ${errorReason(error)}`);
+  }
+
+  const result = {
+    contract: address,
+    electionId: electionId.toString(),
+    ...choice,
+    commitment,
+    weight: weight.toString(),
+    leafIndex,
+    nullifierHash,
+    root: signals.root,
+    relayer: options.relayer ? relayer : null,
+    fee: signals.fee
+  };
+
+  if (options['dry-run']) {
+    result.dryRun = true;
+    result.estimatedGas = gas.toString();
+  } else {
+    let transactionHash;
+    if (options.relayer) {
+      log(`Submitting the vote through ${options.relayer}...`);
+      ({ transactionHash } = await submitToRelayer(options.relayer, proof, publicSignals, ballot));
+    } else {
+      log(`Sending the vote from ${sender}...`);
+      ({ transactionHash } = await voteCall.send({ from: sender, gas: (gas * 11n) / 10n }));
+    }
+
+    const receipt = await web3.eth.getTransactionReceipt(transactionHash);
+    result.receipt = {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber.toString(),
+      from: receipt.from,
+      gasUsed: receipt.gasUsed.toString(),
+      status: receipt.status.toString()
+    };
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  if (encrypted) {
+    console.log(`Candidate:      ${candidateId} (encrypted)`);
+  } else if (ballot) {
+    console.log(`Ranking:        ${ballot.join(' > ')}`);
+  } else if (approved) {
+    console.log(`Approved:       ${approved.join(', ')}`);
+  } else if (allocations) {
+    console.log(`Allocated:      ${allocations.map((votes, index) => `${index + 1}=${votes}`).join(', ')}`);
+  } else {
+    console.log(`Candidate:      ${candidateId}`);
+  }
+  console.log(`Nullifier hash: ${nullifierHash}`);
+  if (result.dryRun) {
+    console.log(`Dry run: the vote would succeed (about ${result.estimatedGas} gas) and was not submitted`);
+    return;
+  }
+  console.log(`Transaction:    ${result.receipt.transactionHash}`);
+  console.log(`Block:          ${result.receipt.blockNumber}`);
+  console.log(`Sent by:        ${result.receipt.from}${options.relayer ? ' (relayer)' : ''}`);
+  console.log(`Gas used:       ${result.receipt.gasUsed}`);
+  console.log(`Status:         ${result.receipt.status === '1' ? 'success' : 'failed'}`);
+};
+
+const COMMANDS = {
+  credential,
+  vote
+};
+
+const main = async (argv) => {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'secret-file': { type: 'string', default: 'voting-secret.json' },
+      plain: { type: 'boolean' },
+      candidate: { type: 'string' },
+      ranking: { type: 'string' },
+      approve: { type: 'string' },
+      allocate: { type: 'string' },
+      relayer: { type: 'string' },
+      from: { type: 'string' },
+      rpc: { type: 'string' },
+      address: { type: 'string' },
+      wasm: { type: 'string' },
+      zkey: { type: 'string' },
+      'ballot-wasm': { type: 'string' },
+      'ballot-zkey': { type: 'string' },
+      'from-block': { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [name] = positionals;
+  if (options.help || !name) {
+    console.log(USAGE);
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new CliError(`Unknown command "${name}"\n\n${USAGE}`);
+  }
+  if (options.relayer) {
+    options.relayer = options.relayer.replace(/\/+$/, '');
+  }
+  await command(options);
+};
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { main };
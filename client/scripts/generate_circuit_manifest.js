@@ -0,0 +1,44 @@
+// Write the SHA-256 manifest of the circuit artifacts served from public/circuits
+// Runs before `npm start` and `npm run build`, so the manifest is bundled into the app
+// and a swapped wasm or zkey on the server is rejected before proving
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CIRCUITS_DIR = path.join(__dirname, '..', 'public', 'circuits');
+const MANIFEST_PATH = path.join(__dirname, '..', 'src', 'circuitManifest.json');
+
+// Artifacts the client proves with
+const ARTIFACTS = [
+  'Verifier.wasm',
+  'Verifier_0001.zkey',
+  // Encrypted elections: voters prove their ballot, trustees their key share and partial decryption,
+  // and whoever publishes the tally its decryption
+  'BallotEncryption.wasm',
+  'BallotEncryption_0001.zkey',
+  'PartialDecryption.wasm',
+  'PartialDecryption_0001.zkey',
+  'TallyDecryption.wasm',
+  'TallyDecryption_0001.zkey'
+];
+
+const manifest = { version: 1, artifacts: {} };
+
+for (const name of ARTIFACTS) {
+  const filePath = path.join(CIRCUITS_DIR, name);
+  if (!fs.existsSync(filePath)) {
+    console.warn(`Warning: ${filePath} not found, voters will not be able to generate proofs`);
+    continue;
+  }
+
+  const data = fs.readFileSync(filePath);
+  manifest.artifacts[name] = {
+    path: `circuits/${name}`,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex')
+  };
+  console.log(`${name}: ${manifest.artifacts[name].sha256} (${data.length} bytes)`);
+}
+
+fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+console.log(`Circuit manifest written to ${MANIFEST_PATH}`);
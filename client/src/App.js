@@ -1,24 +1,38 @@
 // App.js - Main component
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Contract, ethers, BrowserProvider } from 'ethers';
 import './App.css';
-import contractABI from './contractABI.json';
 import AdminPanel from './components/AdminPanel';
 import VoterPanel from './components/VoterPanel';
 import VotingResults from './components/VotingResults';
 import ConnectWallet from './components/ConnectWallet';
 import ZKAdminPanel from './components/ZKAdminPanel';
+import TrusteePanel from './components/TrusteePanel';
 import ZKVotingForm from './components/ZKVotingForm';
+import RegistrationRequest from './components/RegistrationRequest';
 import TransactionMonitor from './components/TransactionMonitor';
 
 // Import contract configuration
-import { CONTRACT_ADDRESSES, CONTRACT_ABIS, CONTRACTS } from './contractConfig';
+import {
+  CONTRACT_ABIS,
+  CONTRACTS,
+  getContractAddress,
+  getElectionAddress,
+  getNetworkName,
+  describeMissingDeployment
+} from './contractConfig';
+import { ELECTION_MODES, detectElectionMode } from './utils/electionMode';
 
 // Import the MerkleTree initialization function
 import { initializeMerkleTree } from './utils/merkleTree';
 
-// Flag to use the ZKP version
-const USE_ZKP = true; // Set to true to use ZKP components, false to use original components
+// The kind of election the loaded contracts run, or null before any are loaded
+const getElectionMode = (contractInstances) => {
+  if (contractInstances.zkVotingSystem) {
+    return ELECTION_MODES.ANONYMOUS;
+  }
+  return contractInstances.votingSystem ? ELECTION_MODES.TRANSPARENT : null;
+};
 
 function App() {
   const [provider, setProvider] = useState(null);
@@ -32,11 +46,22 @@ function App() {
   const [error, setError] = useState('');
   const [candidates, setCandidates] = useState([]);
   const [merkleTreeInitialized, setMerkleTreeInitialized] = useState(false);
+  const [chainId, setChainId] = useState(null);
+  const [networkError, setNetworkError] = useState('');
+
+  // The connected account, for event handlers registered once
+  const accountRef = useRef('');
+  useEffect(() => {
+    accountRef.current = account;
+  }, [account]);
+
+  // The chain the wallet switched to last, so contracts loaded for an earlier chain are dropped
+  const latestChainRef = useRef(null);
 
   // Function to check voter status
-  const checkVoterStatus = async (accountAddress, contractWithSigner) => {
+  const checkVoterStatus = async (accountAddress, contractWithSigner, electionMode) => {
     try {
-      if (USE_ZKP) {
+      if (electionMode === ELECTION_MODES.ANONYMOUS) {
         // ZKP voter status check
         const registered = await contractWithSigner.checkVoterStatus(accountAddress);
         // In ZKP we can't check if user has voted directly from the contract
@@ -60,6 +85,102 @@ function App() {
     }
   };
 
+  // Create the contract instances for the wallet's network, or explain why there are none.
+  // isCurrent tells whether the wallet is still on the network being loaded; if not, nothing is set
+  const loadContracts = async (web3Provider, isCurrent = () => true) => {
+    const { chainId: walletChainId } = await web3Provider.getNetwork();
+    if (!isCurrent()) {
+      return null;
+    }
+    setChainId(walletChainId.toString());
+    console.log("Wallet network:", getNetworkName(walletChainId));
+
+    const address = getElectionAddress(walletChainId);
+    if (!address) {
+      setNetworkError(describeMissingDeployment(walletChainId));
+      setContracts({});
+      return null;
+    }
+    if (!ethers.isAddress(address)) {
+      setNetworkError(`"${address}" is not a valid election address.`);
+      setContracts({});
+      return null;
+    }
+
+    // An address without code usually means the local chain was reset since the deployment
+    const code = await web3Provider.getCode(address);
+    if (!isCurrent()) {
+      return null;
+    }
+    if (code === '0x') {
+      setNetworkError(`No contract found at ${address} on ${getNetworkName(walletChainId)}. Redeploy with "npx truffle migrate" or switch networks.`);
+      setContracts({});
+      return null;
+    }
+
+    // The contract itself tells which kind of election it runs, so one build serves both
+    const electionMode = await detectElectionMode(web3Provider, address);
+    if (!isCurrent()) {
+      return null;
+    }
+    console.log(`Election at ${address}:`, electionMode);
+    if (!electionMode) {
+      setNetworkError(`The contract at ${address} on ${getNetworkName(walletChainId)} is not a ZKVotingSystem or EVotingSystem election.`);
+      setContracts({});
+      return null;
+    }
+    setNetworkError('');
+
+    let contractInstances = {};
+
+    if (electionMode === ELECTION_MODES.ANONYMOUS) {
+      // Initialize ZKP contracts
+      const zkVotingSystem = new ethers.Contract(
+        address,
+        CONTRACT_ABIS.ZK_VOTING_SYSTEM,
+        web3Provider
+      );
+
+      const verifierAddress = getContractAddress(walletChainId, CONTRACTS.VERIFIER);
+      const verifier = verifierAddress
+        ? new ethers.Contract(verifierAddress, CONTRACT_ABIS.VERIFIER, web3Provider)
+        : null;
+
+      contractInstances = {
+        zkVotingSystem,
+        verifier
+      };
+
+      // Get voting status
+      const [isActive] = await zkVotingSystem.getVotingStatus();
+      if (!isCurrent()) {
+        return null;
+      }
+      setVotingActive(isActive);
+    } else {
+      // Initialize original contract
+      const votingSystem = new ethers.Contract(
+        address,
+        CONTRACT_ABIS.VOTING_SYSTEM,
+        web3Provider
+      );
+
+      contractInstances = {
+        votingSystem
+      };
+
+      // Get voting status
+      const [isActive] = await votingSystem.getVotingStatus();
+      if (!isCurrent()) {
+        return null;
+      }
+      setVotingActive(isActive);
+    }
+
+    setContracts(contractInstances);
+    return contractInstances;
+  };
+
   // Connect to the blockchain and load contracts
   useEffect(() => {
     const init = async () => {
@@ -68,49 +189,7 @@ function App() {
           // Connect to provider using ethers v6
           const web3Provider = new BrowserProvider(window.ethereum);
           setProvider(web3Provider);
-          
-          let contractInstances = {};
-          
-          if (USE_ZKP) {
-            // Initialize ZKP contracts
-            const zkVotingSystem = new ethers.Contract(
-              CONTRACT_ADDRESSES.ZK_VOTING_SYSTEM,
-              CONTRACT_ABIS.ZK_VOTING_SYSTEM,
-              web3Provider
-            );
-            
-            const verifier = new ethers.Contract(
-              CONTRACT_ADDRESSES.VERIFIER,
-              CONTRACT_ABIS.VERIFIER,
-              web3Provider
-            );
-            
-            contractInstances = {
-              zkVotingSystem,
-              verifier
-            };
-            
-            // Get voting status
-            const [isActive] = await zkVotingSystem.getVotingStatus();
-            setVotingActive(isActive);
-          } else {
-            // Initialize original contract
-            const votingSystem = new ethers.Contract(
-              CONTRACT_ADDRESSES.VOTING_SYSTEM || "0x09fC3d6BeC34b2c7107019B837Ae7f849598F55A",
-              contractABI,
-              web3Provider
-            );
-            
-            contractInstances = {
-              votingSystem
-            };
-            
-            // Get voting status
-            const [isActive] = await votingSystem.getVotingStatus();
-            setVotingActive(isActive);
-          }
-          
-          setContracts(contractInstances);
+          await loadContracts(web3Provider);
           setLoading(false);
         } else {
           setError('Please install MetaMask to use this app');
@@ -144,9 +223,9 @@ function App() {
   };
 
   // Initialize the Merkle tree
-  const initMerkleTree = async (contract) => {
+  const initMerkleTree = async (contract, force = false) => {
     try {
-      if (!merkleTreeInitialized) {
+      if (force || !merkleTreeInitialized) {
         console.log("Initializing Merkle tree...");
         await initializeMerkleTree(contract);
         setMerkleTreeInitialized(true);
@@ -157,6 +236,66 @@ function App() {
     }
   };
 
+  // Connect the contracts to the account's signer and load the account's state, unless isCurrent
+  // says the wallet has moved on to another network meanwhile
+  const connectContracts = async (web3Provider, contractInstances, connectedAccount, resyncTree = false, isCurrent = () => true) => {
+    // Get signer for transactions
+    const signer = await web3Provider.getSigner();
+
+    let updatedContracts = {};
+    let mainContract = null;
+    const electionMode = getElectionMode(contractInstances);
+
+    if (electionMode === ELECTION_MODES.ANONYMOUS) {
+      // Connect ZKP contracts with signer
+      const zkVotingSystem = contractInstances.zkVotingSystem.connect(signer);
+      const verifier = contractInstances.verifier && contractInstances.verifier.connect(signer);
+
+      updatedContracts = {
+        zkVotingSystem,
+        verifier
+      };
+
+      mainContract = zkVotingSystem;
+
+      // Initialize the Merkle tree with the ZKP contract
+      await initMerkleTree(zkVotingSystem, resyncTree);
+    } else {
+      // Connect original contract with signer
+      const votingSystem = contractInstances.votingSystem.connect(signer);
+      updatedContracts = {
+        votingSystem
+      };
+
+      mainContract = votingSystem;
+    }
+
+    if (!isCurrent()) {
+      return;
+    }
+    setContracts(updatedContracts);
+
+    // Check if connected account is admin
+    const adminAddress = await mainContract.admin();
+    if (!isCurrent()) {
+      return;
+    }
+    const isAdminAccount = connectedAccount.toLowerCase() === adminAddress.toLowerCase();
+    setIsAdmin(isAdminAccount);
+
+    // Check voter status
+    await checkVoterStatus(connectedAccount, mainContract, electionMode);
+
+    // Load candidates
+    if (isCurrent()) {
+      await loadCandidates(mainContract);
+    }
+  };
+
+  // The chainChanged handler is registered once, so it calls the latest connectContracts through a ref
+  const connectContractsRef = useRef(connectContracts);
+  connectContractsRef.current = connectContracts;
+
   // Connect wallet function
   const connectWallet = async () => {
     try {
@@ -170,50 +309,12 @@ function App() {
       
       const connectedAccount = accounts[0];
       setAccount(connectedAccount);
-      
-      // Get signer for transactions
-      const signer = await provider.getSigner();
-      
-      let updatedContracts = {};
-      let mainContract = null;
-      
-      if (USE_ZKP) {
-        // Connect ZKP contracts with signer
-        const zkVotingSystem = contracts.zkVotingSystem.connect(signer);
-        const verifier = contracts.verifier.connect(signer);
-        
-        updatedContracts = {
-          zkVotingSystem,
-          verifier
-        };
-        
-        mainContract = zkVotingSystem;
-        
-        // Initialize the Merkle tree with the ZKP contract
-        await initMerkleTree(zkVotingSystem);
-      } else {
-        // Connect original contract with signer
-        const votingSystem = contracts.votingSystem.connect(signer);
-        updatedContracts = {
-          votingSystem
-        };
-        
-        mainContract = votingSystem;
+
+      // Without a deployment on this network there is nothing to connect to; the notice says why
+      if (getElectionMode(contracts)) {
+        await connectContracts(provider, contracts, connectedAccount);
       }
       
-      setContracts(updatedContracts);
-      
-      // Check if connected account is admin
-      const adminAddress = await mainContract.admin();
-      const isAdminAccount = connectedAccount.toLowerCase() === adminAddress.toLowerCase();
-      setIsAdmin(isAdminAccount);
-      
-      // Check voter status
-      await checkVoterStatus(connectedAccount, mainContract);
-      
-      // Load candidates
-      await loadCandidates(mainContract);
-      
       setLoading(false);
     } catch (err) {
       console.error('Connection error:', err);
@@ -222,6 +323,58 @@ function App() {
     }
   };
 
+  // Reload the contracts when the wallet switches networks
+  useEffect(() => {
+    if (!window.ethereum) {
+      return undefined;
+    }
+
+    const handleChainChanged = async (chainIdHex) => {
+      console.log("Wallet switched to chain", parseInt(chainIdHex, 16));
+      // A slower load for the chain before this one must not overwrite this chain's contracts
+      latestChainRef.current = chainIdHex;
+      const isCurrent = () => latestChainRef.current === chainIdHex;
+      setLoading(true);
+      setError('');
+      setIsAdmin(false);
+      setIsRegistered(false);
+      setHasVoted(false);
+      setCandidates([]);
+      // The Merkle tree is kept per chain and contract, so it is synced again for the new one
+      setMerkleTreeInitialized(false);
+
+      try {
+        // An ethers provider stays bound to the network it was created on, so start with a new one
+        const web3Provider = new BrowserProvider(window.ethereum);
+        setProvider(web3Provider);
+
+        const contractInstances = await loadContracts(web3Provider, isCurrent);
+        if (contractInstances && accountRef.current && isCurrent()) {
+          await connectContractsRef.current(web3Provider, contractInstances, accountRef.current, true, isCurrent);
+        }
+      } catch (err) {
+        console.error('Network change error:', err);
+        if (isCurrent()) {
+          setError('Failed to load the contracts for the new network');
+        }
+      } finally {
+        // The handler of the latest chain clears the loading state
+        if (isCurrent()) {
+          setLoading(false);
+        }
+      }
+    };
+
+    window.ethereum.on('chainChanged', handleChainChanged);
+
+    // Clean up event listener
+    return () => {
+      if (window.ethereum.removeListener) {
+        window.ethereum.removeListener('chainChanged', handleChainChanged);
+      }
+    };
+  }, []);
+
   // Update status on account change
   useEffect(() => {
     if (window.ethereum) {
@@ -236,10 +389,10 @@ function App() {
             let mainContract = null;
             let updatedContracts = {};
             
-            if (USE_ZKP && contracts.zkVotingSystem) {
+            if (contracts.zkVotingSystem) {
               // Connect ZKP contracts with new signer
               const zkVotingSystem = contracts.zkVotingSystem.connect(signer);
-              const verifier = contracts.verifier.connect(signer);
+              const verifier = contracts.verifier && contracts.verifier.connect(signer);
               
               updatedContracts = {
                 zkVotingSystem,
@@ -265,7 +418,7 @@ function App() {
               setIsAdmin(newAccount.toLowerCase() === adminAddress.toLowerCase());
               
               // Check voter status for new account
-              await checkVoterStatus(newAccount, mainContract);
+              await checkVoterStatus(newAccount, mainContract, getElectionMode(contracts));
               
               // Load candidates
               await loadCandidates(mainContract);
@@ -301,15 +454,21 @@ function App() {
     return <div className="app-container"><p className="error">{error}</p></div>;
   }
 
-  // Get the main contract based on selected mode
+  // Get the main contract based on the detected mode
+  const electionMode = getElectionMode(contracts);
+  const isAnonymous = electionMode === ELECTION_MODES.ANONYMOUS;
+  const title = isAnonymous ? "ZKP Voting System"
+    : electionMode === ELECTION_MODES.TRANSPARENT ? "Blockchain E-Voting System"
+    : "Blockchain Voting System";
+
   const getMainContract = () => {
-    return USE_ZKP ? contracts.zkVotingSystem : contracts.votingSystem;
+    return isAnonymous ? contracts.zkVotingSystem : contracts.votingSystem;
   };
 
   return (
     <div className="app-container">
       <header>
-        <h1>{USE_ZKP ? "ZKP Voting System" : "Blockchain E-Voting System"}</h1>
+        <h1>{title}</h1>
         {account ? (
           <div className="account-info">
             <p>Connected: {account.substring(0, 6)}...{account.substring(account.length - 4)}</p>
@@ -320,27 +479,41 @@ function App() {
         )}
       </header>
 
-      <main>
-        {account ? (
+      {/* Remount the panels on a network change, so no state of the previous chain's contract survives */}
+      <main key={chainId || 'no-network'}>
+        {networkError ? (
+          <div className="network-notice">
+            <h2>Unsupported Network</h2>
+            <p>{networkError}</p>
+          </div>
+        ) : account ? (
           <>
-            {isAdmin && USE_ZKP ? (
+            {isAdmin && isAnonymous ? (
               <ZKAdminPanel 
                 contract={contracts.zkVotingSystem} 
                 votingActive={votingActive}
                 setVotingActive={setVotingActive}
               />
-            ) : isAdmin && !USE_ZKP ? (
+            ) : isAdmin && !isAnonymous ? (
               <AdminPanel 
                 contract={contracts.votingSystem} 
                 votingActive={votingActive}
                 setVotingActive={setVotingActive}
               />
-            ) : !isAdmin && USE_ZKP ? (
-              <ZKVotingForm
-                contract={contracts.zkVotingSystem}
-                candidates={candidates}
-                votingActive={votingActive}
-              />
+            ) : !isAdmin && isAnonymous ? (
+              <>
+                {!isRegistered && (
+                  <RegistrationRequest
+                    contract={contracts.zkVotingSystem}
+                    account={account}
+                  />
+                )}
+                <ZKVotingForm
+                  contract={contracts.zkVotingSystem}
+                  candidates={candidates}
+                  votingActive={votingActive}
+                />
+              </>
             ) : (
               <VoterPanel 
                 contract={contracts.votingSystem}
@@ -351,6 +524,13 @@ function App() {
                 setHasVoted={setHasVoted}
               />
             )}
+
+            {isAnonymous && (
+              <TrusteePanel
+                contract={contracts.zkVotingSystem}
+                account={account}
+              />
+            )}
             
             <VotingResults 
               contract={getMainContract()}
@@ -359,9 +539,9 @@ function App() {
           </>
         ) : (
           <div className="welcome-message">
-            <h2>Welcome to the {USE_ZKP ? "ZKP Voting System" : "Blockchain E-Voting System"}</h2>
+            <h2>Welcome to the {title}</h2>
             <p>Please connect your wallet to participate in the voting process.</p>
-            {USE_ZKP && (
+            {isAnonymous && (
               <p className="privacy-note">
                 This system uses Zero-Knowledge Proofs to ensure your vote remains private while maintaining verifiability.
               </p>
@@ -371,7 +551,7 @@ function App() {
       </main>
 
       <footer>
-        <p>Secure, Transparent, {USE_ZKP ? "Private" : "Decentralized"} Voting</p>
+        <p>Secure, Transparent, {isAnonymous ? "Private" : "Decentralized"} Voting</p>
       </footer>
 
       {provider && getMainContract() && (
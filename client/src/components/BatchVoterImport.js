@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { parseVoterFile, validateVoterRows, checkRowsOnChain } from '../utils/voterImport';
+import { shuffleSecurely } from '../utils/registrationRequests';
+import { sendInChunks } from '../utils/batchRegistration';
+
+function BatchVoterImport({ contract, unlinkableMode, minBatchSize, onRegistered }) {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      setLoading(true);
+      setMessage({ text: '', type: '' });
+      setProgress('Checking voters against the contract...');
+
+      try {
+        const parsed = parseVoterFile(event.target.result, file.name);
+        const checked = await checkRowsOnChain(contract, validateVoterRows(parsed));
+        setRows(checked.map(row => ({ ...row, status: row.error ? 'invalid' : 'ready' })));
+
+        const invalidCount = checked.filter(row => row.error).length;
+        setMessage({
+          text: `Loaded ${checked.length} rows, ${checked.length - invalidCount} ready to register, ${invalidCount} with problems`,
+          type: invalidCount > 0 ? 'warning' : 'success'
+        });
+      } catch (err) {
+        console.error("Error reading voter file:", err);
+        setRows([]);
+        setMessage({ text: `Could not read voter file: ${err.message}`, type: 'error' });
+      } finally {
+        setProgress('');
+        setLoading(false);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const updateRows = (lines, changes) => {
+    setRows(current => current.map(row => (lines.includes(row.line) ? { ...row, ...changes } : row)));
+  };
+
+  const buildRegistrationCall = (chunk) => {
+    const addresses = chunk.map(row => row.address);
+    const uniqueHashes = chunk.map(row => row.uniqueHash);
+    const commitments = chunk.map(row => row.commitment);
+    const weights = chunk.map(row => row.weight);
+
+    if (unlinkableMode) {
+      // Shuffle the commitments so leaf order does not follow the address order; each weight stays with its commitment
+      const shuffled = shuffleSecurely(chunk.map(({ commitment, weight }) => ({ commitment, weight })));
+      return {
+        method: contract.registerVotersUnlinked,
+        args: [addresses, uniqueHashes, shuffled.map(entry => entry.commitment), shuffled.map(entry => entry.weight)]
+      };
+    }
+    return { method: contract.registerVotersBatch, args: [addresses, uniqueHashes, commitments, weights] };
+  };
+
+  const registerAll = async () => {
+    const readyRows = rows.filter(row => row.status === 'ready');
+    if (unlinkableMode && readyRows.length < minBatchSize) {
+      setMessage({ text: `Unlinkable registration needs at least ${minBatchSize} voters per batch`, type: 'error' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const { succeeded, failed } = await sendInChunks({
+        contract,
+        items: readyRows,
+        buildCall: buildRegistrationCall,
+        minChunkSize: unlinkableMode ? minBatchSize : 1,
+        onChunkStart: (chunk, processed, total) => {
+          updateRows(chunk.map(row => row.line), { status: 'submitting' });
+          setProgress(`Registering voters ${processed + 1}-${processed + chunk.length} of ${total}...`);
+        },
+        onChunkDone: (chunk) => updateRows(chunk.map(row => row.line), { status: 'registered' }),
+        onChunkFailed: (chunk, reason) => updateRows(chunk.map(row => row.line), { status: 'failed', error: reason })
+      });
+
+      setMessage({
+        text: `Registered ${succeeded} of ${readyRows.length} voters${failed > 0 ? `, ${failed} failed` : ''}`,
+        type: failed > 0 ? 'warning' : 'success'
+      });
+      if (onRegistered) {
+        onRegistered();
+      }
+    } catch (err) {
+      console.error("Error registering voters:", err);
+      setMessage({ text: "Failed to register voters", type: 'error' });
+    } finally {
+      setProgress('');
+      setLoading(false);
+    }
+  };
+
+  const statusText = (row) => {
+    switch (row.status) {
+      case 'invalid':
+        return `Invalid: ${row.error}`;
+      case 'submitting':
+        return 'Registering...';
+      case 'registered':
+        return 'Registered ✓';
+      case 'failed':
+        return `Failed: ${row.error}`;
+      default:
+        return 'Ready';
+    }
+  };
+
+  const readyCount = rows.filter(row => row.status === 'ready').length;
+
+  return (
+    <div className="card batch-voter-import">
+      <h3>Import Voters from CSV or JSON</h3>
+      <p className="note">
+        One voter per row: <code>address,uniqueId,commitment,weight</code>, where the weight is
+        optional and defaults to 1. JSON files contain an array of objects with the same fields.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Voter File:</label>
+        <input
+          type="file"
+          accept=".csv,.json"
+          onChange={handleFileUpload}
+          disabled={loading}
+        />
+      </div>
+
+      {progress && <p>{progress}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <button onClick={registerAll} disabled={loading || readyCount === 0}>
+            {loading ? 'Processing...' : `Register ${readyCount} Voters`}
+          </button>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Address</th>
+                <th>Unique ID</th>
+                <th>Weight</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.line} className={`import-row ${row.status}`}>
+                  <td>{row.line}</td>
+                  <td><code>{row.address}</code></td>
+                  <td>{row.uniqueId}</td>
+                  <td>{row.weight}</td>
+                  <td>{statusText(row)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BatchVoterImport;
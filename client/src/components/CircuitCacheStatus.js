@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getArtifactCacheStatus, getCircuitArtifacts, clearArtifactCache, VOTE_CIRCUIT } from '../utils/circuitArtifacts';
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const DEFAULT_CIRCUITS = [VOTE_CIRCUIT];
+
+/**
+ * Show and manage the cached artifacts of the circuits a voter proves with
+ * @param {Array<Object>} circuits - The circuits needed, e.g. with BALLOT_CIRCUIT in encrypted elections
+ */
+function CircuitCacheStatus({ circuits = DEFAULT_CIRCUITS }) {
+  const [artifacts, setArtifacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  // The circuits change once the election's ballot type is known
+  const refreshStatus = useCallback(async () => {
+    try {
+      setArtifacts(await getArtifactCacheStatus(circuits));
+    } catch (err) {
+      console.error("Error reading artifact cache:", err);
+      setMessage({ text: "The prover file cache is not available in this browser", type: 'warning' });
+    }
+  }, [circuits]);
+
+  useEffect(() => {
+    refreshStatus();
+  }, [refreshStatus]);
+
+  const downloadArtifacts = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      for (const circuit of circuits) {
+        await getCircuitArtifacts(circuit);
+      }
+      setMessage({ text: "Prover files downloaded and verified", type: 'success' });
+    } catch (err) {
+      console.error("Error loading circuit artifacts:", err);
+      setMessage({ text: err.message, type: 'error' });
+    } finally {
+      await refreshStatus();
+      setLoading(false);
+    }
+  };
+
+  const clearCache = async () => {
+    setLoading(true);
+    try {
+      await clearArtifactCache();
+      setMessage({ text: "Prover file cache cleared", type: 'success' });
+    } catch (err) {
+      console.error("Error clearing artifact cache:", err);
+      setMessage({ text: "Failed to clear the prover file cache", type: 'error' });
+    } finally {
+      await refreshStatus();
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="circuit-cache-status">
+      <p className="note">
+        Prover files are checked against the SHA-256 hashes built into this app and cached in the browser.
+      </p>
+      <ul>
+        {artifacts.map(artifact => (
+          <li key={artifact.name}>
+            <code>{artifact.name}</code>:{' '}
+            {artifact.missing
+              ? 'missing from the manifest'
+              : `${formatSize(artifact.size)}, ${artifact.cached ? 'cached ✓' : 'not cached'}`}
+          </li>
+        ))}
+      </ul>
+      {message.text && (
+        <div className={`alert alert-${message.type}`}>
+          {message.text}
+        </div>
+      )}
+      <button className="btn btn-outline" onClick={downloadArtifacts} disabled={loading}>
+        {loading ? 'Working...' : 'Download and Verify Now'}
+      </button>
+      <button className="btn btn-outline" onClick={clearCache} disabled={loading}>
+        Clear Cache
+      </button>
+    </div>
+  );
+}
+
+export default CircuitCacheStatus;
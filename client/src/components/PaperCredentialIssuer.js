@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { generateCommitment } from '../utils/zkProofs';
+import { encodeCredential, buildCredentialSheets } from '../utils/paperCredentials';
+import { shuffleSecurely } from '../utils/registrationRequests';
+import { sendInChunks } from '../utils/batchRegistration';
+
+// Upper bound on credentials generated at once, to keep the browser responsive
+const MAX_CREDENTIALS = 1000;
+
+function PaperCredentialIssuer({ contract, onRegistered }) {
+  const [count, setCount] = useState(10);
+  const [title, setTitle] = useState('Election');
+  // Secrets only ever live in this state and are dropped when cleared or unmounted
+  const [credentials, setCredentials] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const issueCredentials = async () => {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CREDENTIALS) {
+      setMessage({ text: `Enter a number of credentials between 1 and ${MAX_CREDENTIALS}`, type: 'error' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const generated = [];
+      for (let i = 0; i < count; i++) {
+        setProgress(`Generating credential ${i + 1} of ${count}...`);
+        generated.push(await generateCommitment());
+      }
+
+      // Register in a shuffled order so the printing order cannot be matched to leaf indices
+      const registered = [];
+      const { failed } = await sendInChunks({
+        contract,
+        items: shuffleSecurely(generated),
+        buildCall: (chunk) => ({
+          method: contract.registerCommitmentsBatch,
+          args: [chunk.map(credential => credential.commitment)]
+        }),
+        onChunkStart: (chunk, processed, total) => {
+          setProgress(`Registering credentials ${processed + 1}-${processed + chunk.length} of ${total}...`);
+        },
+        onChunkDone: (chunk) => registered.push(...chunk)
+      });
+
+      // Only credentials whose commitment made it into the tree are worth printing
+      setCredentials(registered);
+      setMessage({
+        text: `Registered ${registered.length} credentials${failed > 0 ? `, ${failed} failed and were discarded` : ''}. Print them now: they are not stored anywhere.`,
+        type: failed > 0 ? 'warning' : 'success'
+      });
+      if (onRegistered) {
+        onRegistered();
+      }
+    } catch (err) {
+      console.error("Error issuing credentials:", err);
+      setMessage({ text: "Failed to issue credentials", type: 'error' });
+    } finally {
+      setProgress('');
+      setLoading(false);
+    }
+  };
+
+  const openSheets = async () => {
+    setLoading(true);
+
+    try {
+      const { chainId } = await contract.runner.provider.getNetwork();
+      const html = await buildCredentialSheets(
+        credentials.map(credential => encodeCredential(credential.nullifier, credential.secret)),
+        { title, contractAddress: contract.target, chainId: chainId.toString() }
+      );
+
+      // Open the sheets in a new tab, from where they can be printed
+      const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error("Error building credential sheets:", err);
+      setMessage({ text: "Failed to build credential sheets", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearCredentials = () => {
+    setCredentials([]);
+    setMessage({ text: "Credentials cleared from memory", type: 'success' });
+  };
+
+  return (
+    <div className="card paper-credential-issuer">
+      <h3>Issue Paper Credentials</h3>
+      <p className="note">
+        Generates voter secrets in this browser, registers their commitments and prints one sealed
+        sheet per voter. The secrets are not saved anywhere, so print the sheets before leaving this page.
+      </p>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      {credentials.length === 0 ? (
+        <>
+          <div className="form-group">
+            <label>Election Title (printed on each sheet):</label>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+          <div className="form-group">
+            <label>Number of Credentials:</label>
+            <input
+              type="number"
+              value={count}
+              onChange={(e) => setCount(parseInt(e.target.value))}
+              min="1"
+              max={MAX_CREDENTIALS}
+              disabled={loading}
+            />
+          </div>
+          <button onClick={issueCredentials} disabled={loading}>
+            {loading ? 'Processing...' : 'Generate and Register Credentials'}
+          </button>
+        </>
+      ) : (
+        <>
+          <p>{credentials.length} credentials ready to print.</p>
+          <button onClick={openSheets} disabled={loading}>
+            {loading ? 'Processing...' : 'Open Printable Sheets'}
+          </button>
+          <button onClick={clearCredentials} disabled={loading}>
+            I Have Printed Them - Clear Secrets
+          </button>
+        </>
+      )}
+
+      {progress && <p>{progress}</p>}
+    </div>
+  );
+}
+
+export default PaperCredentialIssuer;
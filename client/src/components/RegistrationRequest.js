@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import VoterSecretGenerator from './VoterSecretGenerator';
+import { createSignedRegistrationRequest } from '../utils/registrationRequests';
+
+function RegistrationRequest({ contract, account }) {
+  const [commitment, setCommitment] = useState('');
+  const [pendingCommitment, setPendingCommitment] = useState(null);
+  const [unlinkableMode, setUnlinkableMode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  // Check if this account already has a request waiting for the admin
+  useEffect(() => {
+    if (contract && account) {
+      loadPendingRequest();
+    }
+  }, [contract, account]);
+
+  const loadPendingRequest = async () => {
+    try {
+      const pending = await contract.pendingCommitments(account);
+      setPendingCommitment(pending === 0n ? null : pending.toString());
+      // On-chain requests would publish the address-to-commitment link
+      setUnlinkableMode(await contract.unlinkableRegistration());
+    } catch (err) {
+      console.error("Error loading registration request:", err);
+    }
+  };
+
+  const submitRequest = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const tx = await contract.requestRegistration(commitment);
+      await tx.wait();
+
+      await loadPendingRequest();
+      setMessage({ text: "Registration request submitted. Wait for the admin to approve it.", type: 'success' });
+    } catch (err) {
+      console.error("Error requesting registration:", err);
+      const errorMessage = err.message || "Failed to submit registration request";
+      setMessage({
+        text: errorMessage.includes("Registration already requested")
+          ? "You already have a pending registration request"
+          : "Failed to submit registration request",
+        type: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadSignedRequest = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      // Sign the request off-chain so the admin can register the voter without the voter paying gas
+      const { chainId } = await contract.runner.provider.getNetwork();
+      const request = await createSignedRegistrationRequest(contract.runner, contract.target, chainId, commitment);
+
+      const dataBlob = new Blob([JSON.stringify(request, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'registration-request.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      setMessage({ text: "Signed request downloaded. Send it to the election admin.", type: 'success' });
+    } catch (err) {
+      console.error("Error signing registration request:", err);
+      setMessage({ text: "Failed to sign registration request", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card registration-request">
+      <h2>Request Voter Registration</h2>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      {pendingCommitment ? (
+        <p>
+          Your registration request is waiting for admin approval.
+          Commitment: <code>{pendingCommitment.substring(0, 10)}...{pendingCommitment.substring(pendingCommitment.length - 10)}</code>
+        </p>
+      ) : (
+        <>
+          <p className="note">
+            Your secret is generated in this browser. Only the commitment is sent to the admin,
+            so nobody else can link your vote to you.
+          </p>
+
+          <VoterSecretGenerator
+            contract={contract}
+            registeringAddress={account}
+            onCommitmentGenerated={setCommitment}
+          />
+
+          {commitment && (
+            <div className="request-actions">
+              {!unlinkableMode && (
+                <button onClick={submitRequest} disabled={loading}>
+                  {loading ? 'Processing...' : 'Submit Request On-Chain'}
+                </button>
+              )}
+              <button onClick={downloadSignedRequest} disabled={loading}>
+                {loading ? 'Processing...' : 'Download Signed Request'}
+              </button>
+            </div>
+          )}
+
+          {commitment && unlinkableMode && (
+            <p className="note">
+              This election registers voters in shuffled batches. Send the signed request file to the admin
+              privately instead of submitting it on-chain.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RegistrationRequest;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { BALLOT_TYPES } from 'zk-voting-sdk';
+import {
+  getEncryptedTally,
+  generateKeyShare,
+  readKeyShareFile,
+  proveKeyShare,
+  provePartialDecryption
+} from '../utils/encryptedBallots';
+
+// Name of the key file downloaded when a trustee's key share is generated here
+const KEY_FILE_NAME = 'trustee-key.json';
+
+// Shown to the trustees of an encrypted election: registering their key share before voting starts,
+// and publishing their partial decryption of the tally once it is over. Renders nothing for anyone else.
+function TrusteePanel({ contract, account }) {
+  const [isTrustee, setIsTrustee] = useState(false);
+  const [registered, setRegistered] = useState(false);
+  const [decrypted, setDecrypted] = useState(false);
+  const [votingStarted, setVotingStarted] = useState(false);
+  const [votingEnded, setVotingEnded] = useState(false);
+  const [keyFile, setKeyFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    if (contract && account) {
+      loadTrustee();
+    }
+  }, [contract, account]);
+
+  const loadTrustee = async () => {
+    try {
+      if (Number(await contract.ballotType()) !== BALLOT_TYPES.ENCRYPTED) {
+        setIsTrustee(false);
+        return;
+      }
+      const tally = await getEncryptedTally(contract);
+      const [trustee, keyShare, hasDecrypted, [isActive], [, scheduledEnd]] = await Promise.all([
+        tally.isTrustee(account),
+        tally.getKeyShare(account),
+        tally.hasDecrypted(account),
+        contract.getVotingStatus(),
+        contract.votingStatus()
+      ]);
+      setIsTrustee(trustee);
+      setRegistered(keyShare[0] !== 0n);
+      setDecrypted(hasDecrypted);
+      setVotingStarted(scheduledEnd !== 0n);
+      // Voting is over once it was ended or its period ran out
+      setVotingEnded(!isActive && scheduledEnd !== 0n);
+    } catch (err) {
+      console.error("Error loading trustee status:", err);
+    }
+  };
+
+  const downloadKeyFile = (key) => {
+    const dataBlob = new Blob([JSON.stringify(key, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = KEY_FILE_NAME;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Register the key share of the chosen file, or of a new one, with a proof that this trustee knows its secret
+  const registerKeyShare = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      let key;
+      if (keyFile) {
+        key = await readKeyShareFile(keyFile);
+      } else {
+        // Saved before anything is sent: without it the tally can never be decrypted
+        key = await generateKeyShare();
+        downloadKeyFile(key);
+      }
+      const proof = await proveKeyShare(key);
+      const tx = await (await getEncryptedTally(contract)).registerKeyShare(key.publicKey[0], key.publicKey[1], proof);
+      await tx.wait();
+
+      setKeyFile(null);
+      await loadTrustee();
+      setMessage({
+        text: `Key share registered from ${keyFile ? keyFile.name : KEY_FILE_NAME}. Keep that file offline until voting is over.`,
+        type: 'success'
+      });
+    } catch (err) {
+      console.error("Error registering the key share:", err);
+      setMessage({ text: `Failed to register the key share: ${err.reason || err.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Publish this trustee's partial decryption of the tally with a proof that it uses the registered key share
+  const publishPartialDecryption = async (e) => {
+    e.preventDefault();
+    if (!keyFile) {
+      setMessage({ text: "Choose your key file", type: 'error' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const key = await readKeyShareFile(keyFile);
+      const { partial, proof } = await provePartialDecryption(contract, key, account);
+      const tx = await (await getEncryptedTally(contract)).publishPartialDecryption(partial, proof);
+      await tx.wait();
+
+      setKeyFile(null);
+      await loadTrustee();
+      setMessage({ text: "Partial decryption published.", type: 'success' });
+    } catch (err) {
+      console.error("Error publishing the partial decryption:", err);
+      setMessage({ text: `Failed to publish the partial decryption: ${err.reason || err.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isTrustee) {
+    return null;
+  }
+
+  const keyFileInput = (label) => (
+    <div className="form-group">
+      <label>{label}</label>
+      <input
+        type="file"
+        accept=".json"
+        onChange={(e) => setKeyFile(e.target.files[0] || null)}
+        disabled={loading}
+      />
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <h3>Trustee</h3>
+
+      {message.text && (
+        <div className={`message ${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      {!registered && !votingStarted && (
+        <form onSubmit={registerKeyShare}>
+          <p className="note">
+            You hold a share of this election's key. Voting can start once every trustee has registered theirs.
+            Your secret never leaves this browser; only the key share and a proof that you know its secret are sent.
+          </p>
+          {keyFileInput('Key file (leave empty to generate and download a new one):')}
+          <button type="submit" disabled={loading}>
+            {loading ? 'Proving...' : 'Register Key Share'}
+          </button>
+        </form>
+      )}
+
+      {registered && !votingEnded && (
+        <p className="note">
+          Your key share is registered. Keep your key file offline until voting is over, then publish your
+          partial decryption here. The tally cannot be decrypted without it.
+        </p>
+      )}
+
+      {!registered && votingStarted && (
+        <p className="note">Voting has started without your key share, so you take no part in this election.</p>
+      )}
+
+      {registered && votingEnded && !decrypted && (
+        <form onSubmit={publishPartialDecryption}>
+          <p className="note">
+            Voting is over. Publish your partial decryption of the tally with a proof that it uses your key share.
+          </p>
+          {keyFileInput('Your key file:')}
+          <button type="submit" disabled={loading || !keyFile}>
+            {loading ? 'Decrypting and proving...' : 'Publish Partial Decryption'}
+          </button>
+        </form>
+      )}
+
+      {decrypted && <p className="note">Your partial decryption is published.</p>}
+    </div>
+  );
+}
+
+export default TrusteePanel;
@@ -1,29 +1,45 @@
 import React, { useState } from 'react';
 import { generateCommitment, storeVoterSecrets } from '../utils/zkProofs';
-import { registerCommitment } from '../utils/merkleTree';
+import { MIN_PASSPHRASE_LENGTH } from '../utils/secretEncryption';
+import { deriveWalletCommitment } from '../utils/walletSecrets';
 
-function VoterSecretGenerator({ onCommitmentGenerated }) {
+function VoterSecretGenerator({ contract, registeringAddress, onCommitmentGenerated }) {
+  // Only the encrypted envelope is kept; the raw secret never leaves generateVoterSecret
   const [commitment, setCommitment] = useState(null);
+  // Recovery phrase, shown once until the voter confirms they wrote it down
+  const [mnemonic, setMnemonic] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [secretSaved, setSecretSaved] = useState(false);
+  // Address of the wallet the secret was derived from, if it was not generated randomly
+  const [derivingAddress, setDerivingAddress] = useState(null);
 
   const generateVoterSecret = async () => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+
     setLoading(true);
+    setError('');
     try {
       // Generate a new commitment for the voter
       const commitmentData = await generateCommitment();
-      setCommitment(commitmentData);
-      
-      // Add the commitment to the Merkle tree using our new function
-      console.log('Adding commitment to Merkle tree:', commitmentData.commitment);
-      const leafIndex = await registerCommitment(commitmentData.commitment);
-      console.log('Commitment added at index:', leafIndex);
-      
-      // No need to call localStorage.setItem for leaf index and commitment
-      // The registerCommitment function now handles storing these values
       
-      // Store the complete commitment data in localStorage
-      storeVoterSecrets(commitmentData);
+      // The leaf index is only known once the admin approves the commitment,
+      // so ZKVotingForm looks it up from the contract's Commit events
+      // Store the encrypted commitment data in localStorage
+      const envelope = await storeVoterSecrets(commitmentData, passphrase);
+      setCommitment(envelope);
+      setMnemonic(commitmentData.mnemonic);
+      setPassphrase('');
+      setConfirmPassphrase('');
       
       // Pass the commitment up to the parent component
       if (onCommitmentGenerated) {
@@ -31,6 +47,27 @@ function VoterSecretGenerator({ onCommitmentGenerated }) {
       }
     } catch (err) {
       console.error("Error generating commitment:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Derive the secret from a wallet signature instead of storing anything
+  const deriveFromWallet = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { commitment: derived, address } = await deriveWalletCommitment(contract, { checkDeterministic: true });
+      setCommitment({ commitment: derived });
+      setDerivingAddress(address);
+
+      if (onCommitmentGenerated) {
+        onCommitmentGenerated(derived);
+      }
+    } catch (err) {
+      console.error("Error deriving secret from wallet:", err);
+      setError(err.message);
     } finally {
       setLoading(false);
     }
@@ -63,13 +100,72 @@ function VoterSecretGenerator({ onCommitmentGenerated }) {
       </p>
       
       {!commitment ? (
-        <button 
-          onClick={generateVoterSecret} 
-          disabled={loading}
-          className="generate-button"
-        >
-          {loading ? 'Generating...' : 'Generate Voting Secret'}
-        </button>
+        <>
+          <p>
+            Choose a passphrase to encrypt your secret. You will need it to unlock the secret
+            when voting, and it cannot be recovered if forgotten.
+          </p>
+          <div className="form-group">
+            <label>Passphrase (at least {MIN_PASSPHRASE_LENGTH} characters):</label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="new-password"
+              disabled={loading}
+            />
+          </div>
+          <div className="form-group">
+            <label>Confirm Passphrase:</label>
+            <input
+              type="password"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              autoComplete="new-password"
+              disabled={loading}
+            />
+          </div>
+          {error && <p className="warning">{error}</p>}
+          <button 
+            onClick={generateVoterSecret} 
+            disabled={loading || !passphrase}
+            className="generate-button"
+          >
+            {loading ? 'Generating...' : 'Generate Voting Secret'}
+          </button>
+
+          {contract && (
+            <div className="wallet-derivation">
+              <p>
+                Or derive your secret from a wallet signature. Nothing is stored: signing the same
+                message with the same wallet rebuilds the secret on any device. You will be asked
+                to sign twice to check that the wallet signs repeatably.
+              </p>
+              <button onClick={deriveFromWallet} disabled={loading}>
+                {loading ? 'Waiting for signature...' : 'Derive Secret from Wallet'}
+              </button>
+            </div>
+          )}
+        </>
+      ) : derivingAddress ? (
+        <div className="commitment-details">
+          <p className="success-message">Your voting secret has been derived from your wallet.</p>
+
+          <div className="commitment-info">
+            <p>Commitment: <code>{commitment.commitment.substring(0, 20)}...{commitment.commitment.substring(commitment.commitment.length - 10)}</code></p>
+            <p>Derived with wallet: <code>{derivingAddress}</code></p>
+          </div>
+
+          <p>To vote, choose "Derive Secret from Wallet" on the voting page with this same wallet.</p>
+
+          {registeringAddress && derivingAddress.toLowerCase() === registeringAddress.toLowerCase() && (
+            <p className="warning">
+              Warning: this is the same wallet you are registering with. Anyone who later obtains its key,
+              or tricks it into signing this message, can recompute your secret and link your vote to this
+              address. Prefer deriving with a separate wallet account, then switching back to this one to register.
+            </p>
+          )}
+        </div>
       ) : (
         <div className="commitment-details">
           <p className="success-message">Your voting secret has been generated successfully!</p>
@@ -78,8 +174,25 @@ function VoterSecretGenerator({ onCommitmentGenerated }) {
             <p>Commitment: <code>{commitment.commitment.substring(0, 20)}...{commitment.commitment.substring(commitment.commitment.length - 10)}</code></p>
           </div>
           
-          <p>Save this secret securely. You will need it when voting.</p>
-          <p className="warning">Warning: If you lose this secret, you won't be able to vote!</p>
+          {mnemonic && (
+            <div className="mnemonic-backup">
+              <p>
+                Write down this recovery phrase, in order, and keep it offline. It rebuilds your
+                secret on any device if you lose the file or forget the passphrase.
+              </p>
+              <ol className="mnemonic-words">
+                {mnemonic.split(' ').map((word, index) => (
+                  <li key={index}><code>{word}</code></li>
+                ))}
+              </ol>
+              <button onClick={() => setMnemonic(null)}>
+                I Have Written It Down - Hide Phrase
+              </button>
+            </div>
+          )}
+          
+          <p>Save this secret file securely. You will need it and your passphrase when voting.</p>
+          <p className="warning">Warning: If you lose both this secret and the recovery phrase, you won't be able to vote!</p>
           
           <button 
             onClick={downloadSecretFile}
@@ -1,9 +1,21 @@
 import React, { useState, useEffect } from 'react';
+import { BALLOT_TYPES, instantRunoff, isCreditBallot } from 'zk-voting-sdk';
+import { getEncryptedTally } from '../utils/encryptedBallots';
 
 function VotingResults({ contract, votingActive }) {
   const [results, setResults] = useState([]);
   const [totalVotes, setTotalVotes] = useState(0);
   const [votingEnded, setVotingEnded] = useState(false);
+  // Ranked elections count first preferences live and the instant runoff once voting has closed
+  const [isRanked, setIsRanked] = useState(false);
+  const [runoff, setRunoff] = useState(null);
+  // Approval elections count approvals per candidate; percentages are of the ballots cast
+  const [isApproval, setIsApproval] = useState(false);
+  // Cumulative and quadratic elections count allocated votes; percentages are of all allocated votes
+  const [isCredit, setIsCredit] = useState(false);
+  const [ballotsCast, setBallotsCast] = useState(0);
+  // Encrypted elections record no counts until the trustees have decrypted the tally and it is published
+  const [countsHidden, setCountsHidden] = useState(false);
 
   useEffect(() => {
     if (contract) {
@@ -31,6 +43,28 @@ function VotingResults({ contract, votingActive }) {
     }
   };
 
+  // Only ZKVotingSystem has ballot types; the original contract takes single-choice votes
+  const loadBallotType = async () => {
+    try {
+      return Number(await contract.ballotType());
+    } catch (err) {
+      return BALLOT_TYPES.SINGLE_CHOICE;
+    }
+  };
+
+  // Count the ranked ballots once voting is over, whether it was ended or its period ran out
+  const loadRunoff = async (candidateIds) => {
+    const [isActive] = await contract.getVotingStatus();
+    const [, scheduledEnd] = await contract.votingStatus();
+    if (isActive || scheduledEnd === 0n) {
+      setRunoff(null);
+      return;
+    }
+
+    const [rankings, weights] = await contract.getBallots();
+    setRunoff(instantRunoff(rankings, candidateIds, weights));
+  };
+
   const loadResults = async () => {
     try {
       const [ids, names, voteCounts] = await contract.getAllCandidatesWithVotes();
@@ -45,10 +79,29 @@ function VotingResults({ contract, votingActive }) {
       formattedResults.sort((a, b) => b.voteCount - a.voteCount);
       
       setResults(formattedResults);
+
+      const ballotType = await loadBallotType();
+      const ranked = ballotType === BALLOT_TYPES.RANKED;
+      const approval = ballotType === BALLOT_TYPES.APPROVAL;
+      setIsRanked(ranked);
+      setIsApproval(approval);
+      setIsCredit(isCreditBallot(ballotType));
       
-      // Calculate total votes
-      const total = formattedResults.reduce((sum, item) => sum + item.voteCount, 0);
+      // Calculate total votes; an approval ballot counts once for every candidate it approves,
+      // so the contract's count of ballots is used instead
+      const total = approval
+        ? Number(await contract.totalVotes())
+        : formattedResults.reduce((sum, item) => sum + item.voteCount, 0);
       setTotalVotes(total);
+      const hidden = ballotType === BALLOT_TYPES.ENCRYPTED && !(await (await getEncryptedTally(contract)).published());
+      setCountsHidden(hidden);
+      if (isCreditBallot(ballotType) || hidden) {
+        setBallotsCast(Number(await contract.totalVotes()));
+      }
+
+      if (ranked) {
+        await loadRunoff(formattedResults.map(candidate => candidate.id));
+      }
     } catch (err) {
       console.error("Error loading results:", err);
     }
@@ -59,6 +112,32 @@ function VotingResults({ contract, votingActive }) {
     return ((votes / totalVotes) * 100).toFixed(1);
   };
 
+  const candidateName = (id) => results.find(candidate => candidate.id === id)?.name || `Candidate ${id}`;
+
+  // The first-preference leader of a ranked election need not win the runoff
+  const winnerId = isRanked ? runoff?.winner : results[0]?.id;
+  const showWinner = (votingEnded || Boolean(runoff)) && !countsHidden;
+
+  let columnTitle = 'Votes';
+  if (isRanked) {
+    columnTitle = 'First Preferences';
+  } else if (isApproval) {
+    columnTitle = 'Approvals';
+  } else if (isCredit) {
+    columnTitle = 'Allocated Votes';
+  }
+
+  // Summarize where the ballots of a round's eliminated candidates went
+  const describeTransfers = (round) => {
+    const parts = Object.entries(round.transfers)
+      .map(([id, votes]) => `${votes} to ${candidateName(Number(id))}`);
+    if (round.exhaustedTransfers > 0) {
+      parts.push(`${round.exhaustedTransfers} exhausted`);
+    }
+    const eliminated = round.eliminated.map(candidateName).join(' and ');
+    return `Round ${round.round}: ${eliminated} eliminated` + (parts.length ? `; ballots transferred ${parts.join(', ')}.` : '.');
+  };
+
   return (
     <div className="voting-results card">
       <h2>Election Results {!votingEnded && votingActive && <span>(Live)</span>}</h2>
@@ -69,7 +148,10 @@ function VotingResults({ contract, votingActive }) {
         <>
           <div className="results-summary">
             <div className="total-votes">
-              <span>Total Votes: {totalVotes}</span>
+              {countsHidden
+                ? <span>Ballots Cast: {ballotsCast}</span>
+                : <span>{isApproval ? 'Ballots Cast' : 'Total Votes'}: {totalVotes}</span>}
+              {isCredit && <span> · Ballots Cast: {ballotsCast}</span>}
             </div>
             {votingEnded && (
               <div className="voting-complete-tag">
@@ -84,24 +166,26 @@ function VotingResults({ contract, votingActive }) {
                 <tr>
                   <th>Rank</th>
                   <th>Candidate</th>
-                  <th>Votes</th>
-                  <th>Percentage</th>
+                  <th>{columnTitle}</th>
+                  <th>{isApproval ? 'Approved By' : isCredit ? 'Share of Votes' : 'Percentage'}</th>
                 </tr>
               </thead>
               <tbody>
                 {results.map((candidate, index) => (
-                  <tr key={candidate.id} className={index === 0 && votingEnded ? 'winner' : ''}>
+                  <tr key={candidate.id} className={showWinner && candidate.id === winnerId ? 'winner' : ''}>
                     <td>{index + 1}</td>
                     <td>{candidate.name}</td>
-                    <td>{candidate.voteCount}</td>
+                    <td>{countsHidden ? 'Encrypted' : candidate.voteCount}</td>
                     <td>
-                      <div className="percentage-bar">
-                        <div 
-                          className="percentage-fill" 
-                          style={{width: `${calculatePercentage(candidate.voteCount)}%`}}
-                        ></div>
-                        <span>{calculatePercentage(candidate.voteCount)}%</span>
-                      </div>
+                      {countsHidden ? '–' : (
+                        <div className="percentage-bar">
+                          <div 
+                            className="percentage-fill" 
+                            style={{width: `${calculatePercentage(candidate.voteCount)}%`}}
+                          ></div>
+                          <span>{calculatePercentage(candidate.voteCount)}%</span>
+                        </div>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -109,7 +193,64 @@ function VotingResults({ contract, votingActive }) {
             </table>
           </div>
           
-          {!votingEnded && (
+          {runoff && (
+            <div className="runoff-rounds">
+              <h3>Instant-Runoff Count</h3>
+              <p className="runoff-outcome">
+                {runoff.winner !== null
+                  ? `${candidateName(runoff.winner)} wins after ${runoff.rounds.length} round${runoff.rounds.length === 1 ? '' : 's'}.`
+                  : `No winner: ${runoff.tied.map(candidateName).join(', ')} are tied.`}
+              </p>
+              <div className="results-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Candidate</th>
+                      {runoff.rounds.map(round => (
+                        <th key={round.round}>Round {round.round}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(candidate => (
+                      <tr key={candidate.id} className={candidate.id === runoff.winner ? 'winner' : ''}>
+                        <td>{candidate.name}</td>
+                        {runoff.rounds.map((round, index) => {
+                          const votes = round.tallies[candidate.id];
+                          const received = index > 0 ? runoff.rounds[index - 1].transfers[candidate.id] : undefined;
+                          return (
+                            <td key={round.round} className={round.eliminated.includes(candidate.id) ? 'eliminated' : ''}>
+                              {votes === undefined ? '–' : votes}
+                              {received ? <span className="transfer"> (+{received})</span> : null}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                    <tr className="exhausted-row">
+                      <td>Exhausted</td>
+                      {runoff.rounds.map(round => (
+                        <td key={round.round}>{round.exhausted}</td>
+                      ))}
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+              <ul className="runoff-transfers">
+                {runoff.rounds.filter(round => round.eliminated.length > 0).map(round => (
+                  <li key={round.round}>{describeTransfers(round)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {countsHidden && (
+            <p className="results-note">
+              Counts are encrypted until every trustee has published a partial decryption and the tally is published once voting is over.
+            </p>
+          )}
+
+          {!votingEnded && !runoff && !countsHidden && (
             <p className="results-note">
               {votingActive 
                 ? "Results update automatically every 15 seconds while voting is active."
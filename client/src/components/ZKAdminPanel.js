@@ -1,26 +1,220 @@
 import React, { useState, useEffect } from 'react';
 import { ethers, isAddress, AbiCoder, keccak256 } from 'ethers';
-import VoterSecretGenerator from './VoterSecretGenerator';
+import {
+  BALLOT_TYPES,
+  ballotTypeName,
+  isCreditBallot,
+  parseWeight,
+  WEIGHT_BITS,
+  MAX_CREDIT_CANDIDATES,
+  MAX_ENCRYPTED_CANDIDATES
+} from 'zk-voting-sdk';
+import { verifySignedRegistrationRequest, shuffleSecurely } from '../utils/registrationRequests';
+import { getEncryptedTally, decryptAndProveTally } from '../utils/encryptedBallots';
+import BatchVoterImport from './BatchVoterImport';
+import PaperCredentialIssuer from './PaperCredentialIssuer';
 
 function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
   const [candidates, setCandidates] = useState([]);
   const [newCandidate, setNewCandidate] = useState({ name: '', details: '' });
   const [voterAddress, setVoterAddress] = useState('');
   const [voterCommitment, setVoterCommitment] = useState('');
+  // Weight of the voters registered or approved from this panel
+  const [voterWeight, setVoterWeight] = useState('1');
   const [votingDuration, setVotingDuration] = useState(60); // Default 60 minutes
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [votingEnded, setVotingEnded] = useState(false);
-  const [showSecretGenerator, setShowSecretGenerator] = useState(false);
+  const [pendingRequests, setPendingRequests] = useState([]);
+  const [gasPool, setGasPool] = useState(0n);
+  const [topUpAmount, setTopUpAmount] = useState('');
+  const [unlinkableMode, setUnlinkableMode] = useState(false);
+  const [treeEmpty, setTreeEmpty] = useState(false);
+  // Voters waiting to be registered together in one shuffled batch (unlinkable mode)
+  const [registrationBatch, setRegistrationBatch] = useState([]);
+  const [minBatchSize, setMinBatchSize] = useState(2);
+  const [ballotType, setBallotType] = useState(BALLOT_TYPES.SINGLE_CHOICE);
+  const [maxApprovals, setMaxApprovals] = useState(0);
+  const [creditBudget, setCreditBudget] = useState(0);
+  // Ballot type, approval limit and credit budget chosen in the form, before they are sent to the contract
+  const [ballotForm, setBallotForm] = useState({ ballotType: BALLOT_TYPES.SINGLE_CHOICE, maxApprovals: 1, creditBudget: 100 });
+  // Trustees of an encrypted election, as typed in the form (one address per line or comma-separated)
+  const [trusteesInput, setTrusteesInput] = useState('');
+  // How many trustees share the key, and how many have registered a key share and published a partial decryption
+  const [trusteeStatus, setTrusteeStatus] = useState({ total: 0, registered: 0, decrypted: 0 });
+  const [tallyPublished, setTallyPublished] = useState(false);
 
   // Load candidates
   useEffect(() => {
     if (contract) {
       loadCandidates();
       checkVotingStatus();
+      loadGasPool();
+      loadPendingRequests();
+      loadRegistrationMode();
+      loadBallotType();
     }
   }, [contract]);
 
+  const loadBallotType = async () => {
+    try {
+      const currentType = Number(await contract.ballotType());
+      const currentMax = Number(await contract.maxApprovals());
+      const currentCredits = Number(await contract.creditBudget());
+      setBallotType(currentType);
+      setMaxApprovals(currentMax);
+      setCreditBudget(currentCredits);
+      setBallotForm({ ballotType: currentType, maxApprovals: currentMax || 1, creditBudget: currentCredits || 100 });
+      if (currentType === BALLOT_TYPES.ENCRYPTED) {
+        const tally = await getEncryptedTally(contract);
+        const [published, trustees, registered, decrypted] = await Promise.all([
+          tally.published(),
+          tally.getTrustees(),
+          tally.registeredCount(),
+          tally.decryptedCount()
+        ]);
+        setTallyPublished(published);
+        setTrusteeStatus({ total: trustees.length, registered: Number(registered), decrypted: Number(decrypted) });
+        setTrusteesInput(current => current || trustees.join('\n'));
+      }
+    } catch (err) {
+      console.error("Error loading ballot type:", err);
+    }
+  };
+
+  const changeBallotType = async (e) => {
+    e.preventDefault();
+    const isApproval = ballotForm.ballotType === BALLOT_TYPES.APPROVAL;
+    const newMax = isApproval ? Number(ballotForm.maxApprovals) : 0;
+    if (isApproval && (!Number.isInteger(newMax) || newMax < 1)) {
+      setMessage({ text: "Voters must be able to approve at least one candidate", type: 'error' });
+      return;
+    }
+    // Credit ballots give each unit of voting weight this many credits to spend on votes
+    const isCredit = isCreditBallot(ballotForm.ballotType);
+    const newCredits = isCredit ? Number(ballotForm.creditBudget) : 0;
+    if (isCredit && (!Number.isSafeInteger(newCredits) || newCredits < 1)) {
+      setMessage({ text: "Voters must have at least one credit to spend", type: 'error' });
+      return;
+    }
+    // Encrypted ballots hold one ciphertext per candidate slot
+    const isEncrypted = ballotForm.ballotType === BALLOT_TYPES.ENCRYPTED;
+    if (isEncrypted && candidates.length > MAX_ENCRYPTED_CANDIDATES) {
+      setMessage({ text: `Encrypted ballots allow at most ${MAX_ENCRYPTED_CANDIDATES} candidates`, type: 'error' });
+      return;
+    }
+    // The key of an encrypted election is split between its trustees, who each register a share
+    const trustees = isEncrypted ? trusteesInput.split(/[\s,]+/).filter(Boolean) : [];
+    if (isEncrypted && trustees.length === 0) {
+      setMessage({ text: "Enter the addresses of the trustees who will share the election's key", type: 'error' });
+      return;
+    }
+    const invalidTrustee = trustees.find(address => !isAddress(address));
+    if (invalidTrustee) {
+      setMessage({ text: `${invalidTrustee} is not a valid trustee address`, type: 'error' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const tx = await contract.setBallotType(ballotForm.ballotType, newMax, newCredits);
+      await tx.wait();
+      if (isEncrypted) {
+        const trusteesTx = await (await getEncryptedTally(contract)).setTrustees(trustees);
+        await trusteesTx.wait();
+      }
+
+      await loadBallotType();
+      setMessage({
+        text: `Voters will cast ${ballotTypeName(ballotForm.ballotType)} ballots` +
+          (isApproval ? ` approving up to ${newMax} candidates` : '') +
+          (isCredit ? ` spending up to ${newCredits} credits per unit of weight` : '') +
+          (isEncrypted ? `, encrypted to a key shared by ${trustees.length} trustee(s). Voting can start once each has registered their key share` : ''),
+        type: 'success'
+      });
+    } catch (err) {
+      console.error("Error changing ballot type:", err);
+      setMessage({ text: "Failed to change the ballot type", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Decrypt the encrypted tally with the trustees' partial decryptions and publish the counts with a proof of the decryption
+  const publishTally = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const { counts, proof } = await decryptAndProveTally(contract);
+      const tx = await (await getEncryptedTally(contract)).publishTally(counts, proof);
+      await tx.wait();
+
+      setTallyPublished(true);
+      setMessage({
+        text: `Tally published: ${candidates.map(candidate => `${candidate.name} ${counts[candidate.id - 1]}`).join(', ')}`,
+        type: 'success'
+      });
+      loadCandidates();
+    } catch (err) {
+      console.error("Error publishing the tally:", err);
+      setMessage({ text: `Failed to publish the tally: ${err.reason || err.message}`, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRegistrationMode = async () => {
+    try {
+      setUnlinkableMode(await contract.unlinkableRegistration());
+      setTreeEmpty(Number(await contract.nextIndex()) === 0);
+      setMinBatchSize(Number(await contract.MIN_UNLINKED_BATCH_SIZE()));
+    } catch (err) {
+      console.error("Error loading registration mode:", err);
+    }
+  };
+
+  const toggleUnlinkableMode = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const tx = await contract.setUnlinkableRegistration(!unlinkableMode);
+      await tx.wait();
+
+      await loadRegistrationMode();
+      setMessage({ text: `Unlinkable registration ${unlinkableMode ? 'disabled' : 'enabled'}`, type: 'success' });
+    } catch (err) {
+      console.error("Error changing registration mode:", err);
+      setMessage({ text: "Failed to change registration mode", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadPendingRequests = async () => {
+    try {
+      const [voterAddresses, commitments] = await contract.getPendingRegistrations();
+      setPendingRequests(voterAddresses.map((voterAddress, index) => ({
+        voterAddress,
+        commitment: commitments[index].toString()
+      })));
+    } catch (err) {
+      console.error("Error loading registration requests:", err);
+    }
+  };
+
+  const loadGasPool = async () => {
+    try {
+      setGasPool(await contract.gasPool());
+    } catch (err) {
+      console.error("Error loading gas pool:", err);
+    }
+  };
+
   const checkVotingStatus = async () => {
     try {
       const [isActive] = await contract.getVotingStatus();
@@ -85,6 +279,91 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
     }
   };
 
+  // Create a unique hash for a voter (in a real system, this might be a hash of ID or other unique info)
+  const computeUniqueHash = (address) => {
+    const abiCoder = new AbiCoder();
+    const uniqueHash = keccak256(
+      abiCoder.encode(
+        ['address', 'uint256'],
+        [address, Date.now()]
+      )
+    );
+    
+    // Convert to uint256 (in ethers v6, we use BigInt)
+    return BigInt(uniqueHash);
+  };
+
+  // Register a voter with a commitment the voter generated themselves
+  const submitRegistration = async (address, commitment, weight) => {
+    const tx = await contract.registerVoter(
+      address,
+      computeUniqueHash(address),
+      commitment,
+      weight
+    );
+    
+    await tx.wait();
+  };
+
+  // Queue a voter for the next unlinkable batch instead of registering them on their own
+  const addToBatch = (address, commitment, weight) => {
+    if (registrationBatch.some(entry => entry.voterAddress.toLowerCase() === address.toLowerCase())) {
+      setMessage({ text: "This address is already in the batch", type: 'error' });
+      return false;
+    }
+    if (registrationBatch.some(entry => entry.commitment === commitment)) {
+      setMessage({ text: "This commitment is already in the batch", type: 'error' });
+      return false;
+    }
+
+    setRegistrationBatch([...registrationBatch, { voterAddress: address, commitment, weight }]);
+    setMessage({ text: `Added ${address} to the registration batch`, type: 'success' });
+    return true;
+  };
+
+  const registerBatch = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      // Commitments are shuffled independently of the addresses, so the order
+      // of the Commit events cannot be matched back to the eligible addresses;
+      // each weight stays with its commitment
+      const voterAddresses = registrationBatch.map(entry => entry.voterAddress);
+      const uniqueHashes = voterAddresses.map(address => computeUniqueHash(address));
+      const shuffled = shuffleSecurely(registrationBatch.map(({ commitment, weight }) => ({ commitment, weight })));
+      const commitments = shuffled.map(entry => entry.commitment);
+      const weights = shuffled.map(entry => entry.weight);
+
+      const tx = await contract.registerVotersUnlinked(voterAddresses, uniqueHashes, commitments, weights);
+      await tx.wait();
+
+      setRegistrationBatch([]);
+      await loadPendingRequests();
+      await loadRegistrationMode();
+      setMessage({ text: `Registered ${voterAddresses.length} voters in a shuffled batch`, type: 'success' });
+    } catch (err) {
+      console.error("Error registering batch:", err);
+      setMessage({ text: registrationErrorText(err), type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const registrationErrorText = (err) => {
+    const errorMessage = err.message || "Failed to register voter";
+    if (errorMessage.includes("Voter already registered")) {
+      return "This address is already registered";
+    }
+    if (errorMessage.includes("Commitment does not match the registration request")) {
+      return "This address has a pending request with a different commitment";
+    }
+    if (errorMessage.includes("The commitment has been submitted")) {
+      return "This commitment is already registered";
+    }
+    return "Failed to register voter";
+  };
+
   const registerVoter = async (e) => {
     e.preventDefault();
     if (!isAddress(voterAddress)) {
@@ -92,8 +371,22 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
       return;
     }
 
-    if (!voterCommitment) {
-      setMessage({ text: "Please generate a commitment for the voter", type: 'error' });
+    if (!/^\d+$/.test(voterCommitment.trim())) {
+      setMessage({ text: "Please enter the commitment provided by the voter", type: 'error' });
+      return;
+    }
+
+    const weight = parseWeight(voterWeight.trim());
+    if (weight === null) {
+      setMessage({ text: `Weight must be a whole number from 1 to 2^${WEIGHT_BITS} - 1`, type: 'error' });
+      return;
+    }
+
+    if (unlinkableMode) {
+      if (addToBatch(voterAddress, voterCommitment.trim(), weight)) {
+        setVoterAddress('');
+        setVoterCommitment('');
+      }
       return;
     }
 
@@ -101,45 +394,90 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
     setMessage({ text: '', type: '' });
 
     try {
-      // Create a unique hash for this voter (in a real system, this might be a hash of ID or other unique info)
-      const abiCoder = new AbiCoder();
-      const uniqueHash = keccak256(
-        abiCoder.encode(
-          ['address', 'uint256'],
-          [voterAddress, Date.now()]
-        )
-      );
-      
-      // Convert to uint256 (in ethers v6, we use BigInt)
-      const uniqueHashBigInt = BigInt(uniqueHash);
-      
-      // Register the voter with their commitment
-      const tx = await contract.registerVoter(
-        voterAddress,
-        uniqueHashBigInt,
-        voterCommitment
-      );
-      
-      await tx.wait();
+      await submitRegistration(voterAddress, voterCommitment.trim(), weight);
       
       setVoterAddress('');
       setVoterCommitment('');
-      setShowSecretGenerator(false);
+      await loadPendingRequests();
+      await loadRegistrationMode();
       setMessage({ text: "Voter registered successfully", type: 'success' });
     } catch (err) {
       console.error("Error registering voter:", err);
-      const errorMessage = err.message || "Failed to register voter";
-      setMessage({ 
-        text: errorMessage.includes("Voter address is already registered") 
-          ? "This address is already registered" 
-          : "Failed to register voter", 
-        type: 'error' 
-      });
+      setMessage({ text: registrationErrorText(err), type: 'error' });
     } finally {
       setLoading(false);
     }
   };
 
+  const approveRequest = async (request) => {
+    // Requests are approved with the weight entered in the registration form
+    const weight = parseWeight(voterWeight.trim());
+    if (weight === null) {
+      setMessage({ text: `Weight must be a whole number from 1 to 2^${WEIGHT_BITS} - 1`, type: 'error' });
+      return;
+    }
+
+    if (unlinkableMode) {
+      addToBatch(request.voterAddress, request.commitment, weight);
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      await submitRegistration(request.voterAddress, request.commitment, weight);
+      await loadPendingRequests();
+      await loadRegistrationMode();
+      setMessage({ text: `Registration of ${request.voterAddress} approved`, type: 'success' });
+    } catch (err) {
+      console.error("Error approving registration:", err);
+      setMessage({ text: registrationErrorText(err), type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rejectRequest = async (request) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const tx = await contract.rejectRegistration(request.voterAddress);
+      await tx.wait();
+
+      await loadPendingRequests();
+      setMessage({ text: `Registration of ${request.voterAddress} rejected`, type: 'success' });
+    } catch (err) {
+      console.error("Error rejecting registration:", err);
+      setMessage({ text: "Failed to reject registration request", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fill the registration form from a request file signed by the voter
+  const handleRequestFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const { chainId } = await contract.runner.provider.getNetwork();
+        const request = verifySignedRegistrationRequest(JSON.parse(event.target.result), contract.target, chainId);
+        setVoterAddress(request.voterAddress);
+        setVoterCommitment(request.commitment);
+        setMessage({ text: `Signed request verified. Review it and click ${unlinkableMode ? 'Add to Batch' : 'Register Voter'}.`, type: 'success' });
+      } catch (err) {
+        console.error("Error reading registration request:", err);
+        setMessage({ text: `Invalid registration request: ${err.message}`, type: 'error' });
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
   const startVoting = async () => {
     if (votingDuration <= 0) {
       setMessage({ text: "Duration must be greater than 0", type: 'error' });
@@ -183,10 +521,62 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
     }
   };
 
-  const handleCommitmentGenerated = (commitment) => {
-    setVoterCommitment(commitment);
+  const fundGasPool = async (e) => {
+    e.preventDefault();
+    let amount;
+    try {
+      amount = ethers.parseEther(topUpAmount);
+    } catch (err) {
+      setMessage({ text: "Please enter a valid amount of ETH", type: 'error' });
+      return;
+    }
+
+    if (amount <= 0n) {
+      setMessage({ text: "Amount must be greater than 0", type: 'error' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      const tx = await contract.fundGasPool({ value: amount });
+      await tx.wait();
+
+      setTopUpAmount('');
+      await loadGasPool();
+      setMessage({ text: "Gas pool topped up successfully", type: 'success' });
+    } catch (err) {
+      console.error("Error funding gas pool:", err);
+      setMessage({ text: "Failed to top up gas pool", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
   };
 
+  const withdrawGasPool = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+
+    try {
+      // Return the remaining funds to the admin's own account
+      const adminAddress = await contract.runner.getAddress();
+      const tx = await contract.withdrawGasPool(adminAddress);
+      await tx.wait();
+
+      await loadGasPool();
+      setMessage({ text: "Gas pool withdrawn successfully", type: 'success' });
+    } catch (err) {
+      console.error("Error withdrawing gas pool:", err);
+      setMessage({ text: "Failed to withdraw gas pool", type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Counts of an encrypted election are only recorded once its tally is published
+  const hiddenCounts = ballotType === BALLOT_TYPES.ENCRYPTED && !tallyPublished;
+
   return (
     <div className="zk-admin-panel">
       <h2>ZK Admin Control Panel</h2>
@@ -225,6 +615,80 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
             </form>
           </div>
 
+          <div className="card">
+            <h3>Ballot Type</h3>
+            <form onSubmit={changeBallotType}>
+              <div className="form-group">
+                <select
+                  value={ballotForm.ballotType}
+                  onChange={(e) => setBallotForm({ ...ballotForm, ballotType: Number(e.target.value) })}
+                  disabled={loading}
+                >
+                  <option value={BALLOT_TYPES.SINGLE_CHOICE}>Single choice</option>
+                  <option value={BALLOT_TYPES.RANKED}>Ranked choice (instant runoff)</option>
+                  <option value={BALLOT_TYPES.APPROVAL}>Approval (vote for up to K)</option>
+                  <option value={BALLOT_TYPES.CUMULATIVE}>Cumulative (spend credits on votes)</option>
+                  <option value={BALLOT_TYPES.QUADRATIC}>Quadratic (votes cost their square in credits)</option>
+                  <option value={BALLOT_TYPES.ENCRYPTED}>Encrypted (counts hidden until the tally is published)</option>
+                </select>
+              </div>
+              {ballotForm.ballotType === BALLOT_TYPES.ENCRYPTED && (
+                <div className="form-group">
+                  <label>Trustee addresses (one per line):</label>
+                  <textarea
+                    rows="3"
+                    value={trusteesInput}
+                    onChange={(e) => setTrusteesInput(e.target.value)}
+                    disabled={loading}
+                    placeholder="0x..."
+                  />
+                </div>
+              )}
+              {ballotForm.ballotType === BALLOT_TYPES.APPROVAL && (
+                <div className="form-group">
+                  <label>Maximum approvals per ballot (K):</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={ballotForm.maxApprovals}
+                    onChange={(e) => setBallotForm({ ...ballotForm, maxApprovals: e.target.value })}
+                    disabled={loading}
+                  />
+                </div>
+              )}
+              {isCreditBallot(ballotForm.ballotType) && (
+                <div className="form-group">
+                  <label>Credits per unit of voting weight:</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={ballotForm.creditBudget}
+                    onChange={(e) => setBallotForm({ ...ballotForm, creditBudget: e.target.value })}
+                    disabled={loading}
+                  />
+                </div>
+              )}
+              <button type="submit" disabled={loading}>
+                {loading ? 'Processing...' : 'Set Ballot Type'}
+              </button>
+            </form>
+            <p className="note">
+              {ballotType === BALLOT_TYPES.SINGLE_CHOICE && 'Voters choose one candidate.'}
+              {ballotType === BALLOT_TYPES.RANKED &&
+                'Voters rank the candidates in order of preference. Once voting is over, the ballots are counted in instant-runoff rounds.'}
+              {ballotType === BALLOT_TYPES.APPROVAL &&
+                `Voters approve up to ${maxApprovals} candidates with a single proof; each candidate's count is their number of approvals.`}
+              {ballotType === BALLOT_TYPES.CUMULATIVE &&
+                `Voters spread ${creditBudget} credits per unit of weight over the candidates, one credit per vote, with a single proof.`}
+              {ballotType === BALLOT_TYPES.QUADRATIC &&
+                `Voters spread ${creditBudget} credits per unit of weight over the candidates; n votes for a candidate cost n² credits.`}
+              {isCreditBallot(ballotType) && ` Credit ballots allow at most ${MAX_CREDIT_CANDIDATES} candidates.`}
+              {ballotType === BALLOT_TYPES.ENCRYPTED &&
+                `Voters encrypt their choice to a key split between ${trusteeStatus.total} trustee(s), ${trusteeStatus.registered} of whom have registered their key share; voting can start once all have. The contract adds up the encrypted ballots, and once voting is over every trustee publishes a proven partial decryption, after which the tally can be published. No trustee can decrypt alone, but all of them together can decrypt the running tally and every single ballot, and the tally stays encrypted if any trustee does not take part. Encrypted ballots allow at most ${MAX_ENCRYPTED_CANDIDATES} candidates.`}
+              {' '}The ballot type cannot be changed once voting has started.
+            </p>
+          </div>
+
           <div className="card">
             <h3>Start Voting</h3>
             <div className="form-group">
@@ -247,8 +711,75 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
         </>
       )}
       
+      {treeEmpty && (
+        <div className="card">
+          <h3>Registration Mode</h3>
+          <label>
+            <input 
+              type="checkbox" 
+              checked={unlinkableMode}
+              onChange={toggleUnlinkableMode}
+              disabled={loading}
+            />
+            Unlinkable registration
+          </label>
+          <p className="note">
+            Voters are registered in batches and their commitments are shuffled, so nobody can tell which
+            address owns which leaf. On-chain registration requests are disabled; voters send signed request files instead.
+            This can only be changed before the first voter is registered or requests registration on-chain,
+            since a request already links the voter's address to their commitment.
+          </p>
+        </div>
+      )}
+
+      <div className="card">
+        <h3>Pending Registration Requests</h3>
+        {pendingRequests.length > 0 ? (
+          <table>
+            <thead>
+              <tr>
+                <th>Voter</th>
+                <th>Commitment</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingRequests.map(request => (
+                <tr key={request.voterAddress}>
+                  <td><code>{request.voterAddress}</code></td>
+                  <td><code>{request.commitment.substring(0, 10)}...{request.commitment.substring(request.commitment.length - 10)}</code></td>
+                  <td>
+                    <button onClick={() => approveRequest(request)} disabled={loading}>
+                      {unlinkableMode ? 'Add to Batch' : 'Approve'}
+                    </button>
+                    <button onClick={() => rejectRequest(request)} disabled={loading}>
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>No pending registration requests</p>
+        )}
+      </div>
+
       <div className="card">
         <h3>Register Voter with ZKP</h3>
+        <p className="note">
+          Voters generate their secret on their own device and only share the commitment.
+          Enter it below or load a signed request file from the voter.
+        </p>
+        <div className="form-group">
+          <label>Signed Request File:</label>
+          <input 
+            type="file" 
+            accept=".json" 
+            onChange={handleRequestFileUpload}
+            disabled={loading}
+          />
+        </div>
         <form onSubmit={registerVoter}>
           <div className="form-group">
             <label>Ethereum Address:</label>
@@ -260,30 +791,77 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
               placeholder="0x..."
             />
           </div>
-          
-          {!showSecretGenerator && !voterCommitment ? (
-            <button 
-              type="button" 
-              onClick={() => setShowSecretGenerator(true)}
-              className="generate-button"
-            >
-              Generate Voter Secret
-            </button>
-          ) : voterCommitment ? (
-            <div className="commitment-display">
-              <p>Commitment generated: <code>{voterCommitment.substring(0, 10)}...{voterCommitment.substring(voterCommitment.length - 10)}</code></p>
-            </div>
-          ) : null}
-          
-          {showSecretGenerator && !voterCommitment && (
-            <VoterSecretGenerator onCommitmentGenerated={handleCommitmentGenerated} />
-          )}
+          <div className="form-group">
+            <label>Commitment:</label>
+            <input 
+              type="text" 
+              value={voterCommitment}
+              onChange={(e) => setVoterCommitment(e.target.value)}
+              disabled={loading}
+              placeholder="Commitment provided by the voter"
+            />
+          </div>
+          <div className="form-group">
+            <label>Weight:</label>
+            <input 
+              type="text" 
+              value={voterWeight}
+              onChange={(e) => setVoterWeight(e.target.value)}
+              disabled={loading}
+              placeholder="1"
+            />
+          </div>
+          <p className="note">
+            Each vote counts with its voter's weight. The weight is public when voting,
+            so a voter is only anonymous among voters with the same weight.
+            Pending requests are approved with this weight too.
+          </p>
           
           <button type="submit" disabled={loading || !voterAddress || !voterCommitment}>
-            {loading ? 'Processing...' : 'Register Voter'}
+            {loading ? 'Processing...' : unlinkableMode ? 'Add to Batch' : 'Register Voter'}
           </button>
         </form>
       </div>
+
+      <BatchVoterImport
+        contract={contract}
+        unlinkableMode={unlinkableMode}
+        minBatchSize={minBatchSize}
+        onRegistered={() => {
+          loadPendingRequests();
+          loadRegistrationMode();
+        }}
+      />
+
+      <PaperCredentialIssuer
+        contract={contract}
+        onRegistered={loadRegistrationMode}
+      />
+
+      {unlinkableMode && (
+        <div className="card">
+          <h3>Registration Batch</h3>
+          <p>{registrationBatch.length} voter(s) in the batch</p>
+          {registrationBatch.length > 0 && (
+            <ul>
+              {registrationBatch.map(entry => (
+                <li key={entry.voterAddress}>
+                  <code>{entry.voterAddress}</code>{entry.weight !== 1n && ` (weight ${entry.weight})`}
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="note">
+            Larger batches hide each voter among more commitments. At least {minBatchSize} voters are required.
+          </p>
+          <button onClick={registerBatch} disabled={loading || registrationBatch.length < minBatchSize}>
+            {loading ? 'Processing...' : 'Register Batch'}
+          </button>
+          <button onClick={() => setRegistrationBatch([])} disabled={loading || registrationBatch.length === 0}>
+            Clear Batch
+          </button>
+        </div>
+      )}
       
       {votingActive && (
         <div className="card">
@@ -295,6 +873,48 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
         </div>
       )}
 
+      {votingEnded && ballotType === BALLOT_TYPES.ENCRYPTED && !tallyPublished && (
+        <div className="card">
+          <h3>Publish Tally</h3>
+          <p className="note">
+            {trusteeStatus.decrypted} of {trusteeStatus.total} trustees have published their partial decryption.
+            Once all have, decrypt the tally and publish the counts with a proof of the decryption; anyone can do this.
+          </p>
+          <form onSubmit={publishTally}>
+            <button type="submit" disabled={loading || trusteeStatus.decrypted < trusteeStatus.total}>
+              {loading ? 'Decrypting and proving...' : 'Publish Tally'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <h3>Relayer Gas Pool</h3>
+        <p>Balance: {ethers.formatEther(gasPool)} ETH</p>
+        <p className="note">Relayer fees are paid from this pool so voters do not need ETH to vote.</p>
+        {!votingEnded ? (
+          <form onSubmit={fundGasPool}>
+            <div className="form-group">
+              <label>Top up (ETH):</label>
+              <input 
+                type="text" 
+                value={topUpAmount}
+                onChange={(e) => setTopUpAmount(e.target.value)}
+                disabled={loading}
+                placeholder="0.1"
+              />
+            </div>
+            <button type="submit" disabled={loading || !topUpAmount}>
+              {loading ? 'Processing...' : 'Top Up Gas Pool'}
+            </button>
+          </form>
+        ) : (
+          <button onClick={withdrawGasPool} disabled={loading || gasPool === 0n}>
+            {loading ? 'Processing...' : 'Withdraw Remaining Funds'}
+          </button>
+        )}
+      </div>
+
       <div className="card">
         <h3>Candidates & Results</h3>
         <div className="candidates-list">
@@ -312,7 +932,7 @@ function ZKAdminPanel({ contract, votingActive, setVotingActive }) {
                   <tr key={candidate.id}>
                     <td>{candidate.id}</td>
                     <td>{candidate.name}</td>
-                    <td>{candidate.voteCount}</td>
+                    <td>{hiddenCounts ? 'encrypted' : candidate.voteCount}</td>
                   </tr>
                 ))}
               </tbody>
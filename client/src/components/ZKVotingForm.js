@@ -1,45 +1,212 @@
-import React, { useState, useEffect } from 'react';
-import { getVoterSecrets, calculateMerkleRootAndZKProof } from '../utils/zkProofs';
+import React, { useState, useEffect, useRef } from 'react';
+import { keccak256 } from 'ethers';
+import {
+  toFieldString,
+  BALLOT_TYPES,
+  computeBallotSignal,
+  encodeApprovals,
+  isCreditBallot,
+  allocationCost,
+  validateAllocations,
+  encodeAllocations,
+  CREDIT_BITS
+} from 'zk-voting-sdk';
+import {
+  getVoterSecrets,
+  calculateMerkleRootAndZKProof,
+  calculateNullifierHash,
+  getExternalNullifier,
+  computeCommitment,
+  computeLeaf,
+  getVoterWeight,
+  commitmentFromMnemonic,
+  NO_RELAYER
+} from '../utils/zkProofs';
+import { decodeCredential } from '../utils/paperCredentials';
+import { isEncryptedEnvelope, decryptVoterSecrets } from '../utils/secretEncryption';
+import { deriveWalletCommitment } from '../utils/walletSecrets';
 import { generateMerkleProof, initializeMerkleTree } from '../utils/merkleTree';
+import { PROOF_STAGES } from '../utils/snarkjsHelper';
+import { encryptBallot } from '../utils/encryptedBallots';
+import { VOTE_CIRCUIT, BALLOT_CIRCUIT } from '../utils/circuitArtifacts';
 import { transactionLogger } from '../utils/transactionLogger';
+import CircuitCacheStatus from './CircuitCacheStatus';
+import { RELAYER_URL, getRelayerStatus, submitVoteViaRelayer } from '../utils/relayerClient';
 import './ZKVotingForm.css';
 
-// Zero value used for empty tree nodes 
-const ZERO_VALUE = '21663839004416932945382355908790599225266501822907911457504978515578255421292';
-
-// Helper function to convert hex to BigInt
-const hexToBigInt = (hexStr) => {
-  if (hexStr.startsWith('0x')) {
-    return BigInt(hexStr);
-  }
-  return BigInt('0x' + hexStr);
+// Labels of the proof generation stages reported by the proof worker
+const STAGE_LABELS = {
+  loading: 'Loading prover',
+  witness: 'Calculating witness',
+  proving: 'Generating proof'
 };
 
-// Helper to ensure consistent format for comparison
-const formatForComparison = (value) => {
-  if (typeof value === 'string' && value.startsWith('0x')) {
-    return hexToBigInt(value).toString();
-  }
-  return BigInt(value).toString();
-};
+// Voters of encrypted elections also prove their ballot encrypts a vote
+const ENCRYPTED_CIRCUITS = [VOTE_CIRCUIT, BALLOT_CIRCUIT];
 
 function ZKVotingForm({ contract, candidates, votingActive }) {
   const [selectedCandidate, setSelectedCandidate] = useState(null);
+  // Candidate IDs in order of preference, for ranked ballots
+  const [ranking, setRanking] = useState([]);
+  // Approved candidate IDs, for approval ballots
+  const [approved, setApproved] = useState([]);
+  const [ballotType, setBallotType] = useState(BALLOT_TYPES.SINGLE_CHOICE);
+  const [maxApprovals, setMaxApprovals] = useState(0);
+  // Votes allocated to each candidate ID, for cumulative and quadratic ballots
+  const [allocations, setAllocations] = useState({});
+  // Credits per unit of weight, and the weight of the loaded secret, which together make the voter's budget
+  const [creditBudget, setCreditBudget] = useState(0);
+  const [voterWeight, setVoterWeight] = useState(null);
   const [voterSecret, setVoterSecret] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [debugInfo, setDebugInfo] = useState('');
+  const [credentialText, setCredentialText] = useState('');
+  const [mnemonicText, setMnemonicText] = useState('');
+  // Encrypted secret (from storage or an uploaded file) waiting for its passphrase
+  const [lockedSecret, setLockedSecret] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  // Votes go through the relayer by default so msg.sender does not reveal the voter
+  const [useRelayer, setUseRelayer] = useState(true);
+  // Current proof generation stage and when it started, while a proof is being generated
+  const [proofStatus, setProofStatus] = useState(null);
+  const [proofElapsed, setProofElapsed] = useState(0);
+  const proofAbortRef = useRef(null);
   // Debug is now permanently set to false and the toggle function is removed
   const debug = false;
 
   // Check if we have a saved secret in localStorage
   useEffect(() => {
     const savedSecret = getVoterSecrets();
-    if (savedSecret) {
+    if (isEncryptedEnvelope(savedSecret)) {
+      setLockedSecret(savedSecret);
+    } else if (savedSecret) {
       setVoterSecret(savedSecret);
     }
   }, []);
 
+  // Load the kind of ballot the election takes
+  useEffect(() => {
+    const loadBallotType = async () => {
+      try {
+        const type = Number(await contract.ballotType());
+        setBallotType(type);
+        if (type === BALLOT_TYPES.APPROVAL) {
+          setMaxApprovals(Number(await contract.maxApprovals()));
+        } else if (isCreditBallot(type)) {
+          setCreditBudget(Number(await contract.creditBudget()));
+        }
+      } catch (err) {
+        console.error("Error loading ballot type:", err);
+      }
+    };
+    if (contract) {
+      loadBallotType();
+    }
+  }, [contract]);
+
+  const isRanked = ballotType === BALLOT_TYPES.RANKED;
+  const isApproval = ballotType === BALLOT_TYPES.APPROVAL;
+  const isCredit = isCreditBallot(ballotType);
+  const isQuadratic = ballotType === BALLOT_TYPES.QUADRATIC;
+  const isEncrypted = ballotType === BALLOT_TYPES.ENCRYPTED;
+
+  // A credit ballot's budget depends on the voter's weight, so look it up once the secret is loaded
+  useEffect(() => {
+    const loadVoterWeight = async () => {
+      try {
+        setVoterWeight(await getVoterWeight(contract, voterSecret.commitment));
+      } catch (err) {
+        console.error("Error loading voter weight:", err);
+      }
+    };
+    setVoterWeight(null);
+    if (contract && isCredit && voterSecret?.commitment) {
+      loadVoterWeight();
+    }
+  }, [contract, isCredit, voterSecret]);
+
+  // Votes for every candidate in ID order; a quadratic ballot costs the sum of their squares
+  const allocationList = candidates.map(candidate => allocations[candidate.id] || 0);
+  const budget = voterWeight === null ? null : creditBudget * Number(voterWeight);
+  const spent = allocationCost(allocationList, isQuadratic);
+  const remaining = budget === null ? 0 : budget - spent;
+
+  // What the voter has chosen so far: a ranking, the approved candidates, the allocated votes, or a candidate ID
+  let choice = selectedCandidate;
+  if (isRanked) {
+    choice = ranking;
+  } else if (isApproval) {
+    choice = approved;
+  } else if (isCredit) {
+    choice = allocationList;
+  }
+  let hasChoice = Array.isArray(choice) ? choice.length > 0 : Boolean(choice);
+  if (isCredit) {
+    hasChoice = spent > 0 && remaining >= 0;
+  }
+
+  // Add a candidate as the next preference, or take them out of the ranking
+  const toggleRanked = (candidateId) => {
+    setRanking(current => (current.includes(candidateId)
+      ? current.filter(id => id !== candidateId)
+      : [...current, candidateId]));
+  };
+
+  // Approve or withdraw approval of a candidate, up to the election's maximum
+  const toggleApproved = (candidateId) => {
+    if (approved.includes(candidateId)) {
+      setApproved(approved.filter(id => id !== candidateId));
+    } else if (approved.length < maxApprovals) {
+      setApproved([...approved, candidateId]);
+    } else {
+      setMessage({ text: `You can approve at most ${maxApprovals} candidates`, type: 'warning' });
+    }
+  };
+
+  // The most votes a candidate can take with the credits left, counting those already allocated to them
+  const maxAllocation = (candidateId) => {
+    const current = allocations[candidateId] || 0;
+    const available = isQuadratic
+      ? Math.floor(Math.sqrt(current * current + remaining))
+      : current + remaining;
+    return Math.max(0, Math.min(available, 2 ** CREDIT_BITS - 1));
+  };
+
+  const allocateVotes = (candidateId, votes) => {
+    setAllocations(current => ({ ...current, [candidateId]: Math.min(Number(votes), maxAllocation(candidateId)) }));
+  };
+
+  const selectCandidate = (candidateId) => {
+    if (isRanked) {
+      toggleRanked(candidateId);
+    } else if (isApproval) {
+      toggleApproved(candidateId);
+    } else {
+      setSelectedCandidate(candidateId);
+    }
+  };
+
+  // Tick the elapsed time while a proof is generated; the page stays responsive since proving runs in a worker
+  useEffect(() => {
+    if (!proofStatus) return undefined;
+    const timer = setInterval(() => setProofElapsed(Date.now() - proofStatus.startedAt), 250);
+    return () => clearInterval(timer);
+  }, [proofStatus]);
+
+  // Stop a running proof when the form is unmounted
+  useEffect(() => () => {
+    if (proofAbortRef.current) {
+      proofAbortRef.current.abort();
+    }
+  }, []);
+
+  const cancelProof = () => {
+    if (proofAbortRef.current) {
+      proofAbortRef.current.abort();
+    }
+  };
+
   const handleSecretFileUpload = (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -48,19 +215,118 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
     reader.onload = (event) => {
       try {
         const secretData = JSON.parse(event.target.result);
-        setVoterSecret(secretData);
-        setMessage({ text: 'Secret file loaded successfully', type: 'success' });
+        if (isEncryptedEnvelope(secretData)) {
+          setLockedSecret(secretData);
+          setMessage({ text: '', type: '' });
+        } else if (secretData.nullifier && secretData.secret) {
+          // Files from before encryption was added are still accepted
+          setVoterSecret(secretData);
+          setMessage({ text: 'Secret file loaded, but it is not encrypted. Keep it somewhere safe.', type: 'warning' });
+        } else {
+          throw new Error('Missing nullifier or secret');
+        }
       } catch (err) {
         console.error("Error parsing secret file:", err);
         setMessage({ text: 'Invalid secret file', type: 'error' });
       }
     };
     reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleUnlockSecret = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const secretData = await decryptVoterSecrets(lockedSecret, passphrase);
+      setVoterSecret(secretData);
+      setLockedSecret(null);
+      setMessage({ text: 'Secret file unlocked successfully', type: 'success' });
+    } catch (err) {
+      console.error("Error decrypting secret file:", err);
+      setMessage({ text: err.message, type: 'error' });
+    } finally {
+      setPassphrase('');
+      setLoading(false);
+    }
+  };
+
+  // Load a paper credential that was typed in or read by a QR scanner
+  const handleCredentialSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { nullifier, secret } = decodeCredential(credentialText);
+      const commitment = await computeCommitment(nullifier, secret);
+
+      // A leaf index stored for another secret on this device must not be reused
+      localStorage.removeItem('voterLeafIndex');
+      setVoterSecret({ nullifier, secret, commitment });
+      setCredentialText('');
+      setMessage({ text: 'Credential loaded successfully', type: 'success' });
+    } catch (err) {
+      console.error("Error reading credential:", err);
+      setMessage({ text: `Invalid credential: ${err.message}`, type: 'error' });
+    }
+  };
+
+  // Load a rebuilt secret and look up its leaf in the synced Merkle tree
+  const loadRecoveredSecret = async (recovered, source) => {
+    // A leaf index stored for another secret on this device must not be reused
+    localStorage.removeItem('voterLeafIndex');
+    // The tree holds the commitment hashed with the voter's weight, so the weight is needed to find it
+    const weight = await getVoterWeight(contract, recovered.commitment);
+    const leafIndex = weight === '0'
+      ? -1
+      : (await initializeMerkleTree(contract)).indexOf(await computeLeaf(recovered.commitment, weight));
+
+    setVoterSecret(recovered);
+    if (leafIndex !== -1) {
+      localStorage.setItem('voterLeafIndex', leafIndex.toString());
+      setMessage({ text: `Secret ${source}, registered at leaf ${leafIndex}`, type: 'success' });
+    } else {
+      setMessage({
+        text: `Secret ${source}, but its commitment is not registered yet. Ask the admin to approve your registration.`,
+        type: 'warning'
+      });
+    }
+  };
+
+  // Rebuild the secret from a recovery phrase
+  const handleMnemonicSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await loadRecoveredSecret(await commitmentFromMnemonic(mnemonicText), 'recovered');
+      setMnemonicText('');
+    } catch (err) {
+      console.error("Error recovering secret from phrase:", err);
+      setMessage({ text: err.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Rebuild the secret from a signature of the connected wallet
+  const handleDeriveFromWallet = async () => {
+    setLoading(true);
+    try {
+      const { nullifier, secret, commitment } = await deriveWalletCommitment(contract);
+      await loadRecoveredSecret({ nullifier, secret, commitment }, 'derived from wallet');
+    } catch (err) {
+      console.error("Error deriving secret from wallet:", err);
+      setMessage({ text: err.reason || err.shortMessage || err.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
   };
 
   const castVote = async () => {
-    if (!selectedCandidate) {
-      setMessage({ text: "Please select a candidate", type: 'error' });
+    if (!hasChoice) {
+      setMessage({
+        text: isRanked ? "Please rank at least one candidate"
+          : isCredit ? "Please allocate at least one vote within your credits" : "Please select a candidate",
+        type: 'error'
+      });
       return;
     }
 
@@ -80,54 +346,50 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
       // Get the current Merkle root from the contract
       debugLog += "Fetching Merkle root from contract...\n";
       const contractRoot = await contract.getLastRoot();
-      const formattedContractRoot = formatForComparison(contractRoot.toString());
+      const formattedContractRoot = toFieldString(contractRoot.toString());
       debugLog += `Contract's root: ${formattedContractRoot}\n`;
       
       // IMPORTANT: Always refresh the Merkle tree before voting
       debugLog += "Refreshing Merkle tree from contract...\n";
-      await initializeMerkleTree(contract);
+      const tree = await initializeMerkleTree(contract);
       debugLog += "Merkle tree refreshed successfully\n";
+
+      // The leaf in the tree is the commitment hashed with the weight the admin registered it with
+      const weight = await getVoterWeight(contract, voterSecret.commitment);
+      if (weight === '0') {
+        setMessage({
+          text: "Your commitment is not registered in this election. Please register with the admin first.",
+          type: 'error'
+        });
+        setDebugInfo(debugLog);
+        setLoading(false);
+        return;
+      }
+      const leaf = await computeLeaf(voterSecret.commitment, weight);
+      const weightedSecret = { ...voterSecret, weight };
+      debugLog += `Voter weight: ${weight}, leaf: ${leaf}\n`;
       
       // Get the stored leaf index from local storage
       const leafIndex = localStorage.getItem('voterLeafIndex');
       
       if (!leafIndex) {
-        debugLog += "Leaf index not found in localStorage, checking for commitment...\n";
+        debugLog += "Leaf index not found in localStorage, checking for the leaf...\n";
         
-        // If we don't have a leaf index, we can try to find the commitment in the tree
-        // Let's search localStorage for the voter secret and get its commitment
+        // If we don't have a leaf index, we can try to find the leaf in the tree
         if (voterSecret && voterSecret.commitment) {
-          debugLog += `Looking for commitment ${voterSecret.commitment} in the tree...\n`;
+          debugLog += `Looking for leaf ${leaf} in the tree...\n`;
           
-          // Manually check if this is already registered by scanning past events
+          // The tree was just synced from the contract's Commit events, so the leaf is in it if it is registered
           try {
-            // Get all Commit events to find this commitment
-            const commitEvents = await contract.queryFilter(
-              contract.filters.Commit(),
-              0,
-              'latest'
-            );
-            
-            debugLog += `Found ${commitEvents.length} total commit events\n`;
-            
-            // Look for the commitment in these events
-            let foundEvent = null;
-            for (const event of commitEvents) {
-              const eventCommitment = formatForComparison(event.args.commitment);
-              if (eventCommitment === formatForComparison(voterSecret.commitment)) {
-                foundEvent = event;
-                break;
-              }
-            }
+            const foundIndex = tree.indexOf(leaf);
             
-            if (foundEvent) {
-              const foundIndex = Number(foundEvent.args.leafIndex);
-              debugLog += `Found commitment at index ${foundIndex}\n`;
+            if (foundIndex !== -1) {
+              debugLog += `Found leaf at index ${foundIndex}\n`;
               localStorage.setItem('voterLeafIndex', foundIndex.toString());
               
               // Generate a Merkle proof for this index
               debugLog += "Generating Merkle proof...\n";
-              const merkleProof = await generateMerkleProof(foundIndex);
+              const merkleProof = await generateMerkleProof(foundIndex, leaf);
               
               // Proceed with voting using this proof
               debugLog += "Proceeding with found index and proof\n";
@@ -135,13 +397,13 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
               // Continue with proof generation
               await processZkProofAndVote(
                 merkleProof, 
-                voterSecret, 
-                selectedCandidate, 
+                weightedSecret, 
+                choice, 
                 debugLog
               );
               return;
             } else {
-              debugLog += "Commitment not found in contract events\n";
+              debugLog += "Leaf not found in the Merkle tree\n";
               setMessage({ 
                 text: "Your commitment was not found in the Merkle tree. Please register with the admin first.", 
                 type: 'error' 
@@ -169,7 +431,7 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
       // Generate a Merkle proof for the voter
       debugLog += "Generating Merkle proof...\n";
       try {
-        const merkleProof = await generateMerkleProof(parseInt(leafIndex));
+        const merkleProof = await generateMerkleProof(parseInt(leafIndex), leaf);
         
         if (!merkleProof || !merkleProof.pathElements || merkleProof.pathElements.length === 0) {
           setMessage({ 
@@ -187,8 +449,8 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
         // Continue with proof generation and voting
         await processZkProofAndVote(
           merkleProof, 
-          voterSecret, 
-          selectedCandidate, 
+          weightedSecret, 
+          choice, 
           debugLog
         );
       } catch (error) {
@@ -211,25 +473,41 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
     }
   };
   
-  // Helper function to process ZK proof and vote
-  const processZkProofAndVote = async (merkleProof, voterSecret, candidateId, debugLog) => {
+  // Helper function to process ZK proof and vote; choice is a candidate ID, a ranking, the approved candidates
+  // or the votes allocated to each candidate, and voterSecret carries the voter's weight
+  const processZkProofAndVote = async (merkleProof, voterSecret, choice, debugLog) => {
     try {
-      // Generate the ZK proof
-      debugLog += "Generating ZK proof...\n";
-      const proof = await calculateMerkleRootAndZKProof(
-        voterSecret.nullifier,
-        voterSecret.secret,
-        merkleProof
-      );
-      
-      debugLog += "Proof generated successfully\n";
-      debugLog += `Nullifier Hash: ${proof.nullifierHash}\n`;
-      debugLog += `Proof root: ${proof.root}\n`;
-      
-      // Check if the nullifier has already been used (already voted)
+      // A ranked or encrypted ballot is bound into the proof by its hash, approvals by their bitmask, a credit
+      // allocation by its packed votes and a single-choice vote by the candidate ID
+      let ballot = isRanked ? choice : null;
+      const approvals = isApproval ? encodeApprovals(choice) : null;
+      const allocated = isCredit
+        ? validateAllocations(choice, candidates.length, creditBudget * Number(voterSecret.weight), isQuadratic)
+        : null;
+      let signalHash = choice;
+      let choiceDetails = { candidateId: choice };
+      if (ballot) {
+        signalHash = computeBallotSignal(ballot, keccak256);
+        choiceDetails = { ranking: ballot };
+      } else if (approvals) {
+        signalHash = approvals;
+        choiceDetails = { approved: choice, approvals };
+      } else if (allocated) {
+        signalHash = encodeAllocations(allocated);
+        choiceDetails = { allocations: allocated };
+      } else if (isEncrypted) {
+        choiceDetails = { candidateId: choice, encrypted: true };
+      }
+
+      // The election ID scopes the nullifier hash to this contract
+      const externalNullifier = await getExternalNullifier(contract);
+      debugLog += `Election ID: ${externalNullifier}\n`;
+
+      // Check if the nullifier has already been used (already voted) before spending time on the proof
       debugLog += "Checking if nullifier already used...\n";
+      const nullifierHash = await calculateNullifierHash(voterSecret.nullifier, externalNullifier);
       // Ensure nullifierHash is properly formatted - add 0x prefix if needed and ensure even length
-      const formattedNullifierHash = formatHexValue(proof.nullifierHash);
+      const formattedNullifierHash = formatHexValue(nullifierHash);
       debugLog += `Formatted nullifier hash: ${formattedNullifierHash}\n`;
       
       const isNullifierUsed = await contract.nullifiers(formattedNullifierHash);
@@ -242,6 +520,72 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
         return;
       }
 
+      // The relayer and its fee are bound into the proof, so they must be known before proving
+      let relayerTerms = NO_RELAYER;
+      if (useRelayer) {
+        debugLog += `Fetching relayer terms from ${RELAYER_URL}...\n`;
+        const relayerStatus = await getRelayerStatus();
+        relayerTerms = { relayer: relayerStatus.relayer, fee: relayerStatus.fee };
+
+        const gasPool = await contract.gasPool();
+        debugLog += `Relayer: ${relayerTerms.relayer}, fee: ${relayerTerms.fee} wei, gas pool: ${gasPool} wei\n`;
+        if (BigInt(relayerTerms.fee) > gasPool) {
+          throw new Error("The election's gas pool cannot cover the relayer fee. Ask the administrator to top it up or submit directly.");
+        }
+      }
+
+      // Generate the ZK proof
+      debugLog += "Generating ZK proof...\n";
+      const abortController = new AbortController();
+      proofAbortRef.current = abortController;
+      setProofElapsed(0);
+      setProofStatus({ stage: PROOF_STAGES[0], startedAt: Date.now() });
+      const proofOptions = {
+        onProgress: ({ stage, elapsed }) => {
+          debugLog += `Proof stage: ${stage} (${elapsed} ms)\n`;
+          setProofStatus(current => (current ? { ...current, stage } : current));
+        },
+        signal: abortController.signal
+      };
+      let proof;
+      try {
+        if (isEncrypted) {
+          // The vote is encrypted to the trustees' joint key, so only the tally decrypted after voting reveals it
+          debugLog += "Encrypting the vote and proving the ciphertext...\n";
+          ballot = await encryptBallot(contract, choice, voterSecret.weight, candidates.length, proofOptions);
+          signalHash = computeBallotSignal(ballot, keccak256);
+        }
+        proof = await calculateMerkleRootAndZKProof(
+          voterSecret.nullifier,
+          voterSecret.secret,
+          merkleProof,
+          {
+            signalHash,
+            externalNullifier,
+            relayer: relayerTerms.relayer,
+            fee: relayerTerms.fee,
+            weight: voterSecret.weight,
+            ...(allocated && {
+              creditBudget: creditBudget.toString(),
+              quadratic: isQuadratic,
+              allocations: allocated
+            })
+          },
+          proofOptions
+        );
+      } finally {
+        proofAbortRef.current = null;
+        setProofStatus(null);
+      }
+      
+      debugLog += "Proof generated successfully\n";
+      debugLog += `Nullifier Hash: ${proof.nullifierHash}\n`;
+      debugLog += `Proof root: ${proof.root}\n`;
+      
+      if (proof.nullifierHash !== nullifierHash) {
+        throw new Error("Proof nullifier hash does not match the election-scoped nullifier hash");
+      }
+
       // Check if voting is active
       debugLog += "Checking voting status...\n";
       const [isActive] = await contract.getVotingStatus();
@@ -289,57 +633,76 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
       
       // Log exact transaction parameters for debugging
       debugLog += "Vote transaction parameters:\n";
-      debugLog += `Candidate ID: ${candidateId}\n`;
+      debugLog += `Choice: ${JSON.stringify(choiceDetails)}\n`;
       debugLog += `Nullifier Hash: ${formattedNullifierHash}\n`;
       debugLog += `Root: ${formatHexValue(proof.root)}\n`;
       debugLog += `Proof A: ${JSON.stringify(proofA)}\n`;
       debugLog += `Proof B: ${JSON.stringify(proofB)}\n`;
       debugLog += `Proof C: ${JSON.stringify(proofC)}\n`;
       
-      // Log what's being sent to the blockchain
-      let fromAddress = 'unknown';
-      try {
-        // Try to get the signer address if available
-        if (contract.signer && typeof contract.signer.getAddress === 'function') {
-          fromAddress = await contract.signer.getAddress();
-        } else if (window.ethereum) {
-          // Fallback to connected accounts from window.ethereum
-          const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-          if (accounts && accounts.length > 0) {
-            fromAddress = accounts[0];
+      if (useRelayer) {
+        // Hand the proof to the relayer so the vote transaction is not sent from this wallet
+        debugLog += `Submitting vote via relayer at ${RELAYER_URL}...\n`;
+        const relayed = await submitVoteViaRelayer(proof.rawProof, proof.publicSignals, ballot);
+        debugLog += `Transaction hash: ${relayed.transactionHash}\n`;
+      } else {
+        // Log what's being sent to the blockchain
+        let fromAddress = 'unknown';
+        try {
+          // Try to get the signer address if available
+          if (contract.signer && typeof contract.signer.getAddress === 'function') {
+            fromAddress = await contract.signer.getAddress();
+          } else if (window.ethereum) {
+            // Fallback to connected accounts from window.ethereum
+            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+            if (accounts && accounts.length > 0) {
+              fromAddress = accounts[0];
+            }
           }
+        } catch (addressError) {
+          debugLog += `Error getting address: ${addressError.message}\n`;
         }
-      } catch (addressError) {
-        debugLog += `Error getting address: ${addressError.message}\n`;
-      }
       
-      transactionLogger.logTransaction(
-        {
-          from: fromAddress,
-          to: contract.target || contract.address || 'unknown',
-          candidateId: selectedCandidate,
-          nullifierHash: formattedNullifierHash,
-          zkProofIncluded: true
-        },
-        'Casting ZKP Vote'
-      );
+        transactionLogger.logTransaction(
+          {
+            from: fromAddress,
+            to: contract.target || contract.address || 'unknown',
+            ...choiceDetails,
+            nullifierHash: formattedNullifierHash,
+            zkProofIncluded: true
+          },
+          'Casting ZKP Vote'
+        );
       
-      // Try to cast vote with more gas
-      debugLog += "Sending vote transaction...\n";
-      const tx = await contract.vote(
-        candidateId,
-        formattedNullifierHash,
-        formatHexValue(proof.root),
-        proofA,
-        proofB,
-        proofC,
-        { gasLimit: 5000000 } // Increase gas limit significantly
-      );
+        // Try to cast vote with more gas
+        debugLog += "Sending vote transaction...\n";
+        const voteArgs = [
+          formattedNullifierHash,
+          formatHexValue(proof.root),
+          proof.relayer,
+          proof.fee,
+          proof.weight,
+          proofA,
+          proofB,
+          proofC,
+          { gasLimit: 5000000 } // Increase gas limit significantly
+        ];
+        let tx;
+        if (ballot) {
+          tx = await contract.castBallot(ballot, ...voteArgs);
+        } else if (approvals) {
+          tx = await contract.castApprovals(approvals, ...voteArgs);
+        } else if (allocated) {
+          tx = await contract.castAllocations(signalHash, ...voteArgs);
+        } else {
+          tx = await contract.vote(choice, ...voteArgs);
+        }
       
-      debugLog += `Transaction hash: ${tx.hash}\n`;
-      debugLog += "Waiting for transaction confirmation...\n";
+        debugLog += `Transaction hash: ${tx.hash}\n`;
+        debugLog += "Waiting for transaction confirmation...\n";
       
-      await tx.wait();
+        await tx.wait();
+      }
       
       console.log('✅ Vote transaction successful!');
       debugLog += 'Vote transaction successful!\n';
@@ -347,13 +710,34 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
       // Mark that the user has voted in local storage
       localStorage.setItem('hasVoted', 'true');
       
+      let successText = `Your vote has been successfully cast for Candidate ${choice}!`;
+      if (isEncrypted) {
+        successText = 'Your encrypted vote has been successfully cast! It is counted in the tally the administrator publishes once voting is over.';
+      } else if (ballot) {
+        successText = 'Your ranked ballot has been successfully cast!';
+      } else if (approvals) {
+        successText = `Your approval of ${choice.length} candidate${choice.length === 1 ? '' : 's'} has been successfully cast!`;
+      } else if (allocated) {
+        const votes = allocated.reduce((sum, count) => sum + count, 0);
+        const cost = allocationCost(allocated, isQuadratic);
+        successText = `Your allocation of ${votes} vote${votes === 1 ? '' : 's'}, costing ${cost} credits, has been successfully cast!`;
+      }
+      if (voterSecret.weight !== '1') {
+        successText += ` It counts with a weight of ${voterSecret.weight}.`;
+      }
       setMessage({ 
-        text: `Your vote has been successfully cast for Candidate ${candidateId}!`, 
+        text: successText, 
         type: 'success' 
       });
       setDebugInfo(debugLog);
       setLoading(false);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        setMessage({ text: "Proof generation cancelled. Your vote was not cast.", type: 'warning' });
+        setDebugInfo(`${debugLog}\nProof generation cancelled\n`);
+        setLoading(false);
+        return;
+      }
       console.error("Error in processZkProofAndVote:", error);
       setMessage({ 
         text: `Error processing vote: ${error.message}`, 
@@ -398,21 +782,101 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
       <h2 className="voting-title">Cast Your Vote</h2>
       
       <div className="form-section candidates-section">
-        <h3 className="section-title">Select a Candidate</h3>
-        <div className="candidates-list">
-          {candidates.map(candidate => (
-            <div 
-              key={candidate.id} 
-              className={`candidate-card ${selectedCandidate === candidate.id ? 'selected' : ''}`}
-              onClick={() => setSelectedCandidate(candidate.id)}
-            >
-              <div className="candidate-name">{candidate.name}</div>
-              <div className="select-indicator">
-                {selectedCandidate === candidate.id ? '✓' : ''}
-              </div>
-            </div>
-          ))}
-        </div>
+        <h3 className="section-title">
+          {isRanked && 'Rank the Candidates'}
+          {isApproval && `Approve up to ${maxApprovals} Candidate${maxApprovals === 1 ? '' : 's'}`}
+          {isCredit && `Allocate Your ${isQuadratic ? 'Quadratic ' : ''}Votes`}
+          {!isRanked && !isApproval && !isCredit && 'Select a Candidate'}
+        </h3>
+        {isRanked && (
+          <p className="ranking-hint">
+            Click the candidates in order of preference, starting with your favourite. You do not have to rank them all.
+          </p>
+        )}
+        {isApproval && (
+          <p className="ranking-hint">
+            Click every candidate you approve of. {approved.length} of {maxApprovals} selected.
+          </p>
+        )}
+        {isEncrypted && (
+          <p className="ranking-hint">
+            Your vote is encrypted in this browser before it is cast. Counts stay hidden until the election's
+            trustees decrypt the tally together once voting is over.
+          </p>
+        )}
+        {isCredit && (
+          <p className="ranking-hint">
+            {isQuadratic
+              ? `Each candidate costs the square of the votes you give them, out of ${creditBudget} credits per unit of your weight.`
+              : `Each vote costs one credit, out of ${creditBudget} credits per unit of your weight.`}
+            {' '}
+            {budget === null
+              ? 'Load your voting secret to see your budget.'
+              : `${remaining} of ${budget} credits remaining.`}
+          </p>
+        )}
+        {isCredit && (
+          <div className="allocation-list">
+            {candidates.map(candidate => {
+              const votes = allocations[candidate.id] || 0;
+              return (
+                <label key={candidate.id} className="allocation-row">
+                  <span className="candidate-name">{candidate.name}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max={maxAllocation(candidate.id)}
+                    value={votes}
+                    onChange={(e) => allocateVotes(candidate.id, e.target.value)}
+                    disabled={loading || budget === null}
+                  />
+                  <span className="allocation-votes">
+                    {votes} vote{votes === 1 ? '' : 's'}{isQuadratic ? ` (${votes * votes} credits)` : ''}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        )}
+        {!isCredit && (
+          <div className="candidates-list">
+            {candidates.map(candidate => {
+              const rank = ranking.indexOf(candidate.id) + 1;
+              let selected = selectedCandidate === candidate.id;
+              if (isRanked) {
+                selected = rank > 0;
+              } else if (isApproval) {
+                selected = approved.includes(candidate.id);
+              }
+              return (
+                <div 
+                  key={candidate.id} 
+                  className={`candidate-card ${selected ? 'selected' : ''}`}
+                  onClick={() => selectCandidate(candidate.id)}
+                >
+                  <div className="candidate-name">{candidate.name}</div>
+                  <div className="select-indicator">
+                    {selected ? (isRanked ? rank : '✓') : ''}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        {isRanked && ranking.length > 0 && (
+          <div className="ranking-summary">
+            <ol>
+              {ranking.map(candidateId => (
+                <li key={candidateId}>
+                  {candidates.find(candidate => candidate.id === candidateId)?.name || `Candidate ${candidateId}`}
+                </li>
+              ))}
+            </ol>
+            <button className="btn btn-outline" onClick={() => setRanking([])} disabled={loading}>
+              Clear Ranking
+            </button>
+          </div>
+        )}
       </div>
       
       <div className="form-section secret-section">
@@ -429,6 +893,28 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
               Clear Secret
             </button>
           </div>
+        ) : lockedSecret ? (
+          <form className="secret-unlock" onSubmit={handleUnlockSecret}>
+            <p>Your voting secret is encrypted. Enter its passphrase to unlock it:</p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="current-password"
+              disabled={loading}
+            />
+            <button type="submit" className="btn btn-primary" disabled={loading || !passphrase}>
+              {loading ? 'Unlocking...' : 'Unlock'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline"
+              onClick={() => setLockedSecret(null)}
+              disabled={loading}
+            >
+              Use Another Secret
+            </button>
+          </form>
         ) : (
           <div className="secret-upload">
             <p>Upload your voting secret file:</p>
@@ -441,10 +927,68 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
               />
               <span className="file-upload-text">Choose File</span>
             </label>
+            <form className="credential-entry" onSubmit={handleCredentialSubmit}>
+              <p>Or enter the credential from your paper sheet (type it or scan the QR code):</p>
+              <input
+                type="text"
+                value={credentialText}
+                onChange={(e) => setCredentialText(e.target.value)}
+                placeholder="04XXX-XXXXX-..."
+                autoComplete="off"
+                spellCheck="false"
+              />
+              <button type="submit" className="btn btn-outline" disabled={!credentialText.trim()}>
+                Use Credential
+              </button>
+            </form>
+            <form className="credential-entry" onSubmit={handleMnemonicSubmit}>
+              <p>Or recover your secret from its 24-word recovery phrase:</p>
+              <textarea
+                value={mnemonicText}
+                onChange={(e) => setMnemonicText(e.target.value)}
+                rows={3}
+                autoComplete="off"
+                spellCheck="false"
+                disabled={loading}
+              />
+              <button type="submit" className="btn btn-outline" disabled={loading || !mnemonicText.trim()}>
+                {loading ? 'Recovering...' : 'Recover Secret'}
+              </button>
+            </form>
+            <div className="credential-entry">
+              <p>Or, if you derived your secret from a wallet, sign the same message with that wallet:</p>
+              <button type="button" className="btn btn-outline" onClick={handleDeriveFromWallet} disabled={loading}>
+                {loading ? 'Waiting for signature...' : 'Derive Secret from Wallet'}
+              </button>
+            </div>
           </div>
         )}
       </div>
       
+      <div className="form-section submission-section">
+        <h3 className="section-title">Submission</h3>
+        <label className="relayer-option">
+          <input
+            type="checkbox"
+            checked={useRelayer}
+            onChange={(e) => setUseRelayer(e.target.checked)}
+            disabled={loading}
+          />
+          Submit via relayer (recommended)
+        </label>
+        {useRelayer && (
+          <p className="relayer-note">
+            The relayer's fee is paid from the election's gas pool, not from your wallet.
+          </p>
+        )}
+        {!useRelayer && (
+          <p className="relayer-warning">
+            Your vote will be sent from your connected wallet, which reveals your address as the sender of the vote.
+          </p>
+        )}
+        <CircuitCacheStatus circuits={isEncrypted ? ENCRYPTED_CIRCUITS : undefined} />
+      </div>
+      
       {message.text && (
         <div className={`alert alert-${message.type}`}>
           {message.type === 'success' && <span className="success-icon">✓</span>}
@@ -454,11 +998,31 @@ function ZKVotingForm({ contract, candidates, votingActive }) {
         </div>
       )}
       
+      {proofStatus && (
+        <div className="proof-progress">
+          <ol className="proof-stages">
+            {PROOF_STAGES.map((stage, index) => {
+              const current = PROOF_STAGES.indexOf(proofStatus.stage);
+              const state = index < current ? 'done' : index === current ? 'active' : 'pending';
+              return (
+                <li key={stage} className={`proof-stage ${state}`}>
+                  {state === 'done' ? '✓ ' : ''}{STAGE_LABELS[stage]}
+                </li>
+              );
+            })}
+          </ol>
+          <span className="proof-elapsed">{(proofElapsed / 1000).toFixed(1)} s</span>
+          <button className="btn btn-outline" onClick={cancelProof}>
+            Cancel
+          </button>
+        </div>
+      )}
+      
       <div className="form-actions">
         <button 
           className="btn btn-primary vote-btn" 
           onClick={castVote} 
-          disabled={loading || !voterSecret || !selectedCandidate || !votingActive}
+          disabled={loading || !voterSecret || !hasChoice || !votingActive}
         >
           {loading ? (
             <span>
@@ -1,33 +1,144 @@
 // Import the ABIs
 import VerifierABI from './contracts/Groth16Verifier.json';
 import ZKVotingSystemABI from './contracts/ZKVotingSystem.json';
+import EncryptedTallyABI from './contracts/EncryptedTally.json';
+import VotingSystemABI from './contractABI.json';
 
-// Contract addresses from deployment
-export const CONTRACT_ADDRESSES = {
-  VERIFIER: "0x6d967aC0de345D99FBcFFc6860c13CA4bAf881ec",
-  ZK_VOTING_SYSTEM: "0x8d46Ba8D2E5Bd714D892ceEc4e6D571172fCA607"
-};
+// Addresses per chain ID, written by migrations/4_deploy_with_circomlib.js
+import deployments from './deployments.json';
 
 export const CONTRACT_ABIS = {
   VERIFIER: VerifierABI.abi,
-  ZK_VOTING_SYSTEM: ZKVotingSystemABI.abi
+  ZK_VOTING_SYSTEM: ZKVotingSystemABI.abi,
+  // Found through ZKVotingSystem.encryptedTally() rather than by name
+  ENCRYPTED_TALLY: EncryptedTallyABI.abi,
+  VOTING_SYSTEM: VotingSystemABI
+};
+
+// Export contract names as constants
+export const CONTRACTS = {
+  VERIFIER: 'VERIFIER',
+  ZK_VOTING_SYSTEM: 'ZK_VOTING_SYSTEM',
+  VOTING_SYSTEM: 'VOTING_SYSTEM'
+};
+
+// Names the contracts are recorded under in the deployment manifest
+const ARTIFACT_NAMES = {
+  VERIFIER: 'Groth16Verifier',
+  ZK_VOTING_SYSTEM: 'ZKVotingSystem',
+  VOTING_SYSTEM: 'EVotingSystem'
+};
+
+// Names of well-known chains, for messages about the connected network
+const CHAIN_NAMES = {
+  1: 'Ethereum Mainnet',
+  10: 'OP Mainnet',
+  137: 'Polygon',
+  8453: 'Base',
+  42161: 'Arbitrum One',
+  17000: 'Holesky',
+  11155111: 'Sepolia',
+  1337: 'Localhost',
+  31337: 'Localhost',
+  5777: 'Ganache'
+};
+
+/**
+ * Get a readable name for a chain, e.g. "Sepolia (11155111)"
+ * @param {bigint|number|string} chainId - The chain ID
+ * @returns {string} The name and chain ID
+ */
+export const getNetworkName = (chainId) => {
+  const id = chainId.toString();
+  const name = CHAIN_NAMES[id] || deployments[id]?.network;
+  return name ? `${name} (${id})` : `chain ${id}`;
+};
+
+// Election contracts, in the order they are picked when the manifest does not name one
+const ELECTION_CONTRACTS = [CONTRACTS.ZK_VOTING_SYSTEM, CONTRACTS.VOTING_SYSTEM];
+
+/**
+ * Get the election deployed on a chain: the contract named by the manifest's "election" field,
+ * or else the first election contract it lists
+ * @param {bigint|number|string} chainId - The chain ID of the wallet
+ * @returns {Object|null} { address, blockNumber }, or null if there is no election on the chain
+ */
+export const getElectionDeployment = (chainId) => {
+  const deployment = deployments[chainId.toString()];
+  if (!deployment?.contracts) {
+    return null;
+  }
+  if (deployment.election) {
+    return deployment.contracts[deployment.election] || null;
+  }
+  const contractName = ELECTION_CONTRACTS.find(name => deployment.contracts[ARTIFACT_NAMES[name]]);
+  return contractName ? deployment.contracts[ARTIFACT_NAMES[contractName]] : null;
+};
+
+/**
+ * Get the address of the election to serve: the "election" URL parameter, so one build can serve
+ * any election, or else the election in the deployment manifest for the chain
+ * @param {bigint|number|string} chainId - The chain ID of the wallet
+ * @returns {string|null} The address, or null if none is configured
+ */
+export const getElectionAddress = (chainId) => {
+  const fromUrl = new URLSearchParams(window.location.search).get('election');
+  if (fromUrl) {
+    return fromUrl;
+  }
+  return getElectionDeployment(chainId)?.address || null;
+};
+
+/**
+ * Get the chain IDs that have an election deployed
+ * @returns {Array<string>} The chain IDs
+ */
+export const getSupportedChainIds = () =>
+  Object.keys(deployments).filter(chainId => getElectionDeployment(chainId));
+
+/**
+ * Get the deployment of a contract on a chain
+ * @param {bigint|number|string} chainId - The chain ID of the wallet
+ * @param {string} contractName - One of CONTRACTS
+ * @returns {Object|null} { address, blockNumber }, or null if it is not deployed there
+ */
+export const getContractDeployment = (chainId, contractName) => {
+  const deployment = deployments[chainId.toString()];
+  return deployment?.contracts?.[ARTIFACT_NAMES[contractName]] || null;
+};
+
+/**
+ * Get the address of a contract on a chain
+ * @param {bigint|number|string} chainId - The chain ID of the wallet
+ * @param {string} contractName - One of CONTRACTS
+ * @returns {string|null} The address, or null if it is not deployed there
+ */
+export const getContractAddress = (chainId, contractName) =>
+  getContractDeployment(chainId, contractName)?.address || null;
+
+/**
+ * Explain that no election is deployed on the wallet's network and where there is one
+ * @param {bigint|number|string} chainId - The chain ID of the wallet
+ * @returns {string} The message for the user
+ */
+export const describeMissingDeployment = (chainId) => {
+  const supported = getSupportedChainIds().map(getNetworkName);
+  const message = `No election is deployed on ${getNetworkName(chainId)}.`;
+  if (supported.length === 0) {
+    return `${message} No deployments are configured; run "npx truffle migrate" to deploy and record one.`;
+  }
+  return `${message} Switch your wallet to ${supported.join(' or ')}.`;
 };
 
 // Helper function to get contract instance
-export const getContractInstance = (web3, contractName) => {
-  const address = CONTRACT_ADDRESSES[contractName];
+export const getContractInstance = (web3, contractName, chainId) => {
+  const address = getContractAddress(chainId, contractName);
   const abi = CONTRACT_ABIS[contractName];
-  
+
   if (!address || !abi) {
-    console.error(`Contract ${contractName} configuration not found`);
+    console.error(`Contract ${contractName} is not configured for chain ${chainId}`);
     return null;
   }
-  
+
   return new web3.eth.Contract(abi, address);
 };
-
-// Export contract names as constants
-export const CONTRACTS = {
-  VERIFIER: 'VERIFIER',
-  ZK_VOTING_SYSTEM: 'ZK_VOTING_SYSTEM'
-}; 
\ No newline at end of file
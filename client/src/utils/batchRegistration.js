@@ -0,0 +1,89 @@
+// Number of items tried in the first transaction; later chunks are sized from its gas estimate
+const INITIAL_CHUNK_SIZE = 50;
+
+/**
+ * Pick the size of the next chunk, keeping every chunk (including the last) at least minChunkSize long
+ */
+const nextChunkSize = (size, remaining, minChunkSize) => {
+  let chunkSize = Math.max(Math.min(size, remaining), minChunkSize);
+  if (remaining - chunkSize > 0 && remaining - chunkSize < minChunkSize) {
+    chunkSize = remaining - minChunkSize >= minChunkSize ? remaining - minChunkSize : remaining;
+  }
+  return Math.min(chunkSize, remaining);
+};
+
+/**
+ * Extract a readable reason from an ethers error
+ */
+const errorReason = (err) => err.reason || err.shortMessage || err.message;
+
+/**
+ * Send items to the contract in as few transactions as fit under the block gas limit
+ * @param {Object} options - Options
+ * @param {Object} options.contract - The contract instance, used to read the block gas limit
+ * @param {Array} options.items - The items to send
+ * @param {Function} options.buildCall - Returns { method, args } for a chunk of items
+ * @param {number} options.minChunkSize - Smallest chunk the contract accepts (default: 1)
+ * @param {Function} options.onChunkStart - Called with (chunk, processedCount, total) before a chunk is sent
+ * @param {Function} options.onChunkDone - Called with (chunk) once its transaction is mined
+ * @param {Function} options.onChunkFailed - Called with (chunk, reason) when a chunk reverts
+ * @returns {Promise<Object>} The number of items that succeeded and failed
+ */
+export const sendInChunks = async ({
+  contract,
+  items,
+  buildCall,
+  minChunkSize = 1,
+  onChunkStart = () => {},
+  onChunkDone = () => {},
+  onChunkFailed = () => {}
+}) => {
+  // Leave headroom below the block gas limit
+  const block = await contract.runner.provider.getBlock('latest');
+  const gasBudget = (block.gasLimit * 3n) / 4n;
+
+  let remaining = items;
+  let chunkSize = INITIAL_CHUNK_SIZE;
+  let succeeded = 0;
+  let failed = 0;
+
+  while (remaining.length > 0) {
+    const chunk = remaining.slice(0, nextChunkSize(chunkSize, remaining.length, minChunkSize));
+    const { method, args } = buildCall(chunk);
+
+    let gasEstimate;
+    try {
+      gasEstimate = await method.estimateGas(...args);
+    } catch (err) {
+      console.error("Batch would revert:", err);
+      onChunkFailed(chunk, errorReason(err));
+      failed += chunk.length;
+      remaining = remaining.slice(chunk.length);
+      continue;
+    }
+
+    // Shrink the chunk until it fits into the gas budget
+    if (gasEstimate > gasBudget && chunk.length > minChunkSize) {
+      const scaled = Math.floor(chunk.length * Number(gasBudget) / Number(gasEstimate));
+      chunkSize = Math.max(1, Math.min(scaled, chunk.length - 1));
+      continue;
+    }
+
+    onChunkStart(chunk, succeeded + failed, items.length);
+
+    try {
+      const tx = await method(...args, { gasLimit: (gasEstimate * 11n) / 10n });
+      await tx.wait();
+      onChunkDone(chunk);
+      succeeded += chunk.length;
+    } catch (err) {
+      console.error("Error sending batch:", err);
+      onChunkFailed(chunk, errorReason(err));
+      failed += chunk.length;
+    }
+
+    remaining = remaining.slice(chunk.length);
+  }
+
+  return { succeeded, failed };
+};
@@ -0,0 +1,151 @@
+// Circuit artifacts (wasm and zkey) cached in IndexedDB and checked against the
+// SHA-256 manifest written by scripts/generate_circuit_manifest.js at build time
+import manifest from '../circuitManifest.json';
+
+const DB_NAME = 'zk-voting-artifacts';
+const DB_VERSION = 1;
+// Records are { sha256, name, data, storedAt }, keyed by the hash of their data
+const STORE_NAME = 'artifacts';
+
+export const WASM_ARTIFACT = 'Verifier.wasm';
+export const ZKEY_ARTIFACT = 'Verifier_0001.zkey';
+
+// The wasm and zkey of each circuit the client proves with
+export const VOTE_CIRCUIT = { wasm: WASM_ARTIFACT, zkey: ZKEY_ARTIFACT };
+// Proves an encrypted ballot encrypts one vote (voters of encrypted elections)
+export const BALLOT_CIRCUIT = { wasm: 'BallotEncryption.wasm', zkey: 'BallotEncryption_0001.zkey' };
+// Proves a trustee's key share and partial decryption of the encrypted tally (trustees)
+export const PARTIAL_CIRCUIT = { wasm: 'PartialDecryption.wasm', zkey: 'PartialDecryption_0001.zkey' };
+// Proves the published counts decrypt the encrypted tally (the admin, or anyone)
+export const TALLY_CIRCUIT = { wasm: 'TallyDecryption.wasm', zkey: 'TallyDecryption_0001.zkey' };
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'sha256' });
+  };
+  return promisify(request);
+};
+
+/**
+ * Run fn against the artifact store and close the database afterwards
+ */
+const withStore = async (mode, fn) => {
+  const db = await openDatabase();
+  try {
+    return await fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+  } finally {
+    db.close();
+  }
+};
+
+const sha256Hex = async (data) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const getManifestEntry = (name) => {
+  const entry = manifest.artifacts[name];
+  if (!entry) {
+    throw new Error(`${name} is not in the circuit manifest. Copy it to public/circuits and rebuild the client.`);
+  }
+  return entry;
+};
+
+/**
+ * Remove cached artifacts that are not in the current manifest, e.g. after a circuit update
+ */
+const pruneArtifactCache = async () => {
+  const current = new Set(Object.values(manifest.artifacts).map(entry => entry.sha256));
+  await withStore('readwrite', async (store) => {
+    const keys = await promisify(store.getAllKeys());
+    await Promise.all(keys.filter(key => !current.has(key)).map(key => promisify(store.delete(key))));
+  });
+};
+
+/**
+ * Load a circuit artifact, from the cache if a verified copy is there, otherwise from the server
+ * @param {string} name - The artifact name, e.g. WASM_ARTIFACT
+ * @returns {Promise<Uint8Array>} The artifact's bytes, matching the manifest hash
+ */
+export const loadCircuitArtifact = async (name) => {
+  const entry = getManifestEntry(name);
+
+  let cached = null;
+  try {
+    cached = await withStore('readonly', store => promisify(store.get(entry.sha256)));
+  } catch (error) {
+    // Private browsing modes can block IndexedDB; proving still works without the cache
+    console.warn(`Artifact cache unavailable, downloading ${name}:`, error);
+  }
+
+  if (cached) {
+    // Re-check the cached copy, since anything on this origin can write to IndexedDB
+    if (await sha256Hex(cached.data) === entry.sha256) {
+      console.log(`Loaded ${name} from the artifact cache`);
+      return new Uint8Array(cached.data);
+    }
+    console.warn(`Cached ${name} does not match the manifest, downloading it again`);
+  }
+
+  const response = await fetch(entry.path);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${name}: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.arrayBuffer();
+
+  const hash = await sha256Hex(data);
+  if (hash !== entry.sha256) {
+    throw new Error(`${name} does not match the circuit manifest (expected ${entry.sha256}, got ${hash}). Refusing to generate a proof with it.`);
+  }
+
+  try {
+    await withStore('readwrite', store => promisify(store.put({ sha256: hash, name, data, storedAt: Date.now() })));
+    await pruneArtifactCache();
+  } catch (error) {
+    console.warn(`Could not cache ${name}:`, error);
+  }
+
+  return new Uint8Array(data);
+};
+
+/**
+ * Load the verified wasm and zkey of a circuit
+ * @param {Object} circuit - VOTE_CIRCUIT (the default), BALLOT_CIRCUIT or TALLY_CIRCUIT
+ * @returns {Promise<Object>} The wasm and zkey bytes
+ */
+export const getCircuitArtifacts = async (circuit = VOTE_CIRCUIT) => {
+  const wasm = await loadCircuitArtifact(circuit.wasm);
+  const zkey = await loadCircuitArtifact(circuit.zkey);
+  return { wasm, zkey };
+};
+
+/**
+ * Report which artifacts of some circuits are cached
+ * @param {Array<Object>} circuits - The circuits to report on, by default the voting circuit
+ * @returns {Promise<Array<Object>>} One entry per artifact: name, path, size, sha256 and cached
+ */
+export const getArtifactCacheStatus = async (circuits = [VOTE_CIRCUIT]) => {
+  const cachedKeys = new Set(await withStore('readonly', store => promisify(store.getAllKeys())));
+  return circuits.flatMap(circuit => [circuit.wasm, circuit.zkey]).map(name => {
+    const entry = manifest.artifacts[name];
+    return entry
+      ? { name, ...entry, cached: cachedKeys.has(entry.sha256) }
+      : { name, missing: true, cached: false };
+  });
+};
+
+/**
+ * Delete every cached artifact
+ */
+export const clearArtifactCache = async () => {
+  await withStore('readwrite', store => promisify(store.clear()));
+};
@@ -1,9 +1,11 @@
 // Wrapper for circomlibjs to ensure Buffer is available
 import './setupPolyfills'; // Make sure polyfills are loaded
 import { buildMimcSponge } from 'circomlibjs';
+import { createHasher } from 'zk-voting-sdk';
 
 // Cache for the MiMC hasher
 let mimcSpongeCache = null;
+let hasherCache = null;
 
 /**
  * Get the MiMC hasher with proper Buffer handling
@@ -35,36 +37,14 @@ export const getMimc = async () => {
 };
 
 /**
- * Calculate hash using MiMC hash method (two-step approach)
- * This matches how the contract and backend calculate hashes
+ * Get the two-input MiMC hash of the contract and circuit, from the shared SDK
+ * @returns {Promise<Function>} (left, right) => BigInt
  */
-export const calculateHash = async (mimc, left, right) => {
-  try {
-    // Make sure we're using BigInts
-    const leftBigInt = BigInt(left.toString());
-    const rightBigInt = BigInt(right.toString());
-    
-    // Convert inputs to field elements
-    let R = mimc.F.e(leftBigInt);
-    let C = mimc.F.e(0);
-    
-    // First MiMCSponge - exact same pattern as in the backend
-    const result1 = mimc.hash(R, C, 0);
-    R = result1.xL;
-    C = result1.xR;
-    
-    // Add right input to the result
-    R = mimc.F.add(R, mimc.F.e(rightBigInt));
-    
-    // Second MiMCSponge hash
-    const result2 = mimc.hash(R, C, 0);
-    
-    // Return the result as a BigInt
-    return mimc.F.toObject(result2.xL);
-  } catch (error) {
-    console.error("Error in calculateHash:", error);
-    throw error;
+export const getHasher = async () => {
+  if (hasherCache === null) {
+    hasherCache = createHasher(await getMimc());
   }
+  return hasherCache;
 };
 
 /**
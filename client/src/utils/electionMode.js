@@ -0,0 +1,46 @@
+// Detect which kind of election contract is deployed at an address, so one build serves both
+import { Interface, ZeroAddress } from 'ethers';
+import { CONTRACT_ABIS } from '../contractConfig';
+
+export const ELECTION_MODES = {
+  // ZKVotingSystem: voters prove membership of the voter tree, so votes are not linked to addresses
+  ANONYMOUS: 'anonymous',
+  // EVotingSystem: registered addresses vote directly and everyone can see who voted for whom
+  TRANSPARENT: 'transparent'
+};
+
+const zkVotingSystem = new Interface(CONTRACT_ABIS.ZK_VOTING_SYSTEM);
+const votingSystem = new Interface(CONTRACT_ABIS.VOTING_SYSTEM);
+
+/**
+ * Call a view function and count the 32-byte words it returns
+ * @returns {Promise<number>} The number of words, or 0 if the call reverts (e.g. the function does not exist)
+ */
+const probe = async (provider, address, contractInterface, functionName, args = []) => {
+  try {
+    const data = await provider.call({ to: address, data: contractInterface.encodeFunctionData(functionName, args) });
+    return (data.length - 2) / 64;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Detect the election contract at an address by probing functions only one of them has
+ * @param {Object} provider - The ethers provider
+ * @param {string} address - Address of the election contract
+ * @returns {Promise<string|null>} One of ELECTION_MODES, or null if neither contract is deployed there
+ */
+export const detectElectionMode = async (provider, address) => {
+  // Only ZKVotingSystem has an election ID, which scopes its nullifiers
+  if (await probe(provider, address, zkVotingSystem, 'electionId') === 1) {
+    return ELECTION_MODES.ANONYMOUS;
+  }
+
+  // EVotingSystem's checkVoterStatus also returns whether the address has voted
+  if (await probe(provider, address, votingSystem, 'checkVoterStatus', [ZeroAddress]) === 2) {
+    return ELECTION_MODES.TRANSPARENT;
+  }
+
+  return null;
+};
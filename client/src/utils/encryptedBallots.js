@@ -0,0 +1,140 @@
+// Encrypted elections: ballots encrypted to a key split between trustees, their verified partial decryptions
+// and the verified decryption of the tally
+import './setupPolyfills';
+import { ethers } from 'ethers';
+import { buildBabyjub } from 'circomlibjs';
+import { createElGamal, encodeEncryptedBallot, formatProofAsArray, emptyTally } from 'zk-voting-sdk';
+import { CONTRACT_ABIS } from '../contractConfig';
+import { fullProve } from './snarkjsHelper';
+import { getCircuitArtifacts, BALLOT_CIRCUIT, PARTIAL_CIRCUIT, TALLY_CIRCUIT } from './circuitArtifacts';
+
+let elgamalCache = null;
+
+/**
+ * Get the ElGamal functions of the SDK on circomlibjs' Baby Jubjub
+ * @returns {Promise<Object>} generateKeyPair, encryptVote, partialDecrypt and the rest of createElGamal
+ */
+export const getElGamal = async () => {
+  if (elgamalCache === null) {
+    elgamalCache = createElGamal(await buildBabyjub());
+  }
+  return elgamalCache;
+};
+
+/**
+ * Connect to the EncryptedTally of an election, with the election contract's signer or provider
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @returns {Promise<Object>} The EncryptedTally contract instance
+ */
+export const getEncryptedTally = async (contract) => {
+  const address = await contract.encryptedTally();
+  if (address === ethers.ZeroAddress) {
+    throw new Error("No encrypted tally is set for this election. Deploy one with the migrations.");
+  }
+  return new ethers.Contract(address, CONTRACT_ABIS.ENCRYPTED_TALLY, contract.runner);
+};
+
+/**
+ * Generate a trustee's key share, in the key file format of the command-line tools
+ * @returns {Promise<Object>} secretKey and publicKey (the key share) [x, y], as decimal strings
+ */
+export const generateKeyShare = async () => (await getElGamal()).generateKeyPair();
+
+/**
+ * Read and check a key file written by generateKeyShare or `election.js keygen`
+ * @param {File} file - The key file chosen by the trustee
+ * @returns {Promise<Object>} secretKey and publicKey
+ */
+export const readKeyShareFile = async (file) => {
+  let key;
+  try {
+    key = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error(`${file.name} is not a key file: ${error.message}`);
+  }
+  if (!Array.isArray(key.publicKey) || key.publicKey.length !== 2 || !key.secretKey) {
+    throw new Error(`${file.name} is not a key file: missing secretKey or publicKey`);
+  }
+  if ((await getElGamal()).derivePublicKey(key.secretKey).some((value, index) => value !== String(key.publicKey[index]))) {
+    throw new Error(`${file.name} holds a secret key that does not match its key share`);
+  }
+  return key;
+};
+
+/**
+ * Prove that a trustee knows the secret of their key share: a partial decryption of the empty tally
+ * @param {Object} key - The trustee's key share, from readKeyShareFile or generateKeyShare
+ * @param {Object} proofOptions - Progress callback and abort signal, passed on to fullProve
+ * @returns {Promise<Array<string>>} The proof, as registerKeyShare takes it
+ */
+export const proveKeyShare = async (key, proofOptions) => {
+  const { input } = (await getElGamal()).partialDecrypt(key.secretKey, emptyTally());
+  const { wasm, zkey } = await getCircuitArtifacts(PARTIAL_CIRCUIT);
+  const { proof } = await fullProve(input, wasm, zkey, proofOptions);
+  return formatProofAsArray(proof);
+};
+
+/**
+ * Encrypt a vote to the election's public key and prove that it encrypts a vote for one candidate
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @param {number} candidateId - The chosen candidate
+ * @param {string} weight - The voter's weight
+ * @param {number} candidatesCount - Number of candidates in the election
+ * @param {Object} proofOptions - Progress callback and abort signal, passed on to fullProve
+ * @returns {Promise<Array<string>>} The ballot for castBallot: the ciphertext followed by its proof
+ */
+export const encryptBallot = async (contract, candidateId, weight, candidatesCount, proofOptions) => {
+  const tally = await getEncryptedTally(contract);
+  const publicKey = await Promise.all([tally.publicKey(0), tally.publicKey(1)]);
+  const { ciphertext, input } = (await getElGamal()).encryptVote(publicKey, candidateId, weight, candidatesCount);
+
+  const { wasm, zkey } = await getCircuitArtifacts(BALLOT_CIRCUIT);
+  const { proof, publicSignals } = await fullProve(input, wasm, zkey, proofOptions);
+  if (ciphertext.some((value, index) => value !== publicSignals[index])) {
+    throw new Error("The ballot proof is for another ciphertext");
+  }
+  return encodeEncryptedBallot(ciphertext, proof);
+};
+
+/**
+ * A trustee's partial decryption of the tally of an election that has ended, and its proof
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @param {Object} key - The trustee's key share, from readKeyShareFile
+ * @param {string} account - The trustee's address
+ * @param {Object} proofOptions - Progress callback and abort signal, passed on to fullProve
+ * @returns {Promise<Object>} partial and proof, as publishPartialDecryption takes them
+ */
+export const provePartialDecryption = async (contract, key, account, proofOptions) => {
+  const tally = await getEncryptedTally(contract);
+  const elgamal = await getElGamal();
+  const keyShare = (await tally.getKeyShare(account)).map(String);
+  if (elgamal.derivePublicKey(key.secretKey).some((value, index) => value !== keyShare[index])) {
+    throw new Error("This key file does not hold the key share registered by this account");
+  }
+
+  const { partial, input } = elgamal.partialDecrypt(key.secretKey, (await tally.getTally()).map(String));
+  const { wasm, zkey } = await getCircuitArtifacts(PARTIAL_CIRCUIT);
+  const { proof } = await fullProve(input, wasm, zkey, proofOptions);
+  return { partial, proof: formatProofAsArray(proof) };
+};
+
+/**
+ * Decrypt the tally of an election whose trustees have all published their partial decryptions, and
+ * prove the decryption; no key is needed
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @param {Object} proofOptions - Progress callback and abort signal, passed on to fullProve
+ * @returns {Promise<Object>} counts (one per slot, candidate 1 first) and proof, as publishTally takes them
+ */
+export const decryptAndProveTally = async (contract, proofOptions) => {
+  const tally = await getEncryptedTally(contract);
+  const elgamal = await getElGamal();
+  const [encrypted, decryption] = await Promise.all([tally.getTally(), tally.getDecryption()]);
+
+  // Every count is at most the total weight of the ballots cast
+  const counts = elgamal.decryptTally(encrypted.map(String), decryption.map(String), await contract.totalVotes());
+  const input = elgamal.buildTallyDecryptionInput(encrypted.map(String), decryption.map(String), counts);
+
+  const { wasm, zkey } = await getCircuitArtifacts(TALLY_CIRCUIT);
+  const { proof } = await fullProve(input, wasm, zkey, proofOptions);
+  return { counts, proof: formatProofAsArray(proof) };
+};
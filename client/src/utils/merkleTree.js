@@ -1,126 +1,22 @@
-// A simplified Merkle tree implementation for testing ZKP
-import { getMimc } from './circyomWrapper';
-
-// Use the same zero value as in the backend
-const ZERO_VALUE = '21663839004416932945382355908790599225266501822907911457504978515578255421292'; // = keccak256("tornado") % FIELD_SIZE
-
-/**
- * Helper function to convert hex to BigInt
- */
-const hexToBigInt = (hexStr) => {
-  if (hexStr.startsWith('0x')) {
-    return BigInt(hexStr);
-  }
-  return BigInt('0x' + hexStr);
-};
-
-/**
- * Helper to ensure consistent format for comparison
- */
-const formatForComparison = (value) => {
-  if (typeof value === 'string' && value.startsWith('0x')) {
-    return hexToBigInt(value).toString();
-  }
-  return BigInt(value).toString();
-};
-
-/**
- * Calculate hash using MiMC hash method (two-step approach)
- * This matches how the circuit calculates hashes
- */
-const calculateHash = (mimc, left, right) => {
-  console.log(`Calculating hash of: ${left.toString()} and ${right.toString()}`);
-  
-  let R = mimc.F.e(left);
-  let C = mimc.F.e(0);
-  
-  // First MiMCSponge
-  const result1 = mimc.hash(R, C, 0);
-  R = result1.xL;
-  C = result1.xR;
-  
-  // Add right
-  R = mimc.F.add(R, mimc.F.e(right)); 
-  
-  // Second MiMCSponge
-  const result2 = mimc.hash(R, C, 0);
-  const hashResult = mimc.F.toObject(result2.xL);
-  
-  console.log(`Hash result: ${hashResult.toString()}`);
-  return hashResult;
-};
-
-/**
- * Generate zeros for the Merkle tree
- */
-const generateZeros = (mimc, levels) => {
-  let zeros = [];
-  zeros[0] = BigInt(ZERO_VALUE);
-  console.log(`Zero level 0: ${zeros[0].toString()}`);
-  
-  for (let i = 1; i <= levels; i++) {
-    zeros[i] = calculateHash(mimc, zeros[i - 1], zeros[i - 1]);
-    console.log(`Zero level ${i}: ${zeros[i].toString()}`);
-  }
-  return zeros;
-};
+// Merkle tree of the voter commitments, synced from the contract's Commit events
+import {
+  MerkleTree as LayeredMerkleTree,
+  ZERO_VALUE,
+  TREE_LEVELS,
+  toFieldString,
+  toBytes32,
+  decodeCommitEvents
+} from 'zk-voting-sdk';
+import { getHasher } from './circyomWrapper';
 
 /**
- * Generate Merkle root and path to specified element
- */
-const calculateMerkleRootAndPath = (mimc, levels, elements, element = null) => {
-  const capacity = 2 ** levels;
-  if (elements.length > capacity) throw new Error('Tree is full');
-
-  const zeros = generateZeros(mimc, levels);
-  let layers = [];
-  layers[0] = elements.slice();
-  
-  for (let level = 1; level <= levels; level++) {
-    layers[level] = [];
-    for (let i = 0; i < Math.ceil(layers[level - 1].length / 2); i++) {
-      layers[level][i] = calculateHash(
-        mimc,
-        layers[level - 1][i * 2],
-        i * 2 + 1 < layers[level - 1].length ? layers[level - 1][i * 2 + 1] : zeros[level - 1],
-      );
-    }
-  }
-
-  const root = layers[levels].length > 0 ? layers[levels][0] : zeros[levels];
-
-  let pathElements = [];
-  let pathIndices = [];
-
-  if (element) {
-    let index = layers[0].findIndex(e => BigInt(e) === BigInt(element));
-    if (index === -1) throw new Error('Element not found in tree');
-    
-    for (let level = 0; level < levels; level++) {
-      pathIndices[level] = index % 2;
-      pathElements[level] = (index ^ 1) < layers[level].length ? layers[level][index ^ 1] : zeros[level];
-      index = Math.floor(index / 2);
-    }
-  }
-
-  return {
-    root: root.toString(),
-    pathElements: pathElements.map(v => v.toString()),
-    pathIndices: pathIndices
-  };
-};
-
-/**
- * MerkleTree class rewritten to match the test_complete_flow.js implementation
+ * Client-side wrapper of the shared layered Merkle tree, hashing with MiMCSponge
  */
 export class MerkleTree {
-  constructor(levels = 20) {
+  constructor(levels = TREE_LEVELS) {
     this.levels = levels;
-    this.leaves = [];
-    this.zeros = [];
-    this.filledSubTrees = [];
-    this.root = null;
-    this.mimcHash = null;
+    this.tree = null;
+    this.hashFunction = null;
     this.initialized = false;
   }
 
@@ -131,20 +27,8 @@ export class MerkleTree {
     if (this.initialized) return;
 
     try {
-      // Get the MiMC hash function
-      this.mimcHash = await getMimc();
-      
-      // Debug the structure of the mimc object
-      console.log("MiMC hasher object keys:", Object.keys(this.mimcHash));
-      
-      // Generate zero values for each level
-      this.zeros = generateZeros(this.mimcHash, this.levels);
-      
-      // Initialize filled subtrees with zeros
-      this.filledSubTrees = [...this.zeros];
-      
-      // Initialize root with the highest level zero
-      this.root = this.zeros[this.levels];
+      this.hashFunction = await getHasher();
+      this.tree = new LayeredMerkleTree(this.levels, [], { hashFunction: this.hashFunction, zeroElement: ZERO_VALUE });
       
       this.initialized = true;
       console.log("Merkle tree initialized with root:", this.root.toString());
@@ -154,8 +38,16 @@ export class MerkleTree {
     }
   }
 
+  get leaves() {
+    return this.tree.leaves;
+  }
+
+  get root() {
+    return this.tree.root;
+  }
+
   /**
-   * Insert a new leaf into the tree using the same logic as test_complete_flow.js
+   * Insert a new leaf into the tree
    * @param {string} leaf - Leaf value to insert
    * @returns {number} - Index of the inserted leaf
    */
@@ -163,48 +55,53 @@ export class MerkleTree {
     if (!this.initialized) {
       throw new Error("Merkle tree not initialized");
     }
-    
-    const leafBigInt = BigInt(leaf);
-    const index = this.leaves.length;
-    this.leaves.push(leafBigInt);
-    
-    let currentIndex = index;
-    let currentHash = leafBigInt;
-    
-    // Update the tree with the new leaf
-    for (let i = 0; i < this.levels; i++) {
-      const isLeft = currentIndex % 2 === 0;
-      const siblingIndex = isLeft ? currentIndex + 1 : currentIndex - 1;
-      
-      let siblingHash;
-      if (isLeft && siblingIndex === this.leaves.length) {
-        // If the current node is the rightmost node, use a zero value
-        siblingHash = this.zeros[i];
-      } else if (siblingIndex < this.leaves.length) {
-        // If sibling exists, use it
-        if (isLeft) {
-          this.filledSubTrees[i] = currentHash;
-        }
-        siblingHash = isLeft ? this.zeros[i] : this.filledSubTrees[i];
-      } else {
-        // Otherwise use a zero value
-        siblingHash = this.zeros[i];
-      }
-      
-      // Hash the current level with the correct left/right order
-      currentHash = isLeft 
-        ? calculateHash(this.mimcHash, currentHash, siblingHash)
-        : calculateHash(this.mimcHash, siblingHash, currentHash);
-      
-      // Move to the parent index
-      currentIndex = Math.floor(currentIndex / 2);
+    return this.tree.insert(leaf);
+  }
+
+  /**
+   * Insert several leaves, hashing each affected node once
+   * @param {Array<string>} leaves - Leaf values to insert
+   * @returns {number} - Index of the first inserted leaf
+   */
+  bulkInsert(leaves) {
+    if (!this.initialized) {
+      throw new Error("Merkle tree not initialized");
     }
-    
-    // Update the root
-    this.root = currentHash;
-    console.log(`Inserted leaf at index ${index}, new root: ${this.root.toString()}`);
-    
-    return index;
+    return this.tree.bulkInsert(leaves);
+  }
+
+  /**
+   * Find the index of a leaf
+   * @param {string} leaf - Leaf value to look for
+   * @returns {number} - Index of the leaf, or -1 if it is not in the tree
+   */
+  indexOf(leaf) {
+    if (!this.initialized) {
+      throw new Error("Merkle tree not initialized");
+    }
+    return this.tree.indexOf(leaf);
+  }
+
+  /**
+   * Export the tree state, so it can be restored without rehashing every leaf
+   * @returns {Object} - The layers of the tree as decimal strings
+   */
+  serialize() {
+    return this.tree.serialize();
+  }
+
+  /**
+   * Restore a state produced by serialize
+   * @param {Object} state - The serialized tree
+   */
+  restore(state) {
+    if (!this.initialized) {
+      throw new Error("Merkle tree not initialized");
+    }
+    if (state.levels !== this.levels) {
+      throw new Error(`Cannot restore a tree of ${state.levels} levels into one of ${this.levels}`);
+    }
+    this.tree = LayeredMerkleTree.deserialize(state, this.hashFunction);
   }
 
   /**
@@ -217,124 +114,198 @@ export class MerkleTree {
       throw new Error("Merkle tree not initialized");
     }
     
-    if (index >= this.leaves.length) {
-      throw new Error(`Leaf index ${index} out of bounds`);
-    }
-    
-    // Use the implementation from test_complete_flow.js
-    const element = this.leaves[index];
-    const result = calculateMerkleRootAndPath(this.mimcHash, this.levels, this.leaves, element);
-    
+    const { pathElements, pathIndices, root, leaf } = this.tree.path(index);
     return {
-      root: result.root,
-      pathElements: result.pathElements,
-      pathIndices: result.pathIndices,
-      leaf: element.toString()
+      root: root.toString(),
+      pathElements: pathElements.map(element => element.toString()),
+      pathIndices,
+      leaf: leaf.toString()
     };
   }
 }
 
-// Global singleton instance
+// Global singleton instance, and the contract and chain it was synced from
 let treeInstance = null;
+let treeKey = null;
+let treeSyncedBlock = -1;
+
+// Blocks per eth_getLogs request; halved whenever the RPC rejects a range as too large
+const LOG_BLOCK_RANGE = Number(process.env.REACT_APP_LOG_BLOCK_RANGE) || 5000;
+
+// Bump when the persisted format changes, so old entries are ignored
+const PERSISTED_TREE_VERSION = 2;
+
+const treeStorageKey = (chainId, address) => `merkleTree:${chainId}:${address.toLowerCase()}`;
+
+/**
+ * Load the persisted tree for a contract, or null if there is none
+ */
+const loadPersistedTree = async (key) => {
+  try {
+    const persisted = JSON.parse(localStorage.getItem(key) || 'null');
+    if (!persisted || persisted.version !== PERSISTED_TREE_VERSION) {
+      return null;
+    }
+    const tree = new MerkleTree();
+    await tree.initialize();
+    tree.restore(persisted.tree);
+    console.log(`Restored ${tree.leaves.length} leaves synced up to block ${persisted.lastSyncedBlock}`);
+    return { tree, lastSyncedBlock: persisted.lastSyncedBlock };
+  } catch (error) {
+    console.warn("Ignoring unreadable persisted Merkle tree:", error);
+    return null;
+  }
+};
+
+const persistTree = (key, tree, lastSyncedBlock) => {
+  try {
+    localStorage.setItem(key, JSON.stringify({
+      version: PERSISTED_TREE_VERSION,
+      lastSyncedBlock,
+      tree: tree.serialize()
+    }));
+  } catch (error) {
+    // Storage quota exceeded: the tree still works, it is just rebuilt on the next load
+    console.warn("Could not persist the Merkle tree:", error);
+  }
+};
+
+/**
+ * Find the block the contract was deployed in, so a full sync does not scan from block 0
+ * Falls back to block 0 when the node cannot serve historical state
+ */
+const findDeploymentBlock = async (provider, address, latest) => {
+  try {
+    let low = 0;
+    let high = latest;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await provider.getCode(address, mid);
+      if (code && code !== '0x') {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    console.log(`Contract deployed in block ${low}`);
+    return low;
+  } catch (error) {
+    console.warn("Could not find the deployment block, syncing from block 0:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * Insert the Commit events of a block range into the tree, in chunks the RPC accepts
+ * @param {Object} contract - The voting contract instance
+ * @param {MerkleTree} tree - The tree to insert into
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ */
+const syncCommitEvents = async (contract, tree, fromBlock, toBlock) => {
+  let range = LOG_BLOCK_RANGE;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + range - 1, toBlock);
+
+    let events;
+    try {
+      events = await contract.queryFilter(contract.filters.Commit(), start, end);
+    } catch (error) {
+      if (range === 1) {
+        throw error;
+      }
+      // Most range limits are reported as errors, so retry with a smaller range
+      range = Math.max(1, Math.floor(range / 2));
+      console.warn(`Log query for blocks ${start}-${end} failed, retrying with ${range} blocks:`, error.message);
+      continue;
+    }
+
+    // Throws on a gap or a repeated index, i.e. when the persisted tree and the chain disagree
+    const commits = decodeCommitEvents(events, tree.leaves.length);
+    tree.bulkInsert(commits.map(commit => commit.commitment));
+
+    console.log(`Synced blocks ${start}-${end}: ${events.length} new leaves, ${tree.leaves.length} in total`);
+    start = end + 1;
+  }
+};
+
+/**
+ * Check the local root against the contract, accepting any root still in the contract's history
+ */
+const isRootValid = async (contract, tree) => {
+  const localRoot = toFieldString(tree.root.toString());
+  const lastRoot = toFieldString((await contract.getLastRoot()).toString());
+  if (localRoot === lastRoot) {
+    return true;
+  }
+  // The contract may already be a few commitments ahead of the block we synced to
+  return contract.isKnownRoot(toBytes32(localRoot));
+};
+
+/**
+ * Bring the tree for a contract up to date, from memory, localStorage or the chain
+ */
+const syncTree = async (contract, key, latest, fullResync) => {
+  let state = null;
+  if (!fullResync) {
+    state = treeInstance && treeKey === key
+      ? { tree: treeInstance, lastSyncedBlock: treeSyncedBlock }
+      : await loadPersistedTree(key);
+  }
+
+  if (!state) {
+    const tree = new MerkleTree();
+    await tree.initialize();
+    const deploymentBlock = await findDeploymentBlock(contract.runner.provider, contract.target, latest);
+    state = { tree, lastSyncedBlock: deploymentBlock - 1 };
+  }
+
+  await syncCommitEvents(contract, state.tree, state.lastSyncedBlock + 1, latest);
+  return state.tree;
+};
 
 /**
  * Initialize the Merkle tree with data from the contract
+ * Only Commit events after the last synced block are fetched; the leaves and the
+ * last synced block are persisted per chain and contract in localStorage
  * @param {Object} contract - The voting contract instance
  */
 export const initializeMerkleTree = async (contract) => {
   try {
-    // Always create a fresh tree instance to prevent stale tree issues
-    treeInstance = new MerkleTree();
-    await treeInstance.initialize();
-    
-    console.log("Retrieving contract data to rebuild Merkle tree...");
-    
+    const provider = contract.runner.provider;
+    const { chainId } = await provider.getNetwork();
+    const key = treeStorageKey(chainId.toString(), contract.target);
+    const latest = await provider.getBlockNumber();
+
+    // Get the contract's root for reference
+    const lastRoot = await contract.getLastRoot();
+    console.log("Contract root:", lastRoot.toString());
+    localStorage.setItem('contractRoot', toFieldString(lastRoot.toString()));
+
+    let tree;
     try {
-      // Get the contract's root for reference
-      const lastRoot = await contract.getLastRoot();
-      console.log("Contract root:", lastRoot.toString());
-      localStorage.setItem('contractRoot', formatForComparison(lastRoot.toString()));
-      
-      // IMPORTANT: Rebuild the entire tree from all Commit events
-      console.log("Fetching all Commit events to rebuild tree...");
-      
-      // Try to retrieve commitments from contract events - start from block 0
-      try {
-        // Get all events from block 0 to ensure we capture everything
-        const commitEvents = await contract.queryFilter(
-          contract.filters.Commit(),
-          0,
-          'latest'
-        );
-        
-        console.log(`Found ${commitEvents.length} commit events from the contract`);
-        
-        if (commitEvents.length > 0) {
-          // Clear any existing leaves and rebuild from scratch
-          treeInstance.leaves = [];
-          
-          // Sort events by leaf index to ensure correct tree construction
-          const sortedEvents = commitEvents.sort(
-            (a, b) => Number(a.args.leafIndex) - Number(b.args.leafIndex)
-          );
-          
-          // Add each commitment to our local tree in correct order
-          for (const event of sortedEvents) {
-            const commitment = formatForComparison(event.args.commitment);
-            const leafIndex = Number(event.args.leafIndex);
-            console.log(`Adding commitment ${commitment} at index ${leafIndex}`);
-            
-            // Insert the commitment
-            const insertedIndex = treeInstance.insert(commitment);
-            
-            // Check if this is the current user's commitment
-            const userSecret = JSON.parse(localStorage.getItem('voterSecrets') || '{}');
-            if (userSecret && userSecret.commitment && 
-                formatForComparison(userSecret.commitment) === formatForComparison(commitment)) {
-              console.log(`Found user's commitment at index ${insertedIndex}`);
-              localStorage.setItem('voterLeafIndex', insertedIndex.toString());
-            }
-          }
-          
-          // Detailed comparison for debugging
-          const calculatedRoot = formatForComparison(treeInstance.root.toString());
-          const contractRoot = formatForComparison(lastRoot.toString());
-          
-          console.log("===== ROOT COMPARISON =====");
-          console.log(`Calculated root: ${treeInstance.root.toString()}`);
-          console.log(`Contract root: ${lastRoot.toString()}`);
-          console.log(`Calculated (formatted): ${calculatedRoot}`);
-          console.log(`Contract (formatted): ${contractRoot}`);
-          
-          // Dump the entire leaf set for verification
-          console.log("===== LEAVES IN LOCAL TREE =====");
-          treeInstance.leaves.forEach((leaf, idx) => {
-            console.log(`Leaf ${idx}: ${leaf.toString()}`);
-          });
-          
-          // Get filled subtrees for debugging
-          console.log("===== FILLED SUBTREES =====");
-          treeInstance.filledSubTrees.forEach((subtree, idx) => {
-            console.log(`Subtree ${idx}: ${subtree.toString()}`);
-          });
-          
-          if (calculatedRoot !== contractRoot) {
-            console.warn("WARNING: Calculated root doesn't match contract root");
-            console.warn(`Calculated: ${calculatedRoot}`);
-            console.warn(`Contract: ${contractRoot}`);
-          } else {
-            console.log("SUCCESS: Rebuilt tree matches contract root!");
-          }
-        } else {
-          console.log("No commit events found, using empty tree");
-        }
-      } catch (eventsError) {
-        console.error("Error retrieving events:", eventsError);
+      tree = await syncTree(contract, key, latest, false);
+      if (!(await isRootValid(contract, tree))) {
+        throw new Error(`Local root ${tree.root.toString()} is not known to the contract`);
+      }
+    } catch (syncError) {
+      // The stored tree is stale or corrupt (or a reorg dropped blocks), so start over
+      console.warn("Incremental Merkle tree sync failed, resyncing from scratch:", syncError.message);
+      localStorage.removeItem(key);
+      tree = await syncTree(contract, key, latest, true);
+      if (!(await isRootValid(contract, tree))) {
+        console.warn("WARNING: Rebuilt tree root is not known to the contract");
       }
-    } catch (rootError) {
-      console.error("Error retrieving contract root:", rootError);
     }
-    
+
+    treeInstance = tree;
+    treeKey = key;
+    treeSyncedBlock = latest;
+    persistTree(key, tree, latest);
+    console.log(`Merkle tree synced to block ${latest} with ${tree.leaves.length} leaves, root ${tree.root.toString()}`);
+
     return treeInstance;
   } catch (error) {
     console.error("Error initializing Merkle tree:", error);
@@ -345,9 +316,10 @@ export const initializeMerkleTree = async (contract) => {
 /**
  * Generate a Merkle proof for a leaf index
  * @param {number} leafIndex - Index of the leaf
+ * @param {string} leaf - The voter's leaf, MiMC(commitment, weight), to check the index against
  * @returns {Object} - Merkle proof with path elements and indices
  */
-export const generateMerkleProof = async (leafIndex) => {
+export const generateMerkleProof = async (leafIndex, leaf) => {
   try {
     if (!treeInstance) {
       throw new Error("Merkle tree not initialized. Call initializeMerkleTree first.");
@@ -358,37 +330,32 @@ export const generateMerkleProof = async (leafIndex) => {
       throw new Error(`Invalid leaf index: ${leafIndex}, must be non-negative`);
     }
     
-    // Get the voter's commitment from localStorage
-    const voterSecrets = JSON.parse(localStorage.getItem('voterSecrets') || '{}');
-    let commitmentToFind = null;
-    
-    if (voterSecrets && voterSecrets.commitment) {
-      commitmentToFind = formatForComparison(voterSecrets.commitment);
-      console.log(`Looking for commitment ${commitmentToFind} in tree leaves...`);
+    const leafToFind = leaf ? toFieldString(leaf) : null;
+    if (leafToFind) {
+      console.log(`Looking for leaf ${leafToFind} in tree leaves...`);
     }
     
-    // Verify leaf index or try to find the commitment in the tree
+    // Verify leaf index or try to find the leaf in the tree
     if (leafIndex >= treeInstance.leaves.length || 
-        (commitmentToFind && 
-         formatForComparison(treeInstance.leaves[leafIndex].toString()) !== commitmentToFind)) {
-      console.warn(`Leaf index ${leafIndex} is invalid or doesn't match the voter's commitment.`);
+        (leafToFind && 
+         toFieldString(treeInstance.leaves[leafIndex].toString()) !== leafToFind)) {
+      console.warn(`Leaf index ${leafIndex} is invalid or doesn't match the voter's leaf.`);
       
-      // If we have a commitment, try to find it in the tree
-      if (commitmentToFind) {
-        // Look for the commitment in the tree
+      // If we have the leaf, try to find it in the tree
+      if (leafToFind) {
         const foundIndex = treeInstance.leaves.findIndex(
-          leaf => formatForComparison(leaf.toString()) === commitmentToFind
+          treeLeaf => toFieldString(treeLeaf.toString()) === leafToFind
         );
         
         if (foundIndex !== -1) {
-          console.log(`Found commitment at index ${foundIndex}, using this instead of ${leafIndex}`);
+          console.log(`Found leaf at index ${foundIndex}, using this instead of ${leafIndex}`);
           leafIndex = foundIndex;
           localStorage.setItem('voterLeafIndex', foundIndex.toString());
         } else {
-          throw new Error(`Commitment ${commitmentToFind} not found in the Merkle tree`);
+          throw new Error(`Leaf ${leafToFind} not found in the Merkle tree`);
         }
       } else {
-        throw new Error(`Leaf index ${leafIndex} out of bounds and no commitment found in localStorage`);
+        throw new Error(`Leaf index ${leafIndex} out of bounds and no leaf given to look for`);
       }
     }
     
@@ -425,12 +392,12 @@ export const registerCommitment = async (commitment) => {
     }
     
     // Format the commitment consistently
-    const formattedCommitment = formatForComparison(commitment);
+    const formattedCommitment = toFieldString(commitment);
     console.log(`Registering commitment: ${formattedCommitment}`);
     
     // Check if this commitment is already in the tree
     const existingIndex = treeInstance.leaves.findIndex(
-      leaf => formatForComparison(leaf.toString()) === formattedCommitment
+      leaf => toFieldString(leaf.toString()) === formattedCommitment
     );
     
     if (existingIndex !== -1) {
@@ -0,0 +1,147 @@
+import QRCode from 'qrcode';
+import { keccak256, toBeHex, getBytes, concat } from 'ethers';
+
+// Version byte at the start of every encoded credential
+const CREDENTIAL_VERSION = 1;
+
+// Crockford base32: no I, L, O or U, so credentials survive being read aloud and retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ALIASES = { O: '0', I: '1', L: '1' };
+
+// Characters per group in the printed credential
+const GROUP_SIZE = 5;
+
+const encodeBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const decodeBase32 = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text) {
+    const index = ALPHABET.indexOf(ALIASES[char] || char);
+    if (index === -1) {
+      throw new Error(`Invalid character "${char}" in credential`);
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+// The first two bytes of the keccak256 hash catch typos when the credential is typed in
+const checksum = (payload) => getBytes(keccak256(payload)).slice(0, 2);
+
+/**
+ * Encode a nullifier and secret as a credential that can be printed, typed or put in a QR code
+ * @param {string} nullifier - The voter's nullifier
+ * @param {string} secret - The voter's secret
+ * @returns {string} The credential, in dash-separated groups
+ */
+export const encodeCredential = (nullifier, secret) => {
+  const payload = concat([
+    new Uint8Array([CREDENTIAL_VERSION]),
+    toBeHex(BigInt(nullifier), 32),
+    toBeHex(BigInt(secret), 32)
+  ]);
+  const encoded = encodeBase32(getBytes(concat([payload, checksum(payload)])));
+  return encoded.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')).join('-');
+};
+
+/**
+ * Decode a typed or scanned credential
+ * @param {string} text - The credential, with or without dashes and spaces
+ * @returns {Object} The nullifier and secret of the credential
+ */
+export const decodeCredential = (text) => {
+  const normalized = text.toUpperCase().replace(/[\s-]/g, '');
+  const bytes = decodeBase32(normalized);
+
+  // version + nullifier + secret + checksum
+  if (bytes.length < 67) {
+    throw new Error('Credential is too short');
+  }
+
+  const payload = bytes.slice(0, 65);
+  const expected = checksum(payload);
+  if (bytes[65] !== expected[0] || bytes[66] !== expected[1]) {
+    throw new Error('Credential checksum does not match, check for typos');
+  }
+  if (payload[0] !== CREDENTIAL_VERSION) {
+    throw new Error('Unsupported credential version');
+  }
+
+  const toDecimal = (slice) => BigInt('0x' + Array.from(slice, b => b.toString(16).padStart(2, '0')).join('')).toString();
+  return {
+    nullifier: toDecimal(payload.slice(1, 33)),
+    secret: toDecimal(payload.slice(33, 65))
+  };
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a printable HTML document with one sealed-envelope sheet per credential
+ * @param {Array<string>} credentials - Encoded credentials
+ * @param {Object} election - Details printed on every sheet
+ * @param {string} election.title - Name of the election
+ * @param {string} election.contractAddress - Address of the ZKVotingSystem contract
+ * @param {string} election.chainId - Chain the contract is deployed on
+ * @returns {Promise<string>} The HTML document
+ */
+export const buildCredentialSheets = async (credentials, { title, contractAddress, chainId }) => {
+  const sheets = [];
+  for (let i = 0; i < credentials.length; i++) {
+    const qrCode = await QRCode.toDataURL(credentials[i], { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+    sheets.push(`
+    <section class="sheet">
+      <h1>${escapeHtml(title)}</h1>
+      <p class="meta">Contract ${escapeHtml(contractAddress)} on chain ${escapeHtml(chainId)} &middot; Credential ${i + 1} of ${credentials.length}</p>
+      <img src="${qrCode}" alt="Voting credential QR code" />
+      <p class="credential">${escapeHtml(credentials[i])}</p>
+      <p>Scan the QR code or type the credential into the voting page to cast your vote.</p>
+      <p><strong>Keep this sheet sealed and private. Anyone holding it can vote in your place.</strong></p>
+    </section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)} - Voting Credentials</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    .sheet { page-break-after: always; padding: 2cm; text-align: center; }
+    .meta { color: #555; font-size: 0.8rem; word-break: break-all; }
+    .credential { font-family: monospace; font-size: 1.1rem; word-break: break-all; letter-spacing: 0.05em; }
+  </style>
+</head>
+<body>${sheets.join('')}
+</body>
+</html>`;
+};
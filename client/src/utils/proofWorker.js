@@ -0,0 +1,64 @@
+// Web Worker that calculates the witness and the Groth16 proof off the main thread
+//
+// Messages from the page:
+//   { type: 'prove', input, wasm, zkey }       wasm and zkey are absolute URLs or file contents
+// Messages to the page:
+//   { type: 'stage', stage, elapsed }           stage is 'loading', 'witness' or 'proving'
+//   { type: 'result', proof, publicSignals, timings, elapsed }
+//   { type: 'error', message, stage, elapsed }  stage is the one that failed
+//
+// Cancelling is done by the page terminating the worker: the witness
+// calculator and the prover run in WebAssembly and cannot be interrupted.
+import { Buffer } from 'buffer';
+
+// The worker's global scope
+const ctx = globalThis;
+
+// snarkjs expects these Node.js globals, as set up for the page in setupPolyfills.js
+ctx.Buffer = ctx.Buffer || Buffer;
+ctx.process = ctx.process || { env: {}, browser: true, version: '' };
+
+ctx.onmessage = async (event) => {
+  const { type, input, wasm, zkey } = event.data;
+  if (type !== 'prove') return;
+
+  const start = performance.now();
+  const timings = {};
+  let stageStart = start;
+  let currentStage = null;
+
+  const enterStage = (stage) => {
+    const now = performance.now();
+    if (currentStage) {
+      timings[currentStage] = Math.round(now - stageStart);
+    }
+    currentStage = stage;
+    stageStart = now;
+    if (stage) {
+      ctx.postMessage({ type: 'stage', stage, elapsed: Math.round(now - start) });
+    }
+  };
+
+  try {
+    enterStage('loading');
+    const snarkjs = await import('snarkjs');
+
+    enterStage('witness');
+    const witness = { type: 'mem' };
+    await snarkjs.wtns.calculate(input, wasm, witness);
+
+    enterStage('proving');
+    const { proof, publicSignals } = await snarkjs.groth16.prove(zkey, witness);
+
+    // Record the time of the last stage
+    enterStage(null);
+    ctx.postMessage({ type: 'result', proof, publicSignals, timings, elapsed: Math.round(performance.now() - start) });
+  } catch (error) {
+    ctx.postMessage({
+      type: 'error',
+      message: error.message || String(error),
+      stage: currentStage,
+      elapsed: Math.round(performance.now() - start)
+    });
+  }
+};
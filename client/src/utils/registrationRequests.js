@@ -0,0 +1,96 @@
+import { getAddress, verifyMessage } from 'ethers';
+
+// Version of the signed registration request file format
+const REQUEST_VERSION = 1;
+
+/**
+ * Build the message a voter signs to request registration off-chain
+ * @param {string} contractAddress - Address of the ZKVotingSystem contract
+ * @param {string|number} chainId - Chain the contract is deployed on
+ * @param {string} commitment - The voter's commitment
+ * @returns {string} The message to sign
+ */
+export const buildRegistrationMessage = (contractAddress, chainId, commitment) => (
+  'ZK Voting registration request\n' +
+  `Contract: ${getAddress(contractAddress)}\n` +
+  `Chain ID: ${chainId.toString()}\n` +
+  `Commitment: ${commitment.toString()}`
+);
+
+/**
+ * Create a registration request signed by the voter's wallet, to be handed to the admin
+ * @param {Object} signer - The voter's ethers signer
+ * @param {string} contractAddress - Address of the ZKVotingSystem contract
+ * @param {string|number} chainId - Chain the contract is deployed on
+ * @param {string} commitment - The voter's commitment
+ * @returns {Promise<Object>} The signed request
+ */
+export const createSignedRegistrationRequest = async (signer, contractAddress, chainId, commitment) => {
+  const message = buildRegistrationMessage(contractAddress, chainId, commitment);
+  const signature = await signer.signMessage(message);
+
+  return {
+    version: REQUEST_VERSION,
+    voterAddress: await signer.getAddress(),
+    contract: getAddress(contractAddress),
+    chainId: chainId.toString(),
+    commitment: commitment.toString(),
+    signature
+  };
+};
+
+/**
+ * Check that a signed registration request is for this election and was signed by the voter it names
+ * @param {Object} request - The parsed request file
+ * @param {string} contractAddress - Address of the ZKVotingSystem contract
+ * @param {string|number} chainId - Chain the contract is deployed on
+ * @returns {Object} The voter address and commitment of the request
+ */
+export const verifySignedRegistrationRequest = (request, contractAddress, chainId) => {
+  if (!request || request.version !== REQUEST_VERSION) {
+    throw new Error('Unsupported registration request format');
+  }
+
+  if (!request.voterAddress || !request.commitment || !request.signature) {
+    throw new Error('Registration request is missing fields');
+  }
+
+  if (getAddress(request.contract) !== getAddress(contractAddress) || request.chainId !== chainId.toString()) {
+    throw new Error('Registration request was made for a different election');
+  }
+
+  const message = buildRegistrationMessage(contractAddress, chainId, request.commitment);
+  const signer = verifyMessage(message, request.signature);
+  if (signer !== getAddress(request.voterAddress)) {
+    throw new Error('Registration request signature does not match the voter address');
+  }
+
+  return {
+    voterAddress: signer,
+    commitment: BigInt(request.commitment).toString()
+  };
+};
+
+/**
+ * Shuffle an array with a Fisher-Yates shuffle driven by the browser's CSPRNG,
+ * so the order of the result reveals nothing about the input order
+ * @param {Array} items - The items to shuffle
+ * @returns {Array} A shuffled copy of the items
+ */
+export const shuffleSecurely = (items) => {
+  const shuffled = [...items];
+  const randomValue = new Uint32Array(1);
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    // Rejection sampling avoids the modulo bias of a plain random % (i + 1)
+    const limit = Math.floor(0x100000000 / (i + 1)) * (i + 1);
+    do {
+      window.crypto.getRandomValues(randomValue);
+    } while (randomValue[0] >= limit);
+
+    const j = randomValue[0] % (i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
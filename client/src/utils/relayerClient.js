@@ -0,0 +1,51 @@
+// Client for the vote relayer service (see relayer/server.js)
+
+// URL of the relayer, configurable at build time
+export const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || 'http://localhost:8000';
+
+/**
+ * Parse a relayer response, turning error payloads into exceptions
+ * @param {Response} response - The fetch response
+ * @returns {Promise<Object>} The parsed JSON body
+ */
+const parseRelayerResponse = async (response) => {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Fall through with an empty body so the status is still reported
+  }
+
+  if (!response.ok) {
+    throw new Error(body.error || `Relayer responded with status ${response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Get the relayer's address, its fee and the election it submits votes to
+ * @param {string} relayerUrl - Base URL of the relayer
+ * @returns {Promise<Object>} The relayer status
+ */
+export const getRelayerStatus = async (relayerUrl = RELAYER_URL) => {
+  const response = await fetch(`${relayerUrl}/status`);
+  return parseRelayerResponse(response);
+};
+
+/**
+ * Submit a vote through the relayer so it is not sent from the voter's wallet
+ * @param {Object} proof - The raw snarkjs proof
+ * @param {Array<string>} publicSignals - The public signals of the proof
+ * @param {Array<number>|null} ballot - The ballot the proof's signal is the hash of, or null for a single-choice vote
+ * @param {string} relayerUrl - Base URL of the relayer
+ * @returns {Promise<Object>} The transaction hash and block number of the relayed vote
+ */
+export const submitVoteViaRelayer = async (proof, publicSignals, ballot = null, relayerUrl = RELAYER_URL) => {
+  const response = await fetch(`${relayerUrl}/vote`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(ballot ? { proof, publicSignals, ballot } : { proof, publicSignals })
+  });
+  return parseRelayerResponse(response);
+};
@@ -0,0 +1,10 @@
+// Passphrase-based encryption of voter secrets (PBKDF2 + AES-GCM via WebCrypto)
+//
+// The envelope format is documented in the SDK's secretFile.js, which the voter
+// command-line tool uses as well, so secret files work in both.
+export {
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptedEnvelope,
+  encryptVoterSecrets,
+  decryptVoterSecrets
+} from 'zk-voting-sdk';
@@ -0,0 +1,52 @@
+import { Mnemonic, keccak256, concat, toUtf8Bytes } from 'ethers';
+import { FIELD_SIZE } from 'zk-voting-sdk';
+
+// 32 bytes of entropy give a 24-word BIP-39 phrase
+const ENTROPY_LENGTH = 32;
+
+// Domain tags so the nullifier and secret are independent values derived from the same entropy
+const NULLIFIER_TAG = toUtf8Bytes('zk-voting/nullifier');
+const SECRET_TAG = toUtf8Bytes('zk-voting/secret');
+
+/**
+ * Hash a domain tag and seed bytes into an element of the circuit's field
+ * @param {Uint8Array} tag - Domain separation tag
+ * @param {Uint8Array|string} seed - Seed bytes or hex string
+ * @returns {string} The field element as a decimal string
+ */
+export const deriveFieldElement = (tag, seed) => (BigInt(keccak256(concat([tag, seed]))) % FIELD_SIZE).toString();
+
+/**
+ * Normalize a typed phrase: lower case, single spaces, no surrounding whitespace
+ * @param {string} phrase - The phrase as entered by the voter
+ * @returns {string} The normalized phrase
+ */
+export const normalizeMnemonic = (phrase) => phrase.trim().toLowerCase().split(/\s+/).join(' ');
+
+/**
+ * Generate a new 24-word BIP-39 phrase from the browser's CSPRNG
+ * @returns {string} The phrase
+ */
+export const generateSecretMnemonic = () => {
+  const entropy = window.crypto.getRandomValues(new Uint8Array(ENTROPY_LENGTH));
+  return Mnemonic.fromEntropy(entropy).phrase;
+};
+
+/**
+ * Derive the voter's nullifier and secret from a phrase
+ * @param {string} phrase - A BIP-39 phrase, as generated by generateSecretMnemonic
+ * @returns {Object} The nullifier and secret as decimal strings
+ */
+export const deriveSecretsFromMnemonic = (phrase) => {
+  const normalized = normalizeMnemonic(phrase);
+  // The last word carries a checksum, so most typos are caught here
+  if (!Mnemonic.isValidMnemonic(normalized)) {
+    throw new Error('Invalid recovery phrase, check the words and their order');
+  }
+
+  const entropy = Mnemonic.fromPhrase(normalized).entropy;
+  return {
+    nullifier: deriveFieldElement(NULLIFIER_TAG, entropy),
+    secret: deriveFieldElement(SECRET_TAG, entropy)
+  };
+};
@@ -76,16 +76,83 @@ export function formatHexValue(value) {
   }
 }
 
+// Stages reported while a proof is generated, in order
+export const PROOF_STAGES = ['loading', 'witness', 'proving'];
+
+/**
+ * Generate the proof in a Web Worker so the page stays responsive
+ * @param {Object} input - The processed input for the proof
+ * @param {string|Uint8Array} wasmPath - Path to the wasm file, or its contents
+ * @param {string|Uint8Array} zkeyPath - Path to the zkey file, or its contents
+ * @param {Function} onProgress - Called with ({ stage, elapsed }) when the worker enters a stage
+ * @param {AbortSignal} signal - Aborting it terminates the worker
+ * @returns {Promise<Object>} - The proof, public signals and stage timings
+ */
+function proveInWorker(input, wasmPath, zkeyPath, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Proof generation cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./proofWorker.js', import.meta.url));
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const onAbort = () => {
+      finish();
+      reject(new DOMException('Proof generation cancelled', 'AbortError'));
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    worker.onmessage = (event) => {
+      const { type, stage, elapsed } = event.data;
+      if (type === 'stage') {
+        onProgress({ stage, elapsed });
+      } else if (type === 'result') {
+        finish();
+        console.log(`Proof generated in ${elapsed} ms`, event.data.timings);
+        resolve(event.data);
+      } else if (type === 'error') {
+        finish();
+        reject(new Error(`Proof generation failed during ${stage}: ${event.data.message}`));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(`Proof worker error: ${event.message}`));
+    };
+
+    // The worker resolves URLs against its own script, so send absolute ones;
+    // artifact contents are transferred rather than copied
+    const toSource = (source) => (typeof source === 'string' ? new URL(source, window.location.href).href : source);
+    const transfer = [wasmPath, zkeyPath].filter(source => typeof source !== 'string').map(source => source.buffer);
+    worker.postMessage({ type: 'prove', input, wasm: toSource(wasmPath), zkey: toSource(zkeyPath) }, transfer);
+  });
+}
+
 /**
  * Wrapper for snarkjs groth16.fullProve
  * @param {Object} input - The input for the proof
- * @param {string} wasmPath - Path to the wasm file
- * @param {string} zkeyPath - Path to the zkey file
+ * @param {string|Uint8Array} wasmPath - Path to the wasm file, or its contents
+ * @param {string|Uint8Array} zkeyPath - Path to the zkey file, or its contents
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with ({ stage, elapsed }) as proving advances
+ * @param {AbortSignal} options.signal - Signal to cancel proof generation
  * @returns {Promise<Object>} - The proof and public signals
  */
-export async function fullProve(input, wasmPath, zkeyPath) {
+export async function fullProve(input, wasmPath, zkeyPath, { onProgress = () => {}, signal } = {}) {
+  // Browsers without Web Workers prove on the main thread
+  const useWorker = typeof Worker !== 'undefined';
+
   // Make sure snarkjs is loaded
-  if (!snarkjsModule) {
+  if (!useWorker && !snarkjsModule) {
     try {
       console.log('Loading snarkjs before generating proof...');
       snarkjsModule = await loadSnarkjs();
@@ -102,10 +169,10 @@ export async function fullProve(input, wasmPath, zkeyPath) {
     }
     
     console.log('Generating proof with input:', input);
-    console.log('Using wasm path:', wasmPath);
-    console.log('Using zkey path:', zkeyPath);
+    console.log('Using wasm:', typeof wasmPath === 'string' ? wasmPath : `${wasmPath.length} bytes`);
+    console.log('Using zkey:', typeof zkeyPath === 'string' ? zkeyPath : `${zkeyPath.length} bytes`);
     
-    if (!snarkjsModule.groth16) {
+    if (!useWorker && !snarkjsModule.groth16) {
       throw new Error('snarkjs.groth16 is not available, module not properly loaded');
     }
     
@@ -147,6 +214,12 @@ export async function fullProve(input, wasmPath, zkeyPath) {
     
     console.log('Processed input for proof generation:', processedInput);
     
+    if (useWorker) {
+      const { proof, publicSignals } = await proveInWorker(processedInput, wasmPath, zkeyPath, onProgress, signal);
+      return { proof, publicSignals };
+    }
+
+    onProgress({ stage: 'proving', elapsed: 0 });
     const result = await snarkjsModule.groth16.fullProve(processedInput, wasmPath, zkeyPath);
     console.log('Proof generated successfully');
     return result;
@@ -0,0 +1,56 @@
+import { isAddress, getAddress, keccak256, toUtf8Bytes } from 'ethers';
+import { parseVoterFile, validateVoterRows as validateRows } from 'zk-voting-sdk';
+
+/**
+ * Hash a voter's unique ID (e.g. a student number) into the uniqueHash stored by the contract
+ * @param {string} uniqueId - The voter's unique ID
+ * @returns {BigInt} The unique hash
+ */
+export const hashUniqueId = (uniqueId) => BigInt(keccak256(toUtf8Bytes(uniqueId)));
+
+// The file format is shared with the admin CLI, so parsing lives in the SDK
+export { parseVoterFile };
+
+/**
+ * Validate parsed rows and flag duplicates within the file
+ * @param {Array<Object>} rows - Rows returned by parseVoterFile
+ * @returns {Array<Object>} The rows with normalized values and an `error` for invalid ones
+ */
+export const validateVoterRows = (rows) => validateRows(rows, { isAddress, getAddress, hashUniqueId });
+
+/**
+ * Check valid rows against the contract, flagging voters that cannot be registered anymore
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @param {Array<Object>} rows - Rows returned by validateVoterRows
+ * @returns {Promise<Array<Object>>} The rows with an `error` for those the contract would reject
+ */
+export const checkRowsOnChain = async (contract, rows) => {
+  const checked = [];
+  for (const row of rows) {
+    if (row.error) {
+      checked.push(row);
+      continue;
+    }
+
+    // The tree holds weighted leaves, so registered commitments are found by their weight
+    const [voter, uniqueHashUsed, registeredWeight, pendingCommitment] = await Promise.all([
+      contract.voters(row.address),
+      contract.uniqueHashes(row.uniqueHash),
+      contract.commitmentWeights(row.commitment),
+      contract.pendingCommitments(row.address)
+    ]);
+
+    let error = null;
+    if (voter.registered) {
+      error = 'Address is already registered';
+    } else if (uniqueHashUsed) {
+      error = 'Unique ID is already registered';
+    } else if (registeredWeight !== 0n) {
+      error = 'Commitment is already in the tree';
+    } else if (pendingCommitment !== 0n && pendingCommitment.toString() !== row.commitment) {
+      error = 'Address has a pending request with a different commitment';
+    }
+    checked.push({ ...row, error });
+  }
+  return checked;
+};
@@ -0,0 +1,64 @@
+import { Signature, toUtf8Bytes } from 'ethers';
+import { computeCommitment, getExternalNullifier } from './zkProofs';
+import { deriveFieldElement } from './secretMnemonic';
+
+// Domain tags, distinct from the recovery phrase tags
+const NULLIFIER_TAG = toUtf8Bytes('zk-voting/wallet-nullifier');
+const SECRET_TAG = toUtf8Bytes('zk-voting/wallet-secret');
+
+/**
+ * Build the message a wallet signs to derive its voting secret for one election
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @returns {Promise<string>} The message, fixed for the contract, chain and election
+ */
+export const buildSecretDerivationMessage = async (contract) => {
+  const { chainId } = await contract.runner.provider.getNetwork();
+  const electionId = await getExternalNullifier(contract);
+
+  return [
+    'ZK Voting - derive my voting secret',
+    '',
+    'Signing this message creates the private secret for your vote.',
+    'Only sign it on the voting page of this election and never share the signature.',
+    '',
+    `Contract: ${contract.target.toLowerCase()}`,
+    `Chain ID: ${chainId.toString()}`,
+    `Election ID: ${electionId}`
+  ].join('\n');
+};
+
+/**
+ * Derive the nullifier and secret from an EIP-191 signature of the derivation message
+ * @param {string} signature - The signature as a hex string
+ * @returns {Object} The nullifier and secret as decimal strings
+ */
+export const deriveSecretsFromSignature = (signature) => {
+  // Wallets encode v as 27/28 or 0/1; serialize it one way so the same signature always gives the same secret
+  const { serialized } = Signature.from(signature);
+  return {
+    nullifier: deriveFieldElement(NULLIFIER_TAG, serialized),
+    secret: deriveFieldElement(SECRET_TAG, serialized)
+  };
+};
+
+/**
+ * Derive a voter's secret and commitment from the connected wallet
+ * @param {Object} contract - The ZKVotingSystem contract instance, connected to the deriving wallet
+ * @param {Object} options - Options
+ * @param {boolean} options.checkDeterministic - Sign twice and fail if the signatures differ (default: false)
+ * @returns {Promise<Object>} The nullifier, secret, commitment and the deriving wallet's address
+ */
+export const deriveWalletCommitment = async (contract, { checkDeterministic = false } = {}) => {
+  const signer = contract.runner;
+  const message = await buildSecretDerivationMessage(contract);
+  const signature = await signer.signMessage(message);
+
+  // A wallet with randomized signatures could never regenerate the same commitment
+  if (checkDeterministic && (await signer.signMessage(message)) !== signature) {
+    throw new Error('This wallet does not produce repeatable signatures and cannot be used to derive a voting secret');
+  }
+
+  const { nullifier, secret } = deriveSecretsFromSignature(signature);
+  const commitment = await computeCommitment(nullifier, secret);
+  return { nullifier, secret, commitment, address: await signer.getAddress() };
+};
@@ -0,0 +1,14 @@
+import { Wallet } from 'ethers';
+import { deriveSecretsFromSignature } from './walletSecrets';
+
+// The proof helpers load the prover's web worker, which jest cannot; deriving secrets does not use them
+jest.mock('./zkProofs', () => ({}));
+
+test('signatures that differ only in the encoding of v derive the same secrets', async () => {
+  const signature = await new Wallet(`0x${'11'.repeat(32)}`).signMessage('ZK Voting - derive my voting secret');
+  const v = parseInt(signature.slice(-2), 16);
+  expect([27, 28]).toContain(v);
+  const withZeroOneV = signature.slice(0, -2) + (v - 27).toString(16).padStart(2, '0');
+
+  expect(deriveSecretsFromSignature(withZeroOneV)).toEqual(deriveSecretsFromSignature(signature));
+});
@@ -1,118 +1,110 @@
 // Use our custom snarkjs wrapper instead of direct import
 import { fullProve } from './snarkjsHelper';
-import { getMimc as getWrappedMimc, safeCircomlib } from './circyomWrapper';
+import {
+  computeCommitment as computeCommitmentWith,
+  computeLeaf as computeLeafWith,
+  computeNullifierHash,
+  buildProofInput,
+  formatProofForContract,
+  parsePublicSignals,
+  toFieldString,
+  ZERO_ADDRESS
+} from 'zk-voting-sdk';
+import { getHasher, safeCircomlib } from './circyomWrapper';
+import { encryptVoterSecrets } from './secretEncryption';
+import { generateSecretMnemonic, deriveSecretsFromMnemonic } from './secretMnemonic';
+import { getCircuitArtifacts } from './circuitArtifacts';
 
-// Get the MiMC hasher using our wrapper
-const getMimc = async () => {
+/**
+ * Generate a commitment for registration from a new recovery phrase
+ * @returns {Object} Object with commitment, related values and the recovery phrase
+ */
+export const generateCommitment = async () => {
   try {
-    return await getWrappedMimc();
+    // The nullifier and secret are derived from the phrase, so writing it down is a full backup
+    const mnemonic = generateSecretMnemonic();
+    const voterData = await commitmentFromMnemonic(mnemonic);
+    
+    console.log('Generated commitment:', voterData.commitment);
+  
+    // The nullifier hash depends on the election, so it is derived
+    // with calculateNullifierHash when voting rather than stored here
+    return { ...voterData, mnemonic };
   } catch (error) {
-    console.error('Error getting MiMC hasher:', error);
+    console.error('Error generating commitment:', error);
     throw error;
   }
 };
 
 /**
- * Helper function to convert hex to BigInt
+ * Recompute the commitment of a known nullifier and secret
+ * @param {string} nullifier - The voter's nullifier
+ * @param {string} secret - The voter's secret
+ * @returns {string} The commitment registered in the Merkle tree
  */
-const hexToBigInt = (hexStr) => {
-  if (hexStr.startsWith('0x')) {
-    return BigInt(hexStr);
-  }
-  return BigInt('0x' + hexStr);
+export const computeCommitment = async (nullifier, secret) => {
+  const hash = await safeCircomlib(getHasher);
+  return computeCommitmentWith(hash, nullifier, secret);
 };
 
 /**
- * Helper to ensure consistent format for comparison
+ * Compute the Merkle tree leaf of a registered commitment, which binds the voter's weight
+ * @param {string} commitment - The voter's commitment
+ * @param {string} weight - The voter's weight
+ * @returns {string} MiMC(commitment, weight), as inserted by the contract
  */
-const formatForComparison = (value) => {
-  if (typeof value === 'string' && value.startsWith('0x')) {
-    return hexToBigInt(value).toString();
-  }
-  return BigInt(value).toString();
+export const computeLeaf = async (commitment, weight) => {
+  const hash = await safeCircomlib(getHasher);
+  return computeLeafWith(hash, commitment, weight);
 };
 
 /**
- * Generate a random field element
- * @returns {BigInt} Random field element
+ * Get the weight the admin registered with a commitment
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @param {string} commitment - The voter's commitment
+ * @returns {string} The weight as a decimal string, '0' if the commitment is not registered
  */
-export const generateRandomFieldElement = () => {
-  const max = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
-  const randomBytes = new Uint8Array(32);
-  window.crypto.getRandomValues(randomBytes);
-  let randomBigInt = BigInt(0);
-  for (let i = 0; i < randomBytes.length; i++) {
-    randomBigInt = (randomBigInt << BigInt(8)) | BigInt(randomBytes[i]);
-  }
-  return randomBigInt % max;
+export const getVoterWeight = async (contract, commitment) => {
+  const weight = await contract.commitmentWeights(commitment);
+  return weight.toString();
 };
 
 /**
- * Calculate hash using MiMC hash method (two-step approach)
- * This matches how the contract calculates hashes
+ * Rebuild a voter's nullifier, secret and commitment from their recovery phrase
+ * @param {string} phrase - The voter's recovery phrase
+ * @returns {Object} The nullifier, secret and commitment
  */
-const calculateHash = async (mimc, left, right) => {
-  try {
-    // Make sure we're using BigInts
-    const leftBigInt = BigInt(left.toString());
-    const rightBigInt = BigInt(right.toString());
-    
-    // Convert inputs to field elements
-    let R = mimc.F.e(leftBigInt);
-    let C = mimc.F.e(0);
-    
-    // First MiMCSponge - exact same pattern as in the backend
-    const result1 = mimc.hash(R, C, 0);
-    R = result1.xL;
-    C = result1.xR;
-    
-    // Add right input to the result
-    R = mimc.F.add(R, mimc.F.e(rightBigInt));
-    
-    // Second MiMCSponge hash
-    const result2 = mimc.hash(R, C, 0);
-    
-    // Return the result as a BigInt
-    return mimc.F.toObject(result2.xL);
-  } catch (error) {
-    console.error("Error in calculateHash:", error);
-    throw error;
-  }
+export const commitmentFromMnemonic = async (phrase) => {
+  const { nullifier, secret } = deriveSecretsFromMnemonic(phrase);
+  const commitment = await computeCommitment(nullifier, secret);
+  return { nullifier, secret, commitment };
 };
 
 /**
- * Generate a commitment and nullifier hash for registration
- * @returns {Object} Object with commitment and related values
+ * Calculate the election-scoped nullifier hash, matching CommitmentHasher.circom
+ * @param {string} nullifier - The voter's nullifier
+ * @param {string} externalNullifier - The election ID of the contract
+ * @returns {string} The nullifier hash that will be revealed when voting
  */
-export const generateCommitment = async () => {
-  try {
-    const mimc = await getMimc();
-    
-    // Generate random values for nullifier and secret
-    const nullifier = generateRandomFieldElement();
-    const secret = generateRandomFieldElement();
-    
-    // Use the two-step hash approach
-    const commitment = await safeCircomlib(async () => calculateHash(mimc, nullifier, secret));
-    const nullifierHash = await safeCircomlib(async () => calculateHash(mimc, nullifier, BigInt(0)));
-    
-    // Ensure all values are properly converted to strings
-    const commitmentStr = commitment.toString();
-    const nullifierHashStr = nullifierHash.toString();
-    
-    console.log('Generated commitment:', commitmentStr);
-    console.log('Generated nullifier hash:', nullifierHashStr);
-  
-    return {
-      nullifier: nullifier.toString(),
-      secret: secret.toString(),
-      commitment: commitmentStr,
-      nullifierHash: nullifierHashStr
-    };
-  } catch (error) {
-    console.error('Error generating commitment:', error);
-    throw error;
-  }
+export const calculateNullifierHash = async (nullifier, externalNullifier) => {
+  const hash = await safeCircomlib(getHasher);
+  return computeNullifierHash(hash, nullifier, externalNullifier);
+};
+
+/**
+ * Get the external nullifier (election ID) of the connected election
+ * @param {Object} contract - The ZKVotingSystem contract instance
+ * @returns {string} The election ID as a decimal string
+ */
+export const getExternalNullifier = async (contract) => {
+  const electionId = await contract.electionId();
+  return electionId.toString();
+};
+
+// Address and fee used when the voter submits the vote transaction themselves
+export const NO_RELAYER = {
+  relayer: ZERO_ADDRESS,
+  fee: '0'
 };
 
 /**
@@ -120,9 +112,19 @@ export const generateCommitment = async () => {
  * @param {string} nullifier - The nullifier value
  * @param {string} secret - The secret value
  * @param {Object} merkleProof - The Merkle proof
+ * @param {Object} publicInputs - The public inputs the proof is bound to
+ * @param {string|number} publicInputs.signalHash - The signal (the candidate ID, or what encodes the ballot)
+ * @param {string} publicInputs.externalNullifier - The election ID the nullifier hash is scoped to
+ * @param {string} publicInputs.relayer - Address of the relayer that may submit the vote
+ * @param {string} publicInputs.fee - Fee in wei the relayer receives from the gas pool
+ * @param {string} publicInputs.weight - The voter's weight, hashed into their leaf
+ * @param {string} publicInputs.creditBudget - Credits per unit of weight of a credit ballot (omitted otherwise)
+ * @param {boolean} publicInputs.quadratic - Whether the credit ballot is quadratic
+ * @param {Array<number>} publicInputs.allocations - Votes for each candidate of a credit ballot, candidate 1 first
+ * @param {Object} proofOptions - Progress callback and abort signal, passed on to fullProve
  * @returns {Object} The proof and public signals
  */
-export const calculateMerkleRootAndZKProof = async (nullifier, secret, merkleProof) => {
+export const calculateMerkleRootAndZKProof = async (nullifier, secret, merkleProof, publicInputs, proofOptions) => {
   try {
     // Ensure merkleProof.root is available
     if (!merkleProof || !merkleProof.root) {
@@ -131,49 +133,36 @@ export const calculateMerkleRootAndZKProof = async (nullifier, secret, merklePro
     
     console.log("Using root for proof:", merkleProof.root);
     
-    // Create the input for the proof
-    const input = {
-      nullifier: nullifier,
-      secret: secret,
-      pathElements: merkleProof.pathElements || [],
-      pathIndices: merkleProof.pathIndices || []
-    };
+    // Create the input for the proof; the signal, election, relayer, fee and weight are
+    // public inputs, so the proof is only valid for these exact values
+    const input = buildProofInput({ nullifier, secret, merkleProof, ...publicInputs });
     
     console.log("Proof input:", input);
 
+    // Only prove with artifacts that match the manifest bundled with the app
+    const { wasm, zkey } = await getCircuitArtifacts();
+
     // Generate the proof using our snarkjs wrapper
-    const { proof, publicSignals } = await fullProve(
-      input,
-      'circuits/Verifier.wasm',
-      'circuits/Verifier_0001.zkey'
-    );
+    const { proof, publicSignals } = await fullProve(input, wasm, zkey, proofOptions);
     
     console.log("Public signals from proof:", publicSignals);
     
-    // The circuit outputs the nullifierHash first, then the calculated root
-    // Check if we have the expected public signals
-    if (publicSignals.length !== 2) {
-      console.error("Unexpected number of public signals:", publicSignals.length);
-      throw new Error("Proof generated invalid number of public signals");
-    }
+    // The circuit outputs the nullifierHash first, then the calculated root,
+    // followed by the public signalHash, externalNullifier, relayer, fee, weight, creditBudget and quadratic inputs
+    const signals = parsePublicSignals(publicSignals);
 
     // Format the proof for the smart contract
     const proofForContract = {
-      a: [proof.pi_a[0].toString(), proof.pi_a[1].toString()],
-      b: [
-        [proof.pi_b[0][1].toString(), proof.pi_b[0][0].toString()], 
-        [proof.pi_b[1][1].toString(), proof.pi_b[1][0].toString()]
-      ],
-      c: [proof.pi_c[0].toString(), proof.pi_c[1].toString()],
-      // First public signal is the nullifier hash
-      nullifierHash: publicSignals[0].toString(),
-      // Second public signal is the calculated root
-      root: publicSignals[1].toString()
+      ...formatProofForContract(proof),
+      ...signals,
+      // Unformatted proof and signals, as expected by snarkjs verification (e.g. in the relayer)
+      rawProof: proof,
+      publicSignals: publicSignals.map(signal => signal.toString())
     };
 
     // Compare the calculated root with the merkleProof root
-    const calculatedRootFormatted = formatForComparison(publicSignals[1].toString());
-    const contractRootFormatted = formatForComparison(merkleProof.root);
+    const calculatedRootFormatted = signals.root;
+    const contractRootFormatted = toFieldString(merkleProof.root);
     
     console.log("Root from contract:", contractRootFormatted);
     console.log("Root calculated in circuit:", calculatedRootFormatted);
@@ -197,46 +186,20 @@ export const calculateMerkleRootAndZKProof = async (nullifier, secret, merklePro
 };
 
 /**
- * Generate a Merkle proof for a commitment
- * @param {string} commitment - The commitment value
- * @param {Array<string>} tree - The current Merkle tree
- * @param {number} leafIndex - The index of the commitment in the tree
- * @returns {Object} The Merkle proof
- */
-export const generateMerkleProof = async (commitment, tree, leafIndex) => {
-  const mimc = await getMimc();
-  const pathElements = [];
-  const pathIndices = [];
-  let index = leafIndex;
-  
-  // Generate the proof
-  for (let i = 0; i < tree.levels; i++) {
-    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
-    const siblingValue = siblingIndex < tree.leaves.length ? tree.leaves[siblingIndex] : tree.zeros[i];
-    
-    pathElements.push(siblingValue);
-    pathIndices.push(index % 2);
-    
-    index = Math.floor(index / 2);
-  }
-  
-  return {
-    pathElements,
-    pathIndices
-  };
-};
-
-/**
- * Store the voter's secrets in local storage
+ * Store the voter's secrets in local storage, encrypted with the voter's passphrase
  * @param {Object} voterData - The voter's data
+ * @param {string} passphrase - The passphrase protecting the secrets
+ * @returns {Object} The encrypted envelope that was stored
  */
-export const storeVoterSecrets = (voterData) => {
-  localStorage.setItem('voterSecrets', JSON.stringify(voterData));
+export const storeVoterSecrets = async (voterData, passphrase) => {
+  const envelope = await encryptVoterSecrets(voterData, passphrase);
+  localStorage.setItem('voterSecrets', JSON.stringify(envelope));
+  return envelope;
 };
 
 /**
  * Retrieve the voter's secrets from local storage
- * @returns {Object|null} The voter's data or null if not found
+ * @returns {Object|null} The encrypted envelope (or a legacy plaintext entry) or null if not found
  */
 export const getVoterSecrets = () => {
   const data = localStorage.getItem('voterSecrets');
@@ -0,0 +1,413 @@
+// SPDX-License-Identifier: GPL-3.0
+/*
+    Copyright 2021 0KIMS association.
+
+    This file is generated with [snarkJS](https://github.com/iden3/snarkjs).
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+pragma solidity >=0.7.0 <0.9.0;
+
+contract BallotEncryptionVerifier {
+    // Scalar field size
+    uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // Base field size
+    uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    // Verification Key data
+    uint256 constant alphax  = 2025137199231073681327050303393022033213602924913380556953610013375575001320;
+    uint256 constant alphay  = 12158098253653319756246381214175707793008443141482657485166331158682538766193;
+    uint256 constant betax1  = 10854868470400169757255555774958808160972401186643261992050994660245827296786;
+    uint256 constant betax2  = 13145175798301049353359782114355936451586163163950157972280014798136772369550;
+    uint256 constant betay1  = 1058401014544811025292089202171547798498692621336809392609341143794917041907;
+    uint256 constant betay2  = 7324223033943087066786674761461571898954145306395074601527639311851274874530;
+    uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 4233786330091505926586305471143267390006584560161754088249583766562506766966;
+    uint256 constant deltax2 = 8929746835967329703132803785859148196428765224998536595169969736702338436739;
+    uint256 constant deltay1 = 16376025688836581302857284455265119484439222666145863190874825344394213029646;
+    uint256 constant deltay2 = 3902630567956337970768289735172371777632643989552988694540790462296129618215;
+
+    
+    uint256 constant IC0x = 3913515701803139492680287319851352920372707644020692325016035743006627403258;
+    uint256 constant IC0y = 17763167346832188430344110393447326663080723485522994783572575308524848006307;
+    
+    uint256 constant IC1x = 9182336442244345040699782888059363317612284615161940168417760785580605364977;
+    uint256 constant IC1y = 949428496913427560790577162245703487442484841567416723782761770058301705039;
+    
+    uint256 constant IC2x = 5093871662352078192642289560815290144057338198531469252867551299467558618540;
+    uint256 constant IC2y = 6659952011272297997742697012107005003422815540337027576357109489100996305768;
+    
+    uint256 constant IC3x = 15547113964175062139802832151378084214351538584757922770659552816316793158681;
+    uint256 constant IC3y = 8536753631615301214340382064561302596737837518915813106987608501601255456634;
+    
+    uint256 constant IC4x = 12861575388858824556039659614119125997022628202165745552470917710632217902004;
+    uint256 constant IC4y = 21289239597169096020674090397956459538013643882803796915684886683323982532101;
+    
+    uint256 constant IC5x = 7084324366541134168080716754937434698073530168405143007987201850862150577593;
+    uint256 constant IC5y = 13267511594743164432847031958029199856887405046020744879961268421205916800832;
+    
+    uint256 constant IC6x = 17223234282828624926343358757268079119771598599807577399171845410304024354472;
+    uint256 constant IC6y = 20976296742532001915241780394729955832254750951152764022964064785256290892813;
+    
+    uint256 constant IC7x = 13763232176461919714920988604305625100791437792248534098590067748883037489200;
+    uint256 constant IC7y = 2766815740828815231989192203453886430734132006412405122758770798720202805135;
+    
+    uint256 constant IC8x = 14704297972073331371502168302697058116293980021697691870876321258365094557147;
+    uint256 constant IC8y = 438704057805087050676442786872524681902617184009355523620822392589178510450;
+    
+    uint256 constant IC9x = 18254608715952939028829589364633848640486000183114734445616993286493617674872;
+    uint256 constant IC9y = 18819448615979834765674638004891163559315716244487303688392433197584169605579;
+    
+    uint256 constant IC10x = 1725248665447128120819076392948567259381694884295882392729390641814781315375;
+    uint256 constant IC10y = 9069330610811598540498044017618857735405657701756675949792513927406739682642;
+    
+    uint256 constant IC11x = 16023923546466180050235718559688555794039827862562425563024768590633474173653;
+    uint256 constant IC11y = 13568530960066280669778660044085567608909232210226476586666842226843940368152;
+    
+    uint256 constant IC12x = 9058578938855647722459296389256469990541012106933314723780314299143565300256;
+    uint256 constant IC12y = 1809829842737551609949366455186272073271987887190230154102873097037325591938;
+    
+    uint256 constant IC13x = 11208362467273645167187830459198450751050052320806568932174233573288008692610;
+    uint256 constant IC13y = 5613062222926849973127176990109283083801446050617052228776106334542316043737;
+    
+    uint256 constant IC14x = 12858329335823823364359524745519979016297701161872409083816403494477968384645;
+    uint256 constant IC14y = 16551549374841422772321844848924774034886690512085009469154066340751892266509;
+    
+    uint256 constant IC15x = 14272886017973710641989800825327256377132764722848832493645254897038305005088;
+    uint256 constant IC15y = 6755863400634435902281406833055132228000207923870996102585335642851999385971;
+    
+    uint256 constant IC16x = 17643525168530350842328016269272894038324258125440960263639400790062502862734;
+    uint256 constant IC16y = 4558766917402696573313338304254516125830737960666232215438643403415793265221;
+    
+    uint256 constant IC17x = 5808596105004397236819645081512744329709025168304091931328886419661069740229;
+    uint256 constant IC17y = 3997218959071696531546764564518830874876888798906380989694141078705839057846;
+    
+    uint256 constant IC18x = 12765129178232600908284139336570567560737230230141713072477322900492625180498;
+    uint256 constant IC18y = 15898393234022041659901241274851781492947416581961840658455276918649201806095;
+    
+    uint256 constant IC19x = 14386595275701370705719907456862925797489036745077792784222868742935309917532;
+    uint256 constant IC19y = 17310337407618035395117272887139458481650119198515822937330455734001874078532;
+    
+    uint256 constant IC20x = 17107849475793093461422820287407663585068946299067488637598568964510107374349;
+    uint256 constant IC20y = 2873794484155080064785501188270020863182311164920899673953016554657370680576;
+    
+    uint256 constant IC21x = 19321230244686356913872736537775331580840264653529401328731261812493156795517;
+    uint256 constant IC21y = 9970334326769335506230927384568498259958339344283204378372615415633749066799;
+    
+    uint256 constant IC22x = 3880821015303046595528309180855712740794705473825960502494151510473798570127;
+    uint256 constant IC22y = 17984835303745262090399378858507218613536412863486898511049114962350665119085;
+    
+    uint256 constant IC23x = 12437976583404025481440980599072254185820807755795971205714766673273376294934;
+    uint256 constant IC23y = 8266185022616988553971110563957906857924953925385794724618678594876270324094;
+    
+    uint256 constant IC24x = 10475041868798158934159766973802951585961327913861145112840922025127991577105;
+    uint256 constant IC24y = 14873952809575288094638298639772374206890530325375723711499673798926474929260;
+    
+    uint256 constant IC25x = 14234427074670225399595463836192265966238687919742414537926004987260877523757;
+    uint256 constant IC25y = 10815613407912726658070379527109236727938606330001331463437124018424632282295;
+    
+    uint256 constant IC26x = 17542720147341813890810970523691326392019982837488297270389917849807853786812;
+    uint256 constant IC26y = 684390268819590533433722551982532395642101313095504221736794142674345197097;
+    
+    uint256 constant IC27x = 5717317174062867848733062776141545728222986729876063474568968533628662968328;
+    uint256 constant IC27y = 15657797162859080096109974556991858347963085179427681861212413520282991805574;
+    
+    uint256 constant IC28x = 11103300257811396353154550628321844155067561194267353024419087275597249256817;
+    uint256 constant IC28y = 19403700824772389499300706515837036192509692139658694627561799657950567831790;
+    
+    uint256 constant IC29x = 17578935029877450568728634221372620594274150597113634101006317570844840483771;
+    uint256 constant IC29y = 7758704344693565229747535591692699390727617808862852290685572186622781922514;
+    
+    uint256 constant IC30x = 12899142504437394398653798210636565222679446560196189104819955642500146718431;
+    uint256 constant IC30y = 17637363034980952016690035214869633335778854678838171475305266673693973136712;
+    
+    uint256 constant IC31x = 810781198552486597445550036725146629065554427252518911154423824904033814012;
+    uint256 constant IC31y = 14694672516888501108459580613149859815804958978312760216366149254562532203594;
+    
+    uint256 constant IC32x = 3440282546302518638144768755917485476617396809875783264023195535754863303010;
+    uint256 constant IC32y = 8903373388132912157004868295580390488749431749142635859625200861798916750009;
+    
+    uint256 constant IC33x = 13032965271334679322157605456299652651794884995896020492624948123219905377557;
+    uint256 constant IC33y = 16865808867039979319806113749264790689778008378899703400667490947536385934865;
+    
+    uint256 constant IC34x = 1099496532211009043797526418238172361061043550230921204741966087426232644327;
+    uint256 constant IC34y = 7777606701376244315200072066714638429135857217591821322682818031553210710675;
+    
+    uint256 constant IC35x = 1434954436232118510069159448606250005280125242055868521596329416005677534306;
+    uint256 constant IC35y = 7035851728029774170114640672912113239624953697479384442328172346833682868156;
+    
+    uint256 constant IC36x = 12183413282308366572081628568366431176752116377303069984478347268097274452268;
+    uint256 constant IC36y = 15067293712859809576812072629236585859744778733324252552153492218219807428838;
+    
+ 
+    // Memory data
+    uint16 constant pVk = 0;
+    uint16 constant pPairing = 128;
+
+    uint16 constant pLastMem = 896;
+
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[36] calldata _pubSignals) public view returns (bool) {
+        assembly {
+            function checkField(v) {
+                if iszero(lt(v, r)) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+            
+            // G1 function to multiply a G1 value(x,y) to value in an address
+            function g1_mulAccC(pR, x, y, s) {
+                let success
+                let mIn := mload(0x40)
+                mstore(mIn, x)
+                mstore(add(mIn, 32), y)
+                mstore(add(mIn, 64), s)
+
+                success := staticcall(sub(gas(), 2000), 7, mIn, 96, mIn, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+
+                mstore(add(mIn, 64), mload(pR))
+                mstore(add(mIn, 96), mload(add(pR, 32)))
+
+                success := staticcall(sub(gas(), 2000), 6, mIn, 128, pR, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+
+            function checkPairing(pA, pB, pC, pubSignals, pMem) -> isOk {
+                let _pPairing := add(pMem, pPairing)
+                let _pVk := add(pMem, pVk)
+
+                mstore(_pVk, IC0x)
+                mstore(add(_pVk, 32), IC0y)
+
+                // Compute the linear combination vk_x
+                
+                g1_mulAccC(_pVk, IC1x, IC1y, calldataload(add(pubSignals, 0)))
+                
+                g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
+                
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
+                g1_mulAccC(_pVk, IC10x, IC10y, calldataload(add(pubSignals, 288)))
+                
+                g1_mulAccC(_pVk, IC11x, IC11y, calldataload(add(pubSignals, 320)))
+                
+                g1_mulAccC(_pVk, IC12x, IC12y, calldataload(add(pubSignals, 352)))
+                
+                g1_mulAccC(_pVk, IC13x, IC13y, calldataload(add(pubSignals, 384)))
+                
+                g1_mulAccC(_pVk, IC14x, IC14y, calldataload(add(pubSignals, 416)))
+                
+                g1_mulAccC(_pVk, IC15x, IC15y, calldataload(add(pubSignals, 448)))
+                
+                g1_mulAccC(_pVk, IC16x, IC16y, calldataload(add(pubSignals, 480)))
+                
+                g1_mulAccC(_pVk, IC17x, IC17y, calldataload(add(pubSignals, 512)))
+                
+                g1_mulAccC(_pVk, IC18x, IC18y, calldataload(add(pubSignals, 544)))
+                
+                g1_mulAccC(_pVk, IC19x, IC19y, calldataload(add(pubSignals, 576)))
+                
+                g1_mulAccC(_pVk, IC20x, IC20y, calldataload(add(pubSignals, 608)))
+                
+                g1_mulAccC(_pVk, IC21x, IC21y, calldataload(add(pubSignals, 640)))
+                
+                g1_mulAccC(_pVk, IC22x, IC22y, calldataload(add(pubSignals, 672)))
+                
+                g1_mulAccC(_pVk, IC23x, IC23y, calldataload(add(pubSignals, 704)))
+                
+                g1_mulAccC(_pVk, IC24x, IC24y, calldataload(add(pubSignals, 736)))
+                
+                g1_mulAccC(_pVk, IC25x, IC25y, calldataload(add(pubSignals, 768)))
+                
+                g1_mulAccC(_pVk, IC26x, IC26y, calldataload(add(pubSignals, 800)))
+                
+                g1_mulAccC(_pVk, IC27x, IC27y, calldataload(add(pubSignals, 832)))
+                
+                g1_mulAccC(_pVk, IC28x, IC28y, calldataload(add(pubSignals, 864)))
+                
+                g1_mulAccC(_pVk, IC29x, IC29y, calldataload(add(pubSignals, 896)))
+                
+                g1_mulAccC(_pVk, IC30x, IC30y, calldataload(add(pubSignals, 928)))
+                
+                g1_mulAccC(_pVk, IC31x, IC31y, calldataload(add(pubSignals, 960)))
+                
+                g1_mulAccC(_pVk, IC32x, IC32y, calldataload(add(pubSignals, 992)))
+                
+                g1_mulAccC(_pVk, IC33x, IC33y, calldataload(add(pubSignals, 1024)))
+                
+                g1_mulAccC(_pVk, IC34x, IC34y, calldataload(add(pubSignals, 1056)))
+                
+                g1_mulAccC(_pVk, IC35x, IC35y, calldataload(add(pubSignals, 1088)))
+                
+                g1_mulAccC(_pVk, IC36x, IC36y, calldataload(add(pubSignals, 1120)))
+                
+
+                // -A
+                mstore(_pPairing, calldataload(pA))
+                mstore(add(_pPairing, 32), mod(sub(q, calldataload(add(pA, 32))), q))
+
+                // B
+                mstore(add(_pPairing, 64), calldataload(pB))
+                mstore(add(_pPairing, 96), calldataload(add(pB, 32)))
+                mstore(add(_pPairing, 128), calldataload(add(pB, 64)))
+                mstore(add(_pPairing, 160), calldataload(add(pB, 96)))
+
+                // alpha1
+                mstore(add(_pPairing, 192), alphax)
+                mstore(add(_pPairing, 224), alphay)
+
+                // beta2
+                mstore(add(_pPairing, 256), betax1)
+                mstore(add(_pPairing, 288), betax2)
+                mstore(add(_pPairing, 320), betay1)
+                mstore(add(_pPairing, 352), betay2)
+
+                // vk_x
+                mstore(add(_pPairing, 384), mload(add(pMem, pVk)))
+                mstore(add(_pPairing, 416), mload(add(pMem, add(pVk, 32))))
+
+
+                // gamma2
+                mstore(add(_pPairing, 448), gammax1)
+                mstore(add(_pPairing, 480), gammax2)
+                mstore(add(_pPairing, 512), gammay1)
+                mstore(add(_pPairing, 544), gammay2)
+
+                // C
+                mstore(add(_pPairing, 576), calldataload(pC))
+                mstore(add(_pPairing, 608), calldataload(add(pC, 32)))
+
+                // delta2
+                mstore(add(_pPairing, 640), deltax1)
+                mstore(add(_pPairing, 672), deltax2)
+                mstore(add(_pPairing, 704), deltay1)
+                mstore(add(_pPairing, 736), deltay2)
+
+
+                let success := staticcall(sub(gas(), 2000), 8, _pPairing, 768, _pPairing, 0x20)
+
+                isOk := and(success, mload(_pPairing))
+            }
+
+            let pMem := mload(0x40)
+            mstore(0x40, add(pMem, pLastMem))
+
+            // Validate that all evaluations ∈ F
+            
+            checkField(calldataload(add(_pubSignals, 0)))
+            
+            checkField(calldataload(add(_pubSignals, 32)))
+            
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
+            checkField(calldataload(add(_pubSignals, 288)))
+            
+            checkField(calldataload(add(_pubSignals, 320)))
+            
+            checkField(calldataload(add(_pubSignals, 352)))
+            
+            checkField(calldataload(add(_pubSignals, 384)))
+            
+            checkField(calldataload(add(_pubSignals, 416)))
+            
+            checkField(calldataload(add(_pubSignals, 448)))
+            
+            checkField(calldataload(add(_pubSignals, 480)))
+            
+            checkField(calldataload(add(_pubSignals, 512)))
+            
+            checkField(calldataload(add(_pubSignals, 544)))
+            
+            checkField(calldataload(add(_pubSignals, 576)))
+            
+            checkField(calldataload(add(_pubSignals, 608)))
+            
+            checkField(calldataload(add(_pubSignals, 640)))
+            
+            checkField(calldataload(add(_pubSignals, 672)))
+            
+            checkField(calldataload(add(_pubSignals, 704)))
+            
+            checkField(calldataload(add(_pubSignals, 736)))
+            
+            checkField(calldataload(add(_pubSignals, 768)))
+            
+            checkField(calldataload(add(_pubSignals, 800)))
+            
+            checkField(calldataload(add(_pubSignals, 832)))
+            
+            checkField(calldataload(add(_pubSignals, 864)))
+            
+            checkField(calldataload(add(_pubSignals, 896)))
+            
+            checkField(calldataload(add(_pubSignals, 928)))
+            
+            checkField(calldataload(add(_pubSignals, 960)))
+            
+            checkField(calldataload(add(_pubSignals, 992)))
+            
+            checkField(calldataload(add(_pubSignals, 1024)))
+            
+            checkField(calldataload(add(_pubSignals, 1056)))
+            
+            checkField(calldataload(add(_pubSignals, 1088)))
+            
+            checkField(calldataload(add(_pubSignals, 1120)))
+            
+
+            // Validate all evaluations
+            let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
+
+            mstore(0, isValid)
+             return(0, 0x20)
+         }
+     }
+ }
@@ -0,0 +1,425 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+interface IBallotEncryptionVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[36] memory input
+    ) external view returns (bool r);
+}
+
+interface IPartialDecryptionVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[34] memory input
+    ) external view returns (bool r);
+}
+
+interface ITallyDecryptionVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[24] memory input
+    ) external view returns (bool r);
+}
+
+// What the tally needs from the election it counts (ZKVotingSystem)
+interface IElection {
+    function admin() external view returns (address);
+    function votingStatus() external view returns (bool isActive, uint256 endTime);
+    function votingEnded() external view returns (bool);
+    function recordTally(uint256[] calldata _counts) external;
+}
+
+// What the election needs from its tally
+interface IEncryptedTally {
+    function ready(uint256 _candidatesCount) external view returns (bool);
+    function add(
+        uint256[] calldata _ballot,
+        uint256 _weight,
+        uint256 _candidatesCount
+    ) external;
+}
+
+/**
+ * @title EncryptedTally
+ * @dev Adds up the encrypted ballots of a ZKVotingSystem election, so no count is visible while voting is open.
+ * A ballot is one exponential ElGamal ciphertext on Baby Jubjub per candidate slot, encrypting the voter's
+ * weight for the chosen candidate and 0 for the others, followed by a proof (BallotEncryption.circom) that it does.
+ * Adding ciphertexts point by point adds the votes they encrypt.
+ * The election key is split between trustees: each registers a key share with a proof that they know its
+ * secret (PartialDecryption.circom over the empty tally), and the public key is the sum of the shares, so no
+ * trustee holds the secret key. Once voting is over every trustee publishes their partial decryption of the
+ * tally with a proof (PartialDecryption.circom), and anyone can then publish the counts with a proof
+ * (TallyDecryption.circom) that they are the tally's decryption, which records them as the candidates' vote counts.
+ * Every trustee must take part: the tally cannot be decrypted while any one of them withholds their share.
+ */
+contract EncryptedTally is IEncryptedTally {
+    // Baby Jubjub is a * x^2 + y^2 = 1 + d * x^2 * y^2 over the BN254 scalar field
+    uint256 public constant FIELD_SIZE =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 internal constant CURVE_A = 168700;
+    uint256 internal constant CURVE_D = 168696;
+
+    // Candidate slots of a ballot, each holding c1.x, c1.y, c2.x and c2.y
+    uint256 public constant MAX_CANDIDATES = 8;
+    uint256 internal constant SLOT_SIZE = 4;
+    // Words of a ballot: the ciphertexts, then the proof's a, b and c
+    uint256 public constant BALLOT_SIZE = SLOT_SIZE * MAX_CANDIDATES + 8;
+    uint256 public constant MAX_TRUSTEES = 16;
+
+    IElection public immutable election;
+    IBallotEncryptionVerifier public immutable ballotVerifier;
+    IPartialDecryptionVerifier public immutable partialVerifier;
+    ITallyDecryptionVerifier public immutable decryptionVerifier;
+
+    // Holders of the shares of the election key
+    address[] public trustees;
+    mapping(address => bool) public isTrustee;
+    // Each trustee's key share (x, y), set once they have registered it
+    mapping(address => uint256[2]) private keyShares;
+    mapping(address => bool) public hasDecrypted;
+    uint256 public registeredCount;
+    uint256 public decryptedCount;
+
+    // The election's public key (x, y), the sum of the trustees' key shares
+    uint256[2] public publicKey;
+    // Sum of every ballot's ciphertexts, slot by slot
+    uint256[32] private tally;
+    // Sum of the trustees' partial decryptions, the secret key times each slot's c1
+    uint256[16] private decryption;
+    bool public published;
+
+    event TrusteesSet(address[] trustees);
+    event KeyShareRegistered(address indexed trustee, uint256 x, uint256 y);
+    event PartialDecryptionPublished(address indexed trustee);
+    event TallyPublished(uint256[] counts);
+
+    modifier onlyAdmin() {
+        require(msg.sender == election.admin(), "Only admin can call this function");
+        _;
+    }
+
+    modifier onlyTrustee() {
+        require(isTrustee[msg.sender], "Only a trustee can call this function");
+        _;
+    }
+
+    constructor(
+        IElection _election,
+        IBallotEncryptionVerifier _ballotVerifier,
+        IPartialDecryptionVerifier _partialVerifier,
+        ITallyDecryptionVerifier _decryptionVerifier
+    ) {
+        election = _election;
+        ballotVerifier = _ballotVerifier;
+        partialVerifier = _partialVerifier;
+        decryptionVerifier = _decryptionVerifier;
+
+        // Every slot starts as an encryption of 0 with no randomness: c1 = c2 = (0, 1), and so does its decryption
+        for (uint256 i = 0; i < MAX_CANDIDATES; i++) {
+            tally[i * SLOT_SIZE + 1] = 1;
+            tally[i * SLOT_SIZE + 3] = 1;
+            decryption[i * 2 + 1] = 1;
+        }
+        publicKey = [0, 1];
+    }
+
+    /**
+     * @dev Set the trustees who share the election key (only before voting starts), dropping any key shares
+     * registered so far
+     * @param _trustees Addresses of the trustees, each of whom registers a key share
+     */
+    function setTrustees(address[] calldata _trustees) external onlyAdmin {
+        _requireNotStarted();
+        require(_trustees.length > 0 && _trustees.length <= MAX_TRUSTEES, "Between 1 and MAX_TRUSTEES trustees are needed");
+
+        for (uint256 i = 0; i < trustees.length; i++) {
+            delete isTrustee[trustees[i]];
+            delete keyShares[trustees[i]];
+        }
+        for (uint256 i = 0; i < _trustees.length; i++) {
+            require(_trustees[i] != address(0) && !isTrustee[_trustees[i]], "Trustees must be distinct addresses");
+            isTrustee[_trustees[i]] = true;
+        }
+        trustees = _trustees;
+        registeredCount = 0;
+        publicKey = [0, 1];
+        emit TrusteesSet(_trustees);
+    }
+
+    /**
+     * @dev Register the caller's share of the election key (only before voting starts)
+     * @param _x x coordinate of the key share
+     * @param _y y coordinate of the key share
+     * @param _proof Proof that the caller knows the share's secret, a partial decryption of the empty tally
+     */
+    function registerKeyShare(uint256 _x, uint256 _y, uint[8] calldata _proof) external onlyTrustee {
+        _requireNotStarted();
+        require(keyShares[msg.sender][0] == 0, "Key share has already been registered");
+        require(_x != 0 && _onCurve(_x, _y), "Key share is not a Baby Jubjub point");
+        for (uint256 i = 0; i < trustees.length; i++) {
+            require(keyShares[trustees[i]][0] != _x || keyShares[trustees[i]][1] != _y, "Key share is already in use");
+        }
+
+        // The partial decryption of the identity is the identity, so only the key share is proven
+        uint[34] memory input;
+        for (uint256 i = 0; i < MAX_CANDIDATES; i++) {
+            input[i * 2 + 1] = 1;
+            input[2 * MAX_CANDIDATES + 2 + i * 2 + 1] = 1;
+        }
+        input[2 * MAX_CANDIDATES] = _x;
+        input[2 * MAX_CANDIDATES + 1] = _y;
+        require(_verify(partialVerifier, _proof, input), "Invalid key share proof");
+
+        keyShares[msg.sender] = [_x, _y];
+        registeredCount++;
+        (publicKey[0], publicKey[1]) = _addPoints(publicKey[0], publicKey[1], _x, _y);
+        emit KeyShareRegistered(msg.sender, _x, _y);
+    }
+
+    /**
+     * @dev Whether ballots can be encrypted for an election with this many candidates: every trustee has
+     * registered their key share
+     * @param _candidatesCount Number of candidates in the election
+     */
+    function ready(uint256 _candidatesCount) external view returns (bool) {
+        return trustees.length > 0 && registeredCount == trustees.length && _candidatesCount <= MAX_CANDIDATES;
+    }
+
+    /**
+     * @dev Add a ballot to the tally, once the election has spent the voter's nullifier
+     * @param _ballot The ciphertexts, SLOT_SIZE words per slot, followed by the proof that they encrypt a vote for one candidate
+     * @param _weight Voting weight of the voter, which the chosen slot encrypts
+     * @param _candidatesCount Number of candidates; the slots after them must encrypt 0
+     */
+    function add(uint256[] calldata _ballot, uint256 _weight, uint256 _candidatesCount) external {
+        require(msg.sender == address(election), "Only the election can add ballots");
+        require(_ballot.length == BALLOT_SIZE, "Ballot must hold every slot and the proof");
+
+        // The ciphertexts are the circuit's outputs, followed by its public inputs
+        uint256 slots = SLOT_SIZE * MAX_CANDIDATES;
+        uint[36] memory input;
+        for (uint256 i = 0; i < slots; i++) {
+            input[i] = _ballot[i];
+        }
+        input[slots] = publicKey[0];
+        input[slots + 1] = publicKey[1];
+        input[slots + 2] = _weight;
+        input[slots + 3] = _candidatesCount;
+        uint256[] calldata proof = _ballot[slots:];
+        require(
+            ballotVerifier.verifyProof(
+                [proof[0], proof[1]],
+                [[proof[2], proof[3]], [proof[4], proof[5]]],
+                [proof[6], proof[7]],
+                input
+            ),
+            "Invalid ballot proof"
+        );
+
+        // Adding the points adds the votes they encrypt
+        for (uint256 i = 0; i < slots; i += 2) {
+            (tally[i], tally[i + 1]) = _addPoints(tally[i], tally[i + 1], _ballot[i], _ballot[i + 1]);
+        }
+    }
+
+    /**
+     * @dev Publish the caller's partial decryption of the tally once voting has ended
+     * @param _partial The caller's key share secret times each slot's c1, as (x, y) per slot
+     * @param _proof Proof that the partial decryption uses the secret of the caller's key share
+     */
+    function publishPartialDecryption(uint256[] calldata _partial, uint[8] calldata _proof) external onlyTrustee {
+        _requireEnded();
+        require(!hasDecrypted[msg.sender], "Partial decryption has already been published");
+        require(_partial.length == 2 * MAX_CANDIDATES, "A point is needed for every slot");
+
+        // The partial decryption is the circuit's output, followed by the key share and each slot's c1
+        uint[34] memory input;
+        for (uint256 i = 0; i < MAX_CANDIDATES; i++) {
+            input[i * 2] = _partial[i * 2];
+            input[i * 2 + 1] = _partial[i * 2 + 1];
+            input[2 * MAX_CANDIDATES + 2 + i * 2] = tally[i * SLOT_SIZE];
+            input[2 * MAX_CANDIDATES + 2 + i * 2 + 1] = tally[i * SLOT_SIZE + 1];
+        }
+        input[2 * MAX_CANDIDATES] = keyShares[msg.sender][0];
+        input[2 * MAX_CANDIDATES + 1] = keyShares[msg.sender][1];
+        require(_verify(partialVerifier, _proof, input), "Invalid partial decryption proof");
+
+        hasDecrypted[msg.sender] = true;
+        decryptedCount++;
+        // The shares add up to the secret key, so the partial decryptions add up to the full one
+        for (uint256 i = 0; i < 2 * MAX_CANDIDATES; i += 2) {
+            (decryption[i], decryption[i + 1]) = _addPoints(decryption[i], decryption[i + 1], _partial[i], _partial[i + 1]);
+        }
+        emit PartialDecryptionPublished(msg.sender);
+    }
+
+    /**
+     * @dev Publish the decrypted counts once every trustee has published their partial decryption, recording
+     * them in the election
+     * @param _counts Count of every slot, candidate 1 first (0 for the slots after the last candidate)
+     * @param _proof Proof that each slot's c2, less its decryption, is its count times the generator
+     */
+    function publishTally(uint256[] calldata _counts, uint[8] calldata _proof) external {
+        _requireEnded();
+        require(decryptedCount == trustees.length, "Every trustee must publish a partial decryption");
+        require(!published, "The tally has already been published");
+        require(_counts.length == MAX_CANDIDATES, "A count is needed for every slot");
+
+        // The message point of each slot is c2 minus the decryption; the negation of (x, y) is (-x, y)
+        uint[24] memory input;
+        for (uint256 i = 0; i < MAX_CANDIDATES; i++) {
+            (input[i * 2], input[i * 2 + 1]) = _addPoints(
+                tally[i * SLOT_SIZE + 2],
+                tally[i * SLOT_SIZE + 3],
+                (FIELD_SIZE - decryption[i * 2]) % FIELD_SIZE,
+                decryption[i * 2 + 1]
+            );
+            input[2 * MAX_CANDIDATES + i] = _counts[i];
+        }
+        require(_verify(decryptionVerifier, _proof, input), "Invalid decryption proof");
+
+        published = true;
+        election.recordTally(_counts);
+        emit TallyPublished(_counts);
+    }
+
+    /**
+     * @dev Get the trustees who share the election key
+     */
+    function getTrustees() external view returns (address[] memory) {
+        return trustees;
+    }
+
+    /**
+     * @dev Get a trustee's key share, (0, 0) until they have registered it
+     * @param _trustee Address of the trustee
+     */
+    function getKeyShare(address _trustee) external view returns (uint256[2] memory) {
+        return keyShares[_trustee];
+    }
+
+    /**
+     * @dev Get the encrypted tally
+     * @return The sum of every ballot's ciphertexts, SLOT_SIZE values per slot
+     */
+    function getTally() external view returns (uint256[] memory) {
+        uint256[] memory values = new uint256[](SLOT_SIZE * MAX_CANDIDATES);
+        for (uint256 i = 0; i < values.length; i++) {
+            values[i] = tally[i];
+        }
+        return values;
+    }
+
+    /**
+     * @dev Get the sum of the partial decryptions published so far
+     * @return The secret key shares' sum times each slot's c1, as (x, y) per slot
+     */
+    function getDecryption() external view returns (uint256[] memory) {
+        uint256[] memory values = new uint256[](2 * MAX_CANDIDATES);
+        for (uint256 i = 0; i < values.length; i++) {
+            values[i] = decryption[i];
+        }
+        return values;
+    }
+
+    /**
+     * @dev Revert once voting has started, when the key can no longer change
+     */
+    function _requireNotStarted() internal view {
+        (, uint256 endTime) = election.votingStatus();
+        require(endTime == 0, "Voting has already started");
+    }
+
+    /**
+     * @dev Revert until voting has ended
+     */
+    function _requireEnded() internal view {
+        (, uint256 endTime) = election.votingStatus();
+        require(
+            election.votingEnded() || (endTime != 0 && block.timestamp >= endTime),
+            "Voting has not ended yet"
+        );
+    }
+
+    /**
+     * @dev Check a proof, given as a, b and c in 8 words, with a partial decryption verifier
+     */
+    function _verify(
+        IPartialDecryptionVerifier _verifier,
+        uint[8] calldata _proof,
+        uint[34] memory _input
+    ) internal view returns (bool) {
+        return _verifier.verifyProof(
+            [_proof[0], _proof[1]],
+            [[_proof[2], _proof[3]], [_proof[4], _proof[5]]],
+            [_proof[6], _proof[7]],
+            _input
+        );
+    }
+
+    /**
+     * @dev Check a proof, given as a, b and c in 8 words, with the tally decryption verifier
+     */
+    function _verify(
+        ITallyDecryptionVerifier _verifier,
+        uint[8] calldata _proof,
+        uint[24] memory _input
+    ) internal view returns (bool) {
+        return _verifier.verifyProof(
+            [_proof[0], _proof[1]],
+            [[_proof[2], _proof[3]], [_proof[4], _proof[5]]],
+            [_proof[6], _proof[7]],
+            _input
+        );
+    }
+
+    /**
+     * @dev Whether (x, y) is on Baby Jubjub
+     */
+    function _onCurve(uint256 _x, uint256 _y) internal pure returns (bool) {
+        if (_x >= FIELD_SIZE || _y >= FIELD_SIZE) {
+            return false;
+        }
+        uint256 xx = mulmod(_x, _x, FIELD_SIZE);
+        uint256 yy = mulmod(_y, _y, FIELD_SIZE);
+        return addmod(mulmod(CURVE_A, xx, FIELD_SIZE), yy, FIELD_SIZE) ==
+            addmod(1, mulmod(CURVE_D, mulmod(xx, yy, FIELD_SIZE), FIELD_SIZE), FIELD_SIZE);
+    }
+
+    /**
+     * @dev Add two Baby Jubjub points with the twisted Edwards addition law, as BabyAdd in circomlib
+     */
+    function _addPoints(
+        uint256 _x1,
+        uint256 _y1,
+        uint256 _x2,
+        uint256 _y2
+    ) internal view returns (uint256 x3, uint256 y3) {
+        uint256 x1x2 = mulmod(_x1, _x2, FIELD_SIZE);
+        uint256 y1y2 = mulmod(_y1, _y2, FIELD_SIZE);
+        uint256 dxy = mulmod(CURVE_D, mulmod(x1x2, y1y2, FIELD_SIZE), FIELD_SIZE);
+
+        uint256 xNumerator = addmod(mulmod(_x1, _y2, FIELD_SIZE), mulmod(_y1, _x2, FIELD_SIZE), FIELD_SIZE);
+        uint256 yNumerator = addmod(y1y2, FIELD_SIZE - mulmod(CURVE_A, x1x2, FIELD_SIZE), FIELD_SIZE);
+        x3 = mulmod(xNumerator, _inverse(addmod(1, dxy, FIELD_SIZE)), FIELD_SIZE);
+        y3 = mulmod(yNumerator, _inverse(addmod(1, FIELD_SIZE - dxy, FIELD_SIZE)), FIELD_SIZE);
+    }
+
+    /**
+     * @dev Inverse in the field by Fermat's little theorem, with the modexp precompile
+     */
+    function _inverse(uint256 _value) internal view returns (uint256) {
+        (bool success, bytes memory result) = address(0x05).staticcall(
+            abi.encode(32, 32, 32, _value, FIELD_SIZE - 2, FIELD_SIZE)
+        );
+        require(success, "Modular inversion failed");
+        return abi.decode(result, (uint256));
+    }
+}
@@ -99,6 +99,54 @@ contract MerkleTreeWithHistory {
         return _nextIndex;
     }
 
+    /**
+    @dev Insert consecutive leaves at once. Each parent node is hashed a single time
+    instead of once per leaf, and only the final root is added to the root history.
+    */
+    function _insertBatch(bytes32[] memory _leaves) internal returns (uint32 startIndex) {
+        uint32 _nextIndex = nextIndex;
+        require(_leaves.length > 0, "No leaves to insert");
+        require(
+            uint256(_nextIndex) + _leaves.length <= uint256(2) ** levels,
+            "Merkle tree is full. No more leaves can be added"
+        );
+
+        // layer holds the nodes of the current level from position `first` to `last`
+        bytes32[] memory layer = _leaves;
+        uint256 first = _nextIndex;
+        uint256 last = first + _leaves.length - 1;
+
+        for (uint32 i = 0; i < levels; i++) {
+            uint256 parentFirst = first / 2;
+            uint256 parentLast = last / 2;
+            bytes32[] memory parents = new bytes32[](parentLast - parentFirst + 1);
+
+            for (uint256 parent = parentFirst; parent <= parentLast; parent++) {
+                uint256 leftPos = parent * 2;
+                bytes32 left = leftPos < first ? filledSubtrees[i] : layer[leftPos - first];
+                bytes32 right = leftPos + 1 <= last ? layer[leftPos + 1 - first] : zeros(i);
+                parents[parent - parentFirst] = hashLeftRight(uint256(left), uint256(right));
+            }
+
+            // Remember the last left node of this level for future inserts
+            if (last % 2 == 0) {
+                filledSubtrees[i] = layer[last - first];
+            } else if (last - 1 >= first) {
+                filledSubtrees[i] = layer[last - 1 - first];
+            }
+
+            layer = parents;
+            first = parentFirst;
+            last = parentLast;
+        }
+
+        uint32 newRootIndex = (currentRootIndex + 1) % ROOT_HISTORY_SIZE;
+        currentRootIndex = newRootIndex;
+        roots[newRootIndex] = layer[0];
+        nextIndex = _nextIndex + uint32(_leaves.length);
+        return _nextIndex;
+    }
+
     /**
     @dev Whether the root is present in the root history
     */
@@ -0,0 +1,399 @@
+// SPDX-License-Identifier: GPL-3.0
+/*
+    Copyright 2021 0KIMS association.
+
+    This file is generated with [snarkJS](https://github.com/iden3/snarkjs).
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+pragma solidity >=0.7.0 <0.9.0;
+
+contract PartialDecryptionVerifier {
+    // Scalar field size
+    uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // Base field size
+    uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    // Verification Key data
+    uint256 constant alphax  = 2025137199231073681327050303393022033213602924913380556953610013375575001320;
+    uint256 constant alphay  = 12158098253653319756246381214175707793008443141482657485166331158682538766193;
+    uint256 constant betax1  = 10854868470400169757255555774958808160972401186643261992050994660245827296786;
+    uint256 constant betax2  = 13145175798301049353359782114355936451586163163950157972280014798136772369550;
+    uint256 constant betay1  = 1058401014544811025292089202171547798498692621336809392609341143794917041907;
+    uint256 constant betay2  = 7324223033943087066786674761461571898954145306395074601527639311851274874530;
+    uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 3736968133316456869270728057015925591994123684467064868460146685253758081111;
+    uint256 constant deltax2 = 8039209962386769783553186355100456145469958063920717080256927973894023972213;
+    uint256 constant deltay1 = 4721662486550118054738081055671727332147374768399636449024863090239280875743;
+    uint256 constant deltay2 = 1092079619310242315263864367979855367157672646612161995376784083960844381656;
+
+    
+    uint256 constant IC0x = 4527786438159903226148100325059804182576907493581932645060399753667040033842;
+    uint256 constant IC0y = 17938862268068000306293637287998874657323538711324210777157529975456759746809;
+    
+    uint256 constant IC1x = 3726724311434060630647972501831969281380703702119921844044405934087108432400;
+    uint256 constant IC1y = 11232113108757674315851774926338686005563150074350402737107465177664657308141;
+    
+    uint256 constant IC2x = 14765516565922748823329228309041061906297259561174403395834830740619783039686;
+    uint256 constant IC2y = 20886791756945973105530690740899002321988053420096246939165471442421674274173;
+    
+    uint256 constant IC3x = 759618430714869157674492204674973063649412121394851842793704822940409391955;
+    uint256 constant IC3y = 5453897101324418993233198493675019231313068999995044325180903868687818479429;
+    
+    uint256 constant IC4x = 9649030058270052045492625305808538794469536604475376350582175368439875013590;
+    uint256 constant IC4y = 12598051933339465617452103789783221813277041491320449280266249164399299560597;
+    
+    uint256 constant IC5x = 10779346373756174579616465433674898016911233957158078299477877728053637285655;
+    uint256 constant IC5y = 19714430470198333801764834884743855561316152401457733295438298424312877430494;
+    
+    uint256 constant IC6x = 4800995185577154683303406266830153465869861483679627722284682946856727389047;
+    uint256 constant IC6y = 9014733937747569604792404431327981491545472378379100018676008652663837378474;
+    
+    uint256 constant IC7x = 13954403172053536599321730732770796226054172791514867483510295016616417004006;
+    uint256 constant IC7y = 474254455190814145233696305711772125204769471252902494910244445248936997327;
+    
+    uint256 constant IC8x = 9472423785139659246485615211340122496511822271543905699603165853591073957239;
+    uint256 constant IC8y = 9403438019534676850454160290424607988317861225489914168383729168905961136771;
+    
+    uint256 constant IC9x = 2184002290896240155692853865350696190128426518654068900204546555759938890388;
+    uint256 constant IC9y = 10810809476128245552808626564631366862076567969637169629876076057611418769104;
+    
+    uint256 constant IC10x = 3280095841250502126781861973397446144054777017825362350253644236163117548827;
+    uint256 constant IC10y = 4905918020822019651833296894474565504508366449070916686191617788684567220479;
+    
+    uint256 constant IC11x = 5145145474261191861227199368138277730347540657034585304536941553228482798854;
+    uint256 constant IC11y = 11703612278632419623170800645422911535192244720862431617308356732443674887130;
+    
+    uint256 constant IC12x = 4770047056767444617766740443165246475693021590295768740217009482326600563280;
+    uint256 constant IC12y = 11902731899699970478377531403743206050528588075647361127402731426484507457007;
+    
+    uint256 constant IC13x = 17070120885758953475093181340945309125037777501036139260730138496943153284329;
+    uint256 constant IC13y = 7135347697080284242171538147465030570221674238409593757173268833779084467634;
+    
+    uint256 constant IC14x = 20850542664960899125657180720361577141776978129181976670619859602773558264759;
+    uint256 constant IC14y = 2522943267995972123393664531627752756376037643456436699563539044925041106134;
+    
+    uint256 constant IC15x = 7730378799091445903788302251502370032769382307958043653614730493802584045752;
+    uint256 constant IC15y = 18371374287621510782211541324843303801060286317685642869855636190307363571892;
+    
+    uint256 constant IC16x = 14027703839698311920484212140820750583233326614974299405558885730131509777572;
+    uint256 constant IC16y = 19663135975251302448688222338079761504232412162159648880515703533041118045008;
+    
+    uint256 constant IC17x = 19531304545115560398303118205719808978302735543890763237342189047250985199921;
+    uint256 constant IC17y = 8801944885948603557587919735193205028786804161634534452150344146776123792132;
+    
+    uint256 constant IC18x = 5363733391413617179333498420565320101781629304597167956563978875575257743152;
+    uint256 constant IC18y = 1669548240191243297197527883292432284934227215967625292102432964391997037143;
+    
+    uint256 constant IC19x = 5600551702626562556388017312345232852209204171313499718374979775996229705187;
+    uint256 constant IC19y = 10997573002646158539068967835423108522275045456828059771678077283339208072494;
+    
+    uint256 constant IC20x = 12453862802766904334002941417945861140461377207360534784435434343018880201279;
+    uint256 constant IC20y = 21024056210719033106941312452200444198523134616106987320111014016605592307076;
+    
+    uint256 constant IC21x = 16999868460489077113628148112235587085963512424962048250593981667236802861277;
+    uint256 constant IC21y = 6422368266884980540873070850950399145664934630939633405284798167519187468979;
+    
+    uint256 constant IC22x = 8523227980686571869065191990643411921936211757271259289438449356389011070119;
+    uint256 constant IC22y = 7885155080694827466392550505626416642444693206014380414910117703470640138775;
+    
+    uint256 constant IC23x = 8348098902904036057339656549943089194098822621224808141774949012898948679015;
+    uint256 constant IC23y = 14236653122210176935940597650605232455428303591648405040998774460794601751058;
+    
+    uint256 constant IC24x = 2920527929061522382504148993393385839301727294867877074071998770416969594903;
+    uint256 constant IC24y = 487730001451372163328101792106628458423068659552869139620165080193070351361;
+    
+    uint256 constant IC25x = 14827349855704373321605500011416847136782473975788934983476964001514938792263;
+    uint256 constant IC25y = 20057515923002356026033728324880194605450455809123438684705625512794200077078;
+    
+    uint256 constant IC26x = 8949552332413244997031816414523650535228404356959766661630264848112470968019;
+    uint256 constant IC26y = 8924506366157375837925407503316815461286453120298505293069651315012906374314;
+    
+    uint256 constant IC27x = 1296630125644314070759875833144579446046929219957801720226981504807823568266;
+    uint256 constant IC27y = 7254451952135921346114080765631492037615242892934032381018435555149483787559;
+    
+    uint256 constant IC28x = 10117356771499205926190055735140324428647482394496859206571440869754252376184;
+    uint256 constant IC28y = 9945873774999945671625849569137766501025609193344800045224620951665528958235;
+    
+    uint256 constant IC29x = 19760181977350103812162687359457232219156443681986481884743090850518015927423;
+    uint256 constant IC29y = 1825901886080308380314007570265614459682287930401264952237222126494978143819;
+    
+    uint256 constant IC30x = 15966620602642102824794561772126349549564269773359107258056499680749372280425;
+    uint256 constant IC30y = 9368576055562539390433871275825120095753027805068687704059260435157889898992;
+    
+    uint256 constant IC31x = 11221337743859748698164399715387849964814004820489498058549147677450049363670;
+    uint256 constant IC31y = 16343026429088025667382340268628768609991478809204404885464842922390034041100;
+    
+    uint256 constant IC32x = 20082390715613906040121353227171094931786183810832907506802431040600519866549;
+    uint256 constant IC32y = 13949769375335462422554964968510228055137542066796485175562467461827614764471;
+    
+    uint256 constant IC33x = 19045892438482584476110401926508659732403369704451805302184038837433880722403;
+    uint256 constant IC33y = 16743558631855212576298676702923399535247470608331593631631493540845043454050;
+    
+    uint256 constant IC34x = 2980389725964861254583291330755378690651023474205159986142682102602235275272;
+    uint256 constant IC34y = 15035874928497409447692872412224913709105435437093553560216524313365191000119;
+    
+ 
+    // Memory data
+    uint16 constant pVk = 0;
+    uint16 constant pPairing = 128;
+
+    uint16 constant pLastMem = 896;
+
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[34] calldata _pubSignals) public view returns (bool) {
+        assembly {
+            function checkField(v) {
+                if iszero(lt(v, r)) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+            
+            // G1 function to multiply a G1 value(x,y) to value in an address
+            function g1_mulAccC(pR, x, y, s) {
+                let success
+                let mIn := mload(0x40)
+                mstore(mIn, x)
+                mstore(add(mIn, 32), y)
+                mstore(add(mIn, 64), s)
+
+                success := staticcall(sub(gas(), 2000), 7, mIn, 96, mIn, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+
+                mstore(add(mIn, 64), mload(pR))
+                mstore(add(mIn, 96), mload(add(pR, 32)))
+
+                success := staticcall(sub(gas(), 2000), 6, mIn, 128, pR, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+
+            function checkPairing(pA, pB, pC, pubSignals, pMem) -> isOk {
+                let _pPairing := add(pMem, pPairing)
+                let _pVk := add(pMem, pVk)
+
+                mstore(_pVk, IC0x)
+                mstore(add(_pVk, 32), IC0y)
+
+                // Compute the linear combination vk_x
+                
+                g1_mulAccC(_pVk, IC1x, IC1y, calldataload(add(pubSignals, 0)))
+                
+                g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
+                
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
+                g1_mulAccC(_pVk, IC10x, IC10y, calldataload(add(pubSignals, 288)))
+                
+                g1_mulAccC(_pVk, IC11x, IC11y, calldataload(add(pubSignals, 320)))
+                
+                g1_mulAccC(_pVk, IC12x, IC12y, calldataload(add(pubSignals, 352)))
+                
+                g1_mulAccC(_pVk, IC13x, IC13y, calldataload(add(pubSignals, 384)))
+                
+                g1_mulAccC(_pVk, IC14x, IC14y, calldataload(add(pubSignals, 416)))
+                
+                g1_mulAccC(_pVk, IC15x, IC15y, calldataload(add(pubSignals, 448)))
+                
+                g1_mulAccC(_pVk, IC16x, IC16y, calldataload(add(pubSignals, 480)))
+                
+                g1_mulAccC(_pVk, IC17x, IC17y, calldataload(add(pubSignals, 512)))
+                
+                g1_mulAccC(_pVk, IC18x, IC18y, calldataload(add(pubSignals, 544)))
+                
+                g1_mulAccC(_pVk, IC19x, IC19y, calldataload(add(pubSignals, 576)))
+                
+                g1_mulAccC(_pVk, IC20x, IC20y, calldataload(add(pubSignals, 608)))
+                
+                g1_mulAccC(_pVk, IC21x, IC21y, calldataload(add(pubSignals, 640)))
+                
+                g1_mulAccC(_pVk, IC22x, IC22y, calldataload(add(pubSignals, 672)))
+                
+                g1_mulAccC(_pVk, IC23x, IC23y, calldataload(add(pubSignals, 704)))
+                
+                g1_mulAccC(_pVk, IC24x, IC24y, calldataload(add(pubSignals, 736)))
+                
+                g1_mulAccC(_pVk, IC25x, IC25y, calldataload(add(pubSignals, 768)))
+                
+                g1_mulAccC(_pVk, IC26x, IC26y, calldataload(add(pubSignals, 800)))
+                
+                g1_mulAccC(_pVk, IC27x, IC27y, calldataload(add(pubSignals, 832)))
+                
+                g1_mulAccC(_pVk, IC28x, IC28y, calldataload(add(pubSignals, 864)))
+                
+                g1_mulAccC(_pVk, IC29x, IC29y, calldataload(add(pubSignals, 896)))
+                
+                g1_mulAccC(_pVk, IC30x, IC30y, calldataload(add(pubSignals, 928)))
+                
+                g1_mulAccC(_pVk, IC31x, IC31y, calldataload(add(pubSignals, 960)))
+                
+                g1_mulAccC(_pVk, IC32x, IC32y, calldataload(add(pubSignals, 992)))
+                
+                g1_mulAccC(_pVk, IC33x, IC33y, calldataload(add(pubSignals, 1024)))
+                
+                g1_mulAccC(_pVk, IC34x, IC34y, calldataload(add(pubSignals, 1056)))
+                
+
+                // -A
+                mstore(_pPairing, calldataload(pA))
+                mstore(add(_pPairing, 32), mod(sub(q, calldataload(add(pA, 32))), q))
+
+                // B
+                mstore(add(_pPairing, 64), calldataload(pB))
+                mstore(add(_pPairing, 96), calldataload(add(pB, 32)))
+                mstore(add(_pPairing, 128), calldataload(add(pB, 64)))
+                mstore(add(_pPairing, 160), calldataload(add(pB, 96)))
+
+                // alpha1
+                mstore(add(_pPairing, 192), alphax)
+                mstore(add(_pPairing, 224), alphay)
+
+                // beta2
+                mstore(add(_pPairing, 256), betax1)
+                mstore(add(_pPairing, 288), betax2)
+                mstore(add(_pPairing, 320), betay1)
+                mstore(add(_pPairing, 352), betay2)
+
+                // vk_x
+                mstore(add(_pPairing, 384), mload(add(pMem, pVk)))
+                mstore(add(_pPairing, 416), mload(add(pMem, add(pVk, 32))))
+
+
+                // gamma2
+                mstore(add(_pPairing, 448), gammax1)
+                mstore(add(_pPairing, 480), gammax2)
+                mstore(add(_pPairing, 512), gammay1)
+                mstore(add(_pPairing, 544), gammay2)
+
+                // C
+                mstore(add(_pPairing, 576), calldataload(pC))
+                mstore(add(_pPairing, 608), calldataload(add(pC, 32)))
+
+                // delta2
+                mstore(add(_pPairing, 640), deltax1)
+                mstore(add(_pPairing, 672), deltax2)
+                mstore(add(_pPairing, 704), deltay1)
+                mstore(add(_pPairing, 736), deltay2)
+
+
+                let success := staticcall(sub(gas(), 2000), 8, _pPairing, 768, _pPairing, 0x20)
+
+                isOk := and(success, mload(_pPairing))
+            }
+
+            let pMem := mload(0x40)
+            mstore(0x40, add(pMem, pLastMem))
+
+            // Validate that all evaluations ∈ F
+            
+            checkField(calldataload(add(_pubSignals, 0)))
+            
+            checkField(calldataload(add(_pubSignals, 32)))
+            
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
+            checkField(calldataload(add(_pubSignals, 288)))
+            
+            checkField(calldataload(add(_pubSignals, 320)))
+            
+            checkField(calldataload(add(_pubSignals, 352)))
+            
+            checkField(calldataload(add(_pubSignals, 384)))
+            
+            checkField(calldataload(add(_pubSignals, 416)))
+            
+            checkField(calldataload(add(_pubSignals, 448)))
+            
+            checkField(calldataload(add(_pubSignals, 480)))
+            
+            checkField(calldataload(add(_pubSignals, 512)))
+            
+            checkField(calldataload(add(_pubSignals, 544)))
+            
+            checkField(calldataload(add(_pubSignals, 576)))
+            
+            checkField(calldataload(add(_pubSignals, 608)))
+            
+            checkField(calldataload(add(_pubSignals, 640)))
+            
+            checkField(calldataload(add(_pubSignals, 672)))
+            
+            checkField(calldataload(add(_pubSignals, 704)))
+            
+            checkField(calldataload(add(_pubSignals, 736)))
+            
+            checkField(calldataload(add(_pubSignals, 768)))
+            
+            checkField(calldataload(add(_pubSignals, 800)))
+            
+            checkField(calldataload(add(_pubSignals, 832)))
+            
+            checkField(calldataload(add(_pubSignals, 864)))
+            
+            checkField(calldataload(add(_pubSignals, 896)))
+            
+            checkField(calldataload(add(_pubSignals, 928)))
+            
+            checkField(calldataload(add(_pubSignals, 960)))
+            
+            checkField(calldataload(add(_pubSignals, 992)))
+            
+            checkField(calldataload(add(_pubSignals, 1024)))
+            
+            checkField(calldataload(add(_pubSignals, 1056)))
+            
+
+            // Validate all evaluations
+            let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
+
+            mstore(0, isValid)
+             return(0, 0x20)
+         }
+     }
+ }
@@ -0,0 +1,329 @@
+// SPDX-License-Identifier: GPL-3.0
+/*
+    Copyright 2021 0KIMS association.
+
+    This file is generated with [snarkJS](https://github.com/iden3/snarkjs).
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+pragma solidity >=0.7.0 <0.9.0;
+
+contract TallyDecryptionVerifier {
+    // Scalar field size
+    uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // Base field size
+    uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    // Verification Key data
+    uint256 constant alphax  = 2025137199231073681327050303393022033213602924913380556953610013375575001320;
+    uint256 constant alphay  = 12158098253653319756246381214175707793008443141482657485166331158682538766193;
+    uint256 constant betax1  = 10854868470400169757255555774958808160972401186643261992050994660245827296786;
+    uint256 constant betax2  = 13145175798301049353359782114355936451586163163950157972280014798136772369550;
+    uint256 constant betay1  = 1058401014544811025292089202171547798498692621336809392609341143794917041907;
+    uint256 constant betay2  = 7324223033943087066786674761461571898954145306395074601527639311851274874530;
+    uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 6160338491989146930682611577478395868848461444963402252493411230673326707808;
+    uint256 constant deltax2 = 12798469653552493184171434720086293466033357249439251204524792814820756835810;
+    uint256 constant deltay1 = 14253868674760498931759695294999202180583271797704376110132872622595874924892;
+    uint256 constant deltay2 = 12177227040251995364049596003240631586024986385639240630360615160378725320467;
+
+    
+    uint256 constant IC0x = 18670165888012465017391380370270386557772516314620700394821779828117656743086;
+    uint256 constant IC0y = 7329322703751850021362794071630643064626537365568029353805969541742370866557;
+    
+    uint256 constant IC1x = 6781202034472498045656788716707602482151666194938546507275495509650505721343;
+    uint256 constant IC1y = 15697872862567937323700194694488914531776682619093982667367556904551366968244;
+    
+    uint256 constant IC2x = 12205590852356917696290226225030105385808952343136238998831456595317176163602;
+    uint256 constant IC2y = 19145514008733281429571067739498729768011543329794157445693746505350985565427;
+    
+    uint256 constant IC3x = 1238147942085694781155997422612089429504489330133485124251842442915228618045;
+    uint256 constant IC3y = 757587863553675306269890797267953140327678687582585854833921608096222248104;
+    
+    uint256 constant IC4x = 4723553477133987787007401866228828129317960906622785918452719768383803453919;
+    uint256 constant IC4y = 8511069513214902710890191098503167454826692379181958282052903073831075231979;
+    
+    uint256 constant IC5x = 2027072720202216856021921495578414341246902812103240926156126749165629130758;
+    uint256 constant IC5y = 2854345319749690486356975435571660889052391801007197801752384070388124728291;
+    
+    uint256 constant IC6x = 8450858097885066659766859872421795972356913781648822379008534310054618275194;
+    uint256 constant IC6y = 4020497993062942991031015431540718778510326192422229886844318998800023490414;
+    
+    uint256 constant IC7x = 15107799278487870017713669975503545689966262068980754906882340746597756059479;
+    uint256 constant IC7y = 17927678784052277309929176545802118265337030286490250512228213427674859719596;
+    
+    uint256 constant IC8x = 3593923785443215799823627803356958884559233171188069634995201793011176930163;
+    uint256 constant IC8y = 19082369404254896199884069299535501277408459763816521911984533453132374463896;
+    
+    uint256 constant IC9x = 13047282433569418056388875134087393278181436779204622840205780112665688114733;
+    uint256 constant IC9y = 20745362944060156639699363355666743494650179688392465144050610700915569385245;
+    
+    uint256 constant IC10x = 7544183372494615722247341315894832685301412879219609459935736241952831063080;
+    uint256 constant IC10y = 10506837583685116803660022991071151332628705818229320382369711617402480657076;
+    
+    uint256 constant IC11x = 16374902008310485939988099505648472266374483474330111350583145642148714335444;
+    uint256 constant IC11y = 4902789369512259488201987051448647362422047360418210537445197266477336831381;
+    
+    uint256 constant IC12x = 13163065022372015417820842585815403594528140598345977134011501528335271767941;
+    uint256 constant IC12y = 13766469857428704608209118523164043912345342886664747731046851492809594053917;
+    
+    uint256 constant IC13x = 17029326034402053832860884128553356712306304819773154106989733570377157717103;
+    uint256 constant IC13y = 12051315726091990618794247353631139792446234235190818944806829938413905879196;
+    
+    uint256 constant IC14x = 10024320235045874812056959113530702356365969399836363659557927095045416703067;
+    uint256 constant IC14y = 337595556038814306271936768230864240242356202598957612113463801832248840100;
+    
+    uint256 constant IC15x = 899530347604695920053177594929806401541437070138725841068504611733966721780;
+    uint256 constant IC15y = 14587474888538262805211253677445522089326179274161833337142250861215541690319;
+    
+    uint256 constant IC16x = 9423532255495463215842037421192453198578438950549107005156909919390247579050;
+    uint256 constant IC16y = 5616351083995751702188332789620686823440534594814992123259317842682085028551;
+    
+    uint256 constant IC17x = 14897179210882801528137331286910731506151977623255092435940724240116601294083;
+    uint256 constant IC17y = 11204292002423826737529114008991105385024145178305773147522609009277813283217;
+    
+    uint256 constant IC18x = 16201164173243531161268600278295844994035476728811575562130357054289661899874;
+    uint256 constant IC18y = 3866100078256391007888703769164171701237117207042797126906806917350889905908;
+    
+    uint256 constant IC19x = 10323471161847904859610148250343876261832866725336769909290547005942192637760;
+    uint256 constant IC19y = 13611044750393602115444063538751928674702266253147735428990719568378463924606;
+    
+    uint256 constant IC20x = 12077989113414550186736097627108766554611478979249485383494935495351969511621;
+    uint256 constant IC20y = 1292643716797828127138667063554598086519448497056063244270174841094284791955;
+    
+    uint256 constant IC21x = 1940312071580952825092597919006840180270093811756321577833809889012209054230;
+    uint256 constant IC21y = 6424520013890884787688781430635535305437087285696799630069679946849687006581;
+    
+    uint256 constant IC22x = 17026728879379099844615610226554174235923059483584701134061836673804169336185;
+    uint256 constant IC22y = 9861896792711148850324594374075559604632463653561142039757247023544355197188;
+    
+    uint256 constant IC23x = 4271270767605437624898343917338278639505273119421977142045795728070577786687;
+    uint256 constant IC23y = 21087098993438737046203606201550107464468797770482814068051024342446098673949;
+    
+    uint256 constant IC24x = 4957365539537527702969501911838570806069377937799316140549875563154716115133;
+    uint256 constant IC24y = 8179874394281731309875416775182759250896717283981335907199020877384379082333;
+    
+ 
+    // Memory data
+    uint16 constant pVk = 0;
+    uint16 constant pPairing = 128;
+
+    uint16 constant pLastMem = 896;
+
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[24] calldata _pubSignals) public view returns (bool) {
+        assembly {
+            function checkField(v) {
+                if iszero(lt(v, r)) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+            
+            // G1 function to multiply a G1 value(x,y) to value in an address
+            function g1_mulAccC(pR, x, y, s) {
+                let success
+                let mIn := mload(0x40)
+                mstore(mIn, x)
+                mstore(add(mIn, 32), y)
+                mstore(add(mIn, 64), s)
+
+                success := staticcall(sub(gas(), 2000), 7, mIn, 96, mIn, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+
+                mstore(add(mIn, 64), mload(pR))
+                mstore(add(mIn, 96), mload(add(pR, 32)))
+
+                success := staticcall(sub(gas(), 2000), 6, mIn, 128, pR, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+
+            function checkPairing(pA, pB, pC, pubSignals, pMem) -> isOk {
+                let _pPairing := add(pMem, pPairing)
+                let _pVk := add(pMem, pVk)
+
+                mstore(_pVk, IC0x)
+                mstore(add(_pVk, 32), IC0y)
+
+                // Compute the linear combination vk_x
+                
+                g1_mulAccC(_pVk, IC1x, IC1y, calldataload(add(pubSignals, 0)))
+                
+                g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
+                
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
+                g1_mulAccC(_pVk, IC10x, IC10y, calldataload(add(pubSignals, 288)))
+                
+                g1_mulAccC(_pVk, IC11x, IC11y, calldataload(add(pubSignals, 320)))
+                
+                g1_mulAccC(_pVk, IC12x, IC12y, calldataload(add(pubSignals, 352)))
+                
+                g1_mulAccC(_pVk, IC13x, IC13y, calldataload(add(pubSignals, 384)))
+                
+                g1_mulAccC(_pVk, IC14x, IC14y, calldataload(add(pubSignals, 416)))
+                
+                g1_mulAccC(_pVk, IC15x, IC15y, calldataload(add(pubSignals, 448)))
+                
+                g1_mulAccC(_pVk, IC16x, IC16y, calldataload(add(pubSignals, 480)))
+                
+                g1_mulAccC(_pVk, IC17x, IC17y, calldataload(add(pubSignals, 512)))
+                
+                g1_mulAccC(_pVk, IC18x, IC18y, calldataload(add(pubSignals, 544)))
+                
+                g1_mulAccC(_pVk, IC19x, IC19y, calldataload(add(pubSignals, 576)))
+                
+                g1_mulAccC(_pVk, IC20x, IC20y, calldataload(add(pubSignals, 608)))
+                
+                g1_mulAccC(_pVk, IC21x, IC21y, calldataload(add(pubSignals, 640)))
+                
+                g1_mulAccC(_pVk, IC22x, IC22y, calldataload(add(pubSignals, 672)))
+                
+                g1_mulAccC(_pVk, IC23x, IC23y, calldataload(add(pubSignals, 704)))
+                
+                g1_mulAccC(_pVk, IC24x, IC24y, calldataload(add(pubSignals, 736)))
+                
+
+                // -A
+                mstore(_pPairing, calldataload(pA))
+                mstore(add(_pPairing, 32), mod(sub(q, calldataload(add(pA, 32))), q))
+
+                // B
+                mstore(add(_pPairing, 64), calldataload(pB))
+                mstore(add(_pPairing, 96), calldataload(add(pB, 32)))
+                mstore(add(_pPairing, 128), calldataload(add(pB, 64)))
+                mstore(add(_pPairing, 160), calldataload(add(pB, 96)))
+
+                // alpha1
+                mstore(add(_pPairing, 192), alphax)
+                mstore(add(_pPairing, 224), alphay)
+
+                // beta2
+                mstore(add(_pPairing, 256), betax1)
+                mstore(add(_pPairing, 288), betax2)
+                mstore(add(_pPairing, 320), betay1)
+                mstore(add(_pPairing, 352), betay2)
+
+                // vk_x
+                mstore(add(_pPairing, 384), mload(add(pMem, pVk)))
+                mstore(add(_pPairing, 416), mload(add(pMem, add(pVk, 32))))
+
+
+                // gamma2
+                mstore(add(_pPairing, 448), gammax1)
+                mstore(add(_pPairing, 480), gammax2)
+                mstore(add(_pPairing, 512), gammay1)
+                mstore(add(_pPairing, 544), gammay2)
+
+                // C
+                mstore(add(_pPairing, 576), calldataload(pC))
+                mstore(add(_pPairing, 608), calldataload(add(pC, 32)))
+
+                // delta2
+                mstore(add(_pPairing, 640), deltax1)
+                mstore(add(_pPairing, 672), deltax2)
+                mstore(add(_pPairing, 704), deltay1)
+                mstore(add(_pPairing, 736), deltay2)
+
+
+                let success := staticcall(sub(gas(), 2000), 8, _pPairing, 768, _pPairing, 0x20)
+
+                isOk := and(success, mload(_pPairing))
+            }
+
+            let pMem := mload(0x40)
+            mstore(0x40, add(pMem, pLastMem))
+
+            // Validate that all evaluations ∈ F
+            
+            checkField(calldataload(add(_pubSignals, 0)))
+            
+            checkField(calldataload(add(_pubSignals, 32)))
+            
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
+            checkField(calldataload(add(_pubSignals, 288)))
+            
+            checkField(calldataload(add(_pubSignals, 320)))
+            
+            checkField(calldataload(add(_pubSignals, 352)))
+            
+            checkField(calldataload(add(_pubSignals, 384)))
+            
+            checkField(calldataload(add(_pubSignals, 416)))
+            
+            checkField(calldataload(add(_pubSignals, 448)))
+            
+            checkField(calldataload(add(_pubSignals, 480)))
+            
+            checkField(calldataload(add(_pubSignals, 512)))
+            
+            checkField(calldataload(add(_pubSignals, 544)))
+            
+            checkField(calldataload(add(_pubSignals, 576)))
+            
+            checkField(calldataload(add(_pubSignals, 608)))
+            
+            checkField(calldataload(add(_pubSignals, 640)))
+            
+            checkField(calldataload(add(_pubSignals, 672)))
+            
+            checkField(calldataload(add(_pubSignals, 704)))
+            
+            checkField(calldataload(add(_pubSignals, 736)))
+            
+
+            // Validate all evaluations
+            let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
+
+            mstore(0, isValid)
+             return(0, 0x20)
+         }
+     }
+ }
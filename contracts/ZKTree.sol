@@ -8,7 +8,7 @@ interface IVerifier {
         uint[2] memory a,
         uint[2][2] memory b,
         uint[2] memory c,
-        uint[2] memory input
+        uint[9] memory input
     ) external pure returns (bool r);
 }
 
@@ -40,22 +40,51 @@ contract ZKTree is MerkleTreeWithHistory {
         emit Commit(_commitment, insertedIndex, block.timestamp);
     }
 
+    function _commitBatch(bytes32[] memory _commitments) internal {
+        for (uint256 i = 0; i < _commitments.length; i++) {
+            require(!commitments[_commitments[i]], "The commitment has been submitted");
+            commitments[_commitments[i]] = true;
+        }
+
+        uint32 startIndex = _insertBatch(_commitments);
+        for (uint256 i = 0; i < _commitments.length; i++) {
+            emit Commit(_commitments[i], startIndex + uint32(i), block.timestamp);
+        }
+    }
+
     function _nullify(
         bytes32 _nullifier,
         bytes32 _root,
+        uint256 _signalHash,
+        uint256 _externalNullifier,
+        address _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint256 _creditBudget,
+        uint256 _quadratic,
         uint[2] memory _proof_a,
         uint[2][2] memory _proof_b,
         uint[2] memory _proof_c
     ) internal {
         require(!nullifiers[_nullifier], "The nullifier has been submitted");
         require(isKnownRoot(_root), "Cannot find your merkle root");
+        require(_signalHash < FIELD_SIZE, "Signal hash should be inside the field");
+        require(_externalNullifier < FIELD_SIZE, "External nullifier should be inside the field");
+        require(_fee < FIELD_SIZE, "Fee should be inside the field");
+
+        // Filled one by one, as an array literal of all public signals is too deep for the stack
+        uint[9] memory input;
+        input[0] = uint256(_nullifier);
+        input[1] = uint256(_root);
+        input[2] = _signalHash;
+        input[3] = _externalNullifier;
+        input[4] = uint256(uint160(_relayer));
+        input[5] = _fee;
+        input[6] = _weight;
+        input[7] = _creditBudget;
+        input[8] = _quadratic;
         require(
-            verifier.verifyProof(
-                _proof_a,
-                _proof_b,
-                _proof_c,
-                [uint256(_nullifier), uint256(_root)]
-            ),
+            verifier.verifyProof(_proof_a, _proof_b, _proof_c, input),
             "Invalid proof"
         );
 
@@ -17,6 +17,13 @@ contract ZKTreeTest is ZKTree {
     function nullify(
         uint256 _nullifier,
         uint256 _root,
+        uint256 _signalHash,
+        uint256 _externalNullifier,
+        address _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint256 _creditBudget,
+        uint256 _quadratic,
         uint[2] memory _proof_a,
         uint[2][2] memory _proof_b,
         uint[2] memory _proof_c
@@ -24,6 +31,13 @@ contract ZKTreeTest is ZKTree {
         _nullify(
             bytes32(_nullifier),
             bytes32(_root),
+            _signalHash,
+            _externalNullifier,
+            _relayer,
+            _fee,
+            _weight,
+            _creditBudget,
+            _quadratic,
             _proof_a,
             _proof_b,
             _proof_c
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.17;
 
 import "./ZKTree.sol";
+import "./EncryptedTally.sol";
 
 /**
  * @title ZKVotingSystem
@@ -28,6 +29,12 @@ contract ZKVotingSystem is ZKTree {
         uint256 endTime;
     }
 
+    // SingleChoice ballots name one candidate; Ranked ballots list candidates in order of preference;
+    // Approval ballots approve up to maxApprovals candidates; Cumulative and Quadratic ballots allocate
+    // credits across candidates, spending one credit per vote or the square of the votes; Encrypted ballots
+    // name one candidate in ciphertexts that encryptedTally adds up, so counts stay hidden until it is decrypted
+    enum BallotType { SingleChoice, Ranked, Approval, Cumulative, Quadratic, Encrypted }
+
     // State variables
     address public admin;
     uint256 public candidatesCount;
@@ -37,13 +44,47 @@ contract ZKVotingSystem is ZKTree {
     mapping(address => bool) public registeredVoterAddresses;
     mapping(uint256 => bool) public uniqueHashes; // To ensure each voter is registered only once
     
-    bool public votingStarted;
     bool public votingEnded;
     uint256 public startTime;
     uint256 public endTime;
     
     uint256 public totalVotes;
 
+    // External nullifier that scopes voters' nullifier hashes to this election
+    uint256 public immutable electionId;
+
+    // Funds set aside by the admin to pay relayer fees
+    uint256 public gasPool;
+
+    // Commitments voters submitted for the admin to approve, by voter address
+    mapping(address => uint256) public pendingCommitments;
+    address[] private registrationRequesters;
+    mapping(address => bool) private hasRequestedRegistration;
+
+    // In unlinkable mode commitments are only inserted in shuffled batches, so no
+    // event or storage slot maps a voter's address to their leaf in the tree
+    bool public unlinkableRegistration;
+    uint256 public constant MIN_UNLINKED_BATCH_SIZE = 2;
+
+    // Kind of ballot voters cast, fixed once voting starts
+    BallotType public ballotType;
+    // Most candidates an approval ballot may approve (0 for other ballot types)
+    uint256 public maxApprovals;
+    // Credits a cumulative or quadratic ballot may spend per unit of the voter's weight (0 for other ballot types)
+    uint256 public creditBudget;
+    // Credit allocations are packed CREDIT_BITS bits per candidate, as the circuit unpacks them
+    uint256 public constant CREDIT_BITS = 16;
+    uint256 public constant MAX_CREDIT_CANDIDATES = 15;
+    // Every ballot cast with castBallot and its weight, in the order they were cast; none is linked to a voter
+    uint256[][] private ballots;
+    uint256[] private ballotWeights;
+
+    // Voting weight of each registered commitment; the voter's leaf in the tree is MiMC(commitment, weight)
+    mapping(uint256 => uint256) public commitmentWeights;
+
+    // Adds up the ballots of an encrypted election and publishes the decrypted counts
+    IEncryptedTally public encryptedTally;
+
     // Events
     event CandidateAdded(uint256 candidateId, string name);
     event VoterRegistered(address indexed voterAddress, bytes32 indexed commitment);
@@ -51,6 +92,20 @@ contract ZKVotingSystem is ZKTree {
     event VotingStarted(uint256 startTime, uint256 endTime);
     event VotingEnded(uint256 endTime, uint256 totalVotes);
     event VoterUnregistered(address indexed voter);
+    event GasPoolFunded(address indexed funder, uint256 amount);
+    event GasPoolWithdrawn(address indexed recipient, uint256 amount);
+    event RelayerPaid(address indexed relayer, uint256 fee);
+    event RegistrationRequested(address indexed voterAddress, uint256 commitment);
+    event RegistrationRejected(address indexed voterAddress, uint256 commitment);
+    event UnlinkableRegistrationSet(bool enabled);
+    event VoterEligible(address indexed voterAddress);
+    event VotersBatchRegistered(uint256 count);
+    event CredentialsIssued(uint256 count);
+    event BallotTypeSet(BallotType ballotType, uint256 maxApprovals, uint256 creditBudget);
+    event BallotCast(bytes32 indexed nullifier, uint256[] ballot);
+    event ApprovalsCast(bytes32 indexed nullifier, uint256 approvals);
+    event AllocationsCast(bytes32 indexed nullifier, uint256 allocations);
+    event EncryptedTallySet(address encryptedTally);
 
     // Modifiers
     modifier onlyAdmin() {
@@ -72,8 +127,14 @@ contract ZKVotingSystem is ZKTree {
         _;
     }
 
+    // Candidates and the ballot type are fixed once voting starts, as credit and encrypted ballots are checked against them
     modifier votingNotStarted() {
-        require(!votingStarted, "Voting has already started");
+        require(votingStatus.endTime == 0, "Voting has already started");
+        _;
+    }
+
+    modifier linkableRegistration() {
+        require(!unlinkableRegistration, "Not available in unlinkable registration mode");
         _;
     }
 
@@ -85,9 +146,9 @@ contract ZKVotingSystem is ZKTree {
     ) ZKTree(_levels, _hasher, _verifier) {
         admin = msg.sender;
         candidatesCount = 0;
-        votingStarted = false;
         votingEnded = false;
         totalVotes = 0;
+        electionId = uint256(keccak256(abi.encodePacked(block.chainid, address(this)))) % FIELD_SIZE;
     }
 
     /**
@@ -102,14 +163,143 @@ contract ZKVotingSystem is ZKTree {
     }
 
     /**
-     * @dev Register a voter with commitment
+     * @dev Ask the admin to register the caller with a commitment generated on the voter's device,
+     * so the admin never learns the nullifier and secret behind it
+     * @param _commitment The ZKP commitment of the voter
+     */
+    function requestRegistration(uint256 _commitment) public linkableRegistration {
+        require(!voters[msg.sender].registered, "Voter already registered");
+        require(pendingCommitments[msg.sender] == 0, "Registration already requested");
+        require(_commitment != 0 && _commitment < FIELD_SIZE, "Commitment should be inside the field");
+
+        pendingCommitments[msg.sender] = _commitment;
+        if (!hasRequestedRegistration[msg.sender]) {
+            hasRequestedRegistration[msg.sender] = true;
+            registrationRequesters.push(msg.sender);
+        }
+
+        emit RegistrationRequested(msg.sender, _commitment);
+    }
+
+    /**
+     * @dev Reject a pending registration request (the voter may submit a new one)
+     * @param _voterAddress Address of the voter whose request is rejected
+     */
+    function rejectRegistration(address _voterAddress) public onlyAdmin {
+        uint256 commitment = pendingCommitments[_voterAddress];
+        require(commitment != 0, "No pending registration request");
+
+        delete pendingCommitments[_voterAddress];
+        emit RegistrationRejected(_voterAddress, commitment);
+    }
+
+    /**
+     * @dev Get all registration requests waiting for the admin
+     * @return voterAddresses Addresses of the requesting voters
+     * @return commitments Commitments submitted by each voter
+     */
+    function getPendingRegistrations() public view returns (
+        address[] memory voterAddresses,
+        uint256[] memory commitments
+    ) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < registrationRequesters.length; i++) {
+            if (pendingCommitments[registrationRequesters[i]] != 0) {
+                count++;
+            }
+        }
+
+        voterAddresses = new address[](count);
+        commitments = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < registrationRequesters.length; i++) {
+            address requester = registrationRequesters[i];
+            if (pendingCommitments[requester] != 0) {
+                voterAddresses[index] = requester;
+                commitments[index] = pendingCommitments[requester];
+                index++;
+            }
+        }
+
+        return (voterAddresses, commitments);
+    }
+
+    /**
+     * @dev Register a voter with commitment (also approves the voter's pending request, if any)
      * @param _voterAddress Address of the voter to register
      * @param _uniqueHash Unique hash to ensure one voter registers only once
      * @param _commitment The ZKP commitment of the voter
+     * @param _weight Voting weight of the voter
+     */
+    function registerVoter(
+        address _voterAddress,
+        uint256 _uniqueHash,
+        uint256 _commitment,
+        uint256 _weight
+    ) public onlyAdmin linkableRegistration {
+        _recordVoter(_voterAddress, _uniqueHash, _commitment);
+        _commit(_weightedLeaf(_commitment, _weight));
+        emit VoterRegistered(_voterAddress, bytes32(_commitment));
+    }
+
+    /**
+     * @dev Register many voters in one transaction, inserting all commitments into the tree at once
+     * @param _voterAddresses Addresses of the voters to register
+     * @param _uniqueHashes Unique hash of each voter
+     * @param _commitments The ZKP commitment of each voter
+     * @param _weights Voting weight of each voter
+     */
+    function registerVotersBatch(
+        address[] memory _voterAddresses,
+        uint256[] memory _uniqueHashes,
+        uint256[] memory _commitments,
+        uint256[] memory _weights
+    ) public onlyAdmin linkableRegistration {
+        require(
+            _voterAddresses.length == _uniqueHashes.length && _voterAddresses.length == _commitments.length &&
+                _voterAddresses.length == _weights.length,
+            "Array lengths do not match"
+        );
+        require(_voterAddresses.length > 0, "Batch is empty");
+
+        bytes32[] memory leaves = new bytes32[](_commitments.length);
+        for (uint256 i = 0; i < _voterAddresses.length; i++) {
+            _recordVoter(_voterAddresses[i], _uniqueHashes[i], _commitments[i]);
+            leaves[i] = _weightedLeaf(_commitments[i], _weights[i]);
+            emit VoterRegistered(_voterAddresses[i], bytes32(_commitments[i]));
+        }
+
+        _commitBatch(leaves);
+    }
+
+    /**
+     * @dev Register commitments of credentials handed out on paper, which are not tied to any address
+     * and carry a weight of 1
+     * @param _commitments The commitments of the issued credentials
      */
-    function registerVoter(address _voterAddress, uint256 _uniqueHash, uint256 _commitment) public onlyAdmin {
+    function registerCommitmentsBatch(uint256[] memory _commitments) public onlyAdmin {
+        require(_commitments.length > 0, "Batch is empty");
+
+        bytes32[] memory leaves = new bytes32[](_commitments.length);
+        for (uint256 i = 0; i < _commitments.length; i++) {
+            leaves[i] = _weightedLeaf(_commitments[i], 1);
+        }
+        _commitBatch(leaves);
+
+        emit CredentialsIssued(_commitments.length);
+    }
+
+    /**
+     * @dev Record a voter as registered (the caller inserts the commitment into the tree)
+     */
+    function _recordVoter(address _voterAddress, uint256 _uniqueHash, uint256 _commitment) internal {
         require(!voters[_voterAddress].registered, "Voter already registered");
         require(!uniqueHashes[_uniqueHash], "This unique hash is already used");
+        require(
+            pendingCommitments[_voterAddress] == 0 || pendingCommitments[_voterAddress] == _commitment,
+            "Commitment does not match the registration request"
+        );
+        delete pendingCommitments[_voterAddress];
         
         voters[_voterAddress] = Voter({
             voter: _voterAddress,
@@ -118,10 +308,112 @@ contract ZKVotingSystem is ZKTree {
         });
         
         uniqueHashes[_uniqueHash] = true;
-        
-        _commit(bytes32(_commitment));
-        
-        emit VoterRegistered(_voterAddress, bytes32(_commitment));
+    }
+
+    /**
+     * @dev Record the weight of a commitment and return the leaf that binds them, MiMC(commitment, weight).
+     * Weights stay below 2^64, like credit budgets, so their product cannot wrap around the field in the proof.
+     */
+    function _weightedLeaf(uint256 _commitment, uint256 _weight) internal returns (bytes32) {
+        require(_weight > 0 && _weight >> 64 == 0, "Weight must be greater than 0 and below 2^64");
+        require(commitmentWeights[_commitment] == 0, "The commitment has been submitted");
+        commitmentWeights[_commitment] = _weight;
+        return hashLeftRight(_commitment, _weight);
+    }
+
+    /**
+     * @dev Switch unlinkable registration on or off. The mode must be chosen before any commitment is in
+     * the tree and before any voter calls requestRegistration, whose event already links the voter's
+     * address to the commitment.
+     * @param _enabled Whether commitments must be registered in shuffled batches
+     */
+    function setUnlinkableRegistration(bool _enabled) public onlyAdmin {
+        require(nextIndex == 0 && registrationRequesters.length == 0, "Registration has already started");
+        unlinkableRegistration = _enabled;
+        emit UnlinkableRegistrationSet(_enabled);
+    }
+
+    /**
+     * @dev Register a batch of voters without linking addresses to commitments.
+     * Eligibility is recorded per address, while the commitments are inserted in the
+     * order given, which the admin shuffles independently of the address order.
+     * @param _voterAddresses Addresses of the voters to register
+     * @param _uniqueHashes Unique hash of each voter, in the same order as the addresses
+     * @param _commitments The voters' commitments, in shuffled order
+     * @param _weights Voting weight of each commitment, in the same order as the commitments
+     */
+    function registerVotersUnlinked(
+        address[] memory _voterAddresses,
+        uint256[] memory _uniqueHashes,
+        uint256[] memory _commitments,
+        uint256[] memory _weights
+    ) public onlyAdmin {
+        require(unlinkableRegistration, "Unlinkable registration mode is not enabled");
+        require(
+            _voterAddresses.length == _uniqueHashes.length && _voterAddresses.length == _commitments.length &&
+                _voterAddresses.length == _weights.length,
+            "Array lengths do not match"
+        );
+        require(_voterAddresses.length >= MIN_UNLINKED_BATCH_SIZE, "Batch is too small to hide voters");
+
+        for (uint256 i = 0; i < _voterAddresses.length; i++) {
+            address voterAddress = _voterAddresses[i];
+            require(!voters[voterAddress].registered, "Voter already registered");
+            require(!uniqueHashes[_uniqueHashes[i]], "This unique hash is already used");
+
+            voters[voterAddress] = Voter({
+                voter: voterAddress,
+                uniqueHash: _uniqueHashes[i],
+                registered: true
+            });
+            uniqueHashes[_uniqueHashes[i]] = true;
+            delete pendingCommitments[voterAddress];
+
+            emit VoterEligible(voterAddress);
+        }
+
+        bytes32[] memory leaves = new bytes32[](_commitments.length);
+        for (uint256 i = 0; i < _commitments.length; i++) {
+            leaves[i] = _weightedLeaf(_commitments[i], _weights[i]);
+        }
+        _commitBatch(leaves);
+
+        emit VotersBatchRegistered(_voterAddresses.length);
+    }
+
+    /**
+     * @dev Choose the kind of ballot voters cast (only before voting starts)
+     * @param _ballotType The ballot type
+     * @param _maxApprovals Most candidates an approval ballot may approve (0 for other ballot types)
+     * @param _creditBudget Credits per unit of weight of a cumulative or quadratic ballot (0 for other ballot types)
+     */
+    function setBallotType(
+        BallotType _ballotType,
+        uint256 _maxApprovals,
+        uint256 _creditBudget
+    ) public onlyAdmin votingNotStarted {
+        require(
+            (_ballotType == BallotType.Approval) == (_maxApprovals > 0),
+            "Only approval ballots have a maximum number of approvals"
+        );
+        require(
+            (_ballotType == BallotType.Cumulative || _ballotType == BallotType.Quadratic) == (_creditBudget > 0) &&
+                _creditBudget >> 64 == 0,
+            "Only cumulative and quadratic ballots have a credit budget, below 2^64"
+        );
+        ballotType = _ballotType;
+        maxApprovals = _maxApprovals;
+        creditBudget = _creditBudget;
+        emit BallotTypeSet(_ballotType, _maxApprovals, _creditBudget);
+    }
+
+    /**
+     * @dev Set the contract that tallies encrypted ballots (only before voting starts)
+     * @param _encryptedTally The EncryptedTally deployed for this election
+     */
+    function setEncryptedTally(IEncryptedTally _encryptedTally) public onlyAdmin votingNotStarted {
+        encryptedTally = _encryptedTally;
+        emit EncryptedTallySet(address(_encryptedTally));
     }
 
     /**
@@ -131,6 +423,8 @@ contract ZKVotingSystem is ZKTree {
     function startVoting(uint256 _durationInMinutes) public onlyAdmin votingNotStarted {
         require(candidatesCount > 0, "No candidates added yet");
         require(_durationInMinutes > 0, "Duration must be greater than 0");
+        require(creditBudget == 0 || candidatesCount <= MAX_CREDIT_CANDIDATES, "Too many candidates for credit ballots");
+        require(ballotType != BallotType.Encrypted || encryptedTally.ready(candidatesCount), "Encrypted tally is not ready");
         
         votingStatus.isActive = true;
         votingStatus.endTime = block.timestamp + (_durationInMinutes * 1 minutes);
@@ -150,9 +444,12 @@ contract ZKVotingSystem is ZKTree {
 
     /**
      * @dev Cast a vote for a candidate using ZKP
-     * @param _candidateId ID of the candidate to vote for
-     * @param _nullifier The nullifier corresponding to the commitment
+     * @param _candidateId ID of the candidate to vote for, bound into the proof as its signal
+     * @param _nullifier The nullifier hash for this election (MiMC of the nullifier and electionId)
      * @param _root The Merkle root at the time of proof generation
+     * @param _relayer Relayer that submits the vote and receives the fee (zero address for direct votes)
+     * @param _fee Fee paid to the relayer out of the gas pool, bound into the proof
+     * @param _weight Voting weight of the voter, bound into the proof by their leaf
      * @param _proof_a First part of the zero-knowledge proof
      * @param _proof_b Second part of the zero-knowledge proof
      * @param _proof_c Third part of the zero-knowledge proof
@@ -161,26 +458,266 @@ contract ZKVotingSystem is ZKTree {
         uint256 _candidateId,
         uint256 _nullifier,
         uint256 _root,
+        address payable _relayer,
+        uint256 _fee,
+        uint256 _weight,
         uint[2] memory _proof_a,
         uint[2][2] memory _proof_b,
         uint[2] memory _proof_c
     ) public votingActive {
+        require(ballotType == BallotType.SingleChoice, "Not a single-choice election");
         require(candidates[_candidateId].exists, "Candidate does not exist");
+
+        _spendNullifier(_candidateId, _nullifier, _root, _relayer, _fee, _weight, _proof_a, _proof_b, _proof_c);
+        
+        // Add the voter's weight to the candidate's vote count
+        candidates[_candidateId].voteCount += _weight;
+        totalVotes += _weight;
         
+        emit VoteCast(bytes32(_nullifier), _candidateId);
+
+        _payRelayer(_relayer, _fee);
+    }
+
+    /**
+     * @dev Cast a ranked or an encrypted ballot using ZKP. The proof's signal is the ballot hash, so the
+     * ballot cannot be changed by someone replaying the proof
+     * @param _ballot Candidate IDs in order of preference, most preferred first; in an encrypted election the
+     * ciphertexts of each slot of the tally followed by the proof that they are a valid vote (see EncryptedTally)
+     * @param _nullifier The nullifier hash for this election (MiMC of the nullifier and electionId)
+     * @param _root The Merkle root at the time of proof generation
+     * @param _relayer Relayer that submits the vote and receives the fee (zero address for direct votes)
+     * @param _fee Fee paid to the relayer out of the gas pool, bound into the proof
+     * @param _weight Voting weight of the voter, bound into the proof by their leaf
+     * @param _proof_a First part of the zero-knowledge proof
+     * @param _proof_b Second part of the zero-knowledge proof
+     * @param _proof_c Third part of the zero-knowledge proof
+     */
+    function castBallot(
+        uint256[] memory _ballot,
+        uint256 _nullifier,
+        uint256 _root,
+        address payable _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint[2] memory _proof_a,
+        uint[2][2] memory _proof_b,
+        uint[2] memory _proof_c
+    ) public votingActive {
+        if (ballotType != BallotType.Encrypted) {
+            require(ballotType == BallotType.Ranked, "Not a ranked or encrypted election");
+            _checkRanking(_ballot);
+        }
+
+        _spendNullifier(_ballotHash(_ballot), _nullifier, _root, _relayer, _fee, _weight, _proof_a, _proof_b, _proof_c);
+
+        if (ballotType == BallotType.Encrypted) {
+            // Vote counts stay 0 until the tally is decrypted and published
+            encryptedTally.add(_ballot, _weight, candidatesCount);
+        } else {
+            // Vote counts hold first preferences; the instant-runoff tally is computed from the ballots
+            candidates[_ballot[0]].voteCount += _weight;
+            ballots.push(_ballot);
+            ballotWeights.push(_weight);
+        }
+        totalVotes += _weight;
+
+        emit BallotCast(bytes32(_nullifier), _ballot);
+
+        _payRelayer(_relayer, _fee);
+    }
+
+    /**
+     * @dev Approve a set of candidates using ZKP. The set is a bitmask (bit i - 1 for candidate i)
+     * and is itself the proof's signal, so one nullifier covers every approval
+     * @param _approvals Bitmask of the approved candidates
+     * @param _nullifier The nullifier hash for this election (MiMC of the nullifier and electionId)
+     * @param _root The Merkle root at the time of proof generation
+     * @param _relayer Relayer that submits the vote and receives the fee (zero address for direct votes)
+     * @param _fee Fee paid to the relayer out of the gas pool, bound into the proof
+     * @param _weight Voting weight of the voter, bound into the proof by their leaf
+     * @param _proof_a First part of the zero-knowledge proof
+     * @param _proof_b Second part of the zero-knowledge proof
+     * @param _proof_c Third part of the zero-knowledge proof
+     */
+    function castApprovals(
+        uint256 _approvals,
+        uint256 _nullifier,
+        uint256 _root,
+        address payable _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint[2] memory _proof_a,
+        uint[2][2] memory _proof_b,
+        uint[2] memory _proof_c
+    ) public votingActive {
+        require(ballotType == BallotType.Approval, "Not an approval election");
+        require(_approvals != 0 && _approvals >> candidatesCount == 0, "Approvals must name existing candidates");
+
+        _spendNullifier(_approvals, _nullifier, _root, _relayer, _fee, _weight, _proof_a, _proof_b, _proof_c);
+
+        // Vote counts hold weighted approvals, totalVotes the weight of the ballots
+        uint256 approved = 0;
+        for (uint256 i = 1; i <= candidatesCount; i++) {
+            if (_approvals & (1 << (i - 1)) != 0) {
+                candidates[i].voteCount += _weight;
+                approved++;
+            }
+        }
+        require(approved <= maxApprovals, "Too many candidates approved");
+        totalVotes += _weight;
+
+        emit ApprovalsCast(bytes32(_nullifier), _approvals);
+
+        _payRelayer(_relayer, _fee);
+    }
+
+    /**
+     * @dev Allocate credits across candidates using ZKP. The allocations are packed CREDIT_BITS bits per
+     * candidate, candidate 1 lowest, and are the proof's signal; the proof shows that they cost at most
+     * creditBudget credits per unit of the voter's weight (their sum, or the sum of their squares when quadratic)
+     * @param _allocations Packed votes for each candidate
+     * @param _nullifier The nullifier hash for this election (MiMC of the nullifier and electionId)
+     * @param _root The Merkle root at the time of proof generation
+     * @param _relayer Relayer that submits the vote and receives the fee (zero address for direct votes)
+     * @param _fee Fee paid to the relayer out of the gas pool, bound into the proof
+     * @param _weight Voting weight of the voter, bound into the proof by their leaf
+     * @param _proof_a First part of the zero-knowledge proof
+     * @param _proof_b Second part of the zero-knowledge proof
+     * @param _proof_c Third part of the zero-knowledge proof
+     */
+    function castAllocations(
+        uint256 _allocations,
+        uint256 _nullifier,
+        uint256 _root,
+        address payable _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint[2] memory _proof_a,
+        uint[2][2] memory _proof_b,
+        uint[2] memory _proof_c
+    ) public votingActive {
+        require(creditBudget > 0, "Not a credit election");
+        require(_allocations != 0 && _allocations >> (CREDIT_BITS * candidatesCount) == 0, "Allocations must name existing candidates");
+
+        _spendNullifier(_allocations, _nullifier, _root, _relayer, _fee, _weight, _proof_a, _proof_b, _proof_c);
+
+        // Vote counts hold the votes allocated to each candidate, totalVotes the weight of the ballots
+        for (uint256 i = 1; i <= candidatesCount; i++) {
+            candidates[i].voteCount += (_allocations >> (CREDIT_BITS * (i - 1))) & ((1 << CREDIT_BITS) - 1);
+        }
+        totalVotes += _weight;
+
+        emit AllocationsCast(bytes32(_nullifier), _allocations);
+
+        _payRelayer(_relayer, _fee);
+    }
+
+    /**
+     * @dev Record the decrypted counts of an encrypted election, once encryptedTally has verified them
+     * @param _counts Count of each candidate, candidate 1 first
+     */
+    function recordTally(uint256[] calldata _counts) external {
+        require(msg.sender == address(encryptedTally), "Only the encrypted tally can record");
+        for (uint256 i = 1; i <= candidatesCount; i++) {
+            candidates[i].voteCount = _counts[i - 1];
+        }
+    }
+
+    /**
+     * @dev Hash of a ballot as it is bound into the proof: keccak256 of its packed words,
+     * reduced into the field (computeBallotSignal in the SDK)
+     */
+    function _ballotHash(uint256[] memory _ballot) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(_ballot))) % FIELD_SIZE;
+    }
+
+    /**
+     * @dev Check that a ranking lists existing candidates, each at most once
+     */
+    function _checkRanking(uint256[] memory _ranking) internal view {
+        require(_ranking.length > 0 && _ranking.length <= candidatesCount, "Ranking must list 1 to candidatesCount candidates");
+
+        bool[] memory ranked = new bool[](candidatesCount + 1);
+        for (uint256 i = 0; i < _ranking.length; i++) {
+            uint256 candidateId = _ranking[i];
+            require(candidateId > 0 && candidateId <= candidatesCount, "Candidate does not exist");
+            require(!ranked[candidateId], "Candidate is ranked more than once");
+            ranked[candidateId] = true;
+        }
+    }
+
+    /**
+     * @dev Verify a vote's proof for the given signal and spend its nullifier
+     */
+    function _spendNullifier(
+        uint256 _signalHash,
+        uint256 _nullifier,
+        uint256 _root,
+        address _relayer,
+        uint256 _fee,
+        uint256 _weight,
+        uint[2] memory _proof_a,
+        uint[2][2] memory _proof_b,
+        uint[2] memory _proof_c
+    ) internal {
+        require(_relayer != address(0) || _fee == 0, "Fee requires a relayer");
+        require(_fee <= gasPool, "Gas pool cannot cover the relayer fee");
+
         // Verify the nullifier using ZKP
         _nullify(
             bytes32(_nullifier),
             bytes32(_root),
+            _signalHash,
+            electionId,
+            _relayer,
+            _fee,
+            _weight,
+            creditBudget,
+            ballotType == BallotType.Quadratic ? 1 : 0,
             _proof_a,
             _proof_b,
             _proof_c
         );
-        
-        // Increment vote count for the candidate
-        candidates[_candidateId].voteCount++;
-        totalVotes++;
-        
-        emit VoteCast(bytes32(_nullifier), _candidateId);
+    }
+
+    /**
+     * @dev Pay the relayer its fee out of the gas pool, after the nullifier has been spent
+     */
+    function _payRelayer(address payable _relayer, uint256 _fee) internal {
+        if (_fee > 0) {
+            gasPool -= _fee;
+            (bool success, ) = _relayer.call{value: _fee}("");
+            require(success, "Relayer fee payment failed");
+            emit RelayerPaid(_relayer, _fee);
+        }
+    }
+
+    /**
+     * @dev Add funds to the gas pool that pays relayer fees
+     */
+    function fundGasPool() public payable onlyAdmin {
+        require(msg.value > 0, "Amount must be greater than 0");
+        gasPool += msg.value;
+        emit GasPoolFunded(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Withdraw what is left of the gas pool once voting is over
+     * @param _recipient Address that receives the remaining funds
+     */
+    function withdrawGasPool(address payable _recipient) public onlyAdmin {
+        require(
+            votingEnded || (votingStatus.endTime != 0 && block.timestamp >= votingStatus.endTime),
+            "Voting has not ended yet"
+        );
+        require(gasPool > 0, "Gas pool is empty");
+
+        uint256 amount = gasPool;
+        gasPool = 0;
+        (bool success, ) = _recipient.call{value: amount}("");
+        require(success, "Withdrawal failed");
+        emit GasPoolWithdrawn(_recipient, amount);
     }
 
     /**
@@ -211,7 +748,7 @@ contract ZKVotingSystem is ZKTree {
      * @dev Get all candidates with their vote counts
      * @return ids Array of candidate IDs
      * @return names Array of candidate names
-     * @return voteCounts Array of vote counts for each candidate
+     * @return voteCounts Array of vote counts for each candidate (approvals in an approval election)
      */
     function getAllCandidatesWithVotes() public view returns (
         uint256[] memory ids, 
@@ -231,6 +768,15 @@ contract ZKVotingSystem is ZKTree {
         return (_ids, _names, _voteCounts);
     }
 
+    /**
+     * @dev Get every ballot cast with castBallot
+     * @return rankings Each ballot's candidate IDs, in the order the ballots were cast
+     * @return weights The weight of each ballot
+     */
+    function getBallots() public view returns (uint256[][] memory rankings, uint256[] memory weights) {
+        return (ballots, ballotWeights);
+    }
+
     /**
      * @dev Get voting status
      * @return isActive Whether voting is currently active
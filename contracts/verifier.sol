@@ -27,30 +27,51 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 21631375504358217465196309874603125492191411663356900616696662968588596826352;
-    uint256 constant alphay  = 7665715000477092786605053577303347983388552532849542925312420954550732161035;
-    uint256 constant betax1  = 3469977481384492800192005077627306604153889357710000239005495078740184779293;
-    uint256 constant betax2  = 21830154926394645270302226009222058221066719058691059167803199692877163628009;
-    uint256 constant betay1  = 15687605727041395388187048138552249252960696183437823368866380933875873692868;
-    uint256 constant betay2  = 15948697682363955591285005654194776950888236654130895636148267252572627848442;
+    uint256 constant alphax  = 2025137199231073681327050303393022033213602924913380556953610013375575001320;
+    uint256 constant alphay  = 12158098253653319756246381214175707793008443141482657485166331158682538766193;
+    uint256 constant betax1  = 10854868470400169757255555774958808160972401186643261992050994660245827296786;
+    uint256 constant betax2  = 13145175798301049353359782114355936451586163163950157972280014798136772369550;
+    uint256 constant betay1  = 1058401014544811025292089202171547798498692621336809392609341143794917041907;
+    uint256 constant betay2  = 7324223033943087066786674761461571898954145306395074601527639311851274874530;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 15780713247763018698861512211993530157443147887289598704396408470076411695476;
-    uint256 constant deltax2 = 10276632061426169165134239181035398695780610305844882544125626659494616242562;
-    uint256 constant deltay1 = 13230092716965178987971684636336793161094085119528596594653303105793865373466;
-    uint256 constant deltay2 = 1679109713863545833452055028481146410195926365184902079721287645525795562003;
+    uint256 constant deltax1 = 10412525728083160568505718911409523031014266263707209456579004656815600405128;
+    uint256 constant deltax2 = 9335044712439986923043265574617283463254043655706305899509582793318734937279;
+    uint256 constant deltay1 = 3640753785044049583344742229165133837266008694526403012503878246783109882486;
+    uint256 constant deltay2 = 7234394002784978269267786104501743986068595285140693782173471723905864231415;
 
     
-    uint256 constant IC0x = 18469173093887674500157638946784217339373406038517169060937521594096841148078;
-    uint256 constant IC0y = 20410669335385998596971523346162940457534509719583810653910100083108505501894;
+    uint256 constant IC0x = 11031397450378888931935826967472320267944437350416188457325995058531012520502;
+    uint256 constant IC0y = 18064705165001339983153932982154491527383385114992463555295941493317923220314;
     
-    uint256 constant IC1x = 8372149598563766348006046497729689820316033749836127572147212150071558204221;
-    uint256 constant IC1y = 10288774134986490669836290252923692221637466607737205498844052061679028140517;
+    uint256 constant IC1x = 2201722371927106210475633865951431726498967502412870003410491879052678360958;
+    uint256 constant IC1y = 6138176443960919293013931145578864884053063695848165659208506052101853321205;
     
-    uint256 constant IC2x = 3691380151578312032601017146296831788390628453510857601174895275150155162486;
-    uint256 constant IC2y = 15081801947847953252622708141679421806489494679600789379534568614628475419488;
+    uint256 constant IC2x = 13283204559760185599972544265931514343425184035776542396326322507406462450984;
+    uint256 constant IC2y = 13454428625930579649301103393190015915673207646448086047297370683550898933778;
+    
+    uint256 constant IC3x = 8445885506773457454833078760897180011335740880691410500771156147438179310605;
+    uint256 constant IC3y = 17341870240207464373282678931189135505205510968042480196260356224694650841829;
+    
+    uint256 constant IC4x = 5456189394248685768330541961848767705565683037334157457814656600482441591402;
+    uint256 constant IC4y = 9951765978168532252591210834734480060443393682941247993730545595983049052964;
+    
+    uint256 constant IC5x = 3220379328434577901131532384163922156670872948069221389353143047999773941892;
+    uint256 constant IC5y = 20493855249985911424536815953210141652232984597142533658645636465450821574745;
+    
+    uint256 constant IC6x = 1420878616023584540818514902593624528510213328560179064621963268402276415803;
+    uint256 constant IC6y = 6322375823065167844742013053885971910563741597117804854426400834263168758422;
+    
+    uint256 constant IC7x = 19355238228197937074708417076651951415682685518916939321199368230192581398852;
+    uint256 constant IC7y = 12317057221613156961689390197479354152262869283043841145432438915676574311459;
+    
+    uint256 constant IC8x = 1289162953710341722719322978078859014432028179345684213276179718071218214730;
+    uint256 constant IC8y = 3054907429102850537952085406736982085777264956603494826279739777769713751071;
+    
+    uint256 constant IC9x = 16722524536244588499402130679458988144628184289338645270327792951673842417208;
+    uint256 constant IC9y = 725031506408261230664067258148166502353965184012110994563323838501881027740;
     
  
     // Memory data
@@ -59,7 +80,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[2] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[9] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -107,6 +128,20 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
                 
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -164,6 +199,20 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 32)))
             
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
@@ -1,8 +1,46 @@
+const fs = require('fs');
+const path = require('path');
 const { mimcSpongecontract } = require('circomlibjs');
 const Verifier = artifacts.require("Groth16Verifier");
 const ZKVotingSystem = artifacts.require("ZKVotingSystem");
+const BallotEncryptionVerifier = artifacts.require("BallotEncryptionVerifier");
+const PartialDecryptionVerifier = artifacts.require("PartialDecryptionVerifier");
+const TallyDecryptionVerifier = artifacts.require("TallyDecryptionVerifier");
+const EncryptedTally = artifacts.require("EncryptedTally");
 const ZKTreeTest = artifacts.require("ZKTreeTest");
 
+// Per-chain addresses read by the client (client/src/contractConfig.js) and the command-line tools
+const DEPLOYMENTS_PATH = path.join(__dirname, '..', 'client', 'src', 'deployments.json');
+
+/**
+ * Record the addresses of this deployment under its chain ID, keeping the other chains' entries
+ */
+const writeDeploymentManifest = async (network, contracts) => {
+  const chainId = (await web3.eth.getChainId()).toString();
+
+  let manifest = {};
+  if (fs.existsSync(DEPLOYMENTS_PATH)) {
+    manifest = JSON.parse(fs.readFileSync(DEPLOYMENTS_PATH, 'utf8'));
+  }
+
+  const entries = {};
+  for (const [name, { address, transactionHash }] of Object.entries(contracts)) {
+    const receipt = await web3.eth.getTransactionReceipt(transactionHash);
+    entries[name] = { address, blockNumber: Number(receipt.blockNumber) };
+  }
+
+  manifest[chainId] = {
+    network,
+    deployedAt: new Date().toISOString(),
+    // The contract the frontend serves on this chain
+    election: 'ZKVotingSystem',
+    contracts: entries
+  };
+
+  fs.writeFileSync(DEPLOYMENTS_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Deployment for chain ${chainId} written to ${DEPLOYMENTS_PATH}`);
+};
+
 module.exports = async function (deployer, network, accounts) {
   // Deploy MiMCSponge from circomlib directly
   console.log("Deploying MiMCSponge from circomlib...");
@@ -15,11 +53,14 @@ module.exports = async function (deployer, network, accounts) {
   const MiMCSponge = new web3.eth.Contract(mimcABI);
   
   // Deploy the contract
+  let mimcTransactionHash;
   const mimc = await MiMCSponge.deploy({
     data: mimcBytecode
   }).send({
     from: accounts[0],
     gas: 5000000
+  }).on('transactionHash', (hash) => {
+    mimcTransactionHash = hash;
   });
   
   console.log("MiMC deployed at:", mimc.options.address);
@@ -35,5 +76,34 @@ module.exports = async function (deployer, network, accounts) {
   const zkVotingSystem = await ZKVotingSystem.deployed();
   
   console.log("ZKVotingSystem deployed at:", zkVotingSystem.address);
-  
-}; 
\ No newline at end of file
+
+  // Encrypted elections add up ballots in EncryptedTally, which needs a verifier for the ballots,
+  // one for the trustees' key shares and partial decryptions, and one for the decrypted tally
+  await deployer.deploy(BallotEncryptionVerifier);
+  const ballotVerifier = await BallotEncryptionVerifier.deployed();
+  await deployer.deploy(PartialDecryptionVerifier);
+  const partialVerifier = await PartialDecryptionVerifier.deployed();
+  await deployer.deploy(TallyDecryptionVerifier);
+  const decryptionVerifier = await TallyDecryptionVerifier.deployed();
+  await deployer.deploy(
+    EncryptedTally,
+    zkVotingSystem.address,
+    ballotVerifier.address,
+    partialVerifier.address,
+    decryptionVerifier.address
+  );
+  const encryptedTally = await EncryptedTally.deployed();
+  await zkVotingSystem.setEncryptedTally(encryptedTally.address);
+
+  console.log("EncryptedTally deployed at:", encryptedTally.address);
+
+  await writeDeploymentManifest(network, {
+    MiMCSponge: { address: mimc.options.address, transactionHash: mimcTransactionHash },
+    Groth16Verifier: { address: verifier.address, transactionHash: verifier.transactionHash },
+    ZKVotingSystem: { address: zkVotingSystem.address, transactionHash: zkVotingSystem.transactionHash },
+    BallotEncryptionVerifier: { address: ballotVerifier.address, transactionHash: ballotVerifier.transactionHash },
+    PartialDecryptionVerifier: { address: partialVerifier.address, transactionHash: partialVerifier.transactionHash },
+    TallyDecryptionVerifier: { address: decryptionVerifier.address, transactionHash: decryptionVerifier.transactionHash },
+    EncryptedTally: { address: encryptedTally.address, transactionHash: encryptedTally.transactionHash }
+  });
+}; 
@@ -0,0 +1,284 @@
+// Vote relayer service
+/**
+ * Accepts ZK votes over HTTP and submits them to ZKVotingSystem from the relayer's
+ * own account, so the voter's wallet never appears as msg.sender of the vote.
+ *
+ * Every request is checked against verification_key.json and simulated with
+ * eth_call before it is sent, so invalid or already-used proofs never cost gas.
+ * Proofs must name this relayer and at least its fee as public inputs; the fee
+ * is paid to the relayer by the contract out of the election's gas pool.
+ * Requests with a ballot (a ranking of candidate IDs, or in an encrypted election
+ * the ciphertext followed by its proof) are submitted with castBallot, where the
+ * contract checks the ciphertext's proof; in an approval election the signal is
+ * the approvals bitmask and is submitted with castApprovals, otherwise with vote.
+ *
+ * Configuration (environment variables):
+ *   RELAYER_PRIVATE_KEY       Private key of the account that pays for vote transactions (required)
+ *   ZK_VOTING_SYSTEM_ADDRESS  Address of the ZKVotingSystem contract (required)
+ *   RPC_URL                   JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ *   RELAYER_PORT              Port to listen on (default: 8000)
+ *   RELAYER_FEE               Minimum fee in wei a vote must pay the relayer (default: 0)
+ *   VERIFICATION_KEY_PATH     Path to verification_key.json (default: client/public/circuits)
+ *   RELAYER_ALLOWED_ORIGIN    Value of the Access-Control-Allow-Origin header (default: *)
+ *
+ * Usage: npm run relayer
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { groth16 } = require('snarkjs');
+const { Web3 } = require('web3');
+const {
+  formatProofForContract,
+  parsePublicSignals,
+  computeBallotSignal,
+  BALLOT_TYPES,
+  decodeApprovals,
+  isCreditBallot,
+  decodeAllocations
+} = require('../sdk');
+
+const ZKVotingSystemArtifact = require('../client/src/contracts/ZKVotingSystem.json');
+
+const config = {
+  port: Number(process.env.RELAYER_PORT || 8000),
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  contractAddress: process.env.ZK_VOTING_SYSTEM_ADDRESS,
+  privateKey: process.env.RELAYER_PRIVATE_KEY,
+  fee: BigInt(process.env.RELAYER_FEE || 0),
+  verificationKeyPath: process.env.VERIFICATION_KEY_PATH ||
+    path.join(__dirname, '..', 'client', 'public', 'circuits', 'verification_key.json'),
+  allowedOrigin: process.env.RELAYER_ALLOWED_ORIGIN || '*',
+  gasLimit: 5000000,
+  maxBodySize: 64 * 1024
+};
+
+/**
+ * Create an error that is reported to the client with the given HTTP status
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Read and parse the JSON body of a request
+ */
+const readJsonBody = (req, maxBodySize) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > maxBodySize) {
+      // Discard the rest of the body instead of destroying the socket, so the client still gets the 413
+      req.removeAllListeners('data').removeAllListeners('end').resume();
+      reject(httpError(413, 'Request body too large'));
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch (error) {
+      reject(httpError(400, 'Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Check the shape of a vote request and return its public signals by name
+ */
+const parseVoteRequest = (body) => {
+  const { proof, publicSignals, ballot } = body;
+
+  if (!proof || !Array.isArray(proof.pi_a) || !Array.isArray(proof.pi_b) || !Array.isArray(proof.pi_c)) {
+    throw httpError(400, 'Missing or malformed proof');
+  }
+
+  if (ballot !== undefined && (!Array.isArray(ballot) || ballot.length === 0 ||
+      !ballot.every(candidateId => /^[0-9]+$/.test(String(candidateId))))) {
+    throw httpError(400, 'Ballot must be a list of candidate IDs or field elements');
+  }
+
+  try {
+    return parsePublicSignals(publicSignals);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+};
+
+/**
+ * Create the relayer: chain connection, verification key and a serialized submission queue
+ * @param {Object} [overrides] - Settings that replace those of the environment, and the web3
+ *   instance and contract to use instead of connecting to RPC_URL (as the tests do)
+ */
+const createRelayer = async (overrides = {}) => {
+  const settings = { ...config, ...overrides };
+  if (!settings.privateKey) {
+    throw new Error('RELAYER_PRIVATE_KEY is not set');
+  }
+  if (!settings.contractAddress) {
+    throw new Error('ZK_VOTING_SYSTEM_ADDRESS is not set');
+  }
+
+  const verificationKey = JSON.parse(fs.readFileSync(settings.verificationKeyPath, 'utf8'));
+
+  const web3 = settings.web3 || new Web3(settings.rpcUrl);
+  const account = web3.eth.accounts.privateKeyToAccount(settings.privateKey);
+  web3.eth.accounts.wallet.add(account);
+
+  const contract = settings.contract || new web3.eth.Contract(ZKVotingSystemArtifact.abi, settings.contractAddress);
+  const electionId = (await contract.methods.electionId().call()).toString();
+  const chainId = (await web3.eth.getChainId()).toString();
+
+  // Votes are sent one at a time so the relayer's nonce never races
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const status = async () => ({
+    relayer: account.address,
+    contract: settings.contractAddress,
+    chainId,
+    electionId,
+    fee: settings.fee.toString(),
+    gasPool: (await contract.methods.gasPool().call()).toString(),
+    balance: (await web3.eth.getBalance(account.address)).toString()
+  });
+
+  const relayVote = async (body) => {
+    const signals = parseVoteRequest(body);
+
+    if (signals.externalNullifier !== electionId) {
+      throw httpError(400, 'Proof was generated for a different election');
+    }
+
+    if (BigInt(signals.relayer) !== BigInt(account.address)) {
+      throw httpError(400, 'Proof does not name this relayer as recipient');
+    }
+
+    if (BigInt(signals.fee) < settings.fee) {
+      throw httpError(400, `Fee is below the relayer minimum of ${settings.fee} wei`);
+    }
+
+    // A ballot is bound into the proof by its hash, approvals by their bitmask, credit
+    // allocations by their packed value and a single-choice vote by the candidate ID
+    const ballot = body.ballot && body.ballot.map(String);
+    if (ballot && computeBallotSignal(ballot, web3.utils.keccak256) !== signals.signalHash) {
+      throw httpError(400, 'Ballot does not match the signal of the proof');
+    }
+    const ballotType = ballot ? BALLOT_TYPES.RANKED : Number(await contract.methods.ballotType().call());
+
+    const isValid = await groth16.verify(verificationKey, body.publicSignals.map(String), body.proof);
+    if (!isValid) {
+      throw httpError(400, 'Invalid proof');
+    }
+
+    const proof = formatProofForContract(body.proof);
+    const voteArgs = [
+      signals.nullifierHash,
+      signals.root,
+      account.address,
+      signals.fee,
+      signals.weight,
+      proof.a,
+      proof.b,
+      proof.c
+    ];
+    let voteCall;
+    let choice;
+    if (ballot) {
+      voteCall = contract.methods.castBallot(ballot, ...voteArgs);
+      choice = { ballot };
+    } else if (ballotType === BALLOT_TYPES.APPROVAL) {
+      voteCall = contract.methods.castApprovals(signals.signalHash, ...voteArgs);
+      choice = { approvals: decodeApprovals(signals.signalHash) };
+    } else if (isCreditBallot(ballotType)) {
+      const candidatesCount = Number(await contract.methods.candidatesCount().call());
+      voteCall = contract.methods.castAllocations(signals.signalHash, ...voteArgs);
+      choice = { allocations: decodeAllocations(signals.signalHash, candidatesCount) };
+    } else {
+      voteCall = contract.methods.vote(signals.signalHash, ...voteArgs);
+      choice = { candidateId: signals.signalHash };
+    }
+
+    return enqueue(async () => {
+      // Simulate first so reverts (spent nullifier, unknown root, voting closed) are free
+      try {
+        await voteCall.call({ from: account.address });
+      } catch (error) {
+        throw httpError(422, `Vote simulation failed: ${error.cause?.message || error.message}`);
+      }
+
+      const receipt = await voteCall.send({ from: account.address, gas: settings.gasLimit });
+      console.log(`Relayed vote ${signals.nullifierHash} in tx ${receipt.transactionHash}`);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber.toString(),
+        nullifierHash: signals.nullifierHash,
+        ...choice,
+        fee: signals.fee,
+        weight: signals.weight
+      };
+    });
+  };
+
+  return { status, relayVote };
+};
+
+/**
+ * Start the HTTP server
+ * @param {Object} [overrides] - Settings that replace those of the environment, as for createRelayer
+ */
+const startServer = async (overrides = {}) => {
+  const settings = { ...config, ...overrides };
+  const relayer = await createRelayer(overrides);
+
+  const send = (res, status, payload) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': settings.allowedOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') {
+        send(res, 204);
+      } else if (req.method === 'GET' && req.url === '/status') {
+        send(res, 200, await relayer.status());
+      } else if (req.method === 'POST' && req.url === '/vote') {
+        send(res, 200, await relayer.relayVote(await readJsonBody(req, settings.maxBodySize)));
+      } else {
+        send(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      if (!error.status) {
+        console.error('Relayer error:', error);
+      }
+      if (error.status === 413) {
+        // Close the connection instead of reading the rest of an oversized body
+        res.setHeader('Connection', 'close');
+      }
+      send(res, error.status || 500, { error: error.status ? error.message : 'Internal relayer error' });
+    }
+  });
+
+  await new Promise(resolve => server.listen(settings.port, resolve));
+  console.log(`Relayer listening on port ${server.address().port} for contract ${settings.contractAddress}`);
+
+  return server;
+};
+
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error('Failed to start relayer:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createRelayer, startServer };
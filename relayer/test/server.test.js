@@ -0,0 +1,132 @@
+// Checks the relayer makes before it submits a vote, against a stubbed chain
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { Web3 } = require('web3');
+const { BALLOT_TYPES } = require('../../sdk');
+const { createRelayer, startServer } = require('../server');
+const vectors = require('./vectors.json');
+
+const RELAYER = new Web3().eth.accounts.privateKeyToAccount(vectors.relayerPrivateKey).address;
+
+// Web3 without a node: real accounts and hashing, a fixed chain ID
+const stubWeb3 = () => {
+  const web3 = new Web3();
+  return {
+    eth: { accounts: web3.eth.accounts, getChainId: async () => 1337n, getBalance: async () => 0n },
+    utils: web3.utils
+  };
+};
+
+// A contract whose views return fixed values, whose simulations pass unless given an error to throw,
+// and which records the transactions sent instead of sending them
+const stubContract = ({ electionId = vectors.electionId, ballotType = BALLOT_TYPES.SINGLE_CHOICE, simulationError } = {}) => {
+  const views = { electionId, ballotType, gasPool: 0n, candidatesCount: 3n };
+  const sent = [];
+  const methods = new Proxy({}, {
+    get: (target, method) => (...args) => ({
+      call: async () => {
+        if (method in views) {
+          return views[method];
+        }
+        if (simulationError) {
+          throw simulationError;
+        }
+        return [];
+      },
+      send: async (options) => {
+        sent.push({ method, args, options });
+        return { transactionHash: `0x${'ab'.repeat(32)}`, blockNumber: 7n };
+      }
+    })
+  });
+  return { methods, sent };
+};
+
+const relayerSettings = (overrides = {}) => ({
+  privateKey: vectors.relayerPrivateKey,
+  contractAddress: `0x${'cd'.repeat(20)}`,
+  fee: 1000n,
+  web3: stubWeb3(),
+  contract: stubContract(),
+  ...overrides
+});
+
+const voteRequest = (overrides = {}) => ({ ...structuredClone(vectors.vote), ...overrides });
+
+test.after(async () => {
+  // snarkjs keeps the curve's worker threads alive after verifying
+  await globalThis.curve_bn128?.terminate();
+});
+
+test('a valid vote is simulated and sent with the proof\'s signals', async () => {
+  const contract = stubContract();
+  const relayer = await createRelayer(relayerSettings({ contract }));
+
+  const result = await relayer.relayVote(voteRequest());
+  assert.strictEqual(result.candidateId, '2');
+  assert.strictEqual(result.fee, '1000');
+  assert.strictEqual(result.weight, '3');
+  assert.strictEqual(result.blockNumber, '7');
+
+  assert.strictEqual(contract.sent.length, 1);
+  const [{ method, args, options }] = contract.sent;
+  assert.strictEqual(method, 'vote');
+  assert.deepStrictEqual(args.slice(0, 6), ['2', ...vectors.vote.publicSignals.slice(0, 2), RELAYER, '1000', '3']);
+  assert.strictEqual(options.from, RELAYER);
+});
+
+test('a proof for another election is refused', async () => {
+  const contract = stubContract({ electionId: '1' });
+  const relayer = await createRelayer(relayerSettings({ contract }));
+  await assert.rejects(relayer.relayVote(voteRequest()), { status: 400, message: /different election/ });
+  assert.strictEqual(contract.sent.length, 0);
+});
+
+test('a proof naming another relayer is refused', async () => {
+  const privateKey = `0x${'11'.repeat(32)}`;
+  const relayer = await createRelayer(relayerSettings({ privateKey }));
+  await assert.rejects(relayer.relayVote(voteRequest()), { status: 400, message: /does not name this relayer/ });
+});
+
+test('a fee below the relayer minimum is refused', async () => {
+  const relayer = await createRelayer(relayerSettings({ fee: 1001n }));
+  await assert.rejects(relayer.relayVote(voteRequest()), { status: 400, message: /below the relayer minimum of 1001 wei/ });
+});
+
+test('a ballot that does not hash to the proof\'s signal is refused', async () => {
+  const relayer = await createRelayer(relayerSettings());
+  await assert.rejects(relayer.relayVote(voteRequest({ ballot: [2, 1] })), { status: 400, message: /does not match the signal/ });
+  await assert.rejects(relayer.relayVote(voteRequest({ ballot: ['two'] })), { status: 400, message: /list of candidate IDs/ });
+});
+
+test('a proof that does not verify is refused before it is simulated', async () => {
+  const contract = stubContract();
+  const relayer = await createRelayer(relayerSettings({ contract }));
+  const { proof } = vectors.vote;
+  await assert.rejects(
+    relayer.relayVote(voteRequest({ proof: { ...proof, pi_a: proof.pi_c, pi_c: proof.pi_a } })),
+    { status: 400, message: 'Invalid proof' }
+  );
+  await assert.rejects(relayer.relayVote(voteRequest({ proof: { pi_a: [] } })), { status: 400, message: /malformed proof/ });
+  assert.strictEqual(contract.sent.length, 0);
+});
+
+test('a vote whose simulation reverts is refused with 422 and not sent', async () => {
+  const contract = stubContract({ simulationError: new Error('execution reverted: Nullifier has been already used') });
+  const relayer = await createRelayer(relayerSettings({ contract }));
+  await assert.rejects(relayer.relayVote(voteRequest()), { status: 422, message: /Vote simulation failed: .*already used/ });
+  assert.strictEqual(contract.sent.length, 0);
+});
+
+test('the server answers oversized requests with 413', async () => {
+  const server = await startServer(relayerSettings({ port: 0, maxBodySize: 1024 }));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/vote`;
+    const response = await fetch(url, { method: 'POST', body: JSON.stringify({ padding: 'x'.repeat(4096) }) });
+    assert.strictEqual(response.status, 413);
+    assert.deepStrictEqual(await response.json(), { error: 'Request body too large' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,119 @@
+// Helpers shared by the contract test scripts: registering voters, proving their ballots and checking outcomes
+const { groth16 } = require('snarkjs');
+const {
+  createMerkleTree,
+  generateCommitment,
+  computeLeaf,
+  buildProofInput,
+  formatProofForContract,
+  decodeCommitEvents,
+  ZERO_ADDRESS
+} = require('../sdk');
+
+const VERIFIER_WASM = "circuits/out/Verifier_js/Verifier.wasm";
+const VERIFIER_ZKEY = "circuits/out/Verifier_0001.zkey";
+
+/**
+ * Log a check that holds, or throw so the script fails
+ * @param {boolean} condition - Whether the check holds
+ * @param {string} description - What is checked
+ */
+const check = (condition, description) => {
+  if (!condition) {
+    throw new Error(`❌ ${description}`);
+  }
+  console.log(`✅ ${description}`);
+};
+
+/**
+ * Check that a transaction reverts with the given reason
+ * @param {Promise} transaction - The pending transaction
+ * @param {string} reason - The expected revert reason
+ */
+const expectRevert = async (transaction, reason) => {
+  try {
+    await transaction;
+  } catch (error) {
+    const message = error.reason || error.message;
+    check(message.includes(reason), `Reverted with "${reason}"`);
+    return;
+  }
+  throw new Error(`❌ Expected a revert with "${reason}", but the transaction succeeded`);
+};
+
+/**
+ * Check that a proof cannot be generated, because the circuit's constraints do not hold for its input
+ * @param {Promise} proving - The pending proof
+ * @param {string} description - What cannot be proven
+ */
+const expectProofFailure = async (proving, description) => {
+  try {
+    await proving;
+  } catch (error) {
+    check(true, `${description} (${error.message.split('\n')[0]})`);
+    return;
+  }
+  throw new Error(`❌ ${description}, but a proof was generated`);
+};
+
+/**
+ * Register a voter with new credentials
+ * @param {Object} zkVotingSystem - The election contract
+ * @param {Function} hash - MiMC hash function from createHasher
+ * @param {string} admin - The admin account
+ * @param {string} voterAccount - The voter's account
+ * @param {number} weight - The voter's weight
+ * @returns {Promise<Object>} nullifier, secret, commitment and weight
+ */
+const registerVoter = async (zkVotingSystem, hash, admin, voterAccount, weight) => {
+  if (await zkVotingSystem.checkVoterStatus(voterAccount)) {
+    await zkVotingSystem.unregisterVoter(voterAccount, { from: admin });
+  }
+
+  const credentials = { ...generateCommitment(hash), weight };
+  const uniqueHash = web3.utils.soliditySha3(voterAccount, credentials.commitment);
+  await zkVotingSystem.registerVoter(voterAccount, uniqueHash, credentials.commitment, weight, { from: admin });
+  return credentials;
+};
+
+/**
+ * Prove a registered voter's ballot against the election's current tree
+ * @param {Object} zkVotingSystem - The election contract
+ * @param {Function} hash - MiMC hash function from createHasher
+ * @param {Object} credentials - The voter's credentials, from registerVoter
+ * @param {Object} ballot - signalHash, and optionally relayer, fee, creditBudget, quadratic and allocations
+ * @returns {Promise<Object>} nullifierHash, root, publicSignals and the proof's a, b and c for the contract
+ */
+const proveBallot = async (zkVotingSystem, hash, credentials, ballot) => {
+  const levels = Number(await zkVotingSystem.levels());
+  const events = await zkVotingSystem.getPastEvents('Commit', { fromBlock: 0, toBlock: 'latest' });
+  const leaves = decodeCommitEvents(events).map(event => event.commitment);
+  const leafIndex = leaves.indexOf(computeLeaf(hash, credentials.commitment, credentials.weight));
+  if (leafIndex === -1) {
+    throw new Error("The voter's leaf is not in the tree");
+  }
+
+  const input = buildProofInput({
+    nullifier: credentials.nullifier,
+    secret: credentials.secret,
+    weight: credentials.weight,
+    merkleProof: createMerkleTree(hash, leaves, levels).path(leafIndex),
+    externalNullifier: (await zkVotingSystem.electionId()).toString(),
+    relayer: ZERO_ADDRESS,
+    fee: 0,
+    ...ballot,
+    levels
+  });
+  const { proof, publicSignals } = await groth16.fullProve(input, VERIFIER_WASM, VERIFIER_ZKEY);
+  return { nullifierHash: publicSignals[0], root: publicSignals[1], publicSignals, ...formatProofForContract(proof) };
+};
+
+module.exports = {
+  VERIFIER_WASM,
+  VERIFIER_ZKEY,
+  check,
+  expectRevert,
+  expectProofFailure,
+  registerVoter,
+  proveBallot
+};
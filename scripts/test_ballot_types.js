@@ -0,0 +1,211 @@
+// Ballot type test script
+/**
+ * This script casts ballots of each ballot type against a fresh ZKVotingSystem, checking the
+ * contract's counts and the ballots the contract or the circuit must refuse.
+ */
+
+const circomlibjs = require('circomlibjs');
+const {
+  createHasher,
+  computeBallotSignal,
+  encodeApprovals,
+  encodeAllocations,
+  ballotTypeName,
+  BALLOT_TYPES,
+  ZERO_ADDRESS
+} = require('../sdk');
+const { check, expectRevert, expectProofFailure, registerVoter, proveBallot } = require('./helpers');
+
+// Contract artifacts
+const ZKVotingSystem = artifacts.require("ZKVotingSystem");
+const Verifier = artifacts.require("Groth16Verifier");
+
+/**
+ * Deploy an election of the given ballot type with three candidates, and start voting
+ */
+const startElection = async (admin, ballotType, maxApprovals, creditBudget) => {
+  const deployed = await ZKVotingSystem.deployed();
+  const verifier = await Verifier.deployed();
+  const zkVotingSystem = await ZKVotingSystem.new(20, await deployed.hasher(), verifier.address, { from: admin });
+
+  await zkVotingSystem.setBallotType(ballotType, maxApprovals, creditBudget, { from: admin });
+  for (const name of ["Alice", "Bob", "Carol"]) {
+    await zkVotingSystem.addCandidate(name, `${name}'s details`, { from: admin });
+  }
+  await zkVotingSystem.startVoting(600, { from: admin });
+  return zkVotingSystem;
+};
+
+/**
+ * Vote counts of every candidate, candidate 1 first
+ */
+const getVoteCounts = async (zkVotingSystem) => {
+  const candidates = await zkVotingSystem.getAllCandidatesWithVotes();
+  return candidates[2].map(Number);
+};
+
+/**
+ * Cast a ranking with a proof bound to its hash, without a relayer
+ */
+const castRanking = (zkVotingSystem, credentials, ranking, proof, from) =>
+  zkVotingSystem.castBallot(
+    ranking, proof.nullifierHash, proof.root, ZERO_ADDRESS, 0, credentials.weight, proof.a, proof.b, proof.c, { from }
+  );
+
+/**
+ * Ranked ballots: the first preference is counted with the voter's weight and the ranking is kept for
+ * the runoff, a proof does not pass for another ranking, and rankings that repeat a candidate or name
+ * one that does not exist are refused
+ */
+async function testRankedBallots(hash, accounts) {
+  console.log("\n======= RANKED BALLOTS =======");
+  const admin = accounts[0];
+  const zkVotingSystem = await startElection(admin, BALLOT_TYPES.RANKED, 0, 0);
+  const signalOf = (ranking) => computeBallotSignal(ranking, web3.utils.keccak256);
+
+  // A voter of weight 2 ranks candidate 3 first and candidate 1 second
+  const voter = await registerVoter(zkVotingSystem, hash, admin, accounts[1], 2);
+  const proof = await proveBallot(zkVotingSystem, hash, voter, { signalHash: signalOf([3, 1]) });
+  await expectRevert(castRanking(zkVotingSystem, voter, [1, 3], proof, accounts[1]), "Invalid proof");
+  await castRanking(zkVotingSystem, voter, [3, 1], proof, accounts[1]);
+  const counts = await getVoteCounts(zkVotingSystem);
+  check(counts.join() === "0,0,2", `The first preference gained the voter's weight (${counts.join(', ')})`);
+  const ballots = await zkVotingSystem.getBallots();
+  check(
+    ballots[0].length === 1 && ballots[0][0].map(String).join() === "3,1" && Number(ballots[1][0]) === 2,
+    "The ranking and its weight were kept for the runoff"
+  );
+
+  const second = await registerVoter(zkVotingSystem, hash, admin, accounts[2], 1);
+  for (const [ranking, reason] of [[[1, 2, 1], "Candidate is ranked more than once"], [[2, 4], "Candidate does not exist"]]) {
+    const rankingProof = await proveBallot(zkVotingSystem, hash, second, { signalHash: signalOf(ranking) });
+    await expectRevert(castRanking(zkVotingSystem, second, ranking, rankingProof, accounts[2]), reason);
+  }
+  check((await getVoteCounts(zkVotingSystem)).join() === "0,0,2", "Refused ballots left the counts unchanged");
+}
+
+/**
+ * Cast approvals with a proof bound to them, without a relayer
+ */
+const castApprovals = (zkVotingSystem, credentials, approvals, proof, from) =>
+  zkVotingSystem.castApprovals(
+    approvals, proof.nullifierHash, proof.root, ZERO_ADDRESS, 0, credentials.weight, proof.a, proof.b, proof.c, { from }
+  );
+
+/**
+ * Approval ballots: approvals are counted with the voter's weight, and a ballot naming too
+ * many candidates, or candidates that do not exist, is refused although its proof is valid
+ */
+async function testApprovalBallots(hash, accounts) {
+  console.log("\n======= APPROVAL BALLOTS =======");
+  const admin = accounts[0];
+  const zkVotingSystem = await startElection(admin, BALLOT_TYPES.APPROVAL, 2, 0);
+
+  // A voter of weight 2 approves candidates 1 and 3
+  const voter = await registerVoter(zkVotingSystem, hash, admin, accounts[1], 2);
+  const approvals = encodeApprovals([1, 3]);
+  const proof = await proveBallot(zkVotingSystem, hash, voter, { signalHash: approvals });
+  await castApprovals(zkVotingSystem, voter, approvals, proof, accounts[1]);
+  const counts = await getVoteCounts(zkVotingSystem);
+  check(counts.join() === "2,0,2", `Each approved candidate gained the voter's weight (${counts.join(', ')})`);
+  check(Number(await zkVotingSystem.totalVotes()) === 2, "The ballot counts its weight once in totalVotes");
+
+  // Three approvals with at most two allowed
+  const greedy = await registerVoter(zkVotingSystem, hash, admin, accounts[2], 1);
+  const allThree = encodeApprovals([1, 2, 3]);
+  const greedyProof = await proveBallot(zkVotingSystem, hash, greedy, { signalHash: allThree });
+  await expectRevert(
+    castApprovals(zkVotingSystem, greedy, allThree, greedyProof, accounts[2]),
+    "Too many candidates approved"
+  );
+
+  // Candidate 4 does not exist
+  const unknown = encodeApprovals([1, 4]);
+  const unknownProof = await proveBallot(zkVotingSystem, hash, greedy, { signalHash: unknown });
+  await expectRevert(
+    castApprovals(zkVotingSystem, greedy, unknown, unknownProof, accounts[2]),
+    "Approvals must name existing candidates"
+  );
+
+  check((await getVoteCounts(zkVotingSystem)).join() === "2,0,2", "Refused ballots left the counts unchanged");
+}
+
+/**
+ * Cast an allocation with a proof bound to it, without a relayer
+ */
+const castAllocations = (zkVotingSystem, credentials, allocations, proof, from) =>
+  zkVotingSystem.castAllocations(
+    allocations, proof.nullifierHash, proof.root, ZERO_ADDRESS, 0, credentials.weight, proof.a, proof.b, proof.c, { from }
+  );
+
+/**
+ * Cumulative and quadratic ballots: an allocation spending the whole budget is counted, one over
+ * budget cannot be proven, and a proof made with a larger budget than the election's is refused
+ * @param {Array<number>} atBudget - Votes per candidate costing exactly the budget of a voter of weight 2
+ * @param {Array<number>} overBudget - Votes per candidate costing one credit more
+ */
+async function testCreditBallots(hash, accounts, ballotType, creditBudget, atBudget, overBudget) {
+  const quadratic = ballotType === BALLOT_TYPES.QUADRATIC;
+  console.log(`\n======= ${ballotTypeName(ballotType).toUpperCase()} BALLOTS =======`);
+  const admin = accounts[0];
+  const zkVotingSystem = await startElection(admin, ballotType, 0, creditBudget);
+
+  // Allocations are packed per candidate and checked against the candidates at the start, so none can be added
+  await expectRevert(
+    zkVotingSystem.addCandidate("Dave", "Dave's details", { from: admin }),
+    "Voting has already started"
+  );
+
+  // A weight times the budget must not wrap around the field in the proof, so weights stay below 2^64
+  await expectRevert(
+    registerVoter(zkVotingSystem, hash, admin, accounts[3], (1n << 64n).toString()),
+    "Weight must be greater than 0 and below 2^64"
+  );
+
+  // A voter of weight 2 has twice the election's budget
+  const voter = await registerVoter(zkVotingSystem, hash, admin, accounts[1], 2);
+  const credits = { creditBudget, quadratic };
+
+  await expectProofFailure(
+    proveBallot(zkVotingSystem, hash, voter, { ...credits, allocations: overBudget, signalHash: encodeAllocations(overBudget) }),
+    "An allocation over budget cannot be proven"
+  );
+
+  // The contract checks the proof against its own budget
+  const inflated = await proveBallot(zkVotingSystem, hash, voter, {
+    creditBudget: creditBudget + 1, quadratic, allocations: overBudget, signalHash: encodeAllocations(overBudget)
+  });
+  await expectRevert(
+    castAllocations(zkVotingSystem, voter, encodeAllocations(overBudget), inflated, accounts[1]),
+    "Invalid proof"
+  );
+
+  const allocations = encodeAllocations(atBudget);
+  const proof = await proveBallot(zkVotingSystem, hash, voter, { ...credits, allocations: atBudget, signalHash: allocations });
+  await castAllocations(zkVotingSystem, voter, allocations, proof, accounts[1]);
+  const counts = await getVoteCounts(zkVotingSystem);
+  check(counts.join() === atBudget.join(), `An allocation spending the whole budget was counted (${counts.join(', ')})`);
+  check(Number(await zkVotingSystem.totalVotes()) === 2, "The ballot counts its weight in totalVotes");
+}
+
+// Main test function
+module.exports = async (callback) => {
+  try {
+    console.log("Starting ballot type tests...");
+
+    const accounts = await web3.eth.getAccounts();
+    const hash = createHasher(await circomlibjs.buildMimcSponge());
+
+    await testRankedBallots(hash, accounts);
+    await testApprovalBallots(hash, accounts);
+    // Budgets of 4 and 9 credits per unit of weight, 8 and 18 credits for a voter of weight 2
+    await testCreditBallots(hash, accounts, BALLOT_TYPES.CUMULATIVE, 4, [5, 0, 3], [5, 0, 4]);
+    await testCreditBallots(hash, accounts, BALLOT_TYPES.QUADRATIC, 9, [3, 3, 0], [3, 3, 1]);
+
+    console.log("\n✅ All ballot type tests passed");
+    callback();
+  } catch (error) {
+    console.error("Error in test:", error);
+    callback(error);
+  }
+};
@@ -19,150 +19,48 @@ const fs = require('fs');
 const Web3 = require('web3');
 const circomlibjs = require('circomlibjs');
 const { buildMimcSponge, mimcSpongecontract } = require('circomlibjs');
+const {
+  createHasher,
+  generateZeros,
+  createMerkleTree,
+  generateCommitment,
+  computeLeaf,
+  computeNullifierHash,
+  toFieldString,
+  buildProofInput,
+  formatProofForContract,
+  decodeCommitEvents,
+  ZERO_ADDRESS
+} = require('../sdk');
+const { check, expectRevert, registerVoter, proveBallot } = require('./helpers');
 
 // Contract artifacts
 const ZKVotingSystem = artifacts.require("ZKVotingSystem");
 const Verifier = artifacts.require("Groth16Verifier");
 
-// Use the same zero value as in zktree.ts
-const ZERO_VALUE = '21663839004416932945382355908790599225266501822907911457504978515578255421292'; // = keccak256("tornado") % FIELD_SIZE
-
 // Build MiMC hash function
 const buildMiMCSponge = async () => {
   return await circomlibjs.buildMimcSponge();
 };
 
-// Generate a random field element
-const generateRandomFieldElement = () => {
-  const max = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
-  const randomBytes = require('crypto').randomBytes(31);
-  let randomBigInt = BigInt(0);
-  for (let i = 0; i < randomBytes.length; i++) {
-    randomBigInt = (randomBigInt << BigInt(8)) | BigInt(randomBytes[i]);
-  }
-  return randomBigInt % max;
-};
-
-// Helper function to convert hex to BigInt
-const hexToBigInt = (hexStr) => {
-  if (hexStr.startsWith('0x')) {
-    return BigInt(hexStr);
-  }
-  return BigInt('0x' + hexStr);
-};
-
-// Helper to ensure consistent format for comparison
-const formatForComparison = (value) => {
-  if (typeof value === 'string' && value.startsWith('0x')) {
-    return hexToBigInt(value).toString();
-  }
-  return BigInt(value).toString();
-};
-
-/**
- * Calculate hash using MiMC hash method (two-step approach)
- * This matches how the circuit calculates hashes
- */
-const calculateHash = (mimc, left, right) => {
-  let R = mimc.F.e(left);
-  let C = mimc.F.e(0);
-  
-  // First MiMCSponge
-  const result1 = mimc.hash(R, C, 0);
-  R = result1.xL;
-  C = result1.xR;
-  
-  // Add right
-  R = mimc.F.add(R, mimc.F.e(right)); 
-  
-  // Second MiMCSponge
-  const result2 = mimc.hash(R, C, 0);
-  return mimc.F.toObject(result2.xL);
-};
-
-/**
- * Generate zeros for the Merkle tree
- */
-const generateZeros = (mimc, levels) => {
-  let zeros = [];
-  zeros[0] = BigInt(ZERO_VALUE);
-  for (let i = 1; i <= levels; i++) {
-    zeros[i] = calculateHash(mimc, zeros[i - 1], zeros[i - 1]);
-  }
-  return zeros;
-};
-
-/**
- * Generate Merkle root and path to specified element
- */
-const calculateMerkleRootAndPath = (mimc, levels, elements, element = null) => {
-  const capacity = 2 ** levels;
-  if (elements.length > capacity) throw new Error('Tree is full');
-
-  const zeros = generateZeros(mimc, levels);
-  let layers = [];
-  layers[0] = elements.slice();
-  
-  for (let level = 1; level <= levels; level++) {
-    layers[level] = [];
-    for (let i = 0; i < Math.ceil(layers[level - 1].length / 2); i++) {
-      layers[level][i] = calculateHash(
-        mimc,
-        layers[level - 1][i * 2],
-        i * 2 + 1 < layers[level - 1].length ? layers[level - 1][i * 2 + 1] : zeros[level - 1],
-      );
-    }
-  }
-
-  const root = layers[levels].length > 0 ? layers[levels][0] : zeros[levels];
-
-  let pathElements = [];
-  let pathIndices = [];
-
-  if (element) {
-    let index = layers[0].findIndex(e => BigInt(e) === BigInt(element));
-    if (index === -1) throw new Error('Element not found in tree');
-    
-    for (let level = 0; level < levels; level++) {
-      pathIndices[level] = index % 2;
-      pathElements[level] = (index ^ 1) < layers[level].length ? layers[level][index ^ 1] : zeros[level];
-      index = Math.floor(index / 2);
-    }
-  }
-
-  return {
-    root: root.toString(),
-    pathElements: pathElements.map(v => v.toString()),
-    pathIndices: pathIndices
-  };
-};
-
 /**
- * Generate a commitment using multiHash
+ * Generate voter credentials with their election-scoped nullifier hash
  */
-const generateCommitment = async (mimc) => {
-  const nullifier = generateRandomFieldElement();
-  const secret = generateRandomFieldElement();
-  const commitment = calculateHash(mimc, nullifier, secret);
-  const nullifierHash = calculateHash(mimc, nullifier, BigInt(0));
-  
-  return {
-    nullifier: nullifier.toString(),
-    secret: secret.toString(),
-    commitment: commitment.toString(),
-    nullifierHash: nullifierHash.toString()
-  };
+const generateCredentials = (hash, externalNullifier) => {
+  const { nullifier, secret, commitment } = generateCommitment(hash);
+  // The nullifier hash is scoped to the election, matching CommitmentHasher.circom
+  return { nullifier, secret, commitment, nullifierHash: computeNullifierHash(hash, nullifier, externalNullifier) };
 };
 
 /**
  * Get the current state of the Merkle tree from the contract
  */
-const getMerkleTreeFromContract = async (zkVotingSystem, mimc) => {
+const getMerkleTreeFromContract = async (zkVotingSystem, hash) => {
   const levels = Number(await zkVotingSystem.levels());
   console.log(`Merkle tree has ${levels} levels`);
   
-  // Get zeros using our implementation
-  const zeros = generateZeros(mimc, levels);
+  // Get zeros using the shared SDK
+  const zeros = generateZeros(hash, levels);
   console.log("Zeros calculated with circomlib:", zeros.map(z => z.toString()));
   
   // Get zeros from the contract for comparison
@@ -176,8 +74,8 @@ const getMerkleTreeFromContract = async (zkVotingSystem, mimc) => {
   // Compare zeros
   let zerosMatch = true;
   for (let i = 0; i < levels; i++) {
-    const jsZeroFormatted = formatForComparison(zeros[i].toString());
-    const contractZeroFormatted = formatForComparison(contractZeros[i].toString());
+    const jsZeroFormatted = toFieldString(zeros[i].toString());
+    const contractZeroFormatted = toFieldString(contractZeros[i].toString());
     if (jsZeroFormatted !== contractZeroFormatted) {
       console.log(`Zero at level ${i} doesn't match:`);
       console.log(`JS: ${jsZeroFormatted}`);
@@ -246,17 +144,14 @@ const getCommitEvents = async (zkVotingSystem) => {
     toBlock: 'latest'
   });
   
-  return events.map(event => ({
-    commitment: event.returnValues.commitment,
-    leafIndex: Number(event.returnValues.leafIndex),
-    timestamp: Number(event.returnValues.timestamp)
-  })).sort((a, b) => a.leafIndex - b.leafIndex); // Sort by index
+  // Sorted by index, with commitments as decimal strings
+  return decodeCommitEvents(events);
 };
 
 /**
  * Generate a Merkle proof for a leaf
  */
-const generateMerkleProof = async (tree, leafIndex, zkVotingSystem, mimc) => {
+const generateMerkleProof = async (tree, leafIndex, zkVotingSystem, hash) => {
   console.log(`Generating Merkle proof for leaf at index ${leafIndex}...`);
   console.log(`Tree has ${tree.leaves.length} locally stored leaves and ${tree.leavesCount} total leaves in contract`);
   
@@ -273,8 +168,13 @@ const generateMerkleProof = async (tree, leafIndex, zkVotingSystem, mimc) => {
   const leafValue = tree.leaves[leafIndex];
   console.log(`Using leaf value: ${leafValue.toString()}`);
   
-  // Generate Merkle path using our implementation
-  const result = calculateMerkleRootAndPath(mimc, tree.levels, tree.leaves, leafValue);
+  // Generate Merkle path using the shared SDK tree
+  const path = createMerkleTree(hash, tree.leaves, tree.levels).path(leafIndex);
+  const result = {
+    root: path.root.toString(),
+    pathElements: path.pathElements.map(element => element.toString()),
+    pathIndices: path.pathIndices
+  };
   
   // Log for verification
   console.log("Calculated root from proof:", result.root);
@@ -282,8 +182,8 @@ const generateMerkleProof = async (tree, leafIndex, zkVotingSystem, mimc) => {
   console.log("Contract root:", contractRoot.toString());
 
   // Compare roots with proper formatting
-  const calculatedRootFormatted = formatForComparison(result.root);
-  const contractRootFormatted = formatForComparison(contractRoot.toString());
+  const calculatedRootFormatted = toFieldString(result.root);
+  const contractRootFormatted = toFieldString(contractRoot.toString());
   
   console.log("Calculated root formatted:", calculatedRootFormatted);
   console.log("Contract root formatted:", contractRootFormatted);
@@ -343,7 +243,7 @@ module.exports = async (callback) => {
     console.log("Admin account:", admin);
     
     // Initialize MiMC hash function from circomlib
-    const mimcSponge = await buildMiMCSponge();
+    const hash = createHasher(await buildMiMCSponge());
     
     // Set up the voting system - add a candidate and start voting
     await setupVotingSystem(zkVotingSystem, admin);
@@ -364,7 +264,7 @@ module.exports = async (callback) => {
         admin, 
         zkVotingSystem, 
         verifier, 
-        mimcSponge
+        hash
       );
       
       voterResults.push(result);
@@ -376,13 +276,17 @@ module.exports = async (callback) => {
     console.log(`Candidate: ${candidate[0]}`);
     console.log(`Total votes: ${candidate[3].toString()}`);
     
-    // Check if votes match expected count
-    if (Number(candidate[3]) === numVoters) {
-      console.log(`✅ SUCCESS: All ${numVoters} votes were successfully recorded!`);
+    // Voter i has weight i, so the count is the sum of the weights
+    const expectedVotes = (numVoters * (numVoters + 1)) / 2;
+    if (Number(candidate[3]) === expectedVotes) {
+      console.log(`✅ SUCCESS: All ${numVoters} votes were successfully recorded, with ${expectedVotes} weighted votes!`);
     } else {
-      console.log(`❌ ERROR: Expected ${numVoters} votes but got ${candidate[3]}`);
+      console.log(`❌ ERROR: Expected ${expectedVotes} weighted votes but got ${candidate[3]}`);
     }
     
+    // Vote through a relayer paid out of the gas pool
+    await testRelayerFees(zkVotingSystem, hash, admin, accounts[4], accounts[5]);
+    
     callback();
   } catch (error) {
     console.error("Error in test:", error);
@@ -428,29 +332,78 @@ async function setupVotingSystem(zkVotingSystem, admin) {
   }
 }
 
+/**
+ * Check that a relayer's fee is paid out of the gas pool, that a fee the pool cannot cover is
+ * refused, and that the pool cannot be withdrawn while voting is open
+ */
+async function testRelayerFees(zkVotingSystem, hash, admin, voterAccount, relayer) {
+  console.log("\n======= RELAYER FEES =======");
+  await zkVotingSystem.fundGasPool({ from: admin, value: web3.utils.toWei('0.05', 'ether') });
+  const gasPool = BigInt(await zkVotingSystem.gasPool());
+  console.log(`Gas pool: ${gasPool} wei`);
+  
+  await expectRevert(zkVotingSystem.withdrawGasPool(admin, { from: admin }), "Voting has not ended yet");
+  
+  const credentials = await registerVoter(zkVotingSystem, hash, admin, voterAccount, 1);
+  
+  // The proof is valid for this fee, but the pool cannot pay it
+  const overdrawn = (gasPool + 1n).toString();
+  const tooExpensive = await proveBallot(zkVotingSystem, hash, credentials, { signalHash: 1, relayer, fee: overdrawn });
+  await expectRevert(
+    zkVotingSystem.vote(
+      1, tooExpensive.nullifierHash, tooExpensive.root, relayer, overdrawn, 1,
+      tooExpensive.a, tooExpensive.b, tooExpensive.c, { from: relayer }
+    ),
+    "Gas pool cannot cover the relayer fee"
+  );
+  
+  // The relayer submits the vote and is refunded its fee
+  const fee = web3.utils.toWei('0.01', 'ether');
+  const proof = await proveBallot(zkVotingSystem, hash, credentials, { signalHash: 1, relayer, fee });
+  const balanceBefore = BigInt(await web3.eth.getBalance(relayer));
+  const voteTx = await zkVotingSystem.vote(
+    1, proof.nullifierHash, proof.root, relayer, fee, 1, proof.a, proof.b, proof.c, { from: relayer }
+  );
+  const gasCost = BigInt(voteTx.receipt.gasUsed) * BigInt(voteTx.receipt.effectiveGasPrice);
+  const balanceAfter = BigInt(await web3.eth.getBalance(relayer));
+  
+  const paid = voteTx.logs.find(log => log.event === 'RelayerPaid');
+  check(paid !== undefined && paid.args.fee.toString() === fee, "RelayerPaid was emitted with the fee");
+  check(balanceAfter - balanceBefore + gasCost === BigInt(fee), "The relayer received the fee");
+  check(BigInt(await zkVotingSystem.gasPool()) === gasPool - BigInt(fee), "The fee was taken from the gas pool");
+}
+
 /**
  * Process a single voter - generate credentials, register, and vote
  */
-async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verifier, mimc) {
+async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verifier, hash) {
   try {
     console.log(`Processing voter ${voterNum} with account ${voterAccount}`);
     
     // Get current Merkle tree state from contract
-    let merkleTree = await getMerkleTreeFromContract(zkVotingSystem, mimc);
+    let merkleTree = await getMerkleTreeFromContract(zkVotingSystem, hash);
+    
+    // The election ID scopes the nullifier hash to this contract
+    const electionId = (await zkVotingSystem.electionId()).toString();
     
     // Generate voter credentials using our improved implementation
-    const voterCredentials = await generateCommitment(mimc);
+    const voterCredentials = generateCredentials(hash, electionId);
     
     const nullifier = voterCredentials.nullifier;
     const secret = voterCredentials.secret;
     const commitmentStr = voterCredentials.commitment;
     const nullifierHashStr = voterCredentials.nullifierHash;
+    // Each voter gets a different weight, so the weighted leaves are exercised too
+    const weight = voterNum;
+    const leafStr = computeLeaf(hash, commitmentStr, weight);
     
     console.log(`Voter ${voterNum} credentials:`);
     console.log("- Nullifier:", nullifier);
     console.log("- Secret:", secret);
     console.log("- Commitment:", commitmentStr);
     console.log("- Nullifier Hash:", nullifierHashStr);
+    console.log("- Weight:", weight);
+    console.log("- Leaf:", leafStr);
     
     // Check if the voter is already registered and unregister them if needed
     const isRegistered = await zkVotingSystem.checkVoterStatus(voterAccount);
@@ -469,32 +422,37 @@ async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verif
       voterAccount,
       uniqueHash,
       commitmentStr,
+      weight,
       { from: admin }
     );
     console.log(`Voter ${voterNum} registered successfully`);
     
     // Update local tree state to match contract after registration
-    merkleTree = await getMerkleTreeFromContract(zkVotingSystem, mimc);
+    merkleTree = await getMerkleTreeFromContract(zkVotingSystem, hash);
     
     // Find this voter's leaf index
-    const leafIndex = merkleTree.leaves.findIndex(leaf => leaf.toString() === commitmentStr);
+    const leafIndex = merkleTree.leaves.findIndex(leaf => leaf.toString() === leafStr);
     if (leafIndex === -1) {
-      throw new Error(`Could not find commitment ${commitmentStr} in the merkle tree`);
+      throw new Error(`Could not find leaf ${leafStr} in the merkle tree`);
     }
     
     console.log(`Leaf for voter ${voterNum} was found at index ${leafIndex}`);
     
-    // Generate the Merkle proof for the commitment
-    const merkleProof = await generateMerkleProof(merkleTree, leafIndex, zkVotingSystem, mimc);
+    // Generate the Merkle proof for the leaf
+    const merkleProof = await generateMerkleProof(merkleTree, leafIndex, zkVotingSystem, hash);
     console.log(`Merkle proof generated for voter ${voterNum}`);
     
     // Create input for the ZK proof
-    const input = {
-      nullifier: nullifier,
-      secret: secret,
-      pathElements: merkleProof.pathElements,
-      pathIndices: merkleProof.pathIndices
-    };
+    const input = buildProofInput({
+      nullifier,
+      secret,
+      merkleProof,
+      signalHash: 1, // Candidate ID the vote is bound to
+      externalNullifier: electionId,
+      relayer: ZERO_ADDRESS, // Voted directly, so no relayer and no fee
+      fee: 0,
+      weight
+    });
     
     // Generate the ZK proof with a timeout to prevent hanging
     console.log(`Generating ZK proof for voter ${voterNum}...`);
@@ -515,14 +473,7 @@ async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verif
     console.log(`Proof generated successfully for voter ${voterNum}`);
     
     // Format the proof for the contract
-    const proofFormatted = {
-      a: proof.pi_a.slice(0, 2).map(x => x.toString()),
-      b: [
-        proof.pi_b[0].slice(0, 2).reverse().map(x => x.toString()),
-        proof.pi_b[1].slice(0, 2).reverse().map(x => x.toString())
-      ],
-      c: proof.pi_c.slice(0, 2).map(x => x.toString())
-    };
+    const proofFormatted = formatProofForContract(proof);
     
     // Verify the proof with the verifier contract
     console.log(`\n=== VERIFYING PROOF FOR VOTER ${voterNum} ===`);
@@ -550,8 +501,8 @@ async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verif
     console.log(`Current root from contract: ${contractRoot.toString()}`);
     
     // Format for comparison
-    const calculatedRootFormatted = formatForComparison(calculatedRoot.toString());
-    const contractRootFormatted = formatForComparison(contractRoot.toString());
+    const calculatedRootFormatted = toFieldString(calculatedRoot.toString());
+    const contractRootFormatted = toFieldString(contractRoot.toString());
     console.log(`Circuit root formatted: ${calculatedRootFormatted}`);
     console.log(`Contract root formatted: ${contractRootFormatted}`);
     
@@ -559,7 +510,7 @@ async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verif
     const knownRoots = await getHistoricalRoots(zkVotingSystem);
     
     // Convert known roots to consistent format for comparison
-    const formattedKnownRoots = knownRoots.map(root => formatForComparison(root));
+    const formattedKnownRoots = knownRoots.map(root => toFieldString(root));
     
     // Check if the calculated root is in the known roots
     const isCalculatedRootKnown = formattedKnownRoots.includes(calculatedRootFormatted);
@@ -600,6 +551,9 @@ async function processVoter(voterNum, voterAccount, admin, zkVotingSystem, verif
         1, // Candidate ID
         publicSignals[0], // Nullifier hash
         rootToUse, // Use the root calculated by the circuit
+        ZERO_ADDRESS, // No relayer
+        0, // No relayer fee
+        weight, // Counted for the candidate
         proofFormatted.a,
         proofFormatted.b,
         proofFormatted.c,
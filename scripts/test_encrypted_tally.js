@@ -0,0 +1,259 @@
+// Encrypted tally test script
+/**
+ * This script runs an encrypted election against a fresh ZKVotingSystem and EncryptedTally: the key is
+ * split between trustees who prove their key shares, ballots are added to the encrypted tally only with
+ * a proof for their own ciphertext, and the tally is published once, after voting and every trustee's
+ * proven partial decryption, with counts its decryption proof holds for.
+ */
+
+const { groth16 } = require('snarkjs');
+const circomlibjs = require('circomlibjs');
+const {
+  createHasher,
+  createElGamal,
+  encodeEncryptedBallot,
+  computeBallotSignal,
+  formatProofAsArray,
+  emptyTally,
+  BALLOT_TYPES,
+  ZERO_ADDRESS
+} = require('../sdk');
+const { check, expectRevert, registerVoter, proveBallot } = require('./helpers');
+
+// Contract artifacts
+const ZKVotingSystem = artifacts.require("ZKVotingSystem");
+const Verifier = artifacts.require("Groth16Verifier");
+const EncryptedTally = artifacts.require("EncryptedTally");
+const BallotEncryptionVerifier = artifacts.require("BallotEncryptionVerifier");
+const PartialDecryptionVerifier = artifacts.require("PartialDecryptionVerifier");
+const TallyDecryptionVerifier = artifacts.require("TallyDecryptionVerifier");
+
+const CANDIDATES = ["Alice", "Bob", "Carol"];
+
+/**
+ * A trustee's partial decryption of the tally and its proof
+ */
+const provePartialDecryption = async (elgamal, key, tally) => {
+  const { partial, input } = elgamal.partialDecrypt(key.secretKey, tally);
+  const { proof } = await groth16.fullProve(
+    input,
+    "circuits/out/PartialDecryption_js/PartialDecryption.wasm",
+    "circuits/out/PartialDecryption_0001.zkey"
+  );
+  return { partial, proof: formatProofAsArray(proof) };
+};
+
+/**
+ * Deploy an encrypted election with its tally and trustees, and start voting once each has registered a key share
+ */
+const startElection = async (admin, trustees, elgamal) => {
+  const deployed = await ZKVotingSystem.deployed();
+  const verifier = await Verifier.deployed();
+  const zkVotingSystem = await ZKVotingSystem.new(20, await deployed.hasher(), verifier.address, { from: admin });
+  const encryptedTally = await EncryptedTally.new(
+    zkVotingSystem.address,
+    (await BallotEncryptionVerifier.deployed()).address,
+    (await PartialDecryptionVerifier.deployed()).address,
+    (await TallyDecryptionVerifier.deployed()).address,
+    { from: admin }
+  );
+
+  await zkVotingSystem.setEncryptedTally(encryptedTally.address, { from: admin });
+  await zkVotingSystem.setBallotType(BALLOT_TYPES.ENCRYPTED, 0, 0, { from: admin });
+  await encryptedTally.setTrustees(trustees, { from: admin });
+  for (const name of CANDIDATES) {
+    await zkVotingSystem.addCandidate(name, `${name}'s details`, { from: admin });
+  }
+
+  const keys = trustees.map(() => elgamal.generateKeyPair());
+  const shareProofs = [];
+  for (const key of keys) {
+    shareProofs.push((await provePartialDecryption(elgamal, key, emptyTally())).proof);
+  }
+
+  // A key share needs its own proof, and voting cannot start until every trustee has one
+  await expectRevert(
+    encryptedTally.registerKeyShare(...keys[0].publicKey, shareProofs[1], { from: trustees[0] }),
+    "Invalid key share proof"
+  );
+  await expectRevert(
+    encryptedTally.registerKeyShare(...keys[0].publicKey, shareProofs[0], { from: admin }),
+    "Only a trustee can call this function"
+  );
+  await encryptedTally.registerKeyShare(...keys[0].publicKey, shareProofs[0], { from: trustees[0] });
+  await expectRevert(zkVotingSystem.startVoting(600, { from: admin }), "Encrypted tally is not ready");
+  await expectRevert(
+    encryptedTally.registerKeyShare(...keys[0].publicKey, shareProofs[0], { from: trustees[1] }),
+    "Key share is already in use"
+  );
+  for (let i = 1; i < trustees.length; i++) {
+    await encryptedTally.registerKeyShare(...keys[i].publicKey, shareProofs[i], { from: trustees[i] });
+  }
+
+  const publicKey = [await encryptedTally.publicKey(0), await encryptedTally.publicKey(1)].map(String);
+  check(
+    publicKey.join() === elgamal.combinePublicKeys(keys.map(key => key.publicKey)).join(),
+    "The public key is the sum of the trustees' key shares"
+  );
+  await zkVotingSystem.startVoting(600, { from: admin });
+  await expectRevert(
+    encryptedTally.setTrustees([admin], { from: admin }),
+    "Voting has already started"
+  );
+  return { zkVotingSystem, encryptedTally, keys, publicKey };
+};
+
+/**
+ * Encrypt a vote to the election's key and prove the ciphertext
+ */
+const encryptBallot = async (elgamal, publicKey, candidateId, weight) => {
+  const { ciphertext, input } = elgamal.encryptVote(publicKey, candidateId, weight, CANDIDATES.length);
+  const { proof } = await groth16.fullProve(
+    input,
+    "circuits/out/BallotEncryption_js/BallotEncryption.wasm",
+    "circuits/out/BallotEncryption_0001.zkey"
+  );
+  return { ciphertext, proof };
+};
+
+/**
+ * Cast an encrypted ballot with a vote proof bound to its hash, without a relayer
+ */
+const castBallot = async (zkVotingSystem, hash, credentials, ballot, from) => {
+  const signalHash = computeBallotSignal(ballot, web3.utils.keccak256);
+  const proof = await proveBallot(zkVotingSystem, hash, credentials, { signalHash });
+  return zkVotingSystem.castBallot(
+    ballot, proof.nullifierHash, proof.root, ZERO_ADDRESS, 0, credentials.weight, proof.a, proof.b, proof.c, { from }
+  );
+};
+
+/**
+ * Vote counts of every candidate, candidate 1 first
+ */
+const getVoteCounts = async (zkVotingSystem) => {
+  const candidates = await zkVotingSystem.getAllCandidatesWithVotes();
+  return candidates[2].map(Number);
+};
+
+// Main test function
+module.exports = async (callback) => {
+  try {
+    console.log("Starting encrypted tally tests...");
+
+    const accounts = await web3.eth.getAccounts();
+    const admin = accounts[0];
+    const hash = createHasher(await circomlibjs.buildMimcSponge());
+    const elgamal = createElGamal(await circomlibjs.buildBabyjub());
+    const trustees = [accounts[4], accounts[5]];
+    const { zkVotingSystem, encryptedTally, keys, publicKey } = await startElection(admin, trustees, elgamal);
+
+    console.log("\n======= CASTING ENCRYPTED BALLOTS =======");
+    // A voter of weight 2 votes for candidate 1
+    const first = await registerVoter(zkVotingSystem, hash, admin, accounts[1], 2);
+    const firstBallot = await encryptBallot(elgamal, publicKey, 1, 2);
+    const ballot = encodeEncryptedBallot(firstBallot.ciphertext, firstBallot.proof);
+    await castBallot(zkVotingSystem, hash, first, ballot, accounts[1]);
+    const tally = (await encryptedTally.getTally()).map(String);
+    check(tally.join() !== emptyTally().join(), "The ballot was added to the encrypted tally");
+    check((await getVoteCounts(zkVotingSystem)).every(count => count === 0), "No count is visible while voting is open");
+
+    // The ballot proof of one ciphertext does not pass for another, even with a valid vote proof for the ballot
+    const second = await registerVoter(zkVotingSystem, hash, admin, accounts[2], 1);
+    const secondBallot = await encryptBallot(elgamal, publicKey, 3, 1);
+    const swapped = encodeEncryptedBallot(firstBallot.ciphertext, secondBallot.proof);
+    await expectRevert(castBallot(zkVotingSystem, hash, second, swapped, accounts[2]), "Invalid ballot proof");
+    await castBallot(
+      zkVotingSystem, hash, second, encodeEncryptedBallot(secondBallot.ciphertext, secondBallot.proof), accounts[2]
+    );
+    check(Number(await zkVotingSystem.totalVotes()) === 3, "Both ballots count their weight in totalVotes");
+
+    // The tally holds one slot per candidate, so the candidate list is fixed once voting has started
+    await expectRevert(
+      zkVotingSystem.addCandidate("Dave", "Dave's details", { from: admin }),
+      "Voting has already started"
+    );
+    await expectRevert(zkVotingSystem.startVoting(600, { from: admin }), "Voting has already started");
+
+    // Only the election adds ballots, and only the tally records counts
+    await expectRevert(
+      encryptedTally.add(ballot, 2, CANDIDATES.length, { from: accounts[3] }),
+      "Only the election can add ballots"
+    );
+    await expectRevert(
+      zkVotingSystem.recordTally([2, 0, 1], { from: admin }),
+      "Only the encrypted tally can record"
+    );
+
+    console.log("\n======= PUBLISHING THE TALLY =======");
+    const encrypted = (await encryptedTally.getTally()).map(String);
+    const partials = [];
+    for (const key of keys) {
+      partials.push(await provePartialDecryption(elgamal, key, encrypted));
+    }
+    const decryption = elgamal.combinePartialDecryptions(partials.map(({ partial }) => partial));
+    const counts = elgamal.decryptTally(encrypted, decryption, (await zkVotingSystem.totalVotes()).toString());
+    check(counts.join() === "2,0,1,0,0,0,0,0", `The tally decrypts to the votes cast (${counts.join(', ')})`);
+    const { proof } = await groth16.fullProve(
+      elgamal.buildTallyDecryptionInput(encrypted, decryption, counts),
+      "circuits/out/TallyDecryption_js/TallyDecryption.wasm",
+      "circuits/out/TallyDecryption_0001.zkey"
+    );
+    const decryptionProof = formatProofAsArray(proof);
+
+    // No trustee can decrypt while voting is open
+    await expectRevert(
+      encryptedTally.publishPartialDecryption(partials[0].partial, partials[0].proof, { from: trustees[0] }),
+      "Voting has not ended yet"
+    );
+    await expectRevert(
+      encryptedTally.publishTally(counts, decryptionProof, { from: admin }),
+      "Voting has not ended yet"
+    );
+    await zkVotingSystem.endVoting({ from: admin });
+    await expectRevert(zkVotingSystem.startVoting(600, { from: admin }), "Voting has already started");
+    await expectRevert(
+      zkVotingSystem.addCandidate("Dave", "Dave's details", { from: admin }),
+      "Voting has already started"
+    );
+
+    // A partial decryption only passes with the proof for the caller's own key share
+    await expectRevert(
+      encryptedTally.publishPartialDecryption(partials[1].partial, partials[1].proof, { from: trustees[0] }),
+      "Invalid partial decryption proof"
+    );
+    await encryptedTally.publishPartialDecryption(partials[0].partial, partials[0].proof, { from: trustees[0] });
+    await expectRevert(
+      encryptedTally.publishPartialDecryption(partials[0].partial, partials[0].proof, { from: trustees[0] }),
+      "Partial decryption has already been published"
+    );
+    await expectRevert(
+      encryptedTally.publishTally(counts, decryptionProof, { from: accounts[6] }),
+      "Every trustee must publish a partial decryption"
+    );
+    await encryptedTally.publishPartialDecryption(partials[1].partial, partials[1].proof, { from: trustees[1] });
+    check(
+      (await encryptedTally.getDecryption()).map(String).join() === decryption.join(),
+      "The published partial decryptions add up to the decryption"
+    );
+
+    // Anyone can publish the counts once every trustee has decrypted, but only with their proof
+    const wrongCounts = [1, 0, 2, 0, 0, 0, 0, 0];
+    await expectRevert(
+      encryptedTally.publishTally(wrongCounts, decryptionProof, { from: accounts[6] }),
+      "Invalid decryption proof"
+    );
+    await encryptedTally.publishTally(counts, decryptionProof, { from: accounts[6] });
+    const published = await getVoteCounts(zkVotingSystem);
+    check(published.join() === "2,0,1", `The published counts were recorded (${published.join(', ')})`);
+    await expectRevert(
+      encryptedTally.publishTally(counts, decryptionProof, { from: admin }),
+      "The tally has already been published"
+    );
+
+    console.log("\n✅ All encrypted tally tests passed");
+    callback();
+  } catch (error) {
+    console.error("Error in test:", error);
+    callback(error);
+  }
+};
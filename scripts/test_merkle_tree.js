@@ -8,6 +8,18 @@
 const fs = require('fs');
 const circomlibjs = require('circomlibjs');
 const { buildMimcSponge } = require('circomlibjs');
+const {
+  createHasher,
+  generateZeros,
+  createMerkleTree,
+  generateCommitment,
+  computeLeaf,
+  computeNullifierHash,
+  buildProofInput,
+  formatProofForContract,
+  decodeCommitEvents,
+  ZERO_ADDRESS
+} = require('../sdk');
 const { groth16 } = require('snarkjs');
 const { expect } = require('chai');
 
@@ -15,95 +27,14 @@ const { expect } = require('chai');
 const ZKVotingSystem = artifacts.require("ZKVotingSystem");
 const Verifier = artifacts.require("Groth16Verifier");
 
-// Use the same zero value as in zktree.ts
-const ZERO_VALUE = '21663839004416932945382355908790599225266501822907911457504978515578255421292'; // = keccak256("tornado") % FIELD_SIZE
-
-// Calculate hash using MiMC multiHash
-const calculateHash = (mimc, left, right) => {
-  return BigInt(mimc.F.toString(mimc.multiHash([left, right])));
-};
-
-// Generate zeros for the Merkle tree
-const generateZeros = (mimc, levels) => {
-  let zeros = [];
-  zeros[0] = BigInt(ZERO_VALUE);
-  for (let i = 1; i <= levels; i++) {
-    zeros[i] = calculateHash(mimc, zeros[i - 1], zeros[i - 1]);
-  }
-  return zeros;
-};
-
-// Generate Merkle root and path to specified element
-const calculateMerkleRootAndPath = (mimc, levels, elements, element = null) => {
-  const capacity = 2 ** levels;
-  if (elements.length > capacity) throw new Error('Tree is full');
-
-  const zeros = generateZeros(mimc, levels);
-  let layers = [];
-  layers[0] = elements.slice();
-  
-  for (let level = 1; level <= levels; level++) {
-    layers[level] = [];
-    for (let i = 0; i < Math.ceil(layers[level - 1].length / 2); i++) {
-      layers[level][i] = calculateHash(
-        mimc,
-        layers[level - 1][i * 2],
-        i * 2 + 1 < layers[level - 1].length ? layers[level - 1][i * 2 + 1] : zeros[level - 1],
-      );
-    }
-  }
-
-  const root = layers[levels].length > 0 ? layers[levels][0] : zeros[levels];
-
-  let pathElements = [];
-  let pathIndices = [];
-
-  if (element) {
-    let index = layers[0].findIndex(e => BigInt(e) === BigInt(element));
-    if (index === -1) throw new Error('Element not found in tree');
-    
-    for (let level = 0; level < levels; level++) {
-      pathIndices[level] = index % 2;
-      pathElements[level] = (index ^ 1) < layers[level].length ? layers[level][index ^ 1] : zeros[level];
-      index = Math.floor(index / 2);
-    }
-  }
-
-  return {
-    root: root.toString(),
-    pathElements: pathElements.map(v => v.toString()),
-    pathIndices: pathIndices
-  };
-};
-
-// Generate a random field element
-const generateRandomFieldElement = () => {
-  const max = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
-  const randomBytes = require('crypto').randomBytes(31);
-  let randomBigInt = BigInt(0);
-  for (let i = 0; i < randomBytes.length; i++) {
-    randomBigInt = (randomBigInt << BigInt(8)) | BigInt(randomBytes[i]);
-  }
-  return randomBigInt % max;
-};
-
-// Generate a commitment like in zktree.ts
-const generateCommitment = async (mimc) => {
-  const nullifier = generateRandomFieldElement();
-  const secret = generateRandomFieldElement();
-  const commitment = BigInt(mimc.F.toString(mimc.multiHash([nullifier.toString(), secret.toString()])));
-  const nullifierHash = BigInt(mimc.F.toString(mimc.multiHash([nullifier.toString()])));
-  
-  return {
-    nullifier: nullifier.toString(),
-    secret: secret.toString(),
-    commitment: commitment.toString(),
-    nullifierHash: nullifierHash.toString()
-  };
+// Generate voter credentials with their election-scoped nullifier hash
+const generateCredentials = (hash, externalNullifier) => {
+  const { nullifier, secret, commitment } = generateCommitment(hash);
+  return { nullifier, secret, commitment, nullifierHash: computeNullifierHash(hash, nullifier, externalNullifier) };
 };
 
 // Check a Merkle proof
-const checkMerkleProof = (mimc, levels, pathElements, pathIndices, element) => {
+const checkMerkleProof = (hash, levels, pathElements, pathIndices, element) => {
   let current = BigInt(element);
   
   for (let i = 0; i < levels; i++) {
@@ -112,10 +43,10 @@ const checkMerkleProof = (mimc, levels, pathElements, pathIndices, element) => {
     
     if (pathIndex === 0) {
       // Current is left, pathElement is right
-      current = calculateHash(mimc, current, pathElement);
+      current = hash(current, pathElement);
     } else {
       // Current is right, pathElement is left
-      current = calculateHash(mimc, pathElement, current);
+      current = hash(pathElement, current);
     }
   }
   
@@ -135,14 +66,15 @@ module.exports = async (callback) => {
     console.log("Verifier address:", verifier.address);
     
     // Get the MiMC hasher
-    const mimc = await buildMimcSponge();
+    const hash = createHasher(await buildMimcSponge());
+    const electionId = (await zkVotingSystem.electionId()).toString();
     
     // Test 1: Zero values generation
     console.log("\n=== Test 1: Zero Values Generation ===");
     const levels = Number(await zkVotingSystem.levels());
     console.log(`Merkle tree has ${levels} levels`);
     
-    const zeros = generateZeros(mimc, levels);
+    const zeros = generateZeros(hash, levels);
     console.log("First few zeros:");
     for (let i = 0; i <= Math.min(3, levels); i++) {
       console.log(`Level ${i}: ${zeros[i]}`);
@@ -174,8 +106,7 @@ module.exports = async (callback) => {
     
     // Test 2: Empty tree root calculation
     console.log("\n=== Test 2: Empty Tree Root Calculation ===");
-    const emptyTreeResult = calculateMerkleRootAndPath(mimc, levels, []);
-    const emptyTreeRoot = emptyTreeResult.root;
+    const emptyTreeRoot = createMerkleTree(hash, [], levels).root.toString();
     console.log("Calculated empty tree root:", emptyTreeRoot);
     
     const contractEmptyRoot = await zkVotingSystem.getInitialRoot();
@@ -189,24 +120,27 @@ module.exports = async (callback) => {
     
     // Test 3: Commitment generation
     console.log("\n=== Test 3: Commitment Generation ===");
-    const commitment = await generateCommitment(mimc);
+    const commitment = generateCredentials(hash, electionId);
     console.log("Generated commitment:");
     console.log("- Nullifier:", commitment.nullifier);
     console.log("- Secret:", commitment.secret);
     console.log("- Commitment:", commitment.commitment);
     console.log("- Nullifier Hash:", commitment.nullifierHash);
     
-    // Test 4: Tree with single element
+    // Test 4: Tree with single element, the commitment's leaf with a weight of 1
     console.log("\n=== Test 4: Tree With Single Element ===");
-    const singleElementTree = calculateMerkleRootAndPath(mimc, levels, [BigInt(commitment.commitment)], BigInt(commitment.commitment));
-    console.log("Single element tree root:", singleElementTree.root);
+    const weight = 1;
+    const leaf = computeLeaf(hash, commitment.commitment, weight);
+    console.log("Leaf:", leaf);
+    const singleElementTree = createMerkleTree(hash, [leaf], levels).path(0);
+    console.log("Single element tree root:", singleElementTree.root.toString());
     console.log("Path elements:", singleElementTree.pathElements.slice(0, 3), "...");
     console.log("Path indices:", singleElementTree.pathIndices.slice(0, 3), "...");
     
     // Test 5: Tree with multiple elements
     console.log("\n=== Test 5: Tree With Multiple Elements ===");
-    const commitment2 = await generateCommitment(mimc);
-    const commitment3 = await generateCommitment(mimc);
+    const commitment2 = generateCredentials(hash, electionId);
+    const commitment3 = generateCredentials(hash, electionId);
     const elements = [
       BigInt(commitment.commitment),
       BigInt(commitment2.commitment),
@@ -214,13 +148,13 @@ module.exports = async (callback) => {
     ];
     
     // Calculate root and paths
-    const multiElementTree = calculateMerkleRootAndPath(mimc, levels, elements, elements[2]);
-    console.log("Multi-element tree root:", multiElementTree.root);
+    const multiElementTree = createMerkleTree(hash, elements, levels).path(2);
+    console.log("Multi-element tree root:", multiElementTree.root.toString());
     
     // Test 6: Verify Merkle proof
     console.log("\n=== Test 6: Verify Merkle Proof ===");
     const verifiedRoot = checkMerkleProof(
-      mimc, 
+      hash, 
       levels, 
       multiElementTree.pathElements, 
       multiElementTree.pathIndices, 
@@ -228,9 +162,9 @@ module.exports = async (callback) => {
     );
     
     console.log("Root from verification:", verifiedRoot.toString());
-    console.log("Original root:", multiElementTree.root);
+    console.log("Original root:", multiElementTree.root.toString());
     
-    if (verifiedRoot.toString() === multiElementTree.root) {
+    if (verifiedRoot === multiElementTree.root) {
       console.log("✅ Merkle proof verification successful");
     } else {
       console.log("❌ Merkle proof verification failed");
@@ -239,12 +173,16 @@ module.exports = async (callback) => {
     // Test 7: ZK proof for Merkle tree membership
     console.log("\n=== Test 7: ZK Proof for Merkle Tree Membership ===");
     try {
-      const input = {
+      const input = buildProofInput({
         nullifier: commitment.nullifier,
         secret: commitment.secret,
-        pathElements: singleElementTree.pathElements,
-        pathIndices: singleElementTree.pathIndices
-      };
+        merkleProof: singleElementTree,
+        signalHash: 1,
+        externalNullifier: electionId,
+        relayer: ZERO_ADDRESS,
+        fee: 0,
+        weight
+      });
       
       console.log("Generating ZK proof...");
       console.log("This may take a while...");
@@ -266,16 +204,16 @@ module.exports = async (callback) => {
       console.log("Public signals:");
       console.log("- Nullifier hash:", publicSignals[0]);
       console.log("- Root:", publicSignals[1]);
+      console.log("- Signal hash:", publicSignals[2]);
+      console.log("- External nullifier:", publicSignals[3]);
+      console.log("- Relayer:", publicSignals[4]);
+      console.log("- Fee:", publicSignals[5]);
+      console.log("- Weight:", publicSignals[6]);
+      console.log("- Credit budget:", publicSignals[7]);
+      console.log("- Quadratic:", publicSignals[8]);
       
       // Verify the proof
-      const proofFormatted = {
-        a: proof.pi_a.slice(0, 2).map(x => x.toString()),
-        b: [
-          proof.pi_b[0].slice(0, 2).reverse().map(x => x.toString()),
-          proof.pi_b[1].slice(0, 2).reverse().map(x => x.toString())
-        ],
-        c: proof.pi_c.slice(0, 2).map(x => x.toString())
-      };
+      const proofFormatted = formatProofForContract(proof);
       
       const isValid = await verifier.verifyProof(
         proofFormatted.a,
@@ -292,11 +230,11 @@ module.exports = async (callback) => {
       }
       
       // Check calculated root matches
-      if (publicSignals[1] === singleElementTree.root) {
+      if (publicSignals[1] === singleElementTree.root.toString()) {
         console.log("✅ Calculated root matches public signal root");
       } else {
         console.log("❌ Calculated root doesn't match public signal root");
-        console.log("Calculated:", singleElementTree.root);
+        console.log("Calculated:", singleElementTree.root.toString());
         console.log("Public signal:", publicSignals[1]);
       }
       
@@ -320,7 +258,7 @@ module.exports = async (callback) => {
     }
     
     // Register a new voter with our commitment
-    const testCommitment = await generateCommitment(mimc);
+    const testCommitment = generateCredentials(hash, electionId);
     console.log("Registering voter with commitment:", testCommitment.commitment);
     
     const uniqueHash = Date.now();
@@ -328,6 +266,7 @@ module.exports = async (callback) => {
       testAccount,
       uniqueHash,
       testCommitment.commitment,
+      1,
       { from: admin }
     );
     console.log("Voter registered successfully");
@@ -336,20 +275,20 @@ module.exports = async (callback) => {
     const contractRootAfter = await zkVotingSystem.getLastRoot();
     console.log("Contract root after registration:", contractRootAfter.toString());
     
-    // Get all commitments from the contract
-    const depositEvents = await zkVotingSystem.getPastEvents('Deposit', {
+    // Get all leaves from the contract
+    const commitEvents = await zkVotingSystem.getPastEvents('Commit', {
       fromBlock: 0,
       toBlock: 'latest'
     });
     
-    const commitments = depositEvents.map(event => BigInt(event.returnValues.commitment));
-    console.log(`Found ${commitments.length} commitments in the contract`);
+    const leaves = decodeCommitEvents(commitEvents).map(event => event.commitment);
+    console.log(`Found ${leaves.length} leaves in the contract`);
     
     // Calculate the expected root
-    const calculatedRootAfter = calculateMerkleRootAndPath(mimc, levels, commitments);
-    console.log("Calculated root after registration:", calculatedRootAfter.root);
+    const calculatedRootAfter = createMerkleTree(hash, leaves, levels).root.toString();
+    console.log("Calculated root after registration:", calculatedRootAfter);
     
-    if (contractRootAfter.toString() === calculatedRootAfter.root) {
+    if (contractRootAfter.toString() === calculatedRootAfter) {
       console.log("✅ Contract root matches calculated root after registration");
     } else {
       console.log("❌ Contract root doesn't match calculated root after registration");
@@ -7,6 +7,19 @@
 const fs = require('fs');
 const circomlibjs = require('circomlibjs');
 const { buildMimcSponge, mimcSpongecontract } = require('circomlibjs');
+const {
+  createHasher,
+  generateZeros,
+  createMerkleTree,
+  generateCommitment,
+  computeLeaf,
+  toFieldString,
+  buildProofInput,
+  formatProofForContract,
+  ZERO_VALUE,
+  TREE_LEVELS,
+  ZERO_ADDRESS
+} = require('../sdk');
 const { groth16 } = require('snarkjs');
 
 // Contract artifacts - only require what's in your contracts directory
@@ -20,83 +33,8 @@ try {
   console.log("Note: Verifier contract not found in artifacts. ZK proof tests will be skipped.");
 }
 
-// Use the same zero value as in zktree.ts
-const ZERO_VALUE = '21663839004416932945382355908790599225266501822907911457504978515578255421292'; // = keccak256("tornado") % FIELD_SIZE
-const TREE_LEVELS = 20;
-
-// Calculate hash using MiMC hash method like in original test
-const calculateHash = (mimc, left, right) => {
-  let R = mimc.F.e(left);
-  let C = mimc.F.e(0);
-  
-  // First MiMCSponge
-  const result1 = mimc.hash(R, C, 0);
-  R = result1.xL;
-  C = result1.xR;
-  
-  // Add right
-  R = mimc.F.add(R, mimc.F.e(right)); 
-  
-  // Second MiMCSponge
-  const result2 = mimc.hash(R, C, 0);
-  return mimc.F.toObject(result2.xL);
-};
-
-// Generate zeros for the Merkle tree
-const generateZeros = (mimc, levels) => {
-  let zeros = [];
-  zeros[0] = BigInt(ZERO_VALUE);
-  for (let i = 1; i <= levels; i++) {
-    zeros[i] = calculateHash(mimc, zeros[i - 1], zeros[i - 1]);
-  }
-  return zeros;
-};
-
-// Generate Merkle root and path to specified element
-const calculateMerkleRootAndPath = (mimc, levels, elements, element = null) => {
-  const capacity = 2 ** levels;
-  if (elements.length > capacity) throw new Error('Tree is full');
-
-  const zeros = generateZeros(mimc, levels);
-  let layers = [];
-  layers[0] = elements.slice();
-  
-  for (let level = 1; level <= levels; level++) {
-    layers[level] = [];
-    for (let i = 0; i < Math.ceil(layers[level - 1].length / 2); i++) {
-      layers[level][i] = calculateHash(
-        mimc,
-        layers[level - 1][i * 2],
-        i * 2 + 1 < layers[level - 1].length ? layers[level - 1][i * 2 + 1] : zeros[level - 1],
-      );
-    }
-  }
-
-  const root = layers[levels].length > 0 ? layers[levels][0] : zeros[levels];
-
-  let pathElements = [];
-  let pathIndices = [];
-
-  if (element) {
-    let index = layers[0].findIndex(e => BigInt(e) === BigInt(element));
-    if (index === -1) throw new Error('Element not found in tree');
-    
-    for (let level = 0; level < levels; level++) {
-      pathIndices[level] = index % 2;
-      pathElements[level] = (index ^ 1) < layers[level].length ? layers[level][index ^ 1] : zeros[level];
-      index = Math.floor(index / 2);
-    }
-  }
-
-  return {
-    root: root.toString(),
-    pathElements: pathElements.map(v => v.toString()),
-    pathIndices: pathIndices
-  };
-};
-
 // Check a Merkle proof
-const checkMerkleProof = (mimc, levels, pathElements, pathIndices, element) => {
+const checkMerkleProof = (hash, levels, pathElements, pathIndices, element) => {
   let current = BigInt(element);
   
   for (let i = 0; i < levels; i++) {
@@ -105,58 +43,16 @@ const checkMerkleProof = (mimc, levels, pathElements, pathIndices, element) => {
     
     if (pathIndex === 0) {
       // Current is left, pathElement is right
-      current = calculateHash(mimc, current, pathElement);
+      current = hash(current, pathElement);
     } else {
       // Current is right, pathElement is left
-      current = calculateHash(mimc, pathElement, current);
+      current = hash(pathElement, current);
     }
   }
   
   return current;
 };
 
-// Generate a random field element
-const generateRandomFieldElement = () => {
-  const max = BigInt("21888242871839275222246405745257275088548364400416034343698204186575808495617");
-  const randomBytes = require('crypto').randomBytes(31);
-  let randomBigInt = BigInt(0);
-  for (let i = 0; i < randomBytes.length; i++) {
-    randomBigInt = (randomBigInt << BigInt(8)) | BigInt(randomBytes[i]);
-  }
-  return randomBigInt % max;
-};
-
-// Generate a commitment like in zktree.ts
-const generateCommitment = async (mimc) => {
-  const nullifier = generateRandomFieldElement();
-  const secret = generateRandomFieldElement();
-  const commitment = BigInt(mimc.F.toString(mimc.multiHash([nullifier.toString(), secret.toString()])));
-  const nullifierHash = BigInt(mimc.F.toString(mimc.multiHash([nullifier.toString()])));
-  
-  return {
-    nullifier: nullifier.toString(),
-    secret: secret.toString(),
-    commitment: commitment.toString(),
-    nullifierHash: nullifierHash.toString()
-  };
-};
-
-// Add a helper function to convert between formats
-const hexToBigInt = (hexStr) => {
-  if (hexStr.startsWith('0x')) {
-    return BigInt(hexStr);
-  }
-  return BigInt('0x' + hexStr);
-};
-
-// Add a helper to ensure consistent format for comparison
-const formatForComparison = (value) => {
-  if (typeof value === 'string' && value.startsWith('0x')) {
-    return hexToBigInt(value).toString();
-  }
-  return BigInt(value).toString();
-};
-
 // Main test function
 module.exports = async (callback) => {
   try {
@@ -213,6 +109,7 @@ module.exports = async (callback) => {
     
     // Initialize MiMC from circomlib
     const mimc = await buildMimcSponge();
+    const hash = createHasher(mimc);
     
     // Test 0: Compare hash implementations directly
     console.log("\n=== Test 0: Compare Hash Implementations ===");
@@ -228,7 +125,7 @@ module.exports = async (callback) => {
       console.log("Contract hash result:", contractHashResult.toString());
       
       // Method 2: Use JS implementation
-      const jsHashResult = calculateHash(mimc, testVal1, testVal2);
+      const jsHashResult = hash(testVal1, testVal2);
       console.log("JS hash result:", jsHashResult.toString());
       
       // Convert to same format for comparison
@@ -259,16 +156,16 @@ module.exports = async (callback) => {
     
     // Test 1: Hash calculation
     console.log("\n=== Test 1: Hash Calculation ===");
-    const zero = BigInt(ZERO_VALUE);
+    const zero = ZERO_VALUE.toString();
     const contractHash = await zkTreeTest.hashLeftRight(zero, zero);
     console.log("Contract hash:", contractHash.toString());
     
-    const jsHash = calculateHash(mimc, zero, zero);
+    const jsHash = hash(zero, zero);
     console.log("JS hash:", jsHash.toString());
     
-    const contractHashFormatted = formatForComparison(contractHash.toString());
+    const contractHashFormatted = toFieldString(contractHash.toString());
     console.log("Contract hash formatted:", contractHashFormatted);
-    const jsHashFormatted = formatForComparison(jsHash.toString());
+    const jsHashFormatted = toFieldString(jsHash.toString());
     console.log("JS hash formatted:", jsHashFormatted);
 
     if (contractHashFormatted === jsHashFormatted) {
@@ -279,7 +176,7 @@ module.exports = async (callback) => {
     
     // Test 2: Zero values
     console.log("\n=== Test 2: Zero Values ===");
-    const zeros = generateZeros(mimc, TREE_LEVELS);
+    const zeros = generateZeros(hash, TREE_LEVELS);
     console.log("First few zeros from JS:");
     for (let i = 0; i < Math.min(4, TREE_LEVELS); i++) {
       console.log(`Level ${i}: ${zeros[i]}`);
@@ -290,12 +187,12 @@ module.exports = async (callback) => {
     const contractRoot = await zkTreeTest.getLastRoot();
     console.log("Contract initial root:", contractRoot.toString());
     
-    const jsRoot = calculateMerkleRootAndPath(mimc, TREE_LEVELS, []).root;
+    const jsRoot = createMerkleTree(hash).root.toString();
     console.log("JS initial root:", jsRoot);
     
-    const contractRootFormatted = formatForComparison(contractRoot.toString());
+    const contractRootFormatted = toFieldString(contractRoot.toString());
     console.log("Contract root formatted:", contractRootFormatted);
-    const jsRootFormatted = formatForComparison(jsRoot);
+    const jsRootFormatted = toFieldString(jsRoot);
     console.log("JS root formatted:", jsRootFormatted);
 
     if (contractRootFormatted === jsRootFormatted) {
@@ -315,12 +212,12 @@ module.exports = async (callback) => {
     const rootAfterCommit = await zkTreeTest.getLastRoot();
     console.log("Contract root after commit:", rootAfterCommit.toString());
     
-    const jsRootAfterCommit = calculateMerkleRootAndPath(mimc, TREE_LEVELS, [testValue]).root;
+    const jsRootAfterCommit = createMerkleTree(hash, [testValue]).root.toString();
     console.log("JS root after commit:", jsRootAfterCommit);
     
-    const rootAfterCommitFormatted = formatForComparison(rootAfterCommit.toString());
+    const rootAfterCommitFormatted = toFieldString(rootAfterCommit.toString());
     console.log("Contract root formatted:", rootAfterCommitFormatted);
-    const jsRootAfterCommitFormatted = formatForComparison(jsRootAfterCommit);
+    const jsRootAfterCommitFormatted = toFieldString(jsRootAfterCommit);
     console.log("JS root formatted:", jsRootAfterCommitFormatted);
 
     if (rootAfterCommitFormatted === jsRootAfterCommitFormatted) {
@@ -339,12 +236,12 @@ module.exports = async (callback) => {
     const rootAfterMultiple = await zkTreeTest.getLastRoot();
     console.log("Contract root after multiple commits:", rootAfterMultiple.toString());
     
-    const jsRootAfterMultiple = calculateMerkleRootAndPath(mimc, TREE_LEVELS, [testValue, 2, 3]).root;
+    const jsRootAfterMultiple = createMerkleTree(hash, [testValue, 2, 3]).root.toString();
     console.log("JS root after multiple commits:", jsRootAfterMultiple);
     
-    const rootAfterMultipleFormatted = formatForComparison(rootAfterMultiple.toString());
+    const rootAfterMultipleFormatted = toFieldString(rootAfterMultiple.toString());
     console.log("Contract root formatted:", rootAfterMultipleFormatted);
-    const jsRootAfterMultipleFormatted = formatForComparison(jsRootAfterMultiple);
+    const jsRootAfterMultipleFormatted = toFieldString(jsRootAfterMultiple);
     console.log("JS root formatted:", jsRootAfterMultipleFormatted);
 
     if (rootAfterMultipleFormatted === jsRootAfterMultipleFormatted) {
@@ -355,15 +252,15 @@ module.exports = async (callback) => {
     
     // Test 6: Verify proof for a specific element
     console.log("\n=== Test 6: Verify Proof ===");
-    const jsProof = calculateMerkleRootAndPath(mimc, TREE_LEVELS, [testValue, 2, 3], 3);
-    const verifiedRoot = checkMerkleProof(mimc, TREE_LEVELS, jsProof.pathElements, jsProof.pathIndices, 3);
+    const jsProof = createMerkleTree(hash, [testValue, 2, 3]).path(2);
+    const verifiedRoot = checkMerkleProof(hash, TREE_LEVELS, jsProof.pathElements, jsProof.pathIndices, 3);
     
     console.log("Verified root:", verifiedRoot.toString());
     console.log("Expected root:", rootAfterMultiple.toString());
     
-    const verifiedRootFormatted = formatForComparison(verifiedRoot.toString());
+    const verifiedRootFormatted = toFieldString(verifiedRoot.toString());
     console.log("Verified root formatted:", verifiedRootFormatted);
-    const rootAfterMultipleForMatching = formatForComparison(rootAfterMultiple.toString());
+    const rootAfterMultipleForMatching = toFieldString(rootAfterMultiple.toString());
     console.log("Expected root formatted:", rootAfterMultipleForMatching);
 
     if (verifiedRootFormatted === rootAfterMultipleForMatching) {
@@ -391,20 +288,21 @@ module.exports = async (callback) => {
     if (Verifier && verifier) {
       try {
         // Generate a commitment
-        const commitment = await generateCommitment(mimc);
+        const commitment = generateCommitment(hash);
         console.log("Generated commitment:", commitment.commitment);
         
-        // Commit the commitment
-        await zkTreeTest.commit(commitment.commitment);
-        console.log("Commitment added to the tree");
+        // Commit the commitment's leaf, as ZKVotingSystem does for a voter with a weight of 1
+        const leaf = computeLeaf(hash, commitment.commitment, 1);
+        await zkTreeTest.commit(leaf);
+        console.log("Leaf added to the tree:", leaf);
         
         // Get the tree state
         const currentRoot = await zkTreeTest.getLastRoot();
         console.log("Current root:", currentRoot.toString());
         
-        // Generate proof path for the commitment
-        const commitments = [testValue, 2, 3, BigInt(commitment.commitment)];
-        const proofPath = calculateMerkleRootAndPath(mimc, TREE_LEVELS, commitments, BigInt(commitment.commitment));
+        // Generate proof path for the leaf
+        const leaves = [testValue, 2, 3, leaf];
+        const proofPath = createMerkleTree(hash, leaves).path(3);
         
         // Check if we have the required circuit files
         const wasmPath = "circuits/out/Verifier_js/Verifier.wasm";
@@ -418,12 +316,16 @@ module.exports = async (callback) => {
             setTimeout(() => reject(new Error('ZK proof generation timed out')), 300000));
           
           const proofPromise = groth16.fullProve(
-            {
+            buildProofInput({
               nullifier: commitment.nullifier,
               secret: commitment.secret,
-              pathElements: proofPath.pathElements,
-              pathIndices: proofPath.pathIndices
-            },
+              merkleProof: proofPath,
+              signalHash: 1,
+              externalNullifier: 1,
+              relayer: ZERO_ADDRESS,
+              fee: 0,
+              weight: 1
+            }),
             wasmPath,
             zkeyPath
           );
@@ -435,22 +337,29 @@ module.exports = async (callback) => {
           console.log("Public signals:");
           console.log("- Nullifier hash:", publicSignals[0]);
           console.log("- Root:", publicSignals[1]);
+          console.log("- Signal hash:", publicSignals[2]);
+          console.log("- External nullifier:", publicSignals[3]);
+          console.log("- Relayer:", publicSignals[4]);
+          console.log("- Fee:", publicSignals[5]);
+          console.log("- Weight:", publicSignals[6]);
+          console.log("- Credit budget:", publicSignals[7]);
+          console.log("- Quadratic:", publicSignals[8]);
           
           // Format the proof for the contract
-          const proofFormatted = {
-            a: proof.pi_a.slice(0, 2).map(x => x.toString()),
-            b: [
-              proof.pi_b[0].slice(0, 2).reverse().map(x => x.toString()),
-              proof.pi_b[1].slice(0, 2).reverse().map(x => x.toString())
-            ],
-            c: proof.pi_c.slice(0, 2).map(x => x.toString())
-          };
+          const proofFormatted = formatProofForContract(proof);
           
           // Try to nullify using the proof
           try {
             const nullifyTx = await zkTreeTest.nullify(
               publicSignals[0], // nullifierHash
               publicSignals[1], // root
+              publicSignals[2], // signalHash
+              publicSignals[3], // externalNullifier
+              ZERO_ADDRESS, // relayer
+              publicSignals[5], // fee
+              publicSignals[6], // weight
+              publicSignals[7], // creditBudget
+              publicSignals[8], // quadratic
               proofFormatted.a,
               proofFormatted.b,
               proofFormatted.c
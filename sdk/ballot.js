@@ -0,0 +1,231 @@
+// Ballots of ZKVotingSystem.castBallot(), castApprovals() and castAllocations() and the signal they are bound into the proof with
+/**
+ * A single-choice vote's signal is the candidate ID itself, an approval ballot's the
+ * bitmask of the approved candidates and a credit ballot's the packed allocation of votes.
+ * Ranked ballots, and the ciphertexts of encrypted ballots, are bound by their hash, which needs
+ * keccak256, so it is passed in by the caller (ethers in the browser, web3 in Node) to keep
+ * this module free of dependencies.
+ */
+const { FIELD_SIZE, CREDIT_BITS, MAX_CREDIT_CANDIDATES } = require('./constants');
+const { toBigInt } = require('./field');
+
+// Values of ZKVotingSystem.BallotType
+const BALLOT_TYPES = {
+  SINGLE_CHOICE: 0,
+  RANKED: 1,
+  APPROVAL: 2,
+  CUMULATIVE: 3,
+  QUADRATIC: 4,
+  ENCRYPTED: 5
+};
+
+/**
+ * Name of a ballot type, for messages and the command-line tools
+ * @param {number|bigint|string} ballotType - A value of BALLOT_TYPES
+ * @returns {string} 'single-choice', 'ranked', 'approval', 'cumulative', 'quadratic', 'encrypted', or 'unknown'
+ */
+const ballotTypeName = (ballotType) => {
+  switch (Number(ballotType)) {
+    case BALLOT_TYPES.SINGLE_CHOICE:
+      return 'single-choice';
+    case BALLOT_TYPES.RANKED:
+      return 'ranked';
+    case BALLOT_TYPES.APPROVAL:
+      return 'approval';
+    case BALLOT_TYPES.CUMULATIVE:
+      return 'cumulative';
+    case BALLOT_TYPES.QUADRATIC:
+      return 'quadratic';
+    case BALLOT_TYPES.ENCRYPTED:
+      return 'encrypted';
+    default:
+      return 'unknown';
+  }
+};
+
+/**
+ * Encode a ballot as abi.encodePacked(uint256[]) does: one 32-byte word per candidate ID
+ * @param {Array<bigint|string|number>} ballot - Candidate IDs
+ * @returns {string} 0x-prefixed hex
+ */
+const encodeBallot = (ballot) =>
+  '0x' + ballot.map(candidateId => toBigInt(candidateId).toString(16).padStart(64, '0')).join('');
+
+/**
+ * Compute the signal a ballot is bound into the proof with, as the contract does
+ * @param {Array<bigint|string|number>} ballot - Candidate IDs
+ * @param {Function} keccak256 - Hashes 0x-prefixed hex bytes to a 0x-prefixed hex digest
+ * @returns {string} keccak256 of the packed ballot reduced into the field, as a decimal string
+ */
+const computeBallotSignal = (ballot, keccak256) => {
+  if (!Array.isArray(ballot) || ballot.length === 0) {
+    throw new Error('A ballot must list at least one candidate');
+  }
+  return (BigInt(keccak256(encodeBallot(ballot))) % FIELD_SIZE).toString();
+};
+
+/**
+ * Check a ranking the way castBallot does: candidates that exist, each ranked at most once
+ * @param {Array<number|string>} ranking - Candidate IDs, most preferred first
+ * @param {number} candidatesCount - Number of candidates in the election (IDs are 1 to candidatesCount)
+ * @returns {Array<number>} The ranking as numbers
+ */
+const validateRanking = (ranking, candidatesCount) => {
+  if (!Array.isArray(ranking) || ranking.length === 0) {
+    throw new Error('A ranking must list at least one candidate');
+  }
+
+  const ranked = new Set();
+  return ranking.map((value) => {
+    const candidateId = Number(value);
+    if (!Number.isInteger(candidateId) || candidateId < 1 || candidateId > candidatesCount) {
+      throw new Error(`Candidate ${value} does not exist`);
+    }
+    if (ranked.has(candidateId)) {
+      throw new Error(`Candidate ${candidateId} is ranked more than once`);
+    }
+    ranked.add(candidateId);
+    return candidateId;
+  });
+};
+
+/**
+ * Check approvals the way castApprovals does: candidates that exist, at most maxApprovals of them
+ * @param {Array<number|string>} candidateIds - Approved candidate IDs
+ * @param {number} candidatesCount - Number of candidates in the election (IDs are 1 to candidatesCount)
+ * @param {number} maxApprovals - Most candidates a ballot may approve
+ * @returns {Array<number>} The approved candidate IDs as numbers, ascending
+ */
+const validateApprovals = (candidateIds, candidatesCount, maxApprovals) => {
+  if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+    throw new Error('Approve at least one candidate');
+  }
+
+  const approved = new Set(candidateIds.map((value) => {
+    const candidateId = Number(value);
+    if (!Number.isInteger(candidateId) || candidateId < 1 || candidateId > candidatesCount) {
+      throw new Error(`Candidate ${value} does not exist`);
+    }
+    return candidateId;
+  }));
+  if (approved.size > Number(maxApprovals)) {
+    throw new Error(`At most ${maxApprovals} candidates can be approved`);
+  }
+  return [...approved].sort((a, b) => a - b);
+};
+
+/**
+ * Encode approved candidates as the bitmask castApprovals takes: bit i - 1 for candidate i
+ * @param {Array<number|string>} candidateIds - Approved candidate IDs
+ * @returns {string} The bitmask as a decimal string, which is also the proof's signal
+ */
+const encodeApprovals = (candidateIds) =>
+  candidateIds.reduce((mask, candidateId) => mask | (1n << (toBigInt(candidateId) - 1n)), 0n).toString();
+
+/**
+ * Decode an approvals bitmask into candidate IDs
+ * @param {bigint|string|number} approvals - Bitmask of castApprovals or ApprovalsCast
+ * @returns {Array<number>} Approved candidate IDs, ascending
+ */
+const decodeApprovals = (approvals) => {
+  const candidateIds = [];
+  for (let mask = toBigInt(approvals), candidateId = 1; mask > 0n; mask >>= 1n, candidateId++) {
+    if (mask & 1n) {
+      candidateIds.push(candidateId);
+    }
+  }
+  return candidateIds;
+};
+
+/**
+ * Whether voters of a ballot type allocate credits with castAllocations
+ * @param {number|bigint|string} ballotType - A value of BALLOT_TYPES
+ * @returns {boolean}
+ */
+const isCreditBallot = (ballotType) =>
+  Number(ballotType) === BALLOT_TYPES.CUMULATIVE || Number(ballotType) === BALLOT_TYPES.QUADRATIC;
+
+/**
+ * Credits an allocation spends: one per vote, or the square of each candidate's votes when quadratic
+ * @param {Array<number|string|bigint>} allocations - Votes for each candidate, candidate 1 first
+ * @param {boolean} quadratic - Whether the ballot is quadratic
+ * @returns {number} The cost in credits
+ */
+const allocationCost = (allocations, quadratic) =>
+  allocations.reduce((cost, votes) => cost + (quadratic ? Number(votes) ** 2 : Number(votes)), 0);
+
+/**
+ * Check an allocation the way the circuit does: whole numbers of votes for existing candidates,
+ * costing at most the voter's budget
+ * @param {Array<number|string>} allocations - Votes for each candidate, candidate 1 first
+ * @param {number} candidatesCount - Number of candidates in the election
+ * @param {number|bigint|string} budget - The voter's credits: the election's creditBudget times their weight
+ * @param {boolean} quadratic - Whether the ballot is quadratic
+ * @returns {Array<number>} Votes for every candidate, as numbers
+ */
+const validateAllocations = (allocations, candidatesCount, budget, quadratic) => {
+  if (candidatesCount > MAX_CREDIT_CANDIDATES) {
+    throw new Error(`Credit ballots support at most ${MAX_CREDIT_CANDIDATES} candidates`);
+  }
+  if (!Array.isArray(allocations) || allocations.length > candidatesCount) {
+    throw new Error(`Allocate votes to at most ${candidatesCount} candidates`);
+  }
+
+  const votes = Array.from({ length: candidatesCount }, (_, index) => {
+    const value = allocations[index] ?? 0;
+    const count = value === '' ? 0 : Number(value);
+    if (!Number.isInteger(count) || count < 0 || count >= 2 ** CREDIT_BITS) {
+      throw new Error(`Votes for candidate ${index + 1} must be a whole number below ${2 ** CREDIT_BITS}`);
+    }
+    return count;
+  });
+  if (votes.every(count => count === 0)) {
+    throw new Error('Allocate at least one vote');
+  }
+  const cost = allocationCost(votes, quadratic);
+  if (cost > Number(budget)) {
+    throw new Error(`The allocation costs ${cost} credits, more than the budget of ${budget}`);
+  }
+  return votes;
+};
+
+/**
+ * Pack an allocation as castAllocations takes it: CREDIT_BITS bits per candidate, candidate 1 lowest
+ * @param {Array<number|string|bigint>} allocations - Votes for each candidate, candidate 1 first
+ * @returns {string} The packed allocation as a decimal string, which is also the proof's signal
+ */
+const encodeAllocations = (allocations) =>
+  allocations.reduce(
+    (packed, votes, index) => packed | (toBigInt(votes) << BigInt(CREDIT_BITS * index)),
+    0n
+  ).toString();
+
+/**
+ * Unpack an allocation of castAllocations or AllocationsCast
+ * @param {bigint|string|number} allocations - The packed allocation
+ * @param {number} candidatesCount - Number of candidates to unpack (default: MAX_CREDIT_CANDIDATES)
+ * @returns {Array<number>} Votes for each candidate, candidate 1 first
+ */
+const decodeAllocations = (allocations, candidatesCount = MAX_CREDIT_CANDIDATES) => {
+  const packed = toBigInt(allocations);
+  const mask = (1n << BigInt(CREDIT_BITS)) - 1n;
+  return Array.from({ length: candidatesCount }, (_, index) =>
+    Number((packed >> BigInt(CREDIT_BITS * index)) & mask)
+  );
+};
+
+module.exports = {
+  BALLOT_TYPES,
+  ballotTypeName,
+  encodeBallot,
+  computeBallotSignal,
+  validateRanking,
+  validateApprovals,
+  encodeApprovals,
+  decodeApprovals,
+  isCreditBallot,
+  allocationCost,
+  validateAllocations,
+  encodeAllocations,
+  decodeAllocations
+};
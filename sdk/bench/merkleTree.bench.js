@@ -0,0 +1,61 @@
+// Benchmark of the layered Merkle tree with the MiMCSponge hash used by the contracts
+/**
+ * Builds a depth-20 tree of 100k leaves (BENCH_LEAVES to change it) and times bulk
+ * building, single inserts, paths, past roots and a serialize/deserialize round trip.
+ *
+ * Usage: npm run bench (in sdk/)
+ */
+
+const { buildMimcSponge } = require('circomlibjs');
+const { MerkleTree } = require('../merkleTree');
+const { createHasher } = require('../hasher');
+const { ZERO_VALUE, TREE_LEVELS: LEVELS } = require('../constants');
+
+const LEAVES = Number(process.env.BENCH_LEAVES || 100000);
+const SAMPLES = 1000;
+
+const time = (label, count, fn) => {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(32)} ${ms.toFixed(1).padStart(10)} ms total ${(ms / count).toFixed(3).padStart(10)} ms each`);
+  return result;
+};
+
+const main = async () => {
+  const hash = createHasher(await buildMimcSponge());
+  let hashes = 0;
+  const hashFunction = (left, right) => {
+    hashes++;
+    return hash(left, right);
+  };
+
+  const leaves = Array.from({ length: LEAVES }, (_, i) => BigInt(i + 1));
+  console.log(`Depth ${LEVELS}, ${LEAVES} leaves\n`);
+
+  const tree = time(`bulk build (${LEAVES} leaves)`, LEAVES, () => new MerkleTree(LEVELS, leaves, { hashFunction, zeroElement: ZERO_VALUE }));
+  console.log(`  ${hashes} hashes`);
+
+  hashes = 0;
+  time(`insert (${SAMPLES} leaves)`, SAMPLES, () => {
+    for (let i = 0; i < SAMPLES; i++) {
+      tree.insert(BigInt(LEAVES + i + 1));
+    }
+  });
+  console.log(`  ${hashes / SAMPLES} hashes per insert`);
+
+  const indices = Array.from({ length: SAMPLES }, () => Math.floor(Math.random() * tree.leaves.length));
+  time(`path (${SAMPLES} leaves)`, SAMPLES, () => indices.forEach(index => tree.path(index)));
+  time(`rootAt (${SAMPLES} leaves)`, SAMPLES, () => indices.forEach(index => tree.rootAt(index)));
+
+  const serialized = time('serialize', 1, () => JSON.stringify(tree.serialize()));
+  console.log(`  ${(serialized.length / 1e6).toFixed(1)} MB of JSON`);
+  hashes = 0;
+  const restored = time('deserialize', 1, () => MerkleTree.deserialize(JSON.parse(serialized), hashFunction));
+  console.log(`  ${hashes} hashes, same root: ${restored.root === tree.root}`);
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
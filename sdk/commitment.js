@@ -0,0 +1,56 @@
+// Voter commitments, their weighted leaves and election-scoped nullifier hashes, as computed by CommitmentHasher.circom
+const { toBigInt, isFieldElement, randomFieldElement } = require('./field');
+
+/**
+ * Compute the commitment a voter registers in the tree
+ * @param {Function} hash - Hash function from createHasher
+ * @param {bigint|string} nullifier - The voter's nullifier
+ * @param {bigint|string} secret - The voter's secret
+ * @returns {string} The commitment as a decimal string
+ */
+const computeCommitment = (hash, nullifier, secret) => hash(nullifier, secret).toString();
+
+/**
+ * Compute the leaf a registered commitment has in the tree, which binds it to the voter's weight
+ * @param {Function} hash - Hash function from createHasher
+ * @param {bigint|string} commitment - The voter's commitment
+ * @param {bigint|string|number} weight - The voter's weight (commitmentWeights in the contract)
+ * @returns {string} The leaf as a decimal string
+ */
+const computeLeaf = (hash, commitment, weight) => hash(commitment, weight).toString();
+
+/**
+ * Compute the nullifier hash revealed when voting, scoped to one election
+ * @param {Function} hash - Hash function from createHasher
+ * @param {bigint|string} nullifier - The voter's nullifier
+ * @param {bigint|string} externalNullifier - The election ID of the contract
+ * @returns {string} The nullifier hash as a decimal string
+ */
+const computeNullifierHash = (hash, nullifier, externalNullifier) => hash(nullifier, externalNullifier).toString();
+
+/**
+ * Generate a random nullifier and secret and their commitment
+ * @param {Function} hash - Hash function from createHasher
+ * @returns {Object} nullifier, secret and commitment as decimal strings
+ */
+const generateCommitment = (hash) => {
+  const nullifier = randomFieldElement().toString();
+  const secret = randomFieldElement().toString();
+  return { nullifier, secret, commitment: computeCommitment(hash, nullifier, secret) };
+};
+
+/**
+ * Check that a nullifier and secret can be proven with, i.e. are field elements
+ * @param {Object} secrets - nullifier and secret
+ * @throws {Error} If either is missing or out of range
+ */
+const assertValidSecrets = ({ nullifier, secret }) => {
+  if (!isFieldElement(nullifier) || toBigInt(nullifier) === 0n) {
+    throw new Error('The nullifier is not a valid field element');
+  }
+  if (!isFieldElement(secret) || toBigInt(secret) === 0n) {
+    throw new Error('The secret is not a valid field element');
+  }
+};
+
+module.exports = { computeCommitment, computeLeaf, computeNullifierHash, generateCommitment, assertValidSecrets };
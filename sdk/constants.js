@@ -0,0 +1,37 @@
+// Constants shared with the circuit (circuits/Verifier.circom) and ZKVotingSystem.sol
+
+// Order of the BN254 scalar field; every circuit input and MiMC output is below it
+const FIELD_SIZE = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+// Value of an empty leaf, = keccak256("tornado") % FIELD_SIZE as in MerkleTreeWithHistory.sol
+const ZERO_VALUE = BigInt('21663839004416932945382355908790599225266501822907911457504978515578255421292');
+
+// Depth of the commitment tree the contract is deployed with
+const TREE_LEVELS = 20;
+
+// Relayer address of a vote the voter submits themselves
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Voting weights stay below 2^WEIGHT_BITS, as ZKVotingSystem.sol requires
+const WEIGHT_BITS = 64;
+
+// Credit allocations are packed CREDIT_BITS bits per candidate, for up to MAX_CREDIT_CANDIDATES candidates
+const CREDIT_BITS = 16;
+const MAX_CREDIT_CANDIDATES = 15;
+
+// Encrypted ballots hold one ciphertext per candidate slot (BallotEncryption.circom), and weights
+// and counts of encrypted elections stay below 2^ENCRYPTED_COUNT_BITS
+const MAX_ENCRYPTED_CANDIDATES = 8;
+const ENCRYPTED_COUNT_BITS = 64;
+
+module.exports = {
+  FIELD_SIZE,
+  ZERO_VALUE,
+  TREE_LEVELS,
+  ZERO_ADDRESS,
+  WEIGHT_BITS,
+  CREDIT_BITS,
+  MAX_CREDIT_CANDIDATES,
+  MAX_ENCRYPTED_CANDIDATES,
+  ENCRYPTED_COUNT_BITS
+};
@@ -0,0 +1,306 @@
+// Exponential ElGamal on Baby Jubjub for encrypted ballots, as BallotEncryption.circom encrypts them,
+// EncryptedTally.sol adds them up, PartialDecryption.circom and TallyDecryption.circom prove their decryption
+/**
+ * A vote of weight w encrypts w * B in the chosen candidate's slot and 0 * B (the identity) in every
+ * other slot, where B is Baby Jubjub's Base8 generator. Each slot's ciphertext is (r * B, m * B + r * K)
+ * for the election's public key K, so adding ciphertexts point by point adds the votes, and the tally
+ * decrypts to count * B. The count is then found by a baby-step giant-step search up to the total weight.
+ *
+ * The secret key is split between trustees: each holds a share x_i with key share x_i * B, and K is the
+ * sum of the key shares. Each trustee's partial decryption is x_i * c1 in every slot; their sum is the
+ * secret key times c1, which subtracted from c2 leaves count * B.
+ *
+ * Ciphertexts are flat arrays of 4 field elements per slot (c1.x, c1.y, c2.x, c2.y), as the contract
+ * stores them. As with createHasher, the Baby Jubjub instance is passed in (circomlibjs' buildBabyjub()).
+ */
+const { MAX_ENCRYPTED_CANDIDATES, ENCRYPTED_COUNT_BITS } = require('./constants');
+const { toBigInt, randomFieldElement } = require('./field');
+const { formatProofAsArray } = require('./proof');
+
+const SLOT_SIZE = 4;
+// Words of a partial decryption: one point per slot
+const PARTIAL_SIZE = 2 * MAX_ENCRYPTED_CANDIDATES;
+
+/**
+ * Create the encryption and decryption functions of encrypted ballots
+ * @param {Object} babyjub - A Baby Jubjub instance from circomlibjs' buildBabyjub()
+ * @returns {Object} generateKeyPair, derivePublicKey, combinePublicKeys, encryptVote, addCiphertexts,
+ *   partialDecrypt, combinePartialDecryptions, decryptTally and buildTallyDecryptionInput
+ */
+const createElGamal = (babyjub) => {
+  if (!babyjub || typeof babyjub.mulPointEscalar !== 'function' || !babyjub.F) {
+    throw new Error('createElGamal needs a Baby Jubjub instance from circomlibjs');
+  }
+  const { F } = babyjub;
+
+  const toPoint = (x, y) => [F.e(toBigInt(x)), F.e(toBigInt(y))];
+  const fromPoint = (point) => point.map(coordinate => F.toObject(coordinate).toString());
+  const multiply = (scalar) => babyjub.mulPointEscalar(babyjub.Base8, toBigInt(scalar));
+  const negate = ([x, y]) => [F.neg(x), y];
+  const pointKey = (point) => fromPoint(point).join(',');
+
+  const checkPublicKey = (publicKey) => {
+    if (!Array.isArray(publicKey) || publicKey.length !== 2) {
+      throw new Error('The election public key must be a point [x, y]');
+    }
+    const point = toPoint(publicKey[0], publicKey[1]);
+    if (!babyjub.inCurve(point)) {
+      throw new Error('The election public key is not a Baby Jubjub point');
+    }
+    // The identity, the sum of no key shares, would leave every vote in the clear
+    if (F.isZero(point[0])) {
+      throw new Error('The election public key is not set; every trustee must register a key share first');
+    }
+    return point;
+  };
+
+  const checkTally = (tally) => {
+    if (!Array.isArray(tally) || tally.length !== SLOT_SIZE * MAX_ENCRYPTED_CANDIDATES) {
+      throw new Error(`An encrypted tally has ${SLOT_SIZE * MAX_ENCRYPTED_CANDIDATES} field elements`);
+    }
+    return tally.map(toBigInt);
+  };
+
+  const checkDecryption = (decryption) => {
+    if (!Array.isArray(decryption) || decryption.length !== PARTIAL_SIZE) {
+      throw new Error(`A partial decryption has ${PARTIAL_SIZE} field elements`);
+    }
+    return decryption.map(toBigInt);
+  };
+
+  // Add up flat lists of points, starting from the identity
+  const sumPoints = (lists, size) => {
+    const sum = [];
+    for (let index = 0; index < size; index += 2) {
+      const point = lists.reduce(
+        (total, list) => babyjub.addPoint(total, toPoint(list[index], list[index + 1])),
+        toPoint(0n, 1n)
+      );
+      sum.push(...fromPoint(point));
+    }
+    return sum;
+  };
+
+  /**
+   * Generate a trustee's share of the election key; the shares of every trustee together decrypt the
+   * tally, and every single ballot
+   * @returns {Object} secretKey as a decimal string and publicKey (the key share) as [x, y]
+   */
+  const generateKeyPair = () => {
+    // 31 random bytes, below the order of the Base8 subgroup
+    const secretKey = randomFieldElement().toString();
+    return { secretKey, publicKey: derivePublicKey(secretKey) };
+  };
+
+  /**
+   * @param {bigint|string} secretKey - A trustee's secret key share
+   * @returns {Array<string>} The key share secretKey * B as [x, y]
+   */
+  const derivePublicKey = (secretKey) => fromPoint(multiply(secretKey));
+
+  /**
+   * Add up the trustees' key shares into the election's public key, as the contract does
+   * @param {Array<Array<bigint|string>>} keyShares - The key share [x, y] of every trustee
+   * @returns {Array<string>} The public key as [x, y]
+   */
+  const combinePublicKeys = (keyShares) => sumPoints(keyShares, 2);
+
+  /**
+   * Encrypt a vote for one candidate and build the BallotEncryption circuit input that proves it
+   * @param {Array<bigint|string>} publicKey - The election's public key [x, y]
+   * @param {number|string} candidateId - The chosen candidate
+   * @param {bigint|string|number} weight - The voter's weight, the message of the chosen slot
+   * @param {number} candidatesCount - Number of candidates in the election
+   * @returns {Object} ciphertext (flat, as the contract stores it) and input for the circuit
+   */
+  const encryptVote = (publicKey, candidateId, weight, candidatesCount) => {
+    const key = checkPublicKey(publicKey);
+    const count = Number(candidatesCount);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ENCRYPTED_CANDIDATES) {
+      throw new Error(`Encrypted ballots allow 1 to ${MAX_ENCRYPTED_CANDIDATES} candidates`);
+    }
+    const chosen = Number(candidateId);
+    if (!Number.isInteger(chosen) || chosen < 1 || chosen > count) {
+      throw new Error(`Candidate ${candidateId} does not exist`);
+    }
+    const message = toBigInt(weight);
+    if (message < 1n || message >= 1n << BigInt(ENCRYPTED_COUNT_BITS)) {
+      throw new Error(`Encrypted ballots need a weight from 1 to 2^${ENCRYPTED_COUNT_BITS} - 1`);
+    }
+
+    const choice = [];
+    const randomness = [];
+    const ciphertext = [];
+    for (let slot = 1; slot <= MAX_ENCRYPTED_CANDIDATES; slot++) {
+      const r = randomFieldElement();
+      const vote = slot === chosen ? message : 0n;
+      const c1 = multiply(r);
+      const c2 = babyjub.addPoint(multiply(vote), babyjub.mulPointEscalar(key, r));
+      choice.push(slot === chosen ? '1' : '0');
+      randomness.push(r.toString());
+      ciphertext.push(...fromPoint(c1), ...fromPoint(c2));
+    }
+
+    return {
+      ciphertext,
+      input: {
+        choice,
+        randomness,
+        publicKey: publicKey.map(coordinate => toBigInt(coordinate).toString()),
+        weight: message.toString(),
+        candidatesCount: count.toString()
+      }
+    };
+  };
+
+  /**
+   * Add two ciphertexts slot by slot, as the contract adds each ballot to the tally
+   * @param {Array<bigint|string>} left - Flat ciphertext
+   * @param {Array<bigint|string>} right - Flat ciphertext
+   * @returns {Array<string>} The flat ciphertext of the sum
+   */
+  const addCiphertexts = (left, right) => {
+    const a = checkTally(left);
+    const b = checkTally(right);
+    const sum = [];
+    for (let index = 0; index < a.length; index += 2) {
+      sum.push(...fromPoint(babyjub.addPoint(toPoint(a[index], a[index + 1]), toPoint(b[index], b[index + 1]))));
+    }
+    return sum;
+  };
+
+  /**
+   * A trustee's partial decryption of the tally, and the PartialDecryption circuit input that proves it.
+   * The partial decryption of emptyTally() is the identity in every slot, and its proof is the proof of
+   * knowledge of the secret that registers the key share.
+   * @param {bigint|string} secretKey - The trustee's secret key share
+   * @param {Array<bigint|string>} tally - The flat encrypted tally (EncryptedTally.getTally())
+   * @returns {Object} partial (secretKey * c1 of every slot, flat) and input for the circuit
+   */
+  const partialDecrypt = (secretKey, tally) => {
+    const elements = checkTally(tally);
+    const secret = toBigInt(secretKey);
+    const c1 = [];
+    const partial = [];
+    for (let index = 0; index < elements.length; index += SLOT_SIZE) {
+      c1.push([elements[index].toString(), elements[index + 1].toString()]);
+      partial.push(...fromPoint(babyjub.mulPointEscalar(toPoint(elements[index], elements[index + 1]), secret)));
+    }
+    return {
+      partial,
+      input: { secretKey: secret.toString(), keyShare: derivePublicKey(secret), c1 }
+    };
+  };
+
+  /**
+   * Add up the trustees' partial decryptions, as the contract does (EncryptedTally.getDecryption())
+   * @param {Array<Array<bigint|string>>} partials - The flat partial decryption of every trustee
+   * @returns {Array<string>} The flat decryption, the secret key times c1 in every slot
+   */
+  const combinePartialDecryptions = (partials) => sumPoints(partials.map(checkDecryption), PARTIAL_SIZE);
+
+  // The message point c2 - decryption of every slot, count * B for the slot's count
+  const messagePoints = (tally, decryption) => {
+    const elements = checkTally(tally);
+    const shared = checkDecryption(decryption);
+    const points = [];
+    for (let slot = 0; slot < MAX_ENCRYPTED_CANDIDATES; slot++) {
+      const c2 = toPoint(elements[slot * SLOT_SIZE + 2], elements[slot * SLOT_SIZE + 3]);
+      points.push(babyjub.addPoint(c2, negate(toPoint(shared[slot * 2], shared[slot * 2 + 1]))));
+    }
+    return points;
+  };
+
+  /**
+   * Decrypt each candidate's count from the encrypted tally and the trustees' combined decryption
+   * @param {Array<bigint|string>} tally - The flat encrypted tally (EncryptedTally.getTally())
+   * @param {Array<bigint|string>} decryption - The sum of every trustee's partial decryption
+   *   (EncryptedTally.getDecryption(), or combinePartialDecryptions)
+   * @param {bigint|string|number} maxCount - Largest possible count, the total weight of the ballots
+   * @returns {Array<number>} The count of every slot, candidate 1 first
+   */
+  const decryptTally = (tally, decryption, maxCount) => {
+    const messages = messagePoints(tally, decryption);
+
+    // Baby steps j * B for j below steps, then giant steps of -steps * B from the decrypted point
+    const limit = Number(maxCount);
+    const steps = Math.ceil(Math.sqrt(limit + 1));
+    const babySteps = new Map();
+    let point = multiply(0n);
+    for (let j = 0; j < steps; j++) {
+      babySteps.set(pointKey(point), j);
+      point = babyjub.addPoint(point, babyjub.Base8);
+    }
+    const giantStep = negate(point);
+
+    const counts = [];
+    for (let slot = 0; slot < messages.length; slot++) {
+      let message = messages[slot];
+
+      let count = null;
+      for (let i = 0; i <= steps && count === null; i++) {
+        const j = babySteps.get(pointKey(message));
+        if (j !== undefined) {
+          count = i * steps + j;
+        } else {
+          message = babyjub.addPoint(message, giantStep);
+        }
+      }
+      if (count === null || count > limit) {
+        throw new Error(`Slot ${slot + 1} does not decrypt to a count up to ${limit}; has every trustee's partial decryption been added?`);
+      }
+      counts.push(count);
+    }
+    return counts;
+  };
+
+  /**
+   * Build the TallyDecryption circuit input that proves the counts decrypt the tally
+   * @param {Array<bigint|string>} tally - The flat encrypted tally
+   * @param {Array<bigint|string>} decryption - The sum of every trustee's partial decryption
+   * @param {Array<number|string>} counts - The decrypted counts, from decryptTally
+   * @returns {Object} message (c2 - decryption, one [x, y] per slot, as the contract computes it) and counts
+   */
+  const buildTallyDecryptionInput = (tally, decryption, counts) => {
+    if (!Array.isArray(counts) || counts.length !== MAX_ENCRYPTED_CANDIDATES) {
+      throw new Error(`Expected ${MAX_ENCRYPTED_CANDIDATES} counts`);
+    }
+    return {
+      message: messagePoints(tally, decryption).map(fromPoint),
+      counts: counts.map(count => toBigInt(count).toString())
+    };
+  };
+
+  return {
+    generateKeyPair,
+    derivePublicKey,
+    combinePublicKeys,
+    encryptVote,
+    addCiphertexts,
+    partialDecrypt,
+    combinePartialDecryptions,
+    decryptTally,
+    buildTallyDecryptionInput
+  };
+};
+
+/**
+ * The encrypted tally of an election without ballots: every slot encrypts 0 with r = 0
+ * @returns {Array<string>} c1 = c2 = (0, 1) in every slot
+ */
+const emptyTally = () => Array.from({ length: MAX_ENCRYPTED_CANDIDATES }, () => ['0', '1', '0', '1']).flat();
+
+/**
+ * Build an encrypted ballot as castBallot takes it: the ciphertext followed by the proof that it is a vote
+ * @param {Array<bigint|string>} ciphertext - Flat ciphertext from encryptVote
+ * @param {Object} proof - The BallotEncryption proof from snarkjs
+ * @returns {Array<string>} The words of the ballot, whose hash (computeBallotSignal) is the vote's signal
+ */
+const encodeEncryptedBallot = (ciphertext, proof) => {
+  if (!Array.isArray(ciphertext) || ciphertext.length !== SLOT_SIZE * MAX_ENCRYPTED_CANDIDATES) {
+    throw new Error(`An encrypted ballot has ${SLOT_SIZE * MAX_ENCRYPTED_CANDIDATES} field elements`);
+  }
+  return [...ciphertext.map(element => toBigInt(element).toString()), ...formatProofAsArray(proof)];
+};
+
+module.exports = { createElGamal, emptyTally, encodeEncryptedBallot };
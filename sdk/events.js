@@ -0,0 +1,70 @@
+// Decoding of the contract's Commit(bytes32 indexed commitment, uint32 leafIndex, uint256 timestamp) events
+/**
+ * Events reach us in three shapes: ethers v6 EventLogs (args), web3 v4 and truffle
+ * events (returnValues or args) and raw logs from eth_getLogs (topics and data).
+ * All of them are decoded to the same plain object.
+ */
+const { toBigInt, toFieldString } = require('./field');
+
+// keccak256('Commit(bytes32,uint32,uint256)')
+const COMMIT_EVENT_TOPIC = '0x401999886e5f90a91b92a0bfb7e2d48f714651a4d1c929bb3a753525ba066b91';
+
+/**
+ * Decode the data of a raw Commit log: two 32-byte words, leafIndex and timestamp
+ */
+const decodeRawCommitLog = (log) => {
+  if (!Array.isArray(log.topics) || log.topics[0] !== COMMIT_EVENT_TOPIC || log.topics.length !== 2) {
+    throw new Error('Log is not a Commit event');
+  }
+  const data = log.data.startsWith('0x') ? log.data.slice(2) : log.data;
+  if (data.length !== 128) {
+    throw new Error(`Commit event data must be 64 bytes, got ${data.length / 2}`);
+  }
+  return {
+    commitment: log.topics[1],
+    leafIndex: BigInt('0x' + data.slice(0, 64)),
+    timestamp: BigInt('0x' + data.slice(64))
+  };
+};
+
+/**
+ * Decode a Commit event
+ * @param {Object} event - An ethers v6, web3 v4 or truffle event, or a raw log
+ * @returns {Object} commitment (decimal string), leafIndex (number), timestamp (number) and blockNumber (number or null)
+ */
+const decodeCommitEvent = (event) => {
+  if (!event) {
+    throw new Error('No event to decode');
+  }
+
+  const values = event.returnValues || event.args || decodeRawCommitLog(event);
+  const blockNumber = event.blockNumber === undefined || event.blockNumber === null ? null : Number(event.blockNumber);
+
+  return {
+    commitment: toFieldString(values.commitment),
+    leafIndex: Number(toBigInt(values.leafIndex)),
+    timestamp: Number(toBigInt(values.timestamp)),
+    blockNumber
+  };
+};
+
+/**
+ * Decode Commit events and order them by leaf index, checking that they continue the tree without gaps
+ * @param {Array<Object>} events - The events, in any order
+ * @param {number} firstLeafIndex - The leaf index the first event must have (default: 0)
+ * @returns {Array<Object>} The decoded events, sorted by leafIndex
+ * @throws {Error} If an index is missing or repeated
+ */
+const decodeCommitEvents = (events, firstLeafIndex = 0) => {
+  const decoded = events.map(decodeCommitEvent).sort((a, b) => a.leafIndex - b.leafIndex);
+  decoded.forEach((event, i) => {
+    // A gap or a repeated index means the events and the tree disagree
+    if (event.leafIndex !== firstLeafIndex + i) {
+      const where = event.blockNumber === null ? '' : ` in block ${event.blockNumber}`;
+      throw new Error(`Expected leaf ${firstLeafIndex + i} but found leaf ${event.leafIndex}${where}`);
+    }
+  });
+  return decoded;
+};
+
+module.exports = { COMMIT_EVENT_TOPIC, decodeCommitEvent, decodeCommitEvents };
@@ -0,0 +1,63 @@
+// Conversions between the ways field elements reach us: bigints, decimal strings,
+// hex strings from events and numbers
+const { FIELD_SIZE } = require('./constants');
+
+/**
+ * Convert a value to a bigint, reading strings with a 0x prefix as hex
+ * @param {bigint|string|number} value - The value
+ * @returns {bigint}
+ */
+const toBigInt = (value) => {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`Cannot convert ${value} to a field element`);
+  }
+  return BigInt(typeof value === 'string' ? value.trim() : value);
+};
+
+/**
+ * Format a value as a decimal string, so values from events, the contract and the circuit compare equal
+ * @param {bigint|string|number} value - The value
+ * @returns {string}
+ */
+const toFieldString = (value) => toBigInt(value).toString();
+
+/**
+ * Format a value as a 0x-prefixed 32-byte hex string, as bytes32 arguments and indexed topics are
+ * @param {bigint|string|number} value - The value
+ * @returns {string}
+ */
+const toBytes32 = (value) => '0x' + toBigInt(value).toString(16).padStart(64, '0');
+
+/**
+ * Check whether a value is an element of the field
+ * @param {bigint|string|number} value - The value
+ * @returns {boolean}
+ */
+const isFieldElement = (value) => {
+  try {
+    const element = toBigInt(value);
+    return element >= 0n && element < FIELD_SIZE;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Generate a random field element with the platform's cryptographic random number generator
+ * (window.crypto in browsers, globalThis.crypto in Node 19 and later)
+ * @returns {bigint}
+ */
+const randomFieldElement = () => {
+  const cryptoApi = typeof globalThis !== 'undefined' && globalThis.crypto;
+  if (!cryptoApi || typeof cryptoApi.getRandomValues !== 'function') {
+    throw new Error('No cryptographic random number generator is available');
+  }
+  // 31 bytes are always below FIELD_SIZE, so no modular bias is introduced
+  const bytes = cryptoApi.getRandomValues(new Uint8Array(31));
+  return bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+};
+
+module.exports = { toBigInt, toFieldString, toBytes32, isFieldElement, randomFieldElement };
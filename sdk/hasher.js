@@ -0,0 +1,52 @@
+// The two-input MiMCSponge hash of MerkleTreeWithHistory.sol, CommitmentHasher.circom
+// and MerkleTreeChecker.circom
+/**
+ * The hash absorbs left with the sponge permutation, adds right to the rate and
+ * permutes again; it equals circomlibjs' mimc.multiHash([left, right]).
+ *
+ * The MiMC instance is passed in rather than built here, so this module does not depend
+ * on circomlibjs: Node callers pass `await buildMimcSponge()`, the browser client passes
+ * the instance it builds with its Buffer polyfills in place.
+ */
+const { ZERO_VALUE } = require('./constants');
+const { toBigInt } = require('./field');
+
+/**
+ * Create the hash function used for commitments, nullifier hashes and the Merkle tree
+ * @param {Object} mimc - A MiMCSponge instance from circomlibjs' buildMimcSponge()
+ * @returns {Function} (left, right) => bigint
+ */
+const createHasher = (mimc) => {
+  if (!mimc || typeof mimc.hash !== 'function' || !mimc.F) {
+    throw new Error('createHasher needs a MiMCSponge instance from circomlibjs');
+  }
+
+  return (left, right) => {
+    let R = mimc.F.e(toBigInt(left));
+    let C = mimc.F.e(0);
+
+    const first = mimc.hash(R, C, 0);
+    R = mimc.F.add(first.xL, mimc.F.e(toBigInt(right)));
+    C = first.xR;
+
+    const second = mimc.hash(R, C, 0);
+    return mimc.F.toObject(second.xL);
+  };
+};
+
+/**
+ * Zero value of every level of an empty tree; zeros[levels] is the root of the empty tree
+ * @param {Function} hash - Hash function from createHasher
+ * @param {number} levels - Depth of the tree
+ * @param {bigint|string} zeroElement - Value of an empty leaf (default: ZERO_VALUE)
+ * @returns {Array<bigint>} levels + 1 values
+ */
+const generateZeros = (hash, levels, zeroElement = ZERO_VALUE) => {
+  const zeros = [toBigInt(zeroElement)];
+  for (let level = 1; level <= levels; level++) {
+    zeros[level] = hash(zeros[level - 1], zeros[level - 1]);
+  }
+  return zeros;
+};
+
+module.exports = { createHasher, generateZeros };
@@ -0,0 +1,212 @@
+// Parsing of the voter and candidate files the admin imports, shared by the admin panel and the CLI
+/**
+ * Address checks and the unique ID hash need keccak256, so they are passed in by the
+ * caller (ethers in the browser, web3 in Node) to keep this module free of dependencies.
+ */
+const { FIELD_SIZE, WEIGHT_BITS } = require('./constants');
+
+/**
+ * Split CSV text into rows of trimmed cells, skipping blank lines
+ * Cells may be quoted to contain commas; "" inside quotes is a literal quote
+ * @param {string} text - Contents of the file
+ * @returns {Array<Object>} { line, cells } per row, line being 1-based
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell.trim()) {
+        quoted = true;
+        cell = '';
+      } else if (char === ',') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    rows.push({ line: index + 1, cells });
+  });
+  return rows;
+};
+
+const isJsonFile = (text, fileName) => fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('[');
+
+/**
+ * Parse a JSON array of objects, reading the given fields as trimmed strings
+ */
+const parseJsonEntries = (text, fields, what) => {
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) {
+    throw new Error(`JSON file must contain an array of ${what}`);
+  }
+  return entries.map((entry, index) => {
+    const row = { line: index + 1 };
+    fields.forEach(field => {
+      row[field] = String((entry && entry[field]) ?? '').trim();
+    });
+    return row;
+  });
+};
+
+/**
+ * Parse a CSV or JSON file of (address, uniqueId, commitment, weight) rows; the weight is optional
+ * @param {string} text - Contents of the file
+ * @param {string} fileName - Name of the file, used to detect the format
+ * @returns {Array<Object>} Rows with their line number in the file
+ */
+const parseVoterFile = (text, fileName = '') => {
+  if (isJsonFile(text, fileName)) {
+    return parseJsonEntries(text, ['address', 'uniqueId', 'commitment', 'weight'], 'voters');
+  }
+
+  const rows = [];
+  parseCsvRows(text).forEach(({ line, cells }) => {
+    const [address = '', uniqueId = '', commitment = '', weight = ''] = cells;
+    // Skip an optional header row
+    if (rows.length === 0 && address.toLowerCase() === 'address') return;
+
+    rows.push({ line, address, uniqueId, commitment, weight });
+  });
+  return rows;
+};
+
+/**
+ * Parse a commitment given in decimal or 0x-prefixed hex
+ * @param {string} value - The commitment
+ * @returns {bigint|null} The commitment, or null if it is not a valid non-zero field element
+ */
+const parseCommitment = (value) => {
+  try {
+    const commitment = BigInt(value);
+    return commitment > 0n && commitment < FIELD_SIZE ? commitment : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a voting weight: a whole number from 1 to 2^WEIGHT_BITS - 1, 1 when the value is empty
+ * @param {string} value - The weight
+ * @returns {bigint|null} The weight, or null if it is not valid
+ */
+const parseWeight = (value) => {
+  if (value === undefined || value === '') {
+    return 1n;
+  }
+  if (!/^[0-9]+$/.test(value)) {
+    return null;
+  }
+  const weight = BigInt(value);
+  return weight > 0n && weight >> BigInt(WEIGHT_BITS) === 0n ? weight : null;
+};
+
+/**
+ * Validate parsed voter rows and flag duplicates within the file
+ * @param {Array<Object>} rows - Rows returned by parseVoterFile
+ * @param {Object} helpers - Chain helpers
+ * @param {Function} helpers.isAddress - Whether a string is a valid address
+ * @param {Function} helpers.getAddress - The checksummed form of an address
+ * @param {Function} helpers.hashUniqueId - keccak256 of the UTF-8 unique ID, as a bigint
+ * @returns {Array<Object>} The rows with normalized values and an `error` for invalid ones
+ */
+const validateVoterRows = (rows, { isAddress, getAddress, hashUniqueId }) => {
+  const seenAddresses = new Set();
+  const seenIds = new Set();
+  const seenCommitments = new Set();
+
+  return rows.map((row) => {
+    if (!isAddress(row.address)) {
+      return { ...row, error: 'Invalid Ethereum address' };
+    }
+    if (!row.uniqueId) {
+      return { ...row, error: 'Missing unique ID' };
+    }
+    const commitment = parseCommitment(row.commitment);
+    if (commitment === null) {
+      return { ...row, error: 'Commitment is not a valid field element' };
+    }
+    const weight = parseWeight(row.weight);
+    if (weight === null) {
+      return { ...row, error: `Weight must be a whole number from 1 to 2^${WEIGHT_BITS} - 1` };
+    }
+
+    const address = getAddress(row.address);
+    const key = address.toLowerCase();
+    if (seenAddresses.has(key)) {
+      return { ...row, error: 'Duplicate address in file' };
+    }
+    if (seenIds.has(row.uniqueId)) {
+      return { ...row, error: 'Duplicate unique ID in file' };
+    }
+    if (seenCommitments.has(commitment)) {
+      return { ...row, error: 'Duplicate commitment in file' };
+    }
+
+    seenAddresses.add(key);
+    seenIds.add(row.uniqueId);
+    seenCommitments.add(commitment);
+
+    return {
+      ...row,
+      address,
+      commitment: commitment.toString(),
+      weight: weight.toString(),
+      uniqueHash: hashUniqueId(row.uniqueId).toString(),
+      error: null
+    };
+  });
+};
+
+/**
+ * Parse and validate a CSV or JSON file of (name, details) candidate rows
+ * @param {string} text - Contents of the file
+ * @param {string} fileName - Name of the file, used to detect the format
+ * @returns {Array<Object>} Rows with their line number and an `error` for invalid ones
+ */
+const parseCandidateFile = (text, fileName = '') => {
+  let rows;
+  if (isJsonFile(text, fileName)) {
+    rows = parseJsonEntries(text, ['name', 'details'], 'candidates');
+  } else {
+    rows = [];
+    parseCsvRows(text).forEach(({ line, cells }) => {
+      const [name = '', details = ''] = cells;
+      // Skip an optional header row
+      if (rows.length === 0 && name.toLowerCase() === 'name') return;
+
+      rows.push({ line, name, details });
+    });
+  }
+
+  const seenNames = new Set();
+  return rows.map((row) => {
+    if (!row.name) {
+      return { ...row, error: 'Missing candidate name' };
+    }
+    const key = row.name.toLowerCase();
+    if (seenNames.has(key)) {
+      return { ...row, error: 'Duplicate candidate name in file' };
+    }
+    seenNames.add(key);
+    return { ...row, error: null };
+  });
+};
+
+module.exports = { parseCsvRows, parseVoterFile, parseCommitment, parseWeight, validateVoterRows, parseCandidateFile };
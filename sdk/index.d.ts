@@ -0,0 +1,356 @@
+// Type declarations for zk-voting-sdk
+
+/** A field element as accepted by the SDK: a bigint, a decimal or 0x-hex string, or a number */
+export type FieldLike = bigint | string | number;
+
+/** Two-input MiMCSponge hash, as returned by createHasher */
+export type HashFunction = (left: FieldLike, right: FieldLike) => bigint;
+
+/** The parts of a circomlibjs MiMCSponge instance the SDK uses */
+export interface MimcSponge {
+  F: unknown;
+  hash(left: unknown, right: unknown, key: unknown): { xL: unknown; xR: unknown };
+}
+
+export const FIELD_SIZE: bigint;
+export const ZERO_VALUE: bigint;
+export const TREE_LEVELS: number;
+export const ZERO_ADDRESS: string;
+/** Voting weights stay below 2^WEIGHT_BITS */
+export const WEIGHT_BITS: number;
+/** Bits per candidate of a packed credit allocation */
+export const CREDIT_BITS: number;
+export const MAX_CREDIT_CANDIDATES: number;
+/** Candidate slots of an encrypted ballot */
+export const MAX_ENCRYPTED_CANDIDATES: number;
+/** Weights and counts of encrypted elections stay below 2^ENCRYPTED_COUNT_BITS */
+export const ENCRYPTED_COUNT_BITS: number;
+
+export function toBigInt(value: FieldLike): bigint;
+export function toFieldString(value: FieldLike): string;
+export function toBytes32(value: FieldLike): string;
+export function isFieldElement(value: unknown): boolean;
+export function randomFieldElement(): bigint;
+
+export function createHasher(mimc: MimcSponge): HashFunction;
+export function generateZeros(hash: HashFunction, levels: number, zeroElement?: FieldLike): bigint[];
+
+export interface VoterSecrets {
+  nullifier: string;
+  secret: string;
+}
+
+export interface VoterCommitment extends VoterSecrets {
+  commitment: string;
+}
+
+export function computeCommitment(hash: HashFunction, nullifier: FieldLike, secret: FieldLike): string;
+/** The tree leaf of a registered commitment: MiMC(commitment, weight) */
+export function computeLeaf(hash: HashFunction, commitment: FieldLike, weight: FieldLike): string;
+export function computeNullifierHash(hash: HashFunction, nullifier: FieldLike, externalNullifier: FieldLike): string;
+export function generateCommitment(hash: HashFunction): VoterCommitment;
+export function assertValidSecrets(secrets: { nullifier: FieldLike; secret: FieldLike }): void;
+
+export interface MerklePath {
+  pathElements: bigint[];
+  pathIndices: number[];
+  root: bigint;
+  leaf: bigint;
+}
+
+export interface SerializedMerkleTree {
+  levels: number;
+  zeroElement: string;
+  layers: string[][];
+}
+
+export class MerkleTree {
+  constructor(levels: number, elements?: FieldLike[], options?: { hashFunction: HashFunction; zeroElement: FieldLike });
+  readonly levels: number;
+  readonly capacity: number;
+  readonly zeros: bigint[];
+  readonly leaves: bigint[];
+  readonly root: bigint;
+  insert(element: FieldLike): number;
+  bulkInsert(elements: FieldLike[]): number;
+  indexOf(element: FieldLike): number;
+  path(index: number): MerklePath;
+  rootAt(index: number): bigint;
+  serialize(): SerializedMerkleTree;
+  static deserialize(data: SerializedMerkleTree, hashFunction: HashFunction): MerkleTree;
+}
+
+export function createMerkleTree(hash: HashFunction, leaves?: FieldLike[], levels?: number): MerkleTree;
+
+export type PublicSignalName =
+  | 'nullifierHash'
+  | 'root'
+  | 'signalHash'
+  | 'externalNullifier'
+  | 'relayer'
+  | 'fee'
+  | 'weight'
+  | 'creditBudget'
+  | 'quadratic';
+export const PUBLIC_SIGNALS: PublicSignalName[];
+
+/** Input of the Verifier circuit, as passed to snarkjs */
+export interface ProofInput {
+  nullifier: string;
+  secret: string;
+  pathElements: string[];
+  pathIndices: number[];
+  signalHash: string;
+  externalNullifier: string;
+  relayer: string;
+  fee: string;
+  weight: string;
+  creditBudget: string;
+  quadratic: '0' | '1';
+  /** Votes for each candidate of a credit ballot, zero-padded to MAX_CREDIT_CANDIDATES */
+  allocations: string[];
+}
+
+export interface ProofInputParams {
+  nullifier: FieldLike;
+  secret: FieldLike;
+  weight: FieldLike;
+  merkleProof: { pathElements: FieldLike[]; pathIndices: Array<number | string> };
+  signalHash: FieldLike;
+  externalNullifier: FieldLike;
+  relayer: string;
+  fee: FieldLike;
+  creditBudget?: FieldLike;
+  quadratic?: boolean;
+  allocations?: Array<number | string>;
+  levels?: number;
+}
+
+/** A Groth16 proof as produced by snarkjs */
+export interface SnarkjsProof {
+  pi_a: FieldLike[];
+  pi_b: FieldLike[][];
+  pi_c: FieldLike[];
+  protocol?: string;
+  curve?: string;
+}
+
+export interface ContractProof {
+  a: [string, string];
+  b: [[string, string], [string, string]];
+  c: [string, string];
+}
+
+export interface PublicSignals {
+  nullifierHash: string;
+  root: string;
+  signalHash: string;
+  externalNullifier: string;
+  /** 0x-prefixed, lower-case address */
+  relayer: string;
+  fee: string;
+  weight: string;
+  creditBudget: string;
+  quadratic: string;
+}
+
+export type VoteArgs = [
+  candidateId: string,
+  nullifierHash: string,
+  root: string,
+  relayer: string,
+  fee: string,
+  weight: string,
+  a: ContractProof['a'],
+  b: ContractProof['b'],
+  c: ContractProof['c']
+];
+
+export function toAddress(value: FieldLike): string;
+export function buildProofInput(params: ProofInputParams): ProofInput;
+export function formatProofForContract(proof: SnarkjsProof): ContractProof;
+/** a, b (coordinates swapped) and c in one array, for contracts that take a proof as uint[8] */
+export function formatProofAsArray(proof: SnarkjsProof): string[];
+export function parsePublicSignals(publicSignals: FieldLike[]): PublicSignals;
+export function formatVoteArgs(proof: SnarkjsProof, publicSignals: FieldLike[]): VoteArgs;
+
+export const COMMIT_EVENT_TOPIC: string;
+
+export interface CommitEvent {
+  /** The leaf, MiMC(commitment, weight), as a decimal string */
+  commitment: string;
+  leafIndex: number;
+  timestamp: number;
+  blockNumber: number | null;
+}
+
+/** An ethers v6 EventLog, a web3 v4 or truffle event, or a raw log from eth_getLogs */
+export type CommitEventLike =
+  | { args: { commitment: FieldLike; leafIndex: FieldLike; timestamp: FieldLike }; blockNumber?: FieldLike }
+  | { returnValues: { commitment: FieldLike; leafIndex: FieldLike; timestamp: FieldLike }; blockNumber?: FieldLike }
+  | { topics: string[]; data: string; blockNumber?: FieldLike };
+
+export function decodeCommitEvent(event: CommitEventLike): CommitEvent;
+export function decodeCommitEvents(events: CommitEventLike[], firstLeafIndex?: number): CommitEvent[];
+
+export interface CsvRow {
+  line: number;
+  cells: string[];
+}
+
+export interface VoterRow {
+  line: number;
+  address: string;
+  uniqueId: string;
+  commitment: string;
+  /** Optional in the file; validateVoterRows sets it to 1 when empty */
+  weight?: string;
+  /** Set by validateVoterRows for valid rows */
+  uniqueHash?: string;
+  /** Set by validateVoterRows: null for valid rows, the reason otherwise */
+  error?: string | null;
+}
+
+export interface VoterRowHelpers {
+  isAddress(value: string): boolean;
+  getAddress(value: string): string;
+  hashUniqueId(uniqueId: string): bigint;
+}
+
+export interface CandidateRow {
+  line: number;
+  name: string;
+  details: string;
+  error: string | null;
+}
+
+export function parseCsvRows(text: string): CsvRow[];
+export function parseVoterFile(text: string, fileName?: string): VoterRow[];
+export function parseCommitment(value: string): bigint | null;
+export function parseWeight(value?: string): bigint | null;
+export function validateVoterRows(rows: VoterRow[], helpers: VoterRowHelpers): VoterRow[];
+export function parseCandidateFile(text: string, fileName?: string): CandidateRow[];
+
+export const MIN_PASSPHRASE_LENGTH: number;
+
+export interface VoterSecrets {
+  nullifier: string;
+  secret: string;
+  commitment: string;
+}
+
+/** Version 1 secret file, as written by the secret generator and the voter CLI */
+export interface SecretEnvelope {
+  version: number;
+  kdf: { name: 'PBKDF2'; hash: 'SHA-256'; iterations: number; salt: string };
+  cipher: { name: 'AES-GCM'; iv: string };
+  /** Decimal string, in clear */
+  commitment: string;
+  ciphertext: string;
+}
+
+export function isEncryptedEnvelope(data: unknown): data is SecretEnvelope;
+export function encryptVoterSecrets(voterData: { nullifier: FieldLike; secret: FieldLike; commitment: FieldLike }, passphrase: string): Promise<SecretEnvelope>;
+export function decryptVoterSecrets(envelope: SecretEnvelope, passphrase: string): Promise<VoterSecrets>;
+
+/** Values of ZKVotingSystem.BallotType */
+export const BALLOT_TYPES: { SINGLE_CHOICE: 0; RANKED: 1; APPROVAL: 2; CUMULATIVE: 3; QUADRATIC: 4; ENCRYPTED: 5 };
+
+/** Hashes 0x-prefixed hex bytes to a 0x-prefixed hex digest, e.g. ethers.keccak256 */
+export type Keccak256 = (data: string) => string;
+
+export function ballotTypeName(ballotType: FieldLike): 'single-choice' | 'ranked' | 'approval' | 'cumulative' | 'quadratic' | 'encrypted' | 'unknown';
+export function encodeBallot(ballot: FieldLike[]): string;
+export function computeBallotSignal(ballot: FieldLike[], keccak256: Keccak256): string;
+export function validateRanking(ranking: Array<number | string>, candidatesCount: number): number[];
+export function validateApprovals(candidateIds: Array<number | string>, candidatesCount: number, maxApprovals: number): number[];
+/** Bitmask of castApprovals (bit i - 1 for candidate i), as a decimal string */
+export function encodeApprovals(candidateIds: FieldLike[]): string;
+export function decodeApprovals(approvals: FieldLike): number[];
+export function isCreditBallot(ballotType: FieldLike): boolean;
+/** Credits an allocation (votes per candidate, candidate 1 first) spends */
+export function allocationCost(allocations: FieldLike[], quadratic: boolean): number;
+export function validateAllocations(allocations: Array<number | string>, candidatesCount: number, budget: FieldLike, quadratic: boolean): number[];
+/** Packed allocation of castAllocations (CREDIT_BITS bits per candidate, candidate 1 lowest), as a decimal string */
+export function encodeAllocations(allocations: FieldLike[]): string;
+export function decodeAllocations(allocations: FieldLike, candidatesCount?: number): number[];
+
+export interface RunoffRound {
+  round: number;
+  /** Votes by candidate ID */
+  tallies: Record<number, number>;
+  exhausted: number;
+  /** Empty in the last round */
+  eliminated: number[];
+  /** Votes the eliminated candidates' ballots gave each continuing candidate */
+  transfers: Record<number, number>;
+  exhaustedTransfers: number;
+}
+
+export interface RunoffResult {
+  rounds: RunoffRound[];
+  winner: number | null;
+  /** The tied candidates when there is no winner */
+  tied: number[];
+}
+
+export function instantRunoff(ballots: FieldLike[][], candidateIds: FieldLike[], weights?: FieldLike[]): RunoffResult;
+
+/** The parts of a circomlibjs Baby Jubjub instance the SDK uses */
+export interface BabyJub {
+  F: unknown;
+  Base8: unknown;
+  addPoint(a: unknown, b: unknown): unknown;
+  mulPointEscalar(point: unknown, scalar: bigint): unknown;
+  inCurve(point: unknown): boolean;
+}
+
+export interface ElectionKeyPair {
+  secretKey: string;
+  publicKey: [string, string];
+}
+
+/** Input of the BallotEncryption circuit */
+export interface BallotEncryptionInput {
+  choice: string[];
+  randomness: string[];
+  publicKey: string[];
+  weight: string;
+  candidatesCount: string;
+}
+
+/** Input of the PartialDecryption circuit */
+export interface PartialDecryptionInput {
+  secretKey: string;
+  keyShare: string[];
+  c1: string[][];
+}
+
+/** Input of the TallyDecryption circuit */
+export interface TallyDecryptionInput {
+  message: string[][];
+  counts: string[];
+}
+
+export interface ElGamal {
+  /** A trustee's share of the election key; publicKey is the key share */
+  generateKeyPair(): ElectionKeyPair;
+  derivePublicKey(secretKey: FieldLike): [string, string];
+  /** The election's public key, the sum of the trustees' key shares */
+  combinePublicKeys(keyShares: FieldLike[][]): string[];
+  /** Encrypt a vote for one candidate; the ciphertext has 4 field elements per slot */
+  encryptVote(publicKey: FieldLike[], candidateId: number | string, weight: FieldLike, candidatesCount: number): { ciphertext: string[]; input: BallotEncryptionInput };
+  addCiphertexts(left: FieldLike[], right: FieldLike[]): string[];
+  /** A trustee's partial decryption, 2 field elements per slot; of emptyTally() it proves the key share */
+  partialDecrypt(secretKey: FieldLike, tally: FieldLike[]): { partial: string[]; input: PartialDecryptionInput };
+  combinePartialDecryptions(partials: FieldLike[][]): string[];
+  /** Counts of every slot, found by searching up to maxCount (the total weight of the ballots) */
+  decryptTally(tally: FieldLike[], decryption: FieldLike[], maxCount: FieldLike): number[];
+  buildTallyDecryptionInput(tally: FieldLike[], decryption: FieldLike[], counts: FieldLike[]): TallyDecryptionInput;
+}
+
+export function createElGamal(babyjub: BabyJub): ElGamal;
+/** The encrypted tally of an election without ballots */
+export function emptyTally(): string[];
+/** The ciphertext followed by its BallotEncryption proof, as castBallot takes an encrypted ballot */
+export function encodeEncryptedBallot(ciphertext: FieldLike[], proof: SnarkjsProof): string[];
@@ -0,0 +1,44 @@
+// Shared code for the browser client and the Node scripts
+/**
+ * Everything here is plain CommonJS without dependencies, so the same files run
+ * in Node (`require('../sdk')`) and in the client bundle (`zk-voting-sdk`).
+ * Types are declared in index.d.ts; test vectors are in test/vectors.json.
+ */
+const constants = require('./constants');
+const field = require('./field');
+const hasher = require('./hasher');
+const commitment = require('./commitment');
+const proof = require('./proof');
+const events = require('./events');
+const importFiles = require('./importFiles');
+const secretFile = require('./secretFile');
+const ballot = require('./ballot');
+const tally = require('./tally');
+const encryption = require('./encryption');
+const { MerkleTree } = require('./merkleTree');
+
+/**
+ * Build a commitment tree with the contract's depth and zero value
+ * @param {Function} hash - Hash function from createHasher
+ * @param {Array<bigint|string>} leaves - Initial leaves (default: none)
+ * @param {number} levels - Depth of the tree (default: TREE_LEVELS)
+ * @returns {MerkleTree}
+ */
+const createMerkleTree = (hash, leaves = [], levels = constants.TREE_LEVELS) =>
+  new MerkleTree(levels, leaves, { hashFunction: hash, zeroElement: constants.ZERO_VALUE });
+
+module.exports = {
+  ...constants,
+  ...field,
+  ...hasher,
+  ...commitment,
+  ...proof,
+  ...events,
+  ...importFiles,
+  ...secretFile,
+  ...ballot,
+  ...tally,
+  ...encryption,
+  MerkleTree,
+  createMerkleTree
+};
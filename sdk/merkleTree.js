@@ -0,0 +1,188 @@
+// Incremental Merkle tree matching MerkleTreeWithHistory.sol and MerkleTreeChecker.circom
+/**
+ * Only the nodes that exist are stored, layer by layer: layers[0] holds the leaves and
+ * layers[level][i] the hash of layers[level - 1][2i] and layers[level - 1][2i + 1].
+ * A missing right child is the zero value of its level, so inserting a leaf, building
+ * a path and computing a past root each take one hash per level.
+ *
+ * The hash function is passed in, so this module has no dependency on a MiMC
+ * implementation and runs unchanged in Node and in the browser.
+ */
+
+class MerkleTree {
+  /**
+   * @param {number} levels - Depth of the tree
+   * @param {Array<bigint|string|number>} elements - Initial leaves
+   * @param {Object} options - Options
+   * @param {Function} options.hashFunction - (left: bigint, right: bigint) => bigint
+   * @param {bigint|string} options.zeroElement - Value of an empty leaf
+   */
+  constructor(levels, elements = [], { hashFunction, zeroElement } = {}) {
+    if (typeof hashFunction !== 'function') {
+      throw new Error('MerkleTree needs a hashFunction');
+    }
+    if (zeroElement === undefined || zeroElement === null) {
+      throw new Error('MerkleTree needs a zeroElement');
+    }
+
+    this.levels = levels;
+    this.capacity = 2 ** levels;
+    this._hash = hashFunction;
+
+    this.zeros = [BigInt(zeroElement)];
+    for (let level = 1; level <= levels; level++) {
+      this.zeros[level] = this._hash(this.zeros[level - 1], this.zeros[level - 1]);
+    }
+
+    this.layers = [];
+    for (let level = 0; level <= levels; level++) {
+      this.layers[level] = [];
+    }
+    this.bulkInsert(elements);
+  }
+
+  /**
+   * The leaves, in insertion order (do not modify)
+   * @returns {Array<bigint>}
+   */
+  get leaves() {
+    return this.layers[0];
+  }
+
+  /**
+   * The current root
+   * @returns {bigint}
+   */
+  get root() {
+    const top = this.layers[this.levels];
+    return top.length > 0 ? top[0] : this.zeros[this.levels];
+  }
+
+  /**
+   * Recompute the nodes above the leaves from startIndex onwards
+   */
+  _rebuildFrom(startIndex) {
+    for (let level = 1; level <= this.levels; level++) {
+      const below = this.layers[level - 1];
+      const layer = this.layers[level];
+      const first = startIndex >> level;
+      const count = Math.ceil(below.length / 2);
+      for (let i = first; i < count; i++) {
+        const right = 2 * i + 1 < below.length ? below[2 * i + 1] : this.zeros[level - 1];
+        layer[i] = this._hash(below[2 * i], right);
+      }
+    }
+  }
+
+  /**
+   * Insert a leaf
+   * @param {bigint|string|number} element - The leaf
+   * @returns {number} The index of the leaf
+   */
+  insert(element) {
+    return this.bulkInsert([element]);
+  }
+
+  /**
+   * Insert several leaves, hashing every affected node once
+   * @param {Array<bigint|string|number>} elements - The leaves
+   * @returns {number} The index of the first inserted leaf
+   */
+  bulkInsert(elements) {
+    const startIndex = this.leaves.length;
+    if (startIndex + elements.length > this.capacity) {
+      throw new Error('Tree is full');
+    }
+    if (elements.length === 0) {
+      return startIndex;
+    }
+
+    for (const element of elements) {
+      this.leaves.push(BigInt(element));
+    }
+    this._rebuildFrom(startIndex);
+    return startIndex;
+  }
+
+  /**
+   * Find the index of a leaf
+   * @param {bigint|string|number} element - The leaf
+   * @returns {number} Its index, or -1
+   */
+  indexOf(element) {
+    const value = BigInt(element);
+    return this.leaves.findIndex(leaf => leaf === value);
+  }
+
+  /**
+   * Build the Merkle path of a leaf against the current root
+   * @param {number} index - Index of the leaf
+   * @returns {Object} pathElements and pathIndices (as the circuit expects them), root and leaf
+   */
+  path(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.leaves.length) {
+      throw new Error(`Leaf index ${index} out of bounds`);
+    }
+
+    const pathElements = [];
+    const pathIndices = [];
+    for (let level = 0; level < this.levels; level++) {
+      const nodeIndex = index >> level;
+      const sibling = this.layers[level][nodeIndex ^ 1];
+      pathElements.push(sibling !== undefined ? sibling : this.zeros[level]);
+      pathIndices.push(nodeIndex & 1);
+    }
+
+    return { pathElements, pathIndices, root: this.root, leaf: this.leaves[index] };
+  }
+
+  /**
+   * The root the tree had right after a leaf was inserted, as stored in the contract's root history
+   * @param {number} index - Index of the last leaf included
+   * @returns {bigint} The root
+   */
+  rootAt(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.leaves.length) {
+      throw new Error(`Leaf index ${index} out of bounds`);
+    }
+
+    // Left siblings on the path are complete subtrees and unchanged; right siblings were still empty
+    let node = this.leaves[index];
+    for (let level = 0; level < this.levels; level++) {
+      const nodeIndex = index >> level;
+      node = nodeIndex & 1
+        ? this._hash(this.layers[level][nodeIndex - 1], node)
+        : this._hash(node, this.zeros[level]);
+    }
+    return node;
+  }
+
+  /**
+   * Export the tree, including the inner nodes so it can be restored without hashing
+   * @returns {Object} levels, zeroElement and layers as decimal strings
+   */
+  serialize() {
+    return {
+      levels: this.levels,
+      zeroElement: this.zeros[0].toString(),
+      layers: this.layers.map(layer => layer.map(node => node.toString()))
+    };
+  }
+
+  /**
+   * Restore a tree produced by serialize
+   * @param {Object} data - The serialized tree
+   * @param {Function} hashFunction - The hash function the tree was built with
+   * @returns {MerkleTree} The tree
+   */
+  static deserialize(data, hashFunction) {
+    const tree = new MerkleTree(data.levels, [], { hashFunction, zeroElement: data.zeroElement });
+    if (data.layers.length !== data.levels + 1) {
+      throw new Error(`Expected ${data.levels + 1} layers, got ${data.layers.length}`);
+    }
+    tree.layers = data.layers.map(layer => layer.map(node => BigInt(node)));
+    return tree;
+  }
+}
+
+module.exports = { MerkleTree };
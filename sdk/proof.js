@@ -0,0 +1,166 @@
+// Circuit input assembly and formatting of Groth16 proofs for ZKVotingSystem.vote()
+const { TREE_LEVELS, MAX_CREDIT_CANDIDATES } = require('./constants');
+const { toBigInt, toFieldString } = require('./field');
+const { assertValidSecrets } = require('./commitment');
+
+// Public signals of the Verifier circuit, in the order snarkjs returns them
+const PUBLIC_SIGNALS = [
+  'nullifierHash', 'root', 'signalHash', 'externalNullifier', 'relayer', 'fee', 'weight', 'creditBudget', 'quadratic'
+];
+
+/**
+ * Format a public signal or relayer argument as a 20-byte address
+ * @param {bigint|string} value - The address as a number or hex string
+ * @returns {string} The 0x-prefixed, lower-case address
+ */
+const toAddress = (value) => '0x' + toBigInt(value).toString(16).padStart(40, '0');
+
+/**
+ * Assemble the input of the Verifier circuit
+ * @param {Object} params - Parameters
+ * @param {bigint|string} params.nullifier - The voter's nullifier
+ * @param {bigint|string} params.secret - The voter's secret
+ * @param {bigint|string|number} params.weight - The voter's weight, which their leaf commits to
+ * @param {Object} params.merkleProof - pathElements and pathIndices of the voter's leaf, e.g. from MerkleTree.path()
+ * @param {bigint|string|number} params.signalHash - The signal the proof is bound to (the candidate ID)
+ * @param {bigint|string} params.externalNullifier - The election ID the nullifier hash is scoped to
+ * @param {string} params.relayer - Address of the relayer that may submit the vote, or the zero address
+ * @param {bigint|string|number} params.fee - Fee in wei the relayer receives from the gas pool
+ * @param {bigint|string|number} params.creditBudget - Credits per unit of weight of a credit ballot (default: 0, not a credit ballot)
+ * @param {boolean} params.quadratic - Whether the credit ballot is quadratic (default: false)
+ * @param {Array<number|string>} params.allocations - Votes for each candidate of a credit ballot, candidate 1 first
+ *   (default: none); the signal must be their packed value (encodeAllocations)
+ * @param {number} params.levels - Depth of the tree (default: TREE_LEVELS)
+ * @returns {Object} The circuit input, every value as a decimal string
+ */
+const buildProofInput = ({
+  nullifier,
+  secret,
+  weight,
+  merkleProof,
+  signalHash,
+  externalNullifier,
+  relayer,
+  fee,
+  creditBudget = 0,
+  quadratic = false,
+  allocations = [],
+  levels = TREE_LEVELS
+}) => {
+  assertValidSecrets({ nullifier, secret });
+  if (weight === undefined || weight === null || weight === '' || toBigInt(weight) <= 0n) {
+    throw new Error('The voter\'s weight is required to generate the proof');
+  }
+
+  if (!merkleProof || !Array.isArray(merkleProof.pathElements) || !Array.isArray(merkleProof.pathIndices)) {
+    throw new Error('A Merkle proof with pathElements and pathIndices is required');
+  }
+  if (merkleProof.pathElements.length !== levels || merkleProof.pathIndices.length !== levels) {
+    throw new Error(`The Merkle proof must have ${levels} levels, got ${merkleProof.pathElements.length}`);
+  }
+
+  // The signal, election, relayer and fee are public inputs, so the proof is only valid for these values
+  if (signalHash === undefined || signalHash === null) {
+    throw new Error('A signal (candidate ID) is required to generate the proof');
+  }
+  if (externalNullifier === undefined || externalNullifier === null || externalNullifier === '') {
+    throw new Error('An external nullifier (election ID) is required to generate the proof');
+  }
+  if (!relayer || fee === undefined || fee === null) {
+    throw new Error('A relayer address and fee are required to generate the proof');
+  }
+  if (allocations.length > MAX_CREDIT_CANDIDATES) {
+    throw new Error(`At most ${MAX_CREDIT_CANDIDATES} candidates can be allocated votes`);
+  }
+
+  return {
+    nullifier: toFieldString(nullifier),
+    secret: toFieldString(secret),
+    pathElements: merkleProof.pathElements.map(toFieldString),
+    pathIndices: merkleProof.pathIndices.map(index => Number(index)),
+    signalHash: toFieldString(signalHash),
+    externalNullifier: toFieldString(externalNullifier),
+    relayer: toFieldString(relayer),
+    fee: toFieldString(fee),
+    weight: toFieldString(weight),
+    creditBudget: toFieldString(creditBudget),
+    quadratic: quadratic ? '1' : '0',
+    allocations: Array.from({ length: MAX_CREDIT_CANDIDATES }, (_, index) => toFieldString(allocations[index] ?? 0))
+  };
+};
+
+/**
+ * Format a snarkjs proof for the verifier contract
+ * The coordinates of each pi_b element are swapped, as the pairing precompile expects them
+ * @param {Object} proof - The proof from snarkjs groth16.prove or fullProve
+ * @returns {Object} a, b and c as decimal strings
+ */
+const formatProofForContract = (proof) => {
+  if (!proof || !Array.isArray(proof.pi_a) || !Array.isArray(proof.pi_b) || !Array.isArray(proof.pi_c)) {
+    throw new Error('Missing or malformed proof');
+  }
+  return {
+    a: [proof.pi_a[0].toString(), proof.pi_a[1].toString()],
+    b: [
+      [proof.pi_b[0][1].toString(), proof.pi_b[0][0].toString()],
+      [proof.pi_b[1][1].toString(), proof.pi_b[1][0].toString()]
+    ],
+    c: [proof.pi_c[0].toString(), proof.pi_c[1].toString()]
+  };
+};
+
+/**
+ * Format a snarkjs proof as one array, for contract functions that take a second proof as uint[8]
+ * @param {Object} proof - The proof from snarkjs groth16.prove or fullProve
+ * @returns {Array<string>} a, then b (coordinates swapped), then c, as decimal strings
+ */
+const formatProofAsArray = (proof) => {
+  const { a, b, c } = formatProofForContract(proof);
+  return [...a, ...b[0], ...b[1], ...c];
+};
+
+/**
+ * Name the public signals of a proof
+ * @param {Array<string|bigint>} publicSignals - The public signals from snarkjs
+ * @returns {Object} nullifierHash, root, signalHash, externalNullifier, fee, weight, creditBudget and quadratic
+ *   as decimal strings, relayer as an address
+ */
+const parsePublicSignals = (publicSignals) => {
+  if (!Array.isArray(publicSignals) || publicSignals.length !== PUBLIC_SIGNALS.length) {
+    throw new Error(`Expected ${PUBLIC_SIGNALS.length} public signals`);
+  }
+
+  const signals = {};
+  PUBLIC_SIGNALS.forEach((name, index) => {
+    try {
+      signals[name] = toFieldString(publicSignals[index]);
+    } catch (error) {
+      throw new Error(`Public signal ${name} is not a number`);
+    }
+  });
+  signals.relayer = toAddress(signals.relayer);
+  return signals;
+};
+
+/**
+ * Build the arguments of ZKVotingSystem.vote() from a proof
+ * The candidate is the proof's signal, so a proof cannot be replayed for another candidate
+ * @param {Object} proof - The proof from snarkjs
+ * @param {Array<string|bigint>} publicSignals - Its public signals
+ * @returns {Array} candidateId, nullifierHash, root, relayer, fee, weight, a, b, c
+ */
+const formatVoteArgs = (proof, publicSignals) => {
+  const { a, b, c } = formatProofForContract(proof);
+  const { nullifierHash, root, signalHash, relayer, fee, weight } = parsePublicSignals(publicSignals);
+  return [signalHash, nullifierHash, root, relayer, fee, weight, a, b, c];
+};
+
+module.exports = {
+  PUBLIC_SIGNALS,
+  toAddress,
+  buildProofInput,
+  formatProofForContract,
+  formatProofAsArray,
+  parsePublicSignals,
+  formatVoteArgs
+};
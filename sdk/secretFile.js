@@ -0,0 +1,144 @@
+// Passphrase-based encryption of voter secrets (PBKDF2 + AES-GCM via WebCrypto)
+//
+// Envelope format (version 1):
+// {
+//   "version": 1,
+//   "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+//   "cipher": { "name": "AES-GCM", "iv": "<base64>" },
+//   "commitment": "<decimal>",     // public, kept in clear so the leaf can be found without the passphrase
+//   "ciphertext": "<base64>"       // encrypts { nullifier, secret }, authenticated together with the commitment
+// }
+//
+// Uses globalThis.crypto, so the same files are read and written by the browser and by Node 20+.
+
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Files are untrusted: fewer iterations would weaken the passphrase, far more would hang the reader
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const getCrypto = () => {
+  const cryptoApi = typeof globalThis !== 'undefined' && globalThis.crypto;
+  if (!cryptoApi || !cryptoApi.subtle) {
+    throw new Error('WebCrypto is not available');
+  }
+  return cryptoApi;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Derive the AES-GCM key for a passphrase and salt
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const { subtle } = getCrypto();
+  const baseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Check whether a parsed secret file or storage entry is an encrypted envelope
+ * @param {Object} data - The parsed JSON
+ * @returns {boolean} Whether the data is an encrypted envelope
+ */
+const isEncryptedEnvelope = (data) => Boolean(data && data.version && data.ciphertext);
+
+/**
+ * Encrypt a voter's secrets with a passphrase
+ * @param {Object} voterData - The voter's nullifier, secret and commitment
+ * @param {string} passphrase - The passphrase chosen by the voter
+ * @returns {Promise<Object>} The encrypted envelope
+ */
+const encryptVoterSecrets = async (voterData, passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const cryptoApi = getCrypto();
+  const salt = cryptoApi.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = cryptoApi.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const commitment = voterData.commitment.toString();
+
+  const plaintext = new TextEncoder().encode(JSON.stringify({
+    nullifier: voterData.nullifier.toString(),
+    secret: voterData.secret.toString()
+  }));
+  const ciphertext = await cryptoApi.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(commitment) },
+    key,
+    plaintext
+  );
+
+  return {
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    commitment,
+    ciphertext: toBase64(ciphertext)
+  };
+};
+
+/**
+ * Decrypt an envelope produced by encryptVoterSecrets
+ * @param {Object} envelope - The encrypted envelope
+ * @param {string} passphrase - The voter's passphrase
+ * @returns {Promise<Object>} The voter's nullifier, secret and commitment
+ */
+const decryptVoterSecrets = async (envelope, passphrase) => {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported secret file version: ${envelope.version}`);
+  }
+  if (envelope.kdf?.name !== 'PBKDF2' || envelope.cipher?.name !== 'AES-GCM') {
+    throw new Error('Unsupported secret file encryption');
+  }
+  const { iterations } = envelope.kdf;
+  if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error(`Secret file key derivation must use ${PBKDF2_ITERATIONS} to ${MAX_PBKDF2_ITERATIONS} iterations`);
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), iterations);
+
+  let plaintext;
+  try {
+    plaintext = await getCrypto().subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: fromBase64(envelope.cipher.iv),
+        additionalData: new TextEncoder().encode(envelope.commitment)
+      },
+      key,
+      fromBase64(envelope.ciphertext)
+    );
+  } catch (error) {
+    // AES-GCM fails the same way for a wrong passphrase and for a tampered file
+    throw new Error('Wrong passphrase or corrupted secret file');
+  }
+
+  const { nullifier, secret } = JSON.parse(new TextDecoder().decode(plaintext));
+  return { nullifier, secret, commitment: envelope.commitment };
+};
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptedEnvelope,
+  encryptVoterSecrets,
+  decryptVoterSecrets
+};
@@ -0,0 +1,99 @@
+// Instant-runoff tally of ranked ballots, shared by the results view and the CLI
+/**
+ * Each round counts every ballot for its most preferred candidate still in the count.
+ * Each ballot counts with its voter's weight.
+ * A candidate with more than half of those votes wins; otherwise the candidate with the
+ * fewest votes is eliminated and their ballots transfer to the next preference, or are
+ * exhausted when they rank no other continuing candidate.
+ *
+ * Ties for the fewest votes are broken by the counts of earlier rounds, latest first.
+ * Candidates still tied after that are eliminated together, so the count never depends
+ * on the order of the candidates; if every continuing candidate is tied, the election is.
+ */
+
+/**
+ * Pick the candidates to eliminate: those with the fewest votes, narrowed down by earlier rounds
+ * @param {Array<number>} continuing - Candidates still in the count
+ * @param {Array<Object>} rounds - Rounds so far, the current one last
+ * @returns {Array<number>} The candidates to eliminate
+ */
+const pickEliminated = (continuing, rounds) => {
+  let tied = continuing;
+  for (let index = rounds.length - 1; index >= 0 && tied.length > 1; index--) {
+    const { tallies } = rounds[index];
+    const fewest = Math.min(...tied.map(id => tallies[id]));
+    tied = tied.filter(id => tallies[id] === fewest);
+  }
+  return tied;
+};
+
+/**
+ * Count ranked ballots by instant runoff
+ * @param {Array<Array<number|string|bigint>>} ballots - Rankings of candidate IDs, most preferred first
+ * @param {Array<number|string|bigint>} candidateIds - Every candidate in the election
+ * @param {Array<number|string|bigint>} weights - Weight of each ballot (default: 1 for every ballot)
+ * @returns {Object} rounds, winner (candidate ID, or null) and tied (candidate IDs when there is no winner)
+ *   Each round has tallies (votes by candidate ID), exhausted (ballots with no continuing candidate),
+ *   eliminated (candidate IDs, empty in the last round), and the transfers of the eliminated
+ *   candidates' ballots (votes by receiving candidate ID) and exhaustedTransfers
+ */
+const instantRunoff = (ballots, candidateIds, weights = []) => {
+  const rankings = ballots.map(ballot => ballot.map(Number));
+  const weightOf = rankings.map((ranking, index) => Number(weights[index] ?? 1));
+  const totalWeight = weightOf.reduce((sum, weight) => sum + weight, 0);
+  let continuing = candidateIds.map(Number);
+  const rounds = [];
+
+  const topChoice = (ranking) => ranking.find(id => continuing.includes(id));
+
+  while (continuing.length > 0) {
+    const tallies = Object.fromEntries(continuing.map(id => [id, 0]));
+    const tops = rankings.map(topChoice);
+    let exhausted = 0;
+    tops.forEach((top, index) => {
+      if (top === undefined) {
+        exhausted += weightOf[index];
+      } else {
+        tallies[top] += weightOf[index];
+      }
+    });
+
+    const round = {
+      round: rounds.length + 1,
+      tallies,
+      exhausted,
+      eliminated: [],
+      transfers: {},
+      exhaustedTransfers: 0
+    };
+    rounds.push(round);
+
+    const leader = continuing.reduce((best, id) => (tallies[id] > tallies[best] ? id : best));
+    if (continuing.length === 1 || tallies[leader] * 2 > totalWeight - exhausted) {
+      return { rounds, winner: leader, tied: [] };
+    }
+
+    const eliminated = pickEliminated(continuing, rounds);
+    if (eliminated.length === continuing.length) {
+      return { rounds, winner: null, tied: continuing };
+    }
+
+    round.eliminated = eliminated;
+    continuing = continuing.filter(id => !eliminated.includes(id));
+
+    // Move the eliminated candidates' ballots to their next continuing preference
+    rankings.forEach((ranking, index) => {
+      if (!eliminated.includes(tops[index])) return;
+      const next = topChoice(ranking);
+      if (next === undefined) {
+        round.exhaustedTransfers += weightOf[index];
+      } else {
+        round.transfers[next] = (round.transfers[next] || 0) + weightOf[index];
+      }
+    });
+  }
+
+  return { rounds, winner: null, tied: [] };
+};
+
+module.exports = { instantRunoff };
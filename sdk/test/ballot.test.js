@@ -0,0 +1,143 @@
+// Ranked and approval ballots, and the instant-runoff tally
+const test = require('node:test');
+const assert = require('node:assert');
+const { keccak256 } = require('web3').utils;
+const sdk = require('..');
+const vectors = require('./vectors.json');
+
+test('ballot signals match the contract', () => {
+  for (const { ballot, signal } of vectors.ballots) {
+    assert.strictEqual(sdk.computeBallotSignal(ballot, keccak256), signal);
+  }
+});
+
+test('ballots are packed as 32-byte words', () => {
+  assert.strictEqual(sdk.encodeBallot([1, '0x2']), '0x' + '1'.padStart(64, '0') + '2'.padStart(64, '0'));
+  assert.throws(() => sdk.computeBallotSignal([], keccak256), /at least one candidate/);
+});
+
+test('rankings must name existing candidates once each', () => {
+  assert.deepStrictEqual(sdk.validateRanking(['3', 1], 3), [3, 1]);
+  assert.throws(() => sdk.validateRanking([], 3), /at least one candidate/);
+  assert.throws(() => sdk.validateRanking([4], 3), /Candidate 4 does not exist/);
+  assert.throws(() => sdk.validateRanking([1, 2, 1], 3), /ranked more than once/);
+});
+
+test('approvals are a bitmask of candidate IDs', () => {
+  assert.strictEqual(sdk.encodeApprovals([1, 3]), '5');
+  assert.strictEqual(sdk.encodeApprovals(['2']), '2');
+  assert.deepStrictEqual(sdk.decodeApprovals('5'), [1, 3]);
+  assert.deepStrictEqual(sdk.decodeApprovals(sdk.encodeApprovals([254, 1])), [1, 254]);
+  assert.deepStrictEqual(sdk.decodeApprovals(0), []);
+});
+
+test('approvals must name existing candidates, up to the maximum', () => {
+  assert.deepStrictEqual(sdk.validateApprovals(['3', 1, 3], 3, 2), [1, 3]);
+  assert.throws(() => sdk.validateApprovals([], 3, 2), /at least one candidate/);
+  assert.throws(() => sdk.validateApprovals([0], 3, 2), /Candidate 0 does not exist/);
+  assert.throws(() => sdk.validateApprovals([1, 2, 3], 3, 2), /At most 2 candidates/);
+  assert.strictEqual(sdk.ballotTypeName(sdk.BALLOT_TYPES.APPROVAL), 'approval');
+});
+
+test('credit allocations are packed 16 bits per candidate', () => {
+  assert.strictEqual(sdk.encodeAllocations([3, 0, 1]), String(3n + (1n << 32n)));
+  assert.deepStrictEqual(sdk.decodeAllocations(sdk.encodeAllocations([3, 0, 65535]), 3), [3, 0, 65535]);
+  assert.deepStrictEqual(sdk.decodeAllocations('1', 2), [1, 0]);
+  assert.strictEqual(sdk.allocationCost([3, 0, 1], false), 4);
+  assert.strictEqual(sdk.allocationCost([3, 0, 1], true), 10);
+  assert.ok(sdk.isCreditBallot(sdk.BALLOT_TYPES.QUADRATIC) && !sdk.isCreditBallot(sdk.BALLOT_TYPES.APPROVAL));
+  assert.strictEqual(sdk.ballotTypeName(sdk.BALLOT_TYPES.CUMULATIVE), 'cumulative');
+});
+
+test('allocations must stay within the budget', () => {
+  assert.deepStrictEqual(sdk.validateAllocations(['3', '', 1], 4, 4, false), [3, 0, 1, 0]);
+  assert.deepStrictEqual(sdk.validateAllocations([3, 0, 1], 3, 10, true), [3, 0, 1]);
+  assert.throws(() => sdk.validateAllocations([3, 0, 2], 3, 10, true), /costs 13 credits, more than the budget of 10/);
+  assert.throws(() => sdk.validateAllocations([0, 0], 3, 10, false), /at least one vote/);
+  assert.throws(() => sdk.validateAllocations([1, 1.5], 3, 10, false), /candidate 2 must be a whole number/);
+  assert.throws(() => sdk.validateAllocations([1, 65536], 3, 100000, false), /below 65536/);
+  assert.throws(() => sdk.validateAllocations([1, 1, 1, 1], 3, 10, false), /at most 3 candidates/);
+  assert.throws(() => sdk.validateAllocations([1], 16, 10, false), /at most 15 candidates/);
+});
+
+test('a first-round majority wins without eliminations', () => {
+  const { rounds, winner } = sdk.instantRunoff([[1, 2], [1], [2, 1]], [1, 2, 3]);
+  assert.strictEqual(winner, 1);
+  assert.strictEqual(rounds.length, 1);
+  assert.deepStrictEqual(rounds[0].tallies, { 1: 2, 2: 1, 3: 0 });
+  assert.deepStrictEqual(rounds[0].eliminated, []);
+});
+
+test('eliminated candidates transfer to the next continuing preference', () => {
+  // Round 1: 1=4, 2=3, 3=2, 4=1 -> 4 out, its ballot goes to 3
+  // Round 2: 1=4, 2=3, 3=3 -> 2 and 3 tie, but 3 had fewer votes in round 1, so 3 is out
+  // Round 3: 1=4, 2=5 of 9 ballots that are not exhausted -> 2 wins
+  const ballots = [
+    [1], [1], [1], [1],
+    [2, 1], [2], [2],
+    [3, 2], [3],
+    [4, 3, 2]
+  ];
+  const { rounds, winner, tied } = sdk.instantRunoff(ballots, [1, 2, 3, 4]);
+
+  assert.deepStrictEqual(rounds.map(round => round.tallies), [
+    { 1: 4, 2: 3, 3: 2, 4: 1 },
+    { 1: 4, 2: 3, 3: 3 },
+    { 1: 4, 2: 5 }
+  ]);
+  assert.deepStrictEqual(rounds.map(round => round.eliminated), [[4], [3], []]);
+  assert.deepStrictEqual(rounds[0].transfers, { 3: 1 });
+  assert.deepStrictEqual(rounds[1].transfers, { 2: 2 });
+  assert.strictEqual(rounds[1].exhaustedTransfers, 1);
+  assert.strictEqual(rounds[2].exhausted, 1);
+  assert.strictEqual(winner, 2);
+  assert.deepStrictEqual(tied, []);
+});
+
+test('ties are broken by the counts of earlier rounds', () => {
+  const { rounds, winner } = sdk.instantRunoff([[1], [1], [1], [1], [2], [2], [2], [3, 2], [3]], [1, 2, 3]);
+  assert.deepStrictEqual(rounds[0].eliminated, [3]);
+  assert.deepStrictEqual(rounds[1].tallies, { 1: 4, 2: 4 });
+  assert.strictEqual(rounds[1].exhausted, 1);
+  // 1 and 2 tie, and 2 had fewer votes in round 1
+  assert.deepStrictEqual(rounds[1].eliminated, [2]);
+  assert.strictEqual(winner, 1);
+});
+
+test('candidates tied in every round are eliminated together', () => {
+  const { rounds, winner } = sdk.instantRunoff([[1], [1], [4], [4], [2, 4], [3, 4]], [1, 2, 3, 4]);
+  assert.deepStrictEqual(rounds[0].eliminated, [2, 3]);
+  assert.deepStrictEqual(rounds[0].transfers, { 4: 2 });
+  assert.strictEqual(winner, 4);
+
+  const twoWay = sdk.instantRunoff([[1, 3], [2, 3], [3, 1], [3, 2]], [1, 2, 3]);
+  assert.deepStrictEqual(twoWay.rounds[0].eliminated, [1, 2]);
+  assert.strictEqual(twoWay.winner, 3);
+});
+
+test('an election is tied when every continuing candidate is', () => {
+  const { rounds, winner, tied } = sdk.instantRunoff([[1], [1], [1], [2], [2], [2], [3, 1], [3, 2]], [1, 2, 3]);
+  assert.deepStrictEqual(rounds[0].eliminated, [3]);
+  assert.deepStrictEqual(rounds[1].tallies, { 1: 4, 2: 4 });
+  assert.strictEqual(winner, null);
+  assert.deepStrictEqual(tied, [1, 2]);
+});
+
+test('ballots count with their weight', () => {
+  // Unweighted, 1 wins once 2 and 3 are out; weighted, 3 is out first and its ballot makes 2 the winner
+  const ballots = [[1], [1], [2], [3, 2]];
+  assert.strictEqual(sdk.instantRunoff(ballots, [1, 2, 3]).rounds.length, 2);
+  const { rounds, winner } = sdk.instantRunoff(ballots, [1, 2, 3], ['1', 1n, 2, 1]);
+  assert.deepStrictEqual(rounds[0].tallies, { 1: 2, 2: 2, 3: 1 });
+  assert.deepStrictEqual(rounds[0].transfers, { 2: 1 });
+  assert.deepStrictEqual(rounds[1].tallies, { 1: 2, 2: 3 });
+  assert.strictEqual(winner, 2);
+});
+
+test('an election without ballots has no winner', () => {
+  assert.deepStrictEqual(sdk.instantRunoff([], [1, 2]), {
+    rounds: [{ round: 1, tallies: { 1: 0, 2: 0 }, exhausted: 0, eliminated: [], transfers: {}, exhaustedTransfers: 0 }],
+    winner: null,
+    tied: [1, 2]
+  });
+});
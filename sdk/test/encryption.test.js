@@ -0,0 +1,90 @@
+// Encrypted ballots: ElGamal on Baby Jubjub, added up as the contract adds them
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildBabyjub } = require('circomlibjs');
+const sdk = require('..');
+const vectors = require('./vectors.json');
+
+let elgamal;
+
+test.before(async () => {
+  elgamal = sdk.createElGamal(await buildBabyjub());
+});
+
+// The decryption of a tally by every trustee
+const decryptionBy = (keys, tally) => elgamal.combinePartialDecryptions(keys.map(key => elgamal.partialDecrypt(key.secretKey, tally).partial));
+
+test('a vote encrypts the weight in the chosen slot and 0 in the others', () => {
+  const { secretKey, publicKey } = elgamal.generateKeyPair();
+  assert.deepStrictEqual(elgamal.derivePublicKey(secretKey), publicKey);
+
+  const { ciphertext, input } = elgamal.encryptVote(publicKey, 2, 3, 3);
+  assert.strictEqual(ciphertext.length, 4 * sdk.MAX_ENCRYPTED_CANDIDATES);
+  assert.deepStrictEqual(input.choice, ['0', '1', '0', '0', '0', '0', '0', '0']);
+  assert.strictEqual(input.weight, '3');
+  assert.strictEqual(input.candidatesCount, '3');
+  assert.deepStrictEqual(elgamal.decryptTally(ciphertext, decryptionBy([{ secretKey }], ciphertext), 3), [0, 3, 0, 0, 0, 0, 0, 0]);
+});
+
+test('adding ciphertexts adds the votes they encrypt, and every trustee\'s share decrypts them', () => {
+  const trustees = [elgamal.generateKeyPair(), elgamal.generateKeyPair(), elgamal.generateKeyPair()];
+  const publicKey = elgamal.combinePublicKeys(trustees.map(key => key.publicKey));
+  const votes = [[1, 2], [3, 1], [1, 5], [2, 1]];
+  const tally = votes.reduce(
+    (sum, [candidateId, weight]) => elgamal.addCiphertexts(sum, elgamal.encryptVote(publicKey, candidateId, weight, 3).ciphertext),
+    sdk.emptyTally()
+  );
+  assert.deepStrictEqual(elgamal.decryptTally(tally, decryptionBy(trustees, tally), 9), [7, 1, 1, 0, 0, 0, 0, 0]);
+  const empty = sdk.emptyTally();
+  assert.deepStrictEqual(elgamal.decryptTally(empty, decryptionBy(trustees, empty), 0), [0, 0, 0, 0, 0, 0, 0, 0]);
+
+  // Without one trustee, or with another key in their place, nothing decrypts up to the total weight
+  assert.throws(() => elgamal.decryptTally(tally, decryptionBy(trustees.slice(1), tally), 9), /every trustee/);
+  const impostor = [trustees[0], trustees[1], elgamal.generateKeyPair()];
+  assert.throws(() => elgamal.decryptTally(tally, decryptionBy(impostor, tally), 9), /every trustee/);
+});
+
+test('a partial decryption proves the key share, and of the empty tally proves only the key share', () => {
+  const { secretKey, publicKey } = elgamal.generateKeyPair();
+  const { partial, input } = elgamal.partialDecrypt(secretKey, sdk.emptyTally());
+  assert.deepStrictEqual(partial, elgamal.combinePartialDecryptions([]));
+  assert.deepStrictEqual(input.keyShare, publicKey);
+  assert.deepStrictEqual(input.c1, Array.from({ length: sdk.MAX_ENCRYPTED_CANDIDATES }, () => ['0', '1']));
+
+  const { ciphertext } = elgamal.encryptVote(publicKey, 1, 1, 2);
+  assert.deepStrictEqual(elgamal.partialDecrypt(secretKey, ciphertext).input.c1[1], ciphertext.slice(4, 6));
+  assert.throws(() => elgamal.combinePartialDecryptions([partial.slice(2)]), /16 field elements/);
+});
+
+test('the decryption input carries each slot\'s message point and its count', () => {
+  const { secretKey, publicKey } = elgamal.generateKeyPair();
+  const { ciphertext } = elgamal.encryptVote(publicKey, 1, 1, 2);
+  const decryption = decryptionBy([{ secretKey }], ciphertext);
+  const counts = elgamal.decryptTally(ciphertext, decryption, 1);
+  const input = elgamal.buildTallyDecryptionInput(ciphertext, decryption, counts);
+  assert.deepStrictEqual(input.message[0], elgamal.derivePublicKey(1));
+  assert.deepStrictEqual(input.message[1], ['0', '1']);
+  assert.strictEqual(input.message.length, sdk.MAX_ENCRYPTED_CANDIDATES);
+  assert.deepStrictEqual(input.counts, ['1', '0', '0', '0', '0', '0', '0', '0']);
+});
+
+test('votes must name an existing candidate with a weight below 2^64', () => {
+  const { publicKey } = elgamal.generateKeyPair();
+  assert.throws(() => elgamal.encryptVote(publicKey, 4, 1, 3), /Candidate 4 does not exist/);
+  assert.throws(() => elgamal.encryptVote(publicKey, 1, 0, 3), /weight from 1/);
+  assert.throws(() => elgamal.encryptVote(publicKey, 1, 1n << 64n, 3), /weight from 1/);
+  assert.throws(() => elgamal.encryptVote(publicKey, 1, 1, 9), /1 to 8 candidates/);
+  assert.throws(() => elgamal.encryptVote(['1', '2'], 1, 1, 3), /not a Baby Jubjub point/);
+  assert.throws(() => elgamal.encryptVote(elgamal.combinePublicKeys([]), 1, 1, 3), /every trustee must register/);
+  assert.throws(() => sdk.createElGamal({}), /Baby Jubjub instance/);
+});
+
+test('an encrypted ballot is the ciphertext followed by its proof', () => {
+  const ciphertext = sdk.emptyTally();
+  const ballot = sdk.encodeEncryptedBallot(ciphertext, vectors.proof.proof);
+  const { a, b, c } = vectors.proof.contractProof;
+  assert.deepStrictEqual(sdk.formatProofAsArray(vectors.proof.proof), [...a, ...b[0], ...b[1], ...c]);
+  assert.deepStrictEqual(ballot, [...ciphertext, ...a, ...b[0], ...b[1], ...c]);
+  assert.throws(() => sdk.encodeEncryptedBallot(ciphertext.slice(4), vectors.proof.proof), /32 field elements/);
+  assert.strictEqual(sdk.ballotTypeName(sdk.BALLOT_TYPES.ENCRYPTED), 'encrypted');
+});
@@ -0,0 +1,69 @@
+// Parsing of the voter and candidate files imported by the admin panel and the CLI
+const test = require('node:test');
+const assert = require('node:assert');
+const sdk = require('..');
+
+// Stand-ins for the keccak-based helpers the callers pass in
+const helpers = {
+  isAddress: (value) => /^0x[0-9a-fA-F]{40}$/.test(value),
+  getAddress: (value) => value.toLowerCase(),
+  hashUniqueId: (uniqueId) => BigInt(uniqueId.length)
+};
+
+const ADDRESS_A = '0x' + 'a'.repeat(40);
+const ADDRESS_B = '0x' + 'b'.repeat(40);
+
+test('CSV cells may be quoted to contain commas and quotes', () => {
+  assert.deepStrictEqual(sdk.parseCsvRows('a, "b, c" ,"say ""hi"""\n\n d'), [
+    { line: 1, cells: ['a', 'b, c', 'say "hi"'] },
+    { line: 3, cells: ['d'] }
+  ]);
+});
+
+test('voter CSV files skip the header and keep line numbers', () => {
+  const rows = sdk.parseVoterFile(`address,uniqueId,commitment,weight\n${ADDRESS_A},S1,5\n\n${ADDRESS_B},S2,0x6,3\n`);
+  assert.deepStrictEqual(rows, [
+    { line: 2, address: ADDRESS_A, uniqueId: 'S1', commitment: '5', weight: '' },
+    { line: 4, address: ADDRESS_B, uniqueId: 'S2', commitment: '0x6', weight: '3' }
+  ]);
+});
+
+test('voter rows are validated and duplicates flagged', () => {
+  const rows = sdk.validateVoterRows(sdk.parseVoterFile(JSON.stringify([
+    { address: ADDRESS_A, uniqueId: 'S1', commitment: '0x5' },
+    { address: 'nope', uniqueId: 'S2', commitment: '6' },
+    { address: ADDRESS_B, uniqueId: 'S3', commitment: sdk.FIELD_SIZE.toString() },
+    { address: ADDRESS_A.toUpperCase().replace('0X', '0x'), uniqueId: 'S4', commitment: '7' },
+    { address: ADDRESS_B, uniqueId: 'S1', commitment: '8' },
+    { address: ADDRESS_B, uniqueId: 'S5', commitment: '9', weight: '0' },
+    { address: ADDRESS_B, uniqueId: 'S6', commitment: '10', weight: '1.5' },
+    { address: ADDRESS_B, uniqueId: 'S7', commitment: '11', weight: 40 },
+    { address: ADDRESS_B, uniqueId: 'S8', commitment: '12', weight: (1n << 64n).toString() },
+    { address: '0x' + 'c'.repeat(40), uniqueId: 'S9', commitment: '13', weight: ((1n << 64n) - 1n).toString() }
+  ]), 'voters.json'), helpers);
+
+  assert.deepStrictEqual(rows[0], { line: 1, address: ADDRESS_A, uniqueId: 'S1', commitment: '5', weight: '1', uniqueHash: '2', error: null });
+  assert.deepStrictEqual(rows.slice(1).map(row => row.error), [
+    'Invalid Ethereum address',
+    'Commitment is not a valid field element',
+    'Duplicate address in file',
+    'Duplicate unique ID in file',
+    'Weight must be a whole number from 1 to 2^64 - 1',
+    'Weight must be a whole number from 1 to 2^64 - 1',
+    null,
+    'Weight must be a whole number from 1 to 2^64 - 1',
+    null
+  ]);
+  assert.strictEqual(rows[7].weight, '40');
+  assert.strictEqual(rows[9].weight, '18446744073709551615');
+});
+
+test('candidate files need a unique name per row', () => {
+  const rows = sdk.parseCandidateFile('name,details\nAlice,"Party A, North"\nBob\n,Nobody\nalice,again\n');
+  assert.deepStrictEqual(rows, [
+    { line: 2, name: 'Alice', details: 'Party A, North', error: null },
+    { line: 3, name: 'Bob', details: '', error: null },
+    { line: 4, name: '', details: 'Nobody', error: 'Missing candidate name' },
+    { line: 5, name: 'alice', details: 'again', error: 'Duplicate candidate name in file' }
+  ]);
+});
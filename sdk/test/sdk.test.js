@@ -0,0 +1,125 @@
+// Test vectors for the SDK, recorded against MiMCSponge.sol, ZKVotingSystem and the Verifier circuit
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildMimcSponge } = require('circomlibjs');
+const sdk = require('..');
+const vectors = require('./vectors.json');
+
+let hash;
+
+test.before(async () => {
+  hash = sdk.createHasher(await buildMimcSponge());
+});
+
+test('hash matches the contract hasher', () => {
+  for (const { left, right, hash: expected } of vectors.hashes) {
+    assert.strictEqual(hash(left, right).toString(), expected);
+  }
+});
+
+test('hash accepts bigints, decimal and hex strings alike', () => {
+  assert.strictEqual(hash(1n, 2n), hash('1', '0x2'));
+});
+
+test('zeros match the contract', () => {
+  assert.deepStrictEqual(sdk.generateZeros(hash, sdk.TREE_LEVELS).map(String), vectors.zeros);
+});
+
+test('commitments, leaves and nullifier hashes match the circuit', () => {
+  for (const voter of vectors.voters) {
+    assert.strictEqual(sdk.computeCommitment(hash, voter.nullifier, voter.secret), voter.commitment);
+    assert.strictEqual(sdk.computeLeaf(hash, voter.commitment, voter.weight), voter.leaf);
+    assert.strictEqual(sdk.computeNullifierHash(hash, voter.nullifier, vectors.electionId), voter.nullifierHash);
+  }
+});
+
+test('generateCommitment returns field elements and their commitment', () => {
+  const { nullifier, secret, commitment } = sdk.generateCommitment(hash);
+  assert.ok(sdk.isFieldElement(nullifier) && sdk.isFieldElement(secret));
+  assert.strictEqual(commitment, sdk.computeCommitment(hash, nullifier, secret));
+});
+
+test('tree roots match the contract after every insert', () => {
+  const tree = sdk.createMerkleTree(hash);
+  vectors.tree.leaves.forEach((leaf, i) => {
+    tree.insert(leaf);
+    assert.strictEqual(tree.root.toString(), vectors.tree.roots[i]);
+  });
+  vectors.tree.roots.forEach((root, i) => assert.strictEqual(tree.rootAt(i).toString(), root));
+});
+
+test('tree paths match the circuit input', () => {
+  const tree = sdk.createMerkleTree(hash, vectors.tree.leaves);
+  const { pathElements, pathIndices } = tree.path(vectors.tree.path.index);
+  assert.deepStrictEqual(pathElements.map(String), vectors.tree.path.pathElements);
+  assert.deepStrictEqual(pathIndices, vectors.tree.path.pathIndices);
+});
+
+test('serialized trees restore without changes', () => {
+  const tree = sdk.createMerkleTree(hash, vectors.tree.leaves);
+  const restored = sdk.MerkleTree.deserialize(JSON.parse(JSON.stringify(tree.serialize())), hash);
+  assert.strictEqual(restored.root, tree.root);
+  restored.insert(5n);
+  tree.insert(5n);
+  assert.strictEqual(restored.root, tree.root);
+});
+
+test('buildProofInput assembles the circuit input', () => {
+  const voter = vectors.voters[1];
+  const tree = sdk.createMerkleTree(hash, vectors.tree.leaves);
+  const input = sdk.buildProofInput({
+    nullifier: voter.nullifier,
+    secret: voter.secret,
+    weight: voter.weight,
+    merkleProof: tree.path(1),
+    signalHash: 1,
+    externalNullifier: vectors.electionId,
+    relayer: sdk.ZERO_ADDRESS,
+    fee: 0
+  });
+  assert.deepStrictEqual(input, vectors.proof.input);
+});
+
+test('buildProofInput rejects incomplete input', () => {
+  const { input } = vectors.proof;
+  const merkleProof = { pathElements: input.pathElements, pathIndices: input.pathIndices };
+  const params = { ...input, merkleProof };
+  assert.throws(() => sdk.buildProofInput({ ...params, signalHash: undefined }), /signal/);
+  assert.throws(() => sdk.buildProofInput({ ...params, externalNullifier: '' }), /external nullifier/);
+  assert.throws(() => sdk.buildProofInput({ ...params, relayer: undefined }), /relayer/);
+  assert.throws(() => sdk.buildProofInput({ ...params, weight: undefined }), /weight/);
+  assert.throws(() => sdk.buildProofInput({ ...params, weight: 0 }), /weight/);
+  assert.throws(() => sdk.buildProofInput({ ...params, secret: sdk.FIELD_SIZE }), /secret/);
+  assert.throws(() => sdk.buildProofInput({ ...params, allocations: new Array(16).fill(1) }), /At most 15 candidates/);
+  assert.throws(
+    () => sdk.buildProofInput({ ...params, merkleProof: { pathElements: [], pathIndices: [] } }),
+    /20 levels/
+  );
+});
+
+test('proofs are formatted for the verifier contract with pi_b swapped', () => {
+  assert.deepStrictEqual(sdk.formatProofForContract(vectors.proof.proof), vectors.proof.contractProof);
+  assert.deepStrictEqual(sdk.parsePublicSignals(vectors.proof.publicSignals), vectors.proof.publicSignalsByName);
+  assert.deepStrictEqual(sdk.formatVoteArgs(vectors.proof.proof, vectors.proof.publicSignals), vectors.proof.voteArgs);
+  assert.throws(() => sdk.parsePublicSignals(vectors.proof.publicSignals.slice(1)), /9 public signals/);
+});
+
+test('Commit events decode from raw logs, ethers and web3 events', () => {
+  const { log, decoded } = vectors.commitEvent;
+  assert.deepStrictEqual(sdk.decodeCommitEvent(log), decoded);
+
+  const values = { commitment: sdk.toBytes32(decoded.commitment), leafIndex: BigInt(decoded.leafIndex), timestamp: BigInt(decoded.timestamp) };
+  assert.deepStrictEqual(sdk.decodeCommitEvent({ args: values, blockNumber: log.blockNumber }), decoded);
+  assert.deepStrictEqual(
+    sdk.decodeCommitEvent({ returnValues: { ...values, leafIndex: String(decoded.leafIndex) }, blockNumber: BigInt(log.blockNumber) }),
+    decoded
+  );
+  assert.throws(() => sdk.decodeCommitEvent({ ...log, topics: [sdk.toBytes32(1), log.topics[1]] }), /not a Commit event/);
+});
+
+test('decodeCommitEvents sorts events and rejects gaps', () => {
+  const event = (leafIndex) => ({ args: { commitment: leafIndex + 100, leafIndex, timestamp: 0 } });
+  assert.deepStrictEqual(sdk.decodeCommitEvents([event(3), event(2)], 2).map(e => e.leafIndex), [2, 3]);
+  assert.throws(() => sdk.decodeCommitEvents([event(0), event(2)]), /Expected leaf 1/);
+});
@@ -0,0 +1,39 @@
+// Encrypted secret files shared by the voting page and the voter CLI
+const test = require('node:test');
+const assert = require('node:assert');
+const sdk = require('..');
+
+const voterData = { nullifier: 11n, secret: '22', commitment: '33' };
+
+test('secret files decrypt with the passphrase they were encrypted with', async () => {
+  const envelope = await sdk.encryptVoterSecrets(voterData, 'correct horse');
+  assert.ok(sdk.isEncryptedEnvelope(envelope));
+  assert.strictEqual(envelope.commitment, '33');
+  assert.ok(!JSON.stringify(envelope).includes('"22"'));
+
+  // Envelopes are JSON files, so round trip through JSON as the browser and the CLI do
+  const decrypted = await sdk.decryptVoterSecrets(JSON.parse(JSON.stringify(envelope)), 'correct horse');
+  assert.deepStrictEqual(decrypted, { nullifier: '11', secret: '22', commitment: '33' });
+});
+
+test('a wrong passphrase or a changed commitment is rejected', async () => {
+  const envelope = await sdk.encryptVoterSecrets(voterData, 'correct horse');
+  await assert.rejects(sdk.decryptVoterSecrets(envelope, 'wrong horse'), /Wrong passphrase/);
+  await assert.rejects(sdk.decryptVoterSecrets({ ...envelope, commitment: '34' }, 'correct horse'), /Wrong passphrase/);
+  await assert.rejects(sdk.decryptVoterSecrets({ ...envelope, version: 2 }, 'correct horse'), /Unsupported/);
+});
+
+test('short passphrases and plaintext files are told apart', async () => {
+  await assert.rejects(sdk.encryptVoterSecrets(voterData, 'short'), /at least 8 characters/);
+  assert.ok(!sdk.isEncryptedEnvelope({ nullifier: '11', secret: '22', commitment: '33' }));
+});
+
+test('files with too few or too many key derivation iterations are refused', async () => {
+  const envelope = await sdk.encryptVoterSecrets(voterData, 'correct horse');
+  for (const iterations of [1, 599999, 6000001, 1e12, '600000', undefined]) {
+    await assert.rejects(
+      sdk.decryptVoterSecrets({ ...envelope, kdf: { ...envelope.kdf, iterations } }, 'correct horse'),
+      /must use 600000 to 6000000 iterations/
+    );
+  }
+});